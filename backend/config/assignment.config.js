@@ -0,0 +1,38 @@
+/**
+ * Ticket Assignment Configuration for Bugema University IT Support System
+ * Which strategy the assignment engine uses per category and campus
+ */
+
+const assignmentConfig = {
+  // Turn automatic assignment off entirely (tickets go straight to the queue)
+  enabled: process.env.AUTO_ASSIGN_ENABLED !== 'false',
+
+  // Strategy used when no rule matches: 'round-robin' | 'least-loaded' | 'skill-match'
+  defaultStrategy: process.env.AUTO_ASSIGN_STRATEGY || 'skill-match',
+
+  // Strategy tried when the chosen one finds nobody (null = queue the ticket)
+  defaultFallback: 'least-loaded',
+
+  // Most specific rule wins (category + campus > campus > category).
+  // Campuses are the codes stored on tickets and users (BU, MA, KA, ...);
+  // sameCampus limits candidates to technicians based at the ticket's campus.
+  rules: parseRules(process.env.AUTO_ASSIGN_RULES) || [
+    { category: 'network', strategy: 'skill-match', fallback: null },
+    { category: 'account', strategy: 'round-robin' },
+    { campus: 'MA', strategy: 'least-loaded', sameCampus: true }
+  ]
+};
+
+function parseRules(raw) {
+  if (!raw) return null;
+
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    console.error('❌ Invalid AUTO_ASSIGN_RULES configuration:', error.message);
+    return null;
+  }
+}
+
+module.exports = assignmentConfig;
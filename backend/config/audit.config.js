@@ -0,0 +1,20 @@
+/**
+ * Audit Log Configuration for Bugema University IT Support System
+ * Retention and archiving of the hash-chained audit trail
+ */
+
+const auditConfig = {
+  // Records older than this are archived to disk, then purged from MongoDB
+  retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS) || 365,
+
+  archive: {
+    // Run the archive job on a timer inside the process that starts it
+    enabled: process.env.AUDIT_ARCHIVE_ENABLED === 'true',
+    intervalHours: parseInt(process.env.AUDIT_ARCHIVE_INTERVAL_HOURS) || 24,
+
+    // Gzipped JSONL archive files (keep this directory backed up)
+    directory: process.env.AUDIT_ARCHIVE_DIR || 'archives/audit'
+  }
+};
+
+module.exports = auditConfig;
@@ -0,0 +1,11 @@
+/**
+ * Auth Token Configuration for Bugema University IT Support System
+ * Shared by server.js, middleware/auth and the auth controller and session service
+ */
+
+const authConfig = {
+  // The development fallback server.js has always signed with; changing it logs everyone out
+  jwtSecret: process.env.JWT_SECRET || 'your-secret-key-change-in-production'
+};
+
+module.exports = authConfig;
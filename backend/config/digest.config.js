@@ -0,0 +1,28 @@
+/**
+ * Notification Digest Configuration for Bugema University IT Support System
+ * Batched notification emails for users whose emailFrequency is 'digest'
+ */
+
+const digestConfig = {
+  enabled: process.env.DIGEST_ENABLED === 'true',
+
+  // How often to look for users whose digest is due
+  intervalMinutes: parseInt(process.env.DIGEST_INTERVAL_MINUTES) || 15,
+
+  // Schedule for users who have not picked their own
+  defaultSchedule: {
+    frequency: 'daily',   // 'daily' or 'weekly'
+    hour: 7,              // local hour the digest goes out
+    dayOfWeek: 1          // weekly digests: 0 = Sunday ... 6 = Saturday
+  },
+
+  // Digest times follow the campus clock
+  timezone: process.env.SLA_TIMEZONE || 'Africa/Kampala',
+
+  // Most notifications / ticket updates listed per section
+  maxItems: 25,
+
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000'
+};
+
+module.exports = digestConfig;
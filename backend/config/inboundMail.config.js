@@ -0,0 +1,40 @@
+/**
+ * Inbound Mail Configuration for Bugema University IT Support System
+ * Email-to-ticket ingestion from a local Maildir (delivered by the MTA / fetchmail)
+ */
+
+const inboundMailConfig = {
+  enabled: process.env.INBOUND_MAIL_ENABLED === 'true',
+
+  // Maildir with new/ cur/ tmp/ - messages are read from new/ and filed into cur/
+  maildir: process.env.INBOUND_MAILDIR || 'mail/itsupport',
+
+  // Poll interval when running continuously
+  intervalSeconds: parseInt(process.env.INBOUND_MAIL_INTERVAL_SECONDS) || 60,
+
+  // Our own address (mail from it is ignored to prevent loops)
+  supportAddress: (process.env.INBOUND_MAIL_ADDRESS || 'itsupport@bugemauniv.ac.ug').toLowerCase(),
+
+  // Sender authentication: only Authentication-Results headers added by our own
+  // MTA (these authserv-ids) are trusted. Staff mail must always pass SPF, DKIM
+  // or DMARC; INBOUND_MAIL_REQUIRE_AUTH=false relaxes it for other users only.
+  requireAuthentication: process.env.INBOUND_MAIL_REQUIRE_AUTH !== 'false',
+  trustedAuthServIds: (process.env.INBOUND_MAIL_AUTHSERV_IDS || 'bugemauniv.ac.ug')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean),
+
+  // Messages that fail this many runs are moved to failed/ instead of retried
+  maxAttempts: parseInt(process.env.INBOUND_MAIL_MAX_ATTEMPTS) || 3,
+
+  // Defaults for tickets created from email
+  defaults: {
+    category: 'other',
+    priority: 'medium'
+  },
+
+  // Maximum attachments stored per message (matches the upload limit)
+  maxAttachments: 5
+};
+
+module.exports = inboundMailConfig;
@@ -10,6 +10,7 @@
 const Ticket = require('../models/Ticket');
 const User = require('../models/User');
 const { sendEmail } = require('../services/emailService');
+const ticketNumberService = require('../services/ticketNumberService');
 
 // Try to import notificationService, but provide fallback if not available
 let createNotification;
@@ -87,18 +88,23 @@ exports.createTicket = async (req, res) => {
       attachments
     } = req.body;
 
+    const slaDeadlines = await calculateSLADeadlines(priority || 'medium', new Date(), req.body.campus, {
+      category,
+      department
+    });
+
     // Create ticket
     const ticket = new Ticket({
       title,
       description,
-      category: category || 'Other',
-      priority: priority || 'Medium',
+      category: category || 'other',
+      priority: priority || 'medium',
       location,
       department,
       createdBy: req.user ? req.user.id : null,
       sla: {
-        responseDeadline: calculateSLADeadlines(priority || 'Medium').responseDeadline,
-        resolutionDeadline: calculateSLADeadlines(priority || 'Medium').resolutionDeadline
+        responseDeadline: slaDeadlines.responseDeadline,
+        resolutionDeadline: slaDeadlines.resolutionDeadline
       }
     });
 
@@ -113,7 +119,7 @@ exports.createTicket = async (req, res) => {
         
         if (availableTech) {
           ticket.assignedTo = availableTech._id;
-          ticket.status = 'Assigned';
+          ticket.status = 'assigned';
           ticket.assignedAt = new Date();
           ticket.assignedBy = req.user ? req.user.id : null;
         }
@@ -125,8 +131,8 @@ exports.createTicket = async (req, res) => {
     await ticket.save();
 
     // Generate ticket number (if not auto-generated)
-    if (!ticket.ticketNumber) {
-      ticket.ticketNumber = await generateTicketNumber();
+    if (!ticket.ticketId) {
+      ticket.ticketId = await ticketNumberService.generate(ticket);
       await ticket.save();
     }
 
@@ -134,7 +140,7 @@ exports.createTicket = async (req, res) => {
     ticket.addHistory({
       action: 'CREATED',
       performedBy: req.user ? req.user.id : null,
-      changes: { status: 'Open' }
+      changes: { status: 'open' }
     });
 
     // Send notification emails
@@ -142,10 +148,10 @@ exports.createTicket = async (req, res) => {
       try {
         await sendEmail({
           to: req.user.email,
-          subject: `Ticket Created: ${ticket.ticketNumber} - ${ticket.title}`,
+          subject: `Ticket Created: ${ticket.ticketId} - ${ticket.title}`,
           template: 'ticketCreated',
           context: {
-            ticketNumber: ticket.ticketNumber,
+            ticketNumber: ticket.ticketId,
             title: ticket.title,
             category: ticket.category,
             priority: ticket.priority,
@@ -164,7 +170,7 @@ exports.createTicket = async (req, res) => {
       await createNotification({
         userId: req.user ? req.user.id : null,
         title: 'Ticket Created',
-        message: `Your ticket ${ticket.ticketNumber} has been created successfully`,
+        message: `Your ticket ${ticket.ticketId} has been created successfully`,
         type: 'ticket',
         relatedTo: ticket._id
       });
@@ -184,7 +190,7 @@ exports.createTicket = async (req, res) => {
       }
     });
 
-    logger.info(`Ticket created: ${ticket.ticketNumber} by ${req.user ? req.user.id : 'anonymous'}`);
+    logger.info(`Ticket created: ${ticket.ticketId} by ${req.user ? req.user.id : 'anonymous'}`);
 
   } catch (error) {
     logger.error(`Ticket creation error: ${error.message}`, { stack: error.stack });
@@ -268,9 +274,9 @@ exports.getAllTickets = async (req, res) => {
     // Add virtual fields for frontend
     const enhancedTickets = tickets.map(ticket => ({
       ...ticket,
-      ticketNumber: ticket.ticketNumber || `TKT-${ticket._id.toString().substring(18, 24)}`,
+      ticketNumber: ticket.ticketId || `TKT-${ticket._id.toString().substring(18, 24)}`,
       isOverdue: ticket.dueDate ? new Date() > new Date(ticket.dueDate) && 
-                 ticket.status !== 'Resolved' && ticket.status !== 'Closed' : false,
+                 ticket.status !== 'resolved' && ticket.status !== 'closed' : false,
       daysOpen: Math.floor((new Date() - new Date(ticket.createdAt)) / (1000 * 60 * 60 * 24))
     }));
 
@@ -396,7 +402,7 @@ const canEditTicket = (user, ticket) => {
   
   // Users can edit their own tickets if still open
   if (ticket.createdBy && ticket.createdBy.equals(user.id) && 
-      ticket.status === 'Open') {
+      ticket.status === 'open') {
     return true;
   }
   
@@ -430,27 +436,6 @@ const canDeleteTicket = (user) => {
   return user.role === 'Admin';
 };
 
-/**
- * Generate unique ticket number
- */
-const generateTicketNumber = async () => {
-  const today = new Date();
-  const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
-  
-  // Find the last ticket number for today
-  const lastTicket = await Ticket.findOne({
-    ticketNumber: new RegExp(`^TKT-${dateStr}-`)
-  }).sort({ ticketNumber: -1 });
-  
-  let sequence = 1;
-  if (lastTicket && lastTicket.ticketNumber) {
-    const lastSeq = parseInt(lastTicket.ticketNumber.split('-')[2]);
-    sequence = lastSeq + 1;
-  }
-  
-  return `TKT-${dateStr}-${sequence.toString().padStart(4, '0')}`;
-};
-
 // Export other controller methods (add your existing ones here)
 exports.updateTicket = async (req, res) => { /* Your implementation */ };
 exports.deleteTicket = async (req, res) => { /* Your implementation */ };
@@ -0,0 +1,22 @@
+/**
+ * Public Ticket Status Configuration for Bugema University IT Support System
+ * Unauthenticated status lookups by ticket number (e.g. /status/TKT-20260119-0001)
+ */
+
+const publicStatusConfig = {
+  // Signs the status links sent in ticket emails; changing it invalidates old links
+  tokenSecret: process.env.TICKET_STATUS_SECRET || process.env.JWT_SECRET || 'bugema-ticket-status-secret-change-this',
+
+  // Lookups per IP, counted separately from the /api/ limiter
+  rateLimit: {
+    windowMs: (parseInt(process.env.PUBLIC_STATUS_RATE_WINDOW_MINUTES) || 15) * 60 * 1000,
+    max: parseInt(process.env.PUBLIC_STATUS_RATE_LIMIT) || 30
+  },
+
+  // Newest public comments shown on the status page
+  maxComments: 20,
+
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000'
+};
+
+module.exports = publicStatusConfig;
@@ -0,0 +1,80 @@
+/**
+ * SLA Calendar Configuration for Bugema University IT Support System
+ * Working hours per campus, university holidays and term breaks
+ */
+
+// Working windows per weekday (0 = Sunday ... 6 = Saturday), local campus time
+const STANDARD_WEEK = {
+  1: [['08:00', '13:00'], ['14:00', '17:00']],
+  2: [['08:00', '13:00'], ['14:00', '17:00']],
+  3: [['08:00', '13:00'], ['14:00', '17:00']],
+  4: [['08:00', '13:00'], ['14:00', '17:00']],
+  5: [['08:00', '13:00'], ['14:00', '17:00']]
+};
+
+const slaConfig = {
+  // Default timezone (matches User.preferences.timezone default)
+  defaultTimezone: process.env.SLA_TIMEZONE || 'Africa/Kampala',
+
+  // Calendar used when a ticket has no campus or one without its own calendar
+  defaultCalendar: 'BU',
+
+  // Per-campus calendars, keyed by the Ticket.campus code
+  calendars: {
+    BU: {
+      timezone: process.env.SLA_TIMEZONE || 'Africa/Kampala',
+      workingHours: STANDARD_WEEK
+    },
+    MA: {
+      timezone: process.env.SLA_TIMEZONE || 'Africa/Kampala',
+      workingHours: {
+        ...STANDARD_WEEK,
+        // Weekend programme students are served on Saturday mornings
+        6: [['09:00', '13:00']]
+      }
+    }
+  },
+
+  // Public holidays observed every year (MM-DD)
+  recurringHolidays: [
+    { date: '01-01', name: "New Year's Day" },
+    { date: '01-26', name: 'NRM Liberation Day' },
+    { date: '02-16', name: 'Archbishop Janani Luwum Day' },
+    { date: '03-08', name: "International Women's Day" },
+    { date: '05-01', name: 'Labour Day' },
+    { date: '06-03', name: "Martyrs' Day" },
+    { date: '06-09', name: "National Heroes' Day" },
+    { date: '10-09', name: 'Independence Day' },
+    { date: '12-25', name: 'Christmas Day' },
+    { date: '12-26', name: 'Boxing Day' }
+  ],
+
+  // One-off holidays and term breaks (YYYY-MM-DD, inclusive).
+  // Movable feasts and the academic calendar change every year, so they are
+  // supplied through SLA_HOLIDAYS as a JSON array of { from, to, name, campus }.
+  holidays: parseHolidays(process.env.SLA_HOLIDAYS),
+
+  // Background breach monitor
+  monitor: {
+    enabled: process.env.SLA_MONITOR_ENABLED !== 'false',
+    intervalMinutes: parseInt(process.env.SLA_MONITOR_INTERVAL_MINUTES) || 5,
+    // Only tickets due within this many wall-clock hours are checked for warnings
+    warningHorizonHours: parseInt(process.env.SLA_WARNING_HORIZON_HOURS) || 72,
+    // Business minutes a ticket may stay breached before each automatic escalation
+    escalateAfterMinutes: parseInt(process.env.SLA_ESCALATE_AFTER_MINUTES) || 60
+  }
+};
+
+function parseHolidays(raw) {
+  if (!raw) return [];
+
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('❌ Invalid SLA_HOLIDAYS configuration:', error.message);
+    return [];
+  }
+}
+
+module.exports = slaConfig;
@@ -0,0 +1,61 @@
+/**
+ * Ticket Configuration for Bugema University IT Support System
+ * Priorities, categories, statuses and campuses shared by the ticket model,
+ * the API and the background services
+ */
+
+// Priorities with their wall-clock SLA (business-hour targets live in SLAPolicy)
+const TICKET_SLA = {
+  critical: { hours: 4, color: '#dc2626', label: 'Critical (4hrs)' },
+  high: { hours: 8, color: '#ea580c', label: 'High (8hrs)' },
+  medium: { hours: 24, color: '#d97706', label: 'Medium (24hrs)' },
+  low: { hours: 72, color: '#059669', label: 'Low (72hrs)' }
+};
+
+// Ticket Categories with Icons
+const TICKET_CATEGORIES = {
+  network: { name: 'Network Issues', icon: '🌐', color: '#3b82f6' },
+  software: { name: 'Software Issues', icon: '💻', color: '#8b5cf6' },
+  hardware: { name: 'Hardware Issues', icon: '🔧', color: '#f59e0b' },
+  account: { name: 'Account Issues', icon: '👤', color: '#10b981' },
+  email: { name: 'Email Issues', icon: '📧', color: '#6366f1' },
+  website: { name: 'Website Issues', icon: '🌍', color: '#ec4899' },
+  other: { name: 'Other Issues', icon: '❓', color: '#6b7280' }
+};
+
+// Ticket Status Workflow
+const TICKET_STATUS = {
+  open: { name: 'Open', color: '#3b82f6', order: 1 },
+  assigned: { name: 'Assigned', color: '#0ea5e9', order: 1.5 },
+  'in-progress': { name: 'In Progress', color: '#f59e0b', order: 2 },
+  pending: { name: 'Pending', color: '#8b5cf6', order: 2.5 },
+  resolved: { name: 'Resolved', color: '#10b981', order: 3 },
+  closed: { name: 'Closed', color: '#6b7280', order: 4 },
+  reopened: { name: 'Reopened', color: '#ef4444', order: 1.2 },
+  cancelled: { name: 'Cancelled', color: '#9ca3af', order: 5 }
+};
+
+// Campus codes (as stored on users and tickets)
+const TICKET_CAMPUSES = {
+  BU: 'Main Campus (Luweero)',
+  MA: 'Kampala Campus',
+  KA: 'Kasese Campus',
+  AR: 'Arua Campus',
+  MB: 'Mbale Campus',
+  OTHER: 'Other Campus'
+};
+
+// Statuses that no longer need work
+const FINISHED_STATUSES = ['resolved', 'closed', 'cancelled'];
+
+// Statuses whose SLA clock is running (pending waits on the requester)
+const ACTIVE_STATUSES = ['open', 'assigned', 'in-progress', 'reopened'];
+
+module.exports = {
+  TICKET_SLA,
+  TICKET_CATEGORIES,
+  TICKET_STATUS,
+  TICKET_CAMPUSES,
+  FINISHED_STATUSES,
+  ACTIVE_STATUSES
+};
@@ -0,0 +1,45 @@
+/**
+ * Ticket Number Configuration for Bugema University IT Support System
+ * Format and prefixes of ticket numbers (e.g. TKT-20260119-0001)
+ */
+
+const ticketNumberConfig = {
+  // Prefix used when no category/campus prefix matches
+  defaultPrefix: process.env.TICKET_PREFIX || 'TKT',
+
+  // Sequence restarts every 'day', 'month' or 'year' (or never: 'none')
+  resetPeriod: process.env.TICKET_NUMBER_RESET || 'day',
+
+  // Minimum digits in the sequence part
+  padding: 4,
+
+  // Dates in ticket numbers follow the campus clock, not the server's
+  timezone: process.env.SLA_TIMEZONE || 'Africa/Kampala',
+
+  // Which prefix wins when both a category and a campus prefix match
+  precedence: ['category', 'campus'],
+
+  // Prefixes per category / campus (matched case-insensitively), e.g.
+  // TICKET_PREFIXES='{"category":{"network":"NET"},"campus":{"MA":"KLA"}}'
+  prefixes: parsePrefixes(process.env.TICKET_PREFIXES) || {
+    category: {},
+    campus: {}
+  }
+};
+
+function parsePrefixes(raw) {
+  if (!raw) return null;
+
+  try {
+    const parsed = JSON.parse(raw);
+    return {
+      category: parsed.category || {},
+      campus: parsed.campus || {}
+    };
+  } catch (error) {
+    console.error('❌ Invalid TICKET_PREFIXES configuration:', error.message);
+    return null;
+  }
+}
+
+module.exports = ticketNumberConfig;
@@ -0,0 +1,501 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Knowledge Base Article Controller
+ *
+ * @description Article CRUD, search, versions and helpful votes
+ * @version 1.0.0
+ */
+const mongoose = require('mongoose');
+
+const Article = require('../models/Article');
+const Ticket = require('../models/Ticket');
+
+const { ARTICLE_CATEGORIES, VISIBILITIES } = Article;
+
+// Fields an author may set on an article
+const EDITABLE_FIELDS = ['title', 'body', 'category', 'tags', 'visibility'];
+
+const SORT_ORDERS = {
+  recent: { updatedAt: -1 },
+  helpful: { helpfulCount: -1, updatedAt: -1 },
+  views: { viewCount: -1, updatedAt: -1 },
+  title: { title: 1 }
+};
+
+const MAX_PAGE_SIZE = 50;
+const EXCERPT_LENGTH = 200;
+
+/**
+ * @class ArticleController
+ * @description Knowledge base articles for users and support staff
+ */
+class ArticleController {
+
+  /**
+   * @method listArticles
+   * @description Browse articles (?search=, ?category=, ?tag=, ?visibility=, ?sort=recent|helpful|views|title, ?page=, ?limit=)
+   */
+  static async listArticles(req, res) {
+    try {
+      const query = ArticleController.buildQuery(req.query, req.user.role);
+      const page = Math.max(1, parseInt(req.query.page) || 1);
+      const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 20));
+      const search = (req.query.search || '').trim();
+
+      // Search results come best match first unless another order is asked for
+      const sort = search && !SORT_ORDERS[req.query.sort]
+        ? { score: { $meta: 'textScore' } }
+        : SORT_ORDERS[req.query.sort] || SORT_ORDERS.recent;
+
+      const [articles, total] = await Promise.all([
+        Article.find(query, search ? { score: { $meta: 'textScore' } } : {})
+          .select('-versions -votes')
+          .populate('author', 'firstName lastName')
+          .sort(sort)
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Article.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          articles: articles.map(ArticleController.toSummary),
+          pagination: {
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+          },
+          categories: ARTICLE_CATEGORIES
+        }
+      });
+    } catch (error) {
+      console.error('List articles error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch articles',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method searchArticles
+   * @description Best matches for a phrase (?q=, ?category=, ?limit=), e.g. suggestions while writing a ticket
+   */
+  static async searchArticles(req, res) {
+    try {
+      const phrase = (req.query.q || '').trim();
+
+      if (phrase.length < 2) {
+        return res.status(400).json({
+          success: false,
+          error: 'Search text must be at least 2 characters',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const query = ArticleController.buildQuery({ search: phrase, category: req.query.category }, req.user.role);
+      const limit = Math.min(20, Math.max(1, parseInt(req.query.limit) || 5));
+
+      const articles = await Article.find(query, { score: { $meta: 'textScore' } })
+        .select('title slug category tags visibility body helpfulCount notHelpfulCount updatedAt')
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit)
+        .lean();
+
+      res.json({
+        success: true,
+        data: { articles: articles.map(ArticleController.toSummary) }
+      });
+    } catch (error) {
+      console.error('Search articles error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to search articles',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method getArticle
+   * @description Get an article by id or slug
+   */
+  static async getArticle(req, res) {
+    try {
+      const article = await ArticleController.findArticle(req.params.id);
+
+      if (!article || !article.canBeReadBy(req.user.role)) {
+        return ArticleController.notFound(res);
+      }
+
+      await Article.findByIdAndUpdate(article._id, { $inc: { viewCount: 1 } });
+
+      await article.populate([
+        { path: 'author', select: 'firstName lastName' },
+        { path: 'lastEditedBy', select: 'firstName lastName' },
+        { path: 'sourceTicket', select: 'ticketId title status' }
+      ]);
+
+      const myVote = article.votes.find(vote => vote.user.equals(req.user.id));
+
+      // Who voted stays private; versions have their own endpoint
+      const data = article.toObject();
+      data.viewCount += 1;
+      data.versionCount = data.versions.length;
+      delete data.votes;
+      delete data.versions;
+
+      res.json({
+        success: true,
+        data: {
+          article: data,
+          myVote: myVote ? myVote.helpful : null
+        }
+      });
+    } catch (error) {
+      console.error('Get article error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch article',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method createArticle
+   * @description Create an article (optionally from a ticket's resolution via sourceTicket)
+   */
+  static async createArticle(req, res) {
+    try {
+      const fields = ArticleController.pickEditable(req.body);
+
+      if (req.body.sourceTicket) {
+        if (!mongoose.Types.ObjectId.isValid(req.body.sourceTicket) ||
+            !(await Ticket.exists({ _id: req.body.sourceTicket }))) {
+          return res.status(400).json({
+            success: false,
+            error: 'Source ticket not found',
+            field: 'sourceTicket',
+            code: 'INVALID_REFERENCE'
+          });
+        }
+        fields.sourceTicket = req.body.sourceTicket;
+      }
+
+      const article = new Article({
+        ...fields,
+        author: req.user.id,
+        changeNote: req.body.sourceTicket ? 'Written from ticket resolution' : undefined
+      });
+
+      await article.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Article created successfully',
+        data: { article }
+      });
+    } catch (error) {
+      ArticleController.handleWriteError(res, error, 'Failed to create article');
+    }
+  }
+
+  /**
+   * @method updateArticle
+   * @description Update an article; the previous content is kept as a version
+   */
+  static async updateArticle(req, res) {
+    try {
+      const article = await ArticleController.findArticle(req.params.id);
+
+      if (!article) {
+        return ArticleController.notFound(res);
+      }
+
+      const changed = article.revise(ArticleController.pickEditable(req.body), req.user.id, req.body.changeNote);
+
+      if (!changed) {
+        return res.json({
+          success: true,
+          message: 'No changes to save',
+          data: { article }
+        });
+      }
+
+      await article.save();
+
+      res.json({
+        success: true,
+        message: `Article updated to version ${article.version}`,
+        data: { article }
+      });
+    } catch (error) {
+      ArticleController.handleWriteError(res, error, 'Failed to update article');
+    }
+  }
+
+  /**
+   * @method deleteArticle
+   * @description Delete an article and its versions
+   */
+  static async deleteArticle(req, res) {
+    try {
+      const article = await ArticleController.findArticle(req.params.id);
+
+      if (!article) {
+        return ArticleController.notFound(res);
+      }
+
+      await article.deleteOne();
+
+      res.json({
+        success: true,
+        message: 'Article deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete article error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete article',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method getVersions
+   * @description Earlier versions of an article, newest first
+   */
+  static async getVersions(req, res) {
+    try {
+      const article = await ArticleController.findArticle(req.params.id);
+
+      if (!article) {
+        return ArticleController.notFound(res);
+      }
+
+      await article.populate('versions.editedBy', 'firstName lastName');
+
+      res.json({
+        success: true,
+        data: {
+          current: article.version,
+          versions: [...article.versions].reverse()
+        }
+      });
+    } catch (error) {
+      console.error('Get article versions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch article versions',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method restoreVersion
+   * @description Make an earlier version's content current again (as a new version)
+   */
+  static async restoreVersion(req, res) {
+    try {
+      const article = await ArticleController.findArticle(req.params.id);
+
+      if (!article) {
+        return ArticleController.notFound(res);
+      }
+
+      const number = parseInt(req.params.version);
+      const version = article.versions.find(entry => entry.version === number);
+
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          error: `Version ${req.params.version} not found`,
+          code: 'VERSION_NOT_FOUND'
+        });
+      }
+
+      const changed = article.revise(
+        ArticleController.pickEditable(version.toObject()),
+        req.user.id,
+        `Restored version ${number}`
+      );
+
+      if (changed) {
+        await article.save();
+      }
+
+      res.json({
+        success: true,
+        message: changed ? `Version ${number} restored as version ${article.version}` : 'Content already matches that version',
+        data: { article }
+      });
+    } catch (error) {
+      ArticleController.handleWriteError(res, error, 'Failed to restore article version');
+    }
+  }
+
+  /**
+   * @method voteArticle
+   * @description Mark an article helpful or not ({ helpful: true|false }); voting again replaces the vote
+   */
+  static async voteArticle(req, res) {
+    try {
+      if (typeof req.body.helpful !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'helpful must be true or false',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const article = await ArticleController.findArticle(req.params.id);
+
+      if (!article || !article.canBeReadBy(req.user.role)) {
+        return ArticleController.notFound(res);
+      }
+
+      article.vote(req.user.id, req.body.helpful);
+      await article.save();
+
+      res.json({
+        success: true,
+        message: 'Thanks for your feedback',
+        data: {
+          helpfulCount: article.helpfulCount,
+          notHelpfulCount: article.notHelpfulCount,
+          myVote: req.body.helpful
+        }
+      });
+    } catch (error) {
+      console.error('Vote article error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to record vote',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  // ============================================
+  // HELPER METHODS
+  // ============================================
+
+  /**
+   * Filter for the articles a role may see, narrowed by the query string
+   */
+  static buildQuery(params, role) {
+    const query = { ...Article.visibilityFilter(role) };
+
+    if (params.search && params.search.trim()) {
+      query.$text = { $search: params.search.trim() };
+    }
+
+    if (params.category && ARTICLE_CATEGORIES.includes(params.category)) {
+      query.category = params.category;
+    }
+
+    if (params.tag) {
+      query.tags = String(params.tag).trim().toLowerCase();
+    }
+
+    // Only staff see internal articles, so only they can ask for them
+    if (params.visibility && VISIBILITIES.includes(params.visibility) && !query.visibility) {
+      query.visibility = params.visibility;
+    }
+
+    if (params.sourceTicket && mongoose.Types.ObjectId.isValid(params.sourceTicket)) {
+      query.sourceTicket = params.sourceTicket;
+    }
+
+    return query;
+  }
+
+  /**
+   * Find article by id or slug
+   */
+  static findArticle(idOrSlug) {
+    if (mongoose.Types.ObjectId.isValid(idOrSlug) && /^[a-f0-9]{24}$/i.test(idOrSlug)) {
+      return Article.findById(idOrSlug);
+    }
+    return Article.findOne({ slug: String(idOrSlug).toLowerCase() });
+  }
+
+  /**
+   * Keep only editable fields from a request body
+   */
+  static pickEditable(body = {}) {
+    return EDITABLE_FIELDS.reduce((picked, field) => {
+      if (body[field] !== undefined) picked[field] = body[field];
+      return picked;
+    }, {});
+  }
+
+  /**
+   * List entry: the body becomes a plain-text excerpt
+   */
+  static toSummary({ body = '', ...article }) {
+    const text = body
+      .replace(/```[\s\S]*?```/g, ' ')
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/^\s*(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+      .replace(/[*_`~]+/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return {
+      ...article,
+      excerpt: text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH).trimEnd()}…` : text
+    };
+  }
+
+  static notFound(res) {
+    return res.status(404).json({
+      success: false,
+      error: 'Article not found',
+      code: 'ARTICLE_NOT_FOUND'
+    });
+  }
+
+  /**
+   * Map validation/duplicate errors to 400/409
+   */
+  static handleWriteError(res, error, message) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        error: 'Article validation failed',
+        errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'An article with this title already exists',
+        code: 'DUPLICATE_ARTICLE'
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      code: 'SERVER_ERROR'
+    });
+  }
+}
+
+module.exports = ArticleController;
@@ -0,0 +1,475 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Audit Controller
+ *
+ * @description Audit log search, CSV export, activity trend and chain verification for administrators
+ * @version 1.1.0
+ */
+const mongoose = require('mongoose');
+
+const AuditLog = require('../models/AuditLog');
+const AuditArchive = require('../models/AuditArchive');
+const User = require('../models/User');
+const auditService = require('../services/auditService');
+const auditArchiveService = require('../services/auditArchiveService');
+
+const SEVERITIES = AuditLog.schema.path('severity').enumValues;
+
+// Most rows written to one CSV export
+const EXPORT_LIMIT = 10000;
+
+// Longest trend that can be requested, in days
+const MAX_TREND_DAYS = 365;
+
+const USER_FIELDS = 'firstName lastName email username role';
+
+/**
+ * @class AuditController
+ * @description Read-only access to AuditLog records and their hash chain
+ */
+class AuditController {
+
+  /**
+   * @method listAuditLogs
+   * @description Paginated audit records, newest first
+   * (?user=, ?action=, ?entityType=, ?entityId=, ?severity=, ?securityOnly=true, ?from=, ?to=)
+   */
+  static async listAuditLogs(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+      const query = await AuditController.buildQuery(req.query);
+
+      if (!query) {
+        return AuditController.invalidFilter(res);
+      }
+
+      const [logs, total] = await Promise.all([
+        AuditLog.find(query)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('userId', USER_FIELDS)
+          .lean(),
+        AuditLog.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          logs: logs.map(AuditController.formatLog),
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('List audit logs error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch audit logs',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method getAuditLog
+   * @description One audit record with its full details
+   */
+  static async getAuditLog(req, res) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return AuditController.notFound(res);
+      }
+
+      const log = await AuditLog.findById(req.params.id)
+        .populate('userId', USER_FIELDS)
+        .lean();
+
+      if (!log) {
+        return AuditController.notFound(res);
+      }
+
+      res.json({
+        success: true,
+        data: AuditController.formatLog(log)
+      });
+    } catch (error) {
+      console.error('Get audit log error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch audit log',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method exportAuditLogs
+   * @description CSV download of the records matching the same filters as the list
+   */
+  static async exportAuditLogs(req, res) {
+    try {
+      const query = await AuditController.buildQuery(req.query);
+
+      if (!query) {
+        return AuditController.invalidFilter(res);
+      }
+
+      const logs = await AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .limit(EXPORT_LIMIT)
+        .populate('userId', USER_FIELDS)
+        .lean();
+
+      // Exporting the trail is itself worth recording
+      auditService.logUserActivity(req.user.id, 'EXPORT_AUDIT_LOGS', 'AuditLog', {
+        entityId: 'export',
+        filters: req.query,
+        count: logs.length
+      });
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit_logs_${Date.now()}.csv"`);
+      res.send(AuditController.formatLogsToCSV(logs.map(AuditController.formatLog)));
+    } catch (error) {
+      console.error('Export audit logs error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export audit logs',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method getAuditStatistics
+   * @description Daily trend from AuditLog.getStatistics plus totals by action and severity (?days=30)
+   */
+  static async getAuditStatistics(req, res) {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), MAX_TREND_DAYS);
+      const since = new Date();
+      since.setDate(since.getDate() - days);
+
+      const [trend, [totals]] = await Promise.all([
+        AuditLog.getStatistics(days),
+        AuditLog.aggregate([
+          { $match: { createdAt: { $gte: since } } },
+          {
+            $facet: {
+              overall: [
+                {
+                  $group: {
+                    _id: null,
+                    total: { $sum: 1 },
+                    securityEvents: { $sum: { $cond: ['$isSecurityEvent', 1, 0] } },
+                    failedLogins: { $sum: { $cond: [{ $eq: ['$action', 'LOGIN_FAILED'] }, 1, 0] } },
+                    users: { $addToSet: '$userId' }
+                  }
+                }
+              ],
+              byAction: [
+                { $group: { _id: '$action', count: { $sum: 1 } } },
+                { $sort: { count: -1 } },
+                { $limit: 15 }
+              ],
+              bySeverity: [
+                { $group: { _id: '$severity', count: { $sum: 1 } } }
+              ]
+            }
+          }
+        ])
+      ]);
+
+      const overall = totals.overall[0] || {};
+
+      res.json({
+        success: true,
+        data: {
+          days,
+          summary: {
+            total: overall.total || 0,
+            securityEvents: overall.securityEvents || 0,
+            failedLogins: overall.failedLogins || 0,
+            uniqueUsers: (overall.users || []).filter(Boolean).length
+          },
+          trend: trend.map(day => ({
+            date: day.date,
+            count: day.count,
+            uniqueUsers: day.uniqueUsers,
+            uniqueActions: day.uniqueActions,
+            severityBreakdown: AuditController.fillSeverities(day.severityBreakdown)
+          })),
+          byAction: totals.byAction.map(item => ({ action: item._id, count: item.count })),
+          bySeverity: Object.fromEntries(SEVERITIES.map(severity => [
+            severity,
+            totals.bySeverity.find(item => item._id === severity)?.count || 0
+          ]))
+        }
+      });
+    } catch (error) {
+      console.error('Audit statistics error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch audit statistics',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method getFilterOptions
+   * @description Distinct actions and entity types for the filter dropdowns
+   */
+  static async getFilterOptions(req, res) {
+    try {
+      const [actions, entityTypes] = await Promise.all([
+        AuditLog.distinct('action'),
+        AuditLog.distinct('entityType')
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          actions: actions.sort(),
+          entityTypes: entityTypes.sort(),
+          severities: SEVERITIES
+        }
+      });
+    } catch (error) {
+      console.error('Audit filter options error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch audit filter options',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method verifyChain
+   * @description Walk the hash chain and report the first broken link (?archives=true also checks archive files)
+   */
+  static async verifyChain(req, res) {
+    try {
+      const result = await AuditLog.verifyChain();
+
+      if (req.query.archives === 'true') {
+        result.archives = await auditArchiveService.verifyArchives();
+        result.valid = result.valid && result.archives.every(archive => archive.valid);
+      }
+
+      auditService.log({
+        userId: req.user.id,
+        action: 'VERIFY_AUDIT_CHAIN',
+        entityType: 'AuditLog',
+        entityId: 'chain',
+        severity: result.valid ? 'info' : 'critical',
+        isSecurityEvent: !result.valid,
+        details: {
+          valid: result.valid,
+          checked: result.checked,
+          ...(result.brokenAt && { brokenAt: result.brokenAt })
+        }
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Verify audit chain error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to verify audit chain',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method listArchives
+   * @description Archive files written by the archive job, newest first
+   */
+  static async listArchives(req, res) {
+    try {
+      const archives = await AuditArchive.find().sort({ archivedAt: -1 }).lean();
+
+      res.json({
+        success: true,
+        data: { archives },
+        count: archives.length
+      });
+    } catch (error) {
+      console.error('List audit archives error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch audit archives',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Mongo query for the list/export filters; null when a filter is invalid
+   * ?user= takes a user id, or an email/username fragment
+   */
+  static async buildQuery(params = {}) {
+    const query = {};
+
+    if (params.user) {
+      if (mongoose.Types.ObjectId.isValid(params.user)) {
+        query.userId = params.user;
+      } else {
+        const pattern = new RegExp(AuditController.escapeRegex(params.user), 'i');
+        const users = await User.find({ $or: [{ email: pattern }, { username: pattern }] })
+          .select('_id')
+          .limit(100)
+          .lean();
+        query.userId = { $in: users.map(user => user._id) };
+      }
+    }
+
+    if (params.action) query.action = params.action.toUpperCase();
+    if (params.entityType) query.entityType = params.entityType;
+    if (params.entityId) query.entityId = params.entityId;
+
+    if (params.severity) {
+      const severities = params.severity.split(',').map(value => value.trim());
+      if (severities.some(severity => !SEVERITIES.includes(severity))) return null;
+      query.severity = { $in: severities };
+    }
+
+    if (params.securityOnly === 'true') query.isSecurityEvent = true;
+
+    if (params.from || params.to) {
+      const from = params.from ? new Date(params.from) : null;
+      const to = params.to ? new Date(params.to) : null;
+
+      if ((from && isNaN(from)) || (to && isNaN(to)) || (from && to && from > to)) return null;
+
+      // A bare date for ?to= means the whole of that day
+      if (to && /^\d{4}-\d{2}-\d{2}$/.test(params.to)) to.setUTCHours(23, 59, 59, 999);
+
+      query.createdAt = {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to })
+      };
+    }
+
+    return query;
+  }
+
+  static formatLog(log) {
+    const user = log.userId && typeof log.userId === 'object' && log.userId.email ? log.userId : null;
+
+    return {
+      id: log._id,
+      createdAt: log.createdAt,
+      action: log.action,
+      entityType: log.entityType,
+      entityId: log.entityId,
+      severity: log.severity,
+      user: user
+        ? {
+          id: user._id,
+          name: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username,
+          email: user.email,
+          role: user.role
+        }
+        : null,
+      userId: user ? user._id : log.userId || null,
+      ipAddress: log.ipAddress || null,
+      userAgent: log.userAgent || null,
+      isSystemEvent: log.isSystemEvent,
+      isSecurityEvent: log.isSecurityEvent,
+      details: log.details || {}
+    };
+  }
+
+  /**
+   * Format audit records to CSV
+   */
+  static formatLogsToCSV(logs) {
+    const headers = [
+      'Timestamp',
+      'Action',
+      'Severity',
+      'Entity Type',
+      'Entity ID',
+      'User',
+      'User Email',
+      'IP Address',
+      'User Agent',
+      'Security Event',
+      'System Event',
+      'Details'
+    ];
+
+    const rows = logs.map(log => [
+      log.createdAt ? new Date(log.createdAt).toISOString() : '',
+      log.action,
+      log.severity,
+      log.entityType,
+      log.entityId,
+      log.user?.name || (log.isSystemEvent ? 'System' : ''),
+      log.user?.email || '',
+      log.ipAddress || '',
+      log.userAgent || '',
+      log.isSecurityEvent ? 'Yes' : 'No',
+      log.isSystemEvent ? 'Yes' : 'No',
+      JSON.stringify(log.details || {})
+    ]);
+
+    return [headers, ...rows]
+      .map(row => row.map(AuditController.escapeCSV).join(','))
+      .join('\n');
+  }
+
+  /**
+   * Quote a CSV cell; cells that spreadsheets would run as formulas get a leading quote
+   */
+  static escapeCSV(value) {
+    let cell = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+    return `"${cell.replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Count for every severity in a day's breakdown, zero when it had none
+   */
+  static fillSeverities(breakdown = {}) {
+    return Object.fromEntries(SEVERITIES.map(severity => [severity, breakdown[severity] || 0]));
+  }
+
+  static escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  static invalidFilter(res) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid audit log filter',
+      code: 'INVALID_FILTER'
+    });
+  }
+
+  static notFound(res) {
+    return res.status(404).json({
+      success: false,
+      error: 'Audit log not found',
+      code: 'AUDIT_LOG_NOT_FOUND'
+    });
+  }
+}
+
+module.exports = AuditController;
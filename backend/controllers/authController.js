@@ -9,30 +9,35 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const EmailService = require('../services/emailService');
+const auditService = require('../services/auditService');
+const sessionService = require('../services/sessionService');
+const authConfig = require('../config/auth.config');
 
 // JWT configuration
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secure-jwt-secret-key-change-this-in-production';
+const JWT_SECRET = authConfig.jwtSecret;
 const JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
-const JWT_REFRESH_EXPIRE = process.env.JWT_REFRESH_EXPIRE || '30d';
 
 /**
- * Generate JWT tokens
+ * Generate an access token bound to a session
  */
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { userId, type: 'access' },
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, type: 'access', sid: sessionId.toString() },
     JWT_SECRET,
     { expiresIn: JWT_EXPIRE }
   );
+};
+
+/**
+ * Open a new session and generate its JWT tokens
+ */
+const generateTokens = async (user, req, options = {}) => {
+  const { session, refreshToken } = await sessionService.createSession(user, req, options);
+  const accessToken = generateAccessToken(user._id, session._id);
   
-  const refreshToken = jwt.sign(
-    { userId, type: 'refresh' },
-    JWT_SECRET,
-    { expiresIn: JWT_REFRESH_EXPIRE }
-  );
-  
-  return { accessToken, refreshToken };
+  return { accessToken, refreshToken, session };
 };
 
 /**
@@ -56,6 +61,14 @@ const setTokenCookies = (res, accessToken, refreshToken) => {
   });
 };
 
+/**
+ * Clear token cookies
+ */
+const clearTokenCookies = (res) => {
+  res.clearCookie('accessToken');
+  res.clearCookie('refreshToken');
+};
+
 /**
  * @route   POST /api/auth/login
  * @desc    Login user
@@ -80,6 +93,7 @@ exports.login = async (req, res) => {
     
     if (!user) {
       console.log('❌ [LOGIN] User not found:', email);
+      auditService.logLogin(req, { email, success: false, reason: 'unknown_email' });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -87,8 +101,9 @@ exports.login = async (req, res) => {
     }
     
     // 3. Check if user is active
-    if (user.status !== 'active') {
-      console.log('❌ [LOGIN] Account not active:', email, 'status:', user.status);
+    if (!user.isActive) {
+      console.log('❌ [LOGIN] Account not active:', email);
+      auditService.logLogin(req, { user, email, success: false, reason: 'account_inactive' });
       return res.status(403).json({
         success: false,
         message: 'Account is not active. Please contact support.'
@@ -100,6 +115,7 @@ exports.login = async (req, res) => {
     
     if (!isPasswordValid) {
       console.log('❌ [LOGIN] Invalid password for:', email);
+      auditService.logLogin(req, { user, email, success: false, reason: 'invalid_password' });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -109,6 +125,7 @@ exports.login = async (req, res) => {
     // 5. Check if email is verified (only for non-admin users)
     if (!user.emailVerified && user.role !== 'admin') {
       console.log('⚠️ [LOGIN] Email not verified for:', email);
+      auditService.logLogin(req, { user, email, success: false, reason: 'email_not_verified' });
       return res.status(403).json({
         success: false,
         message: 'Please verify your email before logging in',
@@ -117,22 +134,15 @@ exports.login = async (req, res) => {
       });
     }
     
-    // 6. Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
-    
-    // 7. Save refresh token to database
-    user.refreshToken = refreshToken;
-    if (rememberMe) {
-      // Extend token expiry for remember me
-      user.refreshTokenExpiry = Date.now() + 30 * 24 * 60 * 60 * 1000; // 30 days
-    }
+    // 6. Open a session and generate its tokens
+    const { accessToken, refreshToken } = await generateTokens(user, req, { rememberMe: !!rememberMe });
     
-    // 8. Update last login
+    // 7. Update last login
     user.lastLogin = new Date();
     user.loginAttempts = 0; // Reset login attempts on successful login
     await user.save();
     
-    // 9. Set cookies with appropriate expiry
+    // 8. Set cookies with appropriate expiry
     const cookieOptions = {
       httpOnly: true,
       secure: process.env.NODE_ENV === 'production',
@@ -146,7 +156,7 @@ exports.login = async (req, res) => {
     res.cookie('accessToken', accessToken, cookieOptions);
     res.cookie('refreshToken', refreshToken, cookieOptions);
     
-    // 10. Prepare user data for response
+    // 9. Prepare user data for response
     const userData = {
       id: user._id,
       email: user.email,
@@ -160,8 +170,9 @@ exports.login = async (req, res) => {
     };
     
     console.log('✅ [LOGIN] Successful for:', email, 'role:', user.role);
+    auditService.logLogin(req, { user, email, success: true });
     
-    // 11. Send response
+    // 10. Send response
     res.status(200).json({
       success: true,
       message: 'Login successful',
@@ -189,17 +200,13 @@ exports.logout = async (req, res) => {
   try {
     console.log('🚪 [LOGOUT] User:', req.user?.userId);
     
-    // Clear refresh token from database
-    if (req.user) {
-      await User.findByIdAndUpdate(req.user.userId, {
-        refreshToken: null,
-        refreshTokenExpiry: null
-      });
+    // Sign out this session so its refresh token can no longer be used
+    if (req.sessionId) {
+      await sessionService.revokeSession(req.sessionId, 'logout');
     }
     
     // Clear cookies
-    res.clearCookie('accessToken');
-    res.clearCookie('refreshToken');
+    clearTokenCookies(res);
     
     res.status(200).json({
       success: true,
@@ -268,7 +275,8 @@ exports.getMe = async (req, res) => {
  */
 exports.refreshToken = async (req, res) => {
   try {
-    const { refreshToken } = req.cookies;
+    // Browsers send the cookie; the SPA keeps the token in its stored session
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
     
     if (!refreshToken) {
       return res.status(401).json({
@@ -277,65 +285,162 @@ exports.refreshToken = async (req, res) => {
       });
     }
     
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, JWT_SECRET);
-    
-    if (decoded.type !== 'refresh') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token type'
-      });
-    }
+    // Exchange it for the session's next refresh token (each one works once)
+    const rotation = await sessionService.rotate(refreshToken, req);
+    const { session } = rotation;
     
     // Find user
-    const user = await User.findById(decoded.userId);
+    const user = await User.findById(session.userId);
     
-    if (!user || user.refreshToken !== refreshToken) {
+    if (!user || !user.isActive) {
+      await sessionService.revokeSession(session, 'account_disabled');
+      clearTokenCookies(res);
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: 'Account is not active. Please contact support.',
+        code: 'ACCOUNT_INACTIVE'
       });
     }
     
-    // Check if refresh token is expired
-    if (user.refreshTokenExpiry && user.refreshTokenExpiry < Date.now()) {
-      return res.status(401).json({
+    // Set new cookies
+    const accessToken = generateAccessToken(user._id, session._id);
+    setTokenCookies(res, accessToken, rotation.refreshToken);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        accessToken,
+        token: accessToken,
+        refreshToken: rotation.refreshToken,
+        expiresAt: jwt.decode(accessToken).exp * 1000
+      }
+    });
+    
+  } catch (error) {
+    if (error.isOperational) {
+      // A racing tab already holds the new cookies - leave them alone
+      if (error.statusCode === 401) {
+        clearTokenCookies(res);
+      }
+      
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Refresh token expired'
+        message: error.message,
+        code: error.errorCode
       });
     }
     
-    // Generate new tokens
-    const tokens = generateTokens(user._id);
-    
-    // Update refresh token in database
-    user.refreshToken = tokens.refreshToken;
-    await user.save();
-    
-    // Set new cookies
-    setTokenCookies(res, tokens.accessToken, tokens.refreshToken);
+    console.error('❌ [REFRESH_TOKEN] Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Token refresh failed'
+    });
+  }
+};
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's active sessions
+ * @access  Private
+ */
+exports.listSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user.userId);
     
     res.status(200).json({
       success: true,
-      message: 'Token refreshed successfully',
       data: {
-        accessToken: tokens.accessToken
+        sessions: sessions.map(session => session.toClientFormat(req.sessionId)),
+        currentSessionId: req.sessionId
       }
     });
     
   } catch (error) {
-    console.error('❌ [REFRESH_TOKEN] Error:', error);
+    console.error('❌ [SESSIONS] Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load sessions'
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out one of the current user's sessions
+ * @access  Private
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, userId: req.user.userId });
     
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
         success: false,
-        message: 'Refresh token expired. Please login again.'
+        message: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
       });
     }
     
+    const current = !!req.sessionId && session._id.toString() === req.sessionId.toString();
+    
+    await sessionService.revokeSession(session, 'user_revoked');
+    
+    auditService.log({
+      action: 'SESSION_REVOKED',
+      entityType: 'Session',
+      entityId: session._id,
+      isSecurityEvent: true,
+      details: { device: session.device, ipAddress: session.lastIpAddress, current }
+    }, req);
+    
+    if (current) {
+      clearTokenCookies(res);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out',
+      data: { id: session._id, current }
+    });
+    
+  } catch (error) {
+    console.error('❌ [REVOKE_SESSION] Error:', error);
     res.status(500).json({
       success: false,
-      message: 'Token refresh failed'
+      message: 'Failed to sign out session'
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out every session except the current one
+ * @access  Private
+ */
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllForUser(req.user.userId, 'user_revoked', req.sessionId);
+    
+    auditService.log({
+      action: 'SESSIONS_REVOKED',
+      entityType: 'User',
+      entityId: req.user.userId,
+      isSecurityEvent: true,
+      details: { revoked, keptSessionId: req.sessionId }
+    }, req);
+    
+    res.status(200).json({
+      success: true,
+      message: `Signed out ${revoked} other session${revoked === 1 ? '' : 's'}`,
+      data: { revoked }
+    });
+    
+  } catch (error) {
+    console.error('❌ [REVOKE_SESSIONS] Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out sessions'
     });
   }
 };
@@ -575,12 +680,8 @@ exports.verifyEmail = async (req, res) => {
     console.log('   User ID:', user._id);
     console.log('   Role:', user.role);
     
-    // Generate tokens now that email is verified
-    const { accessToken, refreshToken } = generateTokens(user._id);
-    
-    // Save refresh token
-    user.refreshToken = refreshToken;
-    await user.save();
+    // Open a session now that email is verified
+    const { accessToken, refreshToken } = await generateTokens(user, req);
     
     // Set cookies
     setTokenCookies(res, accessToken, refreshToken);
@@ -831,6 +932,9 @@ exports.resetPassword = async (req, res) => {
     
     await user.save();
     
+    // Whoever knew the old password may still hold a session
+    await sessionService.revokeAllForUser(user._id, 'password_reset');
+    
     // Send confirmation email
     try {
       await EmailService.sendPasswordResetSuccessEmail(user.email, user.username);
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const authController = require('./authController');
+
+const { jwtSecret: JWT_SECRET } = require('../config/auth.config');
+
+const mockResponse = () => {
+  const res = { cookies: {}, cleared: [] };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.cookie = (name, value) => { res.cookies[name] = value; return res; };
+  res.clearCookie = (name) => { res.cleared.push(name); return res; };
+  return res;
+};
+
+const session = { _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId() };
+
+test.beforeEach(() => {
+  test.mock.method(sessionService, 'rotate', async () => ({ session, refreshToken: 'next-refresh-token' }));
+  test.mock.method(sessionService, 'revokeSession', async () => session);
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('refresh issues new tokens for an active user', async () => {
+  test.mock.method(User, 'findById', async () => new User({ _id: session.userId, isActive: true }));
+
+  const res = mockResponse();
+  await authController.refreshToken({ cookies: { refreshToken: 'refresh-token' } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(res.cookies.refreshToken, 'next-refresh-token');
+
+  const decoded = jwt.verify(res.body.data.accessToken, JWT_SECRET);
+  assert.equal(decoded.userId, session.userId.toString());
+  assert.equal(decoded.sid, session._id.toString());
+  assert.equal(sessionService.revokeSession.mock.callCount(), 0);
+});
+
+test('refresh accepts the token from the request body', async () => {
+  test.mock.method(User, 'findById', async () => new User({ _id: session.userId, isActive: true }));
+
+  const res = mockResponse();
+  await authController.refreshToken({ cookies: {}, body: { refreshToken: 'refresh-token' } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(sessionService.rotate.mock.calls[0].arguments[0], 'refresh-token');
+  assert.equal(res.body.data.refreshToken, 'next-refresh-token');
+  assert.equal(res.body.data.token, res.body.data.accessToken);
+  assert.ok(res.body.data.expiresAt > Date.now());
+});
+
+test('refresh signs out a deactivated user', async () => {
+  test.mock.method(User, 'findById', async () => new User({ _id: session.userId, isActive: false }));
+
+  const res = mockResponse();
+  await authController.refreshToken({ cookies: { refreshToken: 'refresh-token' } }, res);
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, 'ACCOUNT_INACTIVE');
+  assert.deepEqual(res.cleared, ['accessToken', 'refreshToken']);
+  assert.equal(sessionService.revokeSession.mock.calls[0].arguments[1], 'account_disabled');
+});
+
+test('refresh without a cookie is rejected', async () => {
+  const res = mockResponse();
+  await authController.refreshToken({ cookies: {} }, res);
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(sessionService.rotate.mock.callCount(), 0);
+});
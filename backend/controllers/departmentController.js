@@ -0,0 +1,352 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Department Controller
+ *
+ * @description Department and organizational hierarchy administration
+ * @version 1.0.0
+ */
+const mongoose = require('mongoose');
+
+const Department = require('../models/Department');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+
+// Fields an admin may set on a department
+const EDITABLE_FIELDS = [
+  'code', 'name', 'type', 'parent', 'campus', 'head',
+  'costCenter', 'email', 'description', 'aliases', 'isActive'
+];
+
+// Ticket statuses that still count as open work
+const CLOSED_STATUSES = ['resolved', 'closed', 'cancelled'];
+
+/**
+ * @class DepartmentController
+ * @description Department CRUD and hierarchy views
+ */
+class DepartmentController {
+
+  /**
+   * @method listDepartments
+   * @description List departments (?active=true|false, ?type=, ?parent=<id>|root, ?search=, ?tree=true)
+   */
+  static async listDepartments(req, res) {
+    try {
+      const query = {};
+
+      if (req.query.active !== undefined) {
+        query.isActive = req.query.active === 'true';
+      }
+
+      if (req.query.type) {
+        query.type = req.query.type;
+      }
+
+      if (req.query.tree === 'true') {
+        const departments = await Department.getTree(query);
+
+        return res.json({
+          success: true,
+          data: { departments }
+        });
+      }
+
+      if (req.query.parent) {
+        if (req.query.parent !== 'root' && !mongoose.Types.ObjectId.isValid(req.query.parent)) {
+          return DepartmentController.notFound(res);
+        }
+        query.parent = req.query.parent === 'root' ? null : req.query.parent;
+      }
+
+      if (req.query.search) {
+        const pattern = new RegExp(req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [{ code: pattern }, { name: pattern }];
+      }
+
+      const departments = await Department.find(query)
+        .populate('parent', 'code name type')
+        .populate('head', 'firstName lastName email')
+        .sort({ name: 1 });
+
+      res.json({
+        success: true,
+        data: { departments }
+      });
+    } catch (error) {
+      console.error('List departments error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch departments',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method getDepartment
+   * @description Get a department with its place in the hierarchy and usage counts
+   */
+  static async getDepartment(req, res) {
+    try {
+      const department = await DepartmentController.findDepartment(req.params.id);
+
+      if (!department) {
+        return DepartmentController.notFound(res);
+      }
+
+      await department.populate([
+        { path: 'parent', select: 'code name type' },
+        { path: 'head', select: 'firstName lastName email' }
+      ]);
+
+      const [ancestors, children, userCount, openTickets] = await Promise.all([
+        department.getAncestors(),
+        Department.find({ parent: department._id }).select('code name type isActive').sort({ name: 1 }),
+        User.countDocuments({ departmentId: department._id }),
+        Ticket.countDocuments({
+          departmentId: department._id,
+          status: { $nin: CLOSED_STATUSES },
+          isDeleted: { $ne: true }
+        })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          department,
+          path: ancestors.reverse(),
+          children,
+          userCount,
+          openTickets
+        }
+      });
+    } catch (error) {
+      console.error('Get department error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch department',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method createDepartment
+   * @description Create a department
+   */
+  static async createDepartment(req, res) {
+    try {
+      const updates = DepartmentController.pickEditable(req.body);
+      const invalid = await DepartmentController.findInvalidReferences(updates);
+
+      if (invalid) {
+        return DepartmentController.invalidReference(res, invalid);
+      }
+
+      const department = new Department({
+        ...updates,
+        createdBy: req.user.id
+      });
+
+      await department.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Department created successfully',
+        data: { department }
+      });
+    } catch (error) {
+      DepartmentController.handleWriteError(res, error, 'Failed to create department');
+    }
+  }
+
+  /**
+   * @method updateDepartment
+   * @description Update a department (moving it moves its sub-units with it)
+   */
+  static async updateDepartment(req, res) {
+    try {
+      const department = await DepartmentController.findDepartment(req.params.id);
+
+      if (!department) {
+        return DepartmentController.notFound(res);
+      }
+
+      const updates = DepartmentController.pickEditable(req.body);
+      const invalid = await DepartmentController.findInvalidReferences(updates);
+
+      if (invalid) {
+        return DepartmentController.invalidReference(res, invalid);
+      }
+
+      const previousCode = department.code;
+
+      department.set(updates);
+      await department.save();
+
+      // Tickets carry the code alongside the reference
+      if (department.code !== previousCode) {
+        await Ticket.updateMany(
+          { departmentId: department._id },
+          { $set: { department: department.code } }
+        );
+      }
+
+      res.json({
+        success: true,
+        message: 'Department updated successfully',
+        data: { department }
+      });
+    } catch (error) {
+      DepartmentController.handleWriteError(res, error, 'Failed to update department');
+    }
+  }
+
+  /**
+   * @method deleteDepartment
+   * @description Delete a department nothing refers to
+   */
+  static async deleteDepartment(req, res) {
+    try {
+      const department = await DepartmentController.findDepartment(req.params.id);
+
+      if (!department) {
+        return DepartmentController.notFound(res);
+      }
+
+      const [children, users, tickets] = await Promise.all([
+        Department.countDocuments({ parent: department._id }),
+        User.countDocuments({ departmentId: department._id }),
+        Ticket.countDocuments({ departmentId: department._id })
+      ]);
+
+      if (children > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Department still has ${children} sub-unit(s). Move or delete them first.`,
+          code: 'DEPARTMENT_HAS_CHILDREN'
+        });
+      }
+
+      if (users > 0 || tickets > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Department is referenced by ${users} user(s) and ${tickets} ticket(s). Deactivate it instead.`,
+          code: 'DEPARTMENT_IN_USE'
+        });
+      }
+
+      await department.deleteOne();
+
+      res.json({
+        success: true,
+        message: 'Department deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete department error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete department',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  // ============================================
+  // HELPER METHODS
+  // ============================================
+
+  /**
+   * Find department by id (null for malformed ids)
+   */
+  static findDepartment(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Department.findById(id);
+  }
+
+  /**
+   * Keep only editable fields from a request body
+   */
+  static pickEditable(body = {}) {
+    return EDITABLE_FIELDS.reduce((picked, field) => {
+      if (body[field] !== undefined) picked[field] = body[field];
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Parent must be an existing department and head an active user
+   * Returns the offending field, or null
+   */
+  static async findInvalidReferences(updates) {
+    if (updates.parent) {
+      if (!mongoose.Types.ObjectId.isValid(updates.parent) || !(await Department.exists({ _id: updates.parent }))) {
+        return 'parent';
+      }
+    }
+
+    if (updates.head) {
+      if (!mongoose.Types.ObjectId.isValid(updates.head) ||
+          !(await User.exists({ _id: updates.head, isActive: true }))) {
+        return 'head';
+      }
+    }
+
+    return null;
+  }
+
+  static invalidReference(res, field) {
+    return res.status(400).json({
+      success: false,
+      error: field === 'parent'
+        ? 'Parent department not found'
+        : 'Department head must be an active user',
+      field,
+      code: 'INVALID_REFERENCE'
+    });
+  }
+
+  static notFound(res) {
+    return res.status(404).json({
+      success: false,
+      error: 'Department not found',
+      code: 'DEPARTMENT_NOT_FOUND'
+    });
+  }
+
+  /**
+   * Map validation/duplicate errors to 400/409
+   */
+  static handleWriteError(res, error, message) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        error: 'Department validation failed',
+        errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A department with this code already exists',
+        code: 'DUPLICATE_DEPARTMENT'
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      code: 'SERVER_ERROR'
+    });
+  }
+}
+
+module.exports = DepartmentController;
@@ -0,0 +1,284 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Notification Controller
+ *
+ * @description In-app notifications for the signed-in user
+ * @version 1.0.0
+ */
+const mongoose = require('mongoose');
+
+const Notification = require('../models/Notification');
+
+const TYPES = Notification.schema.path('type').enumValues;
+const PRIORITIES = Notification.schema.path('priority').enumValues;
+
+// Most notifications one bulk dismiss may remove
+const MAX_BULK = 100;
+
+/**
+ * @class NotificationController
+ * @description Listing, read state and dismissal of the caller's notifications
+ */
+class NotificationController {
+
+  /**
+   * @method listNotifications
+   * @description Paginated notifications, newest first (?type=, ?priority=, ?unread=true)
+   */
+  static async listNotifications(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const query = NotificationController.ownQuery(req);
+
+      const types = NotificationController.parseList(req.query.type, TYPES);
+      const priorities = NotificationController.parseList(req.query.priority, PRIORITIES);
+
+      if (types === null || priorities === null) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid notification type or priority filter',
+          code: 'INVALID_FILTER'
+        });
+      }
+
+      if (types.length > 0) query.type = { $in: types };
+      if (priorities.length > 0) query.priority = { $in: priorities };
+      if (req.query.unread === 'true') query.read = false;
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(query)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Notification.countDocuments(query),
+        Notification.getUnreadCount(req.user.id)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          notifications: notifications.map(notification => notification.toClientFormat()),
+          unreadCount,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('List notifications error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch notifications',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method getUnreadCount
+   * @description Number of unread notifications (for the navbar bell)
+   */
+  static async getUnreadCount(req, res) {
+    try {
+      const unreadCount = await Notification.getUnreadCount(req.user.id);
+
+      res.json({
+        success: true,
+        data: { unreadCount }
+      });
+    } catch (error) {
+      console.error('Get unread count error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch unread count',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method markAsRead
+   * @description Mark one notification as read
+   */
+  static async markAsRead(req, res) {
+    try {
+      const notification = await NotificationController.findOwn(req);
+
+      if (!notification) {
+        return NotificationController.notFound(res);
+      }
+
+      if (!notification.read) {
+        await notification.markAsRead();
+      }
+
+      const unreadCount = await Notification.getUnreadCount(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Notification marked as read',
+        data: {
+          notification: notification.toClientFormat(),
+          unreadCount
+        }
+      });
+    } catch (error) {
+      console.error('Mark notification read error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update notification',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method markAllAsRead
+   * @description Mark every unread notification as read
+   */
+  static async markAllAsRead(req, res) {
+    try {
+      const result = await Notification.markAllAsRead(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'All notifications marked as read',
+        data: {
+          updated: result.modifiedCount,
+          unreadCount: 0
+        }
+      });
+    } catch (error) {
+      console.error('Mark all notifications read error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update notifications',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method deleteNotification
+   * @description Delete one notification
+   */
+  static async deleteNotification(req, res) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return NotificationController.notFound(res);
+      }
+
+      const notification = await Notification.findOneAndDelete({
+        _id: req.params.id,
+        userId: req.user.id
+      });
+
+      if (!notification) {
+        return NotificationController.notFound(res);
+      }
+
+      const unreadCount = await Notification.getUnreadCount(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Notification deleted',
+        data: { unreadCount }
+      });
+    } catch (error) {
+      console.error('Delete notification error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete notification',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method dismissNotifications
+   * @description Delete several notifications ({ ids: [...] }, or { read: true } for all read ones)
+   */
+  static async dismissNotifications(req, res) {
+    try {
+      const query = { userId: req.user.id };
+
+      if (req.body.read === true) {
+        query.read = true;
+      } else {
+        const ids = Array.isArray(req.body.ids) ? req.body.ids : [];
+
+        if (ids.length === 0 || ids.length > MAX_BULK || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+          return res.status(400).json({
+            success: false,
+            error: `Provide between 1 and ${MAX_BULK} valid notification ids`,
+            code: 'INVALID_IDS'
+          });
+        }
+
+        query._id = { $in: ids };
+      }
+
+      const result = await Notification.deleteMany(query);
+      const unreadCount = await Notification.getUnreadCount(req.user.id);
+
+      res.json({
+        success: true,
+        message: `${result.deletedCount} notification(s) dismissed`,
+        data: {
+          dismissed: result.deletedCount,
+          unreadCount
+        }
+      });
+    } catch (error) {
+      console.error('Dismiss notifications error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to dismiss notifications',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * The caller's notifications that have not expired
+   */
+  static ownQuery(req) {
+    return {
+      userId: req.user.id,
+      expiresAt: { $gt: new Date() }
+    };
+  }
+
+  static findOwn(req) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+    return Notification.findOne({ _id: req.params.id, userId: req.user.id });
+  }
+
+  /**
+   * Comma-separated filter values; null if any value is not allowed
+   */
+  static parseList(value, allowed) {
+    if (!value) return [];
+
+    const values = [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+    return values.every(item => allowed.includes(item)) ? values : null;
+  }
+
+  static notFound(res) {
+    return res.status(404).json({
+      success: false,
+      error: 'Notification not found',
+      code: 'NOTIFICATION_NOT_FOUND'
+    });
+  }
+}
+
+module.exports = NotificationController;
@@ -0,0 +1,753 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * SLA Controller
+ *
+ * @description SLA policy administration, compliance metrics and ticket SLA timelines
+ * @version 1.1.0
+ */
+const mongoose = require('mongoose');
+
+const Department = require('../models/Department');
+const SLAPolicy = require('../models/SLAPolicy');
+const Ticket = require('../models/Ticket');
+const slaService = require('../services/slaService');
+
+// Fields an admin may set on a policy
+const EDITABLE_FIELDS = ['name', 'description', 'targets', 'overrides'];
+
+// Maximum number of breaches listed in the metrics response
+const BREACH_LIST_LIMIT = 100;
+
+/**
+ * @class SLAController
+ * @description SLA policy CRUD, compliance metrics and per-ticket SLA
+ */
+class SLAController {
+
+  /**
+   * @method getSLAMetrics
+   * @description Compliance by priority, category, department and technician over a date range
+   * (?department=<id|code> limits it to a department and the units below it)
+   */
+  static async getSLAMetrics(req, res) {
+    try {
+      const dateRange = SLAController.resolveDateRange(req.query);
+
+      if (!dateRange) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date range',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const match = {
+        createdAt: { $gte: dateRange.start, $lte: dateRange.end },
+        isDeleted: { $ne: true }
+      };
+
+      if (req.query.department) {
+        const department = await Department.resolve(req.query.department);
+
+        if (!department) {
+          return res.status(400).json({
+            success: false,
+            error: 'Unknown department',
+            code: 'VALIDATION_ERROR'
+          });
+        }
+
+        match.departmentId = { $in: await Department.getDescendantIds(department._id) };
+      }
+
+      const [metrics] = await Ticket.aggregate([
+        { $match: match },
+        {
+          $facet: {
+            overall: SLAController.complianceStages(null),
+            byPriority: SLAController.complianceStages('$priority'),
+            byCategory: SLAController.complianceStages('$category'),
+            byDepartment: [
+              ...SLAController.complianceStages('$departmentId'),
+              {
+                $lookup: {
+                  from: Department.collection.name,
+                  localField: '_id',
+                  foreignField: '_id',
+                  as: 'department'
+                }
+              },
+              {
+                $addFields: {
+                  department: { $arrayElemAt: ['$department', 0] }
+                }
+              }
+            ],
+            byTechnician: [
+              ...SLAController.complianceStages('$assignedTo'),
+              {
+                $lookup: {
+                  from: 'users',
+                  localField: '_id',
+                  foreignField: '_id',
+                  as: 'technician'
+                }
+              },
+              {
+                $addFields: {
+                  technician: { $arrayElemAt: ['$technician', 0] }
+                }
+              }
+            ]
+          }
+        }
+      ]);
+
+      const breaches = await SLAController.findBreaches(match);
+
+      res.json({
+        success: true,
+        data: {
+          timeframe: {
+            start: dateRange.start,
+            end: dateRange.end,
+            label: dateRange.label
+          },
+          summary: SLAController.formatCompliance(metrics.overall[0]),
+          breakdown: {
+            byPriority: metrics.byPriority.map(item => ({
+              priority: item._id,
+              ...SLAController.formatCompliance(item)
+            })),
+            byCategory: metrics.byCategory.map(item => ({
+              category: item._id,
+              ...SLAController.formatCompliance(item)
+            })),
+            byDepartment: metrics.byDepartment.map(item => ({
+              departmentId: item._id,
+              code: item.department?.code || null,
+              department: item.department?.name || 'Unspecified',
+              ...SLAController.formatCompliance(item)
+            })),
+            byTechnician: metrics.byTechnician.map(item => ({
+              technicianId: item._id,
+              technician: item.technician
+                ? SLAController.formatName(item.technician)
+                : 'Unassigned',
+              ...SLAController.formatCompliance(item)
+            }))
+          },
+          breaches
+        }
+      });
+    } catch (error) {
+      console.error('Get SLA metrics error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch SLA metrics',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method getTicketSLA
+   * @description Full SLA timeline for one ticket
+   */
+  static async getTicketSLA(req, res) {
+    try {
+      const { id } = req.params;
+
+      const ticket = await Ticket.findOne({
+        $or: [
+          { ticketId: id },
+          { _id: mongoose.Types.ObjectId.isValid(id) ? id : null }
+        ],
+        isDeleted: { $ne: true }
+      }).populate('sla.policy', 'name');
+
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          error: 'Ticket not found',
+          code: 'TICKET_NOT_FOUND'
+        });
+      }
+
+      if (!SLAController.canViewTicket(req.user, ticket)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to view this ticket',
+          code: 'PERMISSION_DENIED'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: SLAController.buildTicketTimeline(ticket)
+      });
+    } catch (error) {
+      console.error('Get ticket SLA error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch ticket SLA',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method listPolicies
+   * @description List all SLA policies, active first
+   */
+  static async listPolicies(req, res) {
+    try {
+      const policies = await SLAPolicy.find()
+        .sort({ isActive: -1, updatedAt: -1 })
+        .populate('updatedBy', 'username email firstName lastName')
+        .lean();
+
+      res.json({
+        success: true,
+        data: { policies },
+        count: policies.length
+      });
+    } catch (error) {
+      console.error('List SLA policies error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch SLA policies',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method getActivePolicy
+   * @description Get the policy currently applied to new tickets
+   */
+  static async getActivePolicy(req, res) {
+    try {
+      const policy = await SLAPolicy.getActive();
+
+      res.json({
+        success: true,
+        data: {
+          policy,
+          defaults: policy ? null : SLAPolicy.DEFAULT_TARGETS
+        }
+      });
+    } catch (error) {
+      console.error('Get active SLA policy error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch active SLA policy',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method getPolicy
+   * @description Get a single SLA policy
+   */
+  static async getPolicy(req, res) {
+    try {
+      const policy = await SLAController.findPolicy(req.params.id);
+
+      if (!policy) {
+        return SLAController.notFound(res);
+      }
+
+      res.json({
+        success: true,
+        data: { policy }
+      });
+    } catch (error) {
+      console.error('Get SLA policy error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch SLA policy',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method createPolicy
+   * @description Create an SLA policy (optionally activating it)
+   */
+  static async createPolicy(req, res) {
+    try {
+      const policy = new SLAPolicy({
+        ...SLAController.pickEditable(req.body),
+        createdBy: req.user.id,
+        updatedBy: req.user.id
+      });
+
+      await policy.save();
+
+      const saved = req.body.isActive
+        ? await SLAPolicy.activate(policy._id, req.user.id)
+        : policy;
+
+      slaService.invalidatePolicyCache();
+
+      res.status(201).json({
+        success: true,
+        message: 'SLA policy created successfully',
+        data: { policy: saved }
+      });
+    } catch (error) {
+      SLAController.handleWriteError(res, error, 'Failed to create SLA policy');
+    }
+  }
+
+  /**
+   * @method updatePolicy
+   * @description Update an SLA policy
+   */
+  static async updatePolicy(req, res) {
+    try {
+      const policy = await SLAController.findPolicy(req.params.id);
+
+      if (!policy) {
+        return SLAController.notFound(res);
+      }
+
+      await SLAController.applyUpdates(policy, req.body, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'SLA policy updated successfully',
+        data: { policy }
+      });
+    } catch (error) {
+      SLAController.handleWriteError(res, error, 'Failed to update SLA policy');
+    }
+  }
+
+  /**
+   * @method updateActivePolicy
+   * @description Update the active policy, creating it if none exists
+   */
+  static async updateActivePolicy(req, res) {
+    try {
+      let policy = await SLAPolicy.getActive();
+
+      if (!policy) {
+        policy = new SLAPolicy({
+          name: req.body.name || 'Default SLA Policy',
+          isActive: true,
+          createdBy: req.user.id
+        });
+      }
+
+      await SLAController.applyUpdates(policy, req.body, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'SLA policy updated successfully',
+        data: { policy }
+      });
+    } catch (error) {
+      SLAController.handleWriteError(res, error, 'Failed to update SLA policy');
+    }
+  }
+
+  /**
+   * @method activatePolicy
+   * @description Make a policy the active one
+   */
+  static async activatePolicy(req, res) {
+    try {
+      const policy = await SLAController.findPolicy(req.params.id);
+
+      if (!policy) {
+        return SLAController.notFound(res);
+      }
+
+      const activated = await SLAPolicy.activate(policy._id, req.user.id);
+      slaService.invalidatePolicyCache();
+
+      res.json({
+        success: true,
+        message: `SLA policy "${activated.name}" is now active`,
+        data: { policy: activated }
+      });
+    } catch (error) {
+      console.error('Activate SLA policy error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to activate SLA policy',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method deletePolicy
+   * @description Delete an inactive SLA policy
+   */
+  static async deletePolicy(req, res) {
+    try {
+      const policy = await SLAController.findPolicy(req.params.id);
+
+      if (!policy) {
+        return SLAController.notFound(res);
+      }
+
+      if (policy.isActive) {
+        return res.status(400).json({
+          success: false,
+          error: 'The active SLA policy cannot be deleted. Activate another policy first.',
+          code: 'POLICY_ACTIVE'
+        });
+      }
+
+      await policy.deleteOne();
+
+      res.json({
+        success: true,
+        message: 'SLA policy deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete SLA policy error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete SLA policy',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  // ============================================
+  // HELPER METHODS
+  // ============================================
+
+  /**
+   * Resolve ?from=&to= (ISO dates) or ?timeframe=today|week|month|quarter|year
+   */
+  static resolveDateRange(query = {}) {
+    const end = query.to ? new Date(query.to) : new Date();
+    let start;
+
+    if (query.from) {
+      start = new Date(query.from);
+    } else {
+      start = new Date(end);
+      switch (query.timeframe) {
+        case 'today':
+          start.setHours(0, 0, 0, 0);
+          break;
+        case 'week':
+          start.setDate(end.getDate() - 7);
+          break;
+        case 'quarter':
+          start.setMonth(end.getMonth() - 3);
+          break;
+        case 'year':
+          start.setFullYear(end.getFullYear() - 1);
+          break;
+        default:
+          start.setMonth(end.getMonth() - 1);
+      }
+    }
+
+    if (isNaN(start) || isNaN(end) || start > end) return null;
+
+    return {
+      start,
+      end,
+      label: query.from || query.to ? 'custom' : (query.timeframe || 'month')
+    };
+  }
+
+  /**
+   * Aggregation stages computing breach counts for a grouping key
+   */
+  static complianceStages(groupKey) {
+    return [
+      {
+        $group: {
+          _id: groupKey,
+          total: { $sum: 1 },
+          responded: {
+            $sum: { $cond: [{ $ne: [{ $ifNull: ['$sla.responseTime.actual', null] }, null] }, 1, 0] }
+          },
+          resolved: {
+            $sum: { $cond: [{ $ne: [{ $ifNull: ['$resolvedAt', null] }, null] }, 1, 0] }
+          },
+          responseBreaches: {
+            $sum: { $cond: ['$sla.responseTime.breached', 1, 0] }
+          },
+          resolutionBreaches: {
+            $sum: { $cond: ['$sla.resolutionTime.breached', 1, 0] }
+          },
+          avgResponseMinutes: { $avg: '$sla.responseTime.actual' },
+          avgResolutionMinutes: { $avg: '$sla.resolutionTime.actual' },
+          avgPausedMinutes: { $avg: { $ifNull: ['$sla.totalPausedMinutes', 0] } }
+        }
+      },
+      { $sort: { total: -1 } }
+    ];
+  }
+
+  /**
+   * A user's full name, falling back to the username
+   */
+  static formatName(user) {
+    const fullName = [user.firstName, user.lastName].filter(Boolean).join(' ');
+    return fullName || user.username;
+  }
+
+  /**
+   * Turn raw counts into compliance percentages
+   */
+  static formatCompliance(item = {}) {
+    const total = item.total || 0;
+    const percentage = breaches => (total > 0 ? Math.round(((total - breaches) / total) * 10000) / 100 : 100);
+
+    return {
+      total,
+      responded: item.responded || 0,
+      resolved: item.resolved || 0,
+      responseBreaches: item.responseBreaches || 0,
+      resolutionBreaches: item.resolutionBreaches || 0,
+      responseCompliance: percentage(item.responseBreaches || 0),
+      resolutionCompliance: percentage(item.resolutionBreaches || 0),
+      avgResponseMinutes: Math.round(item.avgResponseMinutes || 0),
+      avgResolutionMinutes: Math.round(item.avgResolutionMinutes || 0),
+      avgPausedMinutes: Math.round(item.avgPausedMinutes || 0)
+    };
+  }
+
+  /**
+   * Breached tickets in range with delay in business minutes, worst first
+   */
+  static async findBreaches(match) {
+    const tickets = await Ticket.find({
+      ...match,
+      $or: [
+        { 'sla.responseTime.breached': true },
+        { 'sla.resolutionTime.breached': true }
+      ]
+    })
+      .populate('assignedTo', 'username firstName lastName')
+      .select('ticketId title status priority category department assignedTo createdAt sla resolvedAt campus');
+
+    return tickets
+      .map(ticket => {
+        const campus = slaService.getTicketCampus(ticket);
+        const timezone = slaService.getTicketTimezone(ticket);
+        const now = new Date();
+        const delays = {};
+
+        ['response', 'resolution'].forEach(clock => {
+          const sla = ticket.sla[`${clock}Time`];
+          if (!sla.breached) return;
+
+          if (sla.actual != null && sla.target) {
+            delays[clock] = Math.max(0, sla.actual - sla.target);
+          } else if (sla.deadline) {
+            const clockNow = clock === 'resolution' ? slaService.getResolutionClock(ticket, now) : now;
+            delays[clock] = Math.max(0, slaService.calculateBusinessMinutes(sla.deadline, clockNow, campus, timezone));
+          }
+        });
+
+        return {
+          ticketId: ticket._id,
+          ticketNumber: ticket.ticketId,
+          title: ticket.title,
+          status: ticket.status,
+          priority: ticket.priority,
+          category: ticket.category,
+          department: ticket.department,
+          assignedTo: ticket.assignedTo
+            ? SLAController.formatName(ticket.assignedTo)
+            : null,
+          createdAt: ticket.createdAt,
+          responseDeadline: ticket.sla.responseTime.deadline,
+          resolutionDeadline: ticket.sla.resolutionTime.deadline,
+          responseDelayMinutes: delays.response ?? null,
+          resolutionDelayMinutes: delays.resolution ?? null,
+          delayMinutes: Math.max(delays.response || 0, delays.resolution || 0)
+        };
+      })
+      .sort((a, b) => b.delayMinutes - a.delayMinutes)
+      .slice(0, BREACH_LIST_LIMIT);
+  }
+
+  /**
+   * Per-ticket SLA timeline
+   */
+  static buildTicketTimeline(ticket) {
+    const { sla } = ticket;
+    const events = [
+      { event: 'created', at: ticket.createdAt, status: ticket.statusHistory[0]?.status || 'open' }
+    ];
+
+    ticket.statusHistory.slice(1).forEach(change => {
+      events.push({ event: 'status_changed', at: change.changedAt, status: change.status });
+    });
+
+    ticket.slaPauses.forEach(pause => {
+      events.push({ event: 'sla_paused', at: pause.pausedAt, reason: pause.reason });
+      if (pause.resumedAt) {
+        events.push({ event: 'sla_resumed', at: pause.resumedAt, pausedMinutes: pause.duration });
+      }
+    });
+
+    (ticket.escalation?.history || []).forEach(escalation => {
+      events.push({
+        event: 'escalated',
+        at: escalation.escalatedAt,
+        level: escalation.level,
+        reason: escalation.reason
+      });
+    });
+
+    if (ticket.firstResponseAt) {
+      events.push({ event: 'first_response', at: ticket.firstResponseAt });
+    }
+
+    if (ticket.resolvedAt) {
+      events.push({ event: 'resolved', at: ticket.resolvedAt });
+    }
+
+    return {
+      ticketId: ticket._id,
+      ticketNumber: ticket.ticketId,
+      status: ticket.status,
+      priority: ticket.priority,
+      calendar: sla.calendar,
+      policy: sla.policy ? { id: sla.policy._id, name: sla.policy.name } : null,
+      targets: {
+        responseMinutes: sla.responseTime.target,
+        resolutionMinutes: sla.resolutionTime.target
+      },
+      deadlines: {
+        response: sla.responseTime.deadline,
+        resolution: sla.resolutionTime.deadline
+      },
+      pauses: {
+        isPaused: sla.isPaused,
+        pausedAt: sla.pausedAt,
+        totalPausedMinutes: sla.totalPausedMinutes || 0,
+        intervals: ticket.slaPauses
+      },
+      firstResponse: {
+        at: ticket.firstResponseAt || null,
+        by: ticket.firstResponseBy || null,
+        minutes: sla.responseTime.actual ?? null,
+        breached: sla.responseTime.breached
+      },
+      resolution: {
+        resolvedAt: ticket.resolvedAt || null,
+        minutes: sla.resolutionTime.actual ?? null,
+        breached: sla.resolutionTime.breached
+      },
+      remaining: slaService.calculateTimeRemaining(ticket),
+      breaches: slaService.checkSLABreach(ticket).breaches,
+      events: events
+        .filter(item => item.at)
+        .sort((a, b) => new Date(a.at) - new Date(b.at))
+    };
+  }
+
+  /**
+   * Staff can view any ticket SLA; requesters only their own
+   */
+  static canViewTicket(user, ticket) {
+    if (['admin', 'technician'].includes(user.role)) return true;
+    return ticket.createdBy && ticket.createdBy.toString() === user.id.toString();
+  }
+
+  /**
+   * Find policy by id (null for malformed ids)
+   */
+  static findPolicy(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return SLAPolicy.findById(id);
+  }
+
+  /**
+   * Keep only editable fields from a request body
+   */
+  static pickEditable(body = {}) {
+    return EDITABLE_FIELDS.reduce((picked, field) => {
+      if (body[field] !== undefined) picked[field] = body[field];
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Apply editable fields, save and refresh the service cache
+   */
+  static async applyUpdates(policy, body, userId) {
+    const updates = SLAController.pickEditable(body);
+
+    if (updates.targets) {
+      // Merge per priority so a partial update keeps the other priorities
+      const current = policy.targets?.toObject ? policy.targets.toObject() : policy.targets || {};
+      Object.entries(updates.targets).forEach(([priority, target]) => {
+        current[priority] = { ...(current[priority] || {}), ...target };
+      });
+      updates.targets = current;
+    }
+
+    policy.set(updates);
+    policy.updatedBy = userId;
+    await policy.save();
+
+    slaService.invalidatePolicyCache();
+    return policy;
+  }
+
+  /**
+   * Not found response
+   */
+  static notFound(res) {
+    return res.status(404).json({
+      success: false,
+      error: 'SLA policy not found',
+      code: 'POLICY_NOT_FOUND'
+    });
+  }
+
+  /**
+   * Map validation/duplicate errors to 400/409
+   */
+  static handleWriteError(res, error, message) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        error: 'SLA policy validation failed',
+        errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'An SLA policy with this name already exists',
+        code: 'DUPLICATE_POLICY'
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      code: 'SERVER_ERROR'
+    });
+  }
+}
+
+module.exports = SLAController;
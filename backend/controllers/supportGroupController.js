@@ -0,0 +1,444 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Support Group Controller
+ *
+ * @description Support group administration and team ticket queues
+ * @version 1.0.0
+ */
+const mongoose = require('mongoose');
+
+const SupportGroup = require('../models/SupportGroup');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const assignmentService = require('../services/assignmentService');
+
+// Fields an admin may set on a group
+const EDITABLE_FIELDS = ['name', 'description', 'email', 'lead', 'members', 'categories', 'campus', 'isActive'];
+
+// Statuses a ticket can be claimed from
+const CLAIMABLE_STATUSES = ['open', 'reopened'];
+
+const MEMBER_FIELDS = 'firstName lastName email role professionalInfo.availabilityStatus statistics.ticketsAssigned';
+
+/**
+ * @class SupportGroupController
+ * @description Support group CRUD, group queues and ticket claiming
+ */
+class SupportGroupController {
+
+  /**
+   * @method listGroups
+   * @description List support groups (?active=true|false, ?mine=true)
+   */
+  static async listGroups(req, res) {
+    try {
+      const query = {};
+
+      if (req.query.active !== undefined) {
+        query.isActive = req.query.active === 'true';
+      }
+
+      if (req.query.mine === 'true') {
+        query.members = req.user.id;
+      }
+
+      const groups = await SupportGroup.find(query)
+        .populate('lead', 'firstName lastName email')
+        .sort({ name: 1 });
+
+      res.json({
+        success: true,
+        data: { groups }
+      });
+    } catch (error) {
+      console.error('List support groups error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch support groups',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method getGroup
+   * @description Get a support group with its members and queue size
+   */
+  static async getGroup(req, res) {
+    try {
+      const group = await SupportGroupController.findGroup(req.params.id);
+
+      if (!group) {
+        return SupportGroupController.notFound(res);
+      }
+
+      await group.populate([
+        { path: 'lead', select: 'firstName lastName email' },
+        { path: 'members', select: MEMBER_FIELDS }
+      ]);
+
+      const queueSize = await Ticket.countDocuments(SupportGroupController.queueQuery(group._id));
+
+      res.json({
+        success: true,
+        data: { group, queueSize }
+      });
+    } catch (error) {
+      console.error('Get support group error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch support group',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method createGroup
+   * @description Create a support group
+   */
+  static async createGroup(req, res) {
+    try {
+      const updates = SupportGroupController.pickEditable(req.body);
+      const invalidMembers = await SupportGroupController.findInvalidMembers(updates);
+
+      if (invalidMembers.length > 0) {
+        return SupportGroupController.invalidMembers(res, invalidMembers);
+      }
+
+      const group = new SupportGroup({
+        ...updates,
+        createdBy: req.user.id
+      });
+
+      await group.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Support group created successfully',
+        data: { group }
+      });
+    } catch (error) {
+      SupportGroupController.handleWriteError(res, error, 'Failed to create support group');
+    }
+  }
+
+  /**
+   * @method updateGroup
+   * @description Update a support group
+   */
+  static async updateGroup(req, res) {
+    try {
+      const group = await SupportGroupController.findGroup(req.params.id);
+
+      if (!group) {
+        return SupportGroupController.notFound(res);
+      }
+
+      const updates = SupportGroupController.pickEditable(req.body);
+      const invalidMembers = await SupportGroupController.findInvalidMembers(updates);
+
+      if (invalidMembers.length > 0) {
+        return SupportGroupController.invalidMembers(res, invalidMembers);
+      }
+
+      group.set(updates);
+      await group.save();
+
+      res.json({
+        success: true,
+        message: 'Support group updated successfully',
+        data: { group }
+      });
+    } catch (error) {
+      SupportGroupController.handleWriteError(res, error, 'Failed to update support group');
+    }
+  }
+
+  /**
+   * @method deleteGroup
+   * @description Delete a support group with no open tickets
+   */
+  static async deleteGroup(req, res) {
+    try {
+      const group = await SupportGroupController.findGroup(req.params.id);
+
+      if (!group) {
+        return SupportGroupController.notFound(res);
+      }
+
+      const openTickets = await Ticket.countDocuments({
+        assignedGroup: group._id,
+        status: { $nin: ['resolved', 'closed', 'cancelled'] },
+        isDeleted: { $ne: true }
+      });
+
+      if (openTickets > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Group still has ${openTickets} open ticket(s). Deactivate it or move the tickets first.`,
+          code: 'GROUP_HAS_TICKETS'
+        });
+      }
+
+      await group.deleteOne();
+
+      res.json({
+        success: true,
+        message: 'Support group deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete support group error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete support group',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method getGroupQueue
+   * @description Unassigned tickets waiting in a group's queue
+   */
+  static async getGroupQueue(req, res) {
+    try {
+      const group = await SupportGroupController.findGroup(req.params.id);
+
+      if (!group) {
+        return SupportGroupController.notFound(res);
+      }
+
+      if (!SupportGroupController.canWorkQueue(req.user, group)) {
+        return SupportGroupController.notMember(res);
+      }
+
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const query = SupportGroupController.queueQuery(group._id);
+
+      if (req.query.priority) query.priority = req.query.priority;
+      if (req.query.category) query.category = req.query.category;
+
+      const [tickets, total] = await Promise.all([
+        Ticket.find(query)
+          .populate('createdBy', 'firstName lastName email')
+          .sort({ createdAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Ticket.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          group: { _id: group._id, name: group.name },
+          tickets,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get group queue error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch group queue',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * @method claimTicket
+   * @description Pull an unassigned ticket from the group queue
+   */
+  static async claimTicket(req, res) {
+    try {
+      const group = await SupportGroupController.findGroup(req.params.id);
+
+      if (!group) {
+        return SupportGroupController.notFound(res);
+      }
+
+      if (!SupportGroupController.canWorkQueue(req.user, group)) {
+        return SupportGroupController.notMember(res);
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.ticketId)) {
+        return SupportGroupController.ticketUnavailable(res);
+      }
+
+      // Claim atomically so two technicians cannot take the same ticket
+      const ticket = await Ticket.findOneAndUpdate(
+        { _id: req.params.ticketId, ...SupportGroupController.queueQuery(group._id) },
+        {
+          $set: {
+            assignedTo: req.user.id,
+            assignedBy: req.user.id,
+            assignedAt: new Date(),
+            'assignment.method': 'manual'
+          }
+        },
+        { new: true }
+      );
+
+      if (!ticket) {
+        return SupportGroupController.ticketUnavailable(res);
+      }
+
+      ticket.status = 'assigned';
+      ticket.modifiedBy = req.user.id;
+
+      await ticket.save();
+      await assignmentService.recordAssignment(req.user.id);
+
+      res.json({
+        success: true,
+        message: `Ticket ${ticket.ticketId} claimed`,
+        data: { ticket }
+      });
+    } catch (error) {
+      console.error('Claim ticket error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to claim ticket',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  // ============================================
+  // HELPER METHODS
+  // ============================================
+
+  /**
+   * Unassigned, active tickets in a group
+   */
+  static queueQuery(groupId) {
+    return {
+      assignedGroup: groupId,
+      assignedTo: null,
+      status: { $in: CLAIMABLE_STATUSES },
+      isDeleted: { $ne: true }
+    };
+  }
+
+  /**
+   * Admins can work any queue, technicians only their groups'
+   */
+  static canWorkQueue(user, group) {
+    if (user.role === 'admin') return true;
+    return user.role === 'technician' && group.hasMember(user.id);
+  }
+
+  /**
+   * Find group by id (null for malformed ids)
+   */
+  static findGroup(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return SupportGroup.findById(id);
+  }
+
+  /**
+   * Keep only editable fields from a request body
+   */
+  static pickEditable(body = {}) {
+    return EDITABLE_FIELDS.reduce((picked, field) => {
+      if (body[field] !== undefined) picked[field] = body[field];
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Members and lead must be active technicians or admins
+   */
+  static async findInvalidMembers(updates) {
+    const ids = [...(updates.members || []), updates.lead].filter(Boolean).map(String);
+    if (ids.length === 0) return [];
+
+    const malformed = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (malformed.length > 0) return malformed;
+
+    const users = await User.find({
+      _id: { $in: ids },
+      role: { $in: ['technician', 'admin'] },
+      isActive: true
+    }).select('_id');
+
+    const valid = new Set(users.map(user => user._id.toString()));
+    return ids.filter(id => !valid.has(id));
+  }
+
+  static invalidMembers(res, ids) {
+    return res.status(400).json({
+      success: false,
+      error: 'Group members must be active technicians or admins',
+      invalidMembers: ids,
+      code: 'INVALID_MEMBERS'
+    });
+  }
+
+  static notFound(res) {
+    return res.status(404).json({
+      success: false,
+      error: 'Support group not found',
+      code: 'GROUP_NOT_FOUND'
+    });
+  }
+
+  static notMember(res) {
+    return res.status(403).json({
+      success: false,
+      error: 'You are not a member of this support group',
+      code: 'PERMISSION_DENIED'
+    });
+  }
+
+  static ticketUnavailable(res) {
+    return res.status(409).json({
+      success: false,
+      error: 'Ticket is no longer waiting in this queue',
+      code: 'TICKET_UNAVAILABLE'
+    });
+  }
+
+  /**
+   * Map validation/duplicate errors to 400/409
+   */
+  static handleWriteError(res, error, message) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        error: 'Support group validation failed',
+        errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A support group with this name already exists',
+        code: 'DUPLICATE_GROUP'
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      code: 'SERVER_ERROR'
+    });
+  }
+}
+
+module.exports = SupportGroupController;
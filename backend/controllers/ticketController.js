@@ -7,11 +7,37 @@
  * @version 4.0.0
  */
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
-const { Ticket, TICKET_PRIORITIES, TICKET_CATEGORIES } = require('../models/Ticket');
+const Ticket = require('../models/Ticket');
+const { TICKET_SLA, TICKET_CATEGORIES, TICKET_STATUS, FINISHED_STATUSES } = require('../config/ticket.config');
 const User = require('../models/User');
+const Department = require('../models/Department');
+const { DEFAULT_TARGETS } = require('../models/SLAPolicy');
 const { sendEmail } = require('../services/emailService');
-const logger = require('../config/logger') || console;
+const assignmentService = require('../services/assignmentService');
+const socketService = require('../services/socketService');
+const auditService = require('../services/auditService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = console;
+const XlsxWriter = require('../utils/xlsx.writer');
+const PdfDocument = require('../utils/pdf.writer');
+const TokenUtils = require('../utils/token.utils');
+const publicStatusConfig = require('../config/publicStatus.config');
+
+// Most users that can follow one ticket
+const MAX_WATCHERS = 50;
+
+// Most tickets one bulk request may change
+const MAX_BULK_TICKETS = 100;
+const BULK_OPERATIONS = ['status', 'assign', 'priority', 'tags', 'close', 'delete'];
+
+// Ticket export formats and the row caps for those built in memory
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf', 'json'];
+const EXPORT_LIMITS = {
+  xlsx: parseInt(process.env.EXPORT_MAX_XLSX_ROWS) || 20000,
+  pdf: parseInt(process.env.EXPORT_MAX_PDF_ROWS) || 500
+};
 
 // Notification service with fallback
 let notificationService;
@@ -20,7 +46,10 @@ try {
 } catch (error) {
   logger.warn('⚠️ Notification service not available');
   notificationService = {
-    createNotification: async () => ({ success: false, message: 'Service unavailable' })
+    createNotification: async () => ({ success: false, message: 'Service unavailable' }),
+    createTicketNotifications: async () => [],
+    getTicketRecipients: () => [],
+    withoutActor: () => []
   };
 }
 
@@ -32,13 +61,13 @@ try {
   logger.warn('⚠️ SLA service not available, using defaults');
   slaService = {
     calculateDeadlines: (priority) => {
-      const priorityData = TICKET_PRIORITIES[priority] || TICKET_PRIORITIES.Medium;
+      const targets = DEFAULT_TARGETS[priority] || DEFAULT_TARGETS.medium;
       const now = new Date();
       return {
-        responseDeadline: new Date(now.getTime() + priorityData.responseTime * 60 * 1000),
-        resolutionDeadline: new Date(now.getTime() + priorityData.resolutionTime * 60 * 1000),
-        responseTime: priorityData.responseTime,
-        resolutionTime: priorityData.resolutionTime
+        responseDeadline: new Date(now.getTime() + targets.responseTime * 60 * 1000),
+        resolutionDeadline: new Date(now.getTime() + targets.resolutionTime * 60 * 1000),
+        responseTime: targets.responseTime,
+        resolutionTime: targets.resolutionTime
       };
     }
   };
@@ -101,17 +130,25 @@ class TicketController {
         });
       }
       
-      // Calculate SLA deadlines
-      const slaDeadlines = slaService.calculateDeadlines(priority || 'Medium');
+      // SLA department overrides match on the Department the text resolves to
+      const departmentRecord = await Department.resolve(department);
+      
+      // Calculate SLA deadlines on the campus business-hours calendar
+      const slaDeadlines = await slaService.calculateDeadlines(priority || 'medium', new Date(), campus || 'BU', {
+        category,
+        departmentId: departmentRecord?._id,
+        timezone: req.user.preferences?.timezone
+      });
       
       // Create ticket
       const ticketData = {
         title: title.trim(),
         description: description.trim(),
         category: category,
-        priority: priority || 'Medium',
+        priority: priority || 'medium',
         location: location,
         department: department,
+        departmentId: departmentRecord?._id,
         subCategory: subCategory,
         campus: campus || 'BU',
         building: building,
@@ -119,7 +156,8 @@ class TicketController {
         createdBy: userId,
         sla: {
           responseDeadline: slaDeadlines.responseDeadline,
-          resolutionDeadline: slaDeadlines.resolutionDeadline
+          resolutionDeadline: slaDeadlines.resolutionDeadline,
+          timezone: slaDeadlines.timezone
         }
       };
       
@@ -132,40 +170,19 @@ class TicketController {
       
       const ticket = new Ticket(ticketData);
       
-      // Auto-assign based on category
-      if (category) {
-        const availableTech = await User.findOne({
-          role: 'Technician',
-          supportAreas: category,
-          availabilityStatus: 'Available',
-          $or: [
-            { maxTickets: { $gt: '$currentTickets' } },
-            { maxTickets: { $exists: false } }
-          ]
-        }).session(session);
-        
-        if (availableTech) {
-          ticket.assignedTo = availableTech._id;
-          ticket.assignedBy = userId;
-          ticket.assignedAt = new Date();
-          ticket.status = 'Assigned';
-          
-          // Update technician's current ticket count
-          await User.findByIdAndUpdate(
-            availableTech._id,
-            { $inc: { currentTickets: 1 } },
-            { session }
-          );
-        }
-      }
+      // Auto-assign using the configured strategy (queued when nobody is free)
+      await assignmentService.autoAssign(ticket, { session });
       
       await ticket.save({ session });
       
       // Add to history
       ticket.history.push({
         action: 'CREATED',
-        performedBy: userId,
-        changes: { status: 'Open' }
+        field: 'status',
+        oldValue: null,
+        newValue: 'open',
+        changedBy: userId,
+        reason: 'Ticket created'
       });
       
       await ticket.save({ session });
@@ -179,17 +196,18 @@ class TicketController {
         notifications.push(
           sendEmail({
             to: creator.email,
-            subject: `Ticket Created: ${ticket.ticketNumber} - ${ticket.title}`,
+            subject: `Ticket Created: ${ticket.ticketId} - ${ticket.title}`,
             template: 'ticketCreated',
             context: {
-              ticketNumber: ticket.ticketNumber,
+              ticketNumber: ticket.ticketId,
               title: ticket.title,
               category: ticket.category,
               priority: ticket.priority,
               createdAt: ticket.createdAt,
               contactEmail: 'itsupport@bugemauniv.ac.ug',
               contactPhone: '0784845785',
-              estimatedResponse: `Within ${TICKET_PRIORITIES[ticket.priority].responseTime} minutes`
+              estimatedResponse: `Within ${ticket.sla.responseTime.target} business minutes`,
+              ticketUrl: TicketController.getPublicStatusUrl(ticket.ticketId)
             }
           })
         );
@@ -202,10 +220,10 @@ class TicketController {
           notifications.push(
             sendEmail({
               to: technician.email,
-              subject: `New Ticket Assigned: ${ticket.ticketNumber}`,
+              subject: `New Ticket Assigned: ${ticket.ticketId}`,
               template: 'ticketAssigned',
               context: {
-                ticketNumber: ticket.ticketNumber,
+                ticketNumber: ticket.ticketId,
                 title: ticket.title,
                 category: ticket.category,
                 priority: ticket.priority,
@@ -219,7 +237,7 @@ class TicketController {
             notificationService.createNotification({
               userId: technician._id,
               title: 'New Ticket Assigned',
-              message: `Ticket ${ticket.ticketNumber} has been assigned to you`,
+              message: `Ticket ${ticket.ticketId} has been assigned to you`,
               type: 'assignment',
               relatedTo: ticket._id,
               priority: 'high'
@@ -231,7 +249,7 @@ class TicketController {
       // Notify department head if exists
       if (department) {
         const departmentHead = await User.findOne({
-          role: 'Admin',
+          role: 'admin',
           department: department,
           notificationPreferences: { $in: ['department_tickets'] }
         }).session(session);
@@ -240,10 +258,10 @@ class TicketController {
           notifications.push(
             sendEmail({
               to: departmentHead.email,
-              subject: `New Ticket in Your Department: ${ticket.ticketNumber}`,
+              subject: `New Ticket in Your Department: ${ticket.ticketId}`,
               template: 'departmentTicket',
               context: {
-                ticketNumber: ticket.ticketNumber,
+                ticketNumber: ticket.ticketId,
                 title: ticket.title,
                 department: department,
                 priority: ticket.priority,
@@ -261,7 +279,7 @@ class TicketController {
       await session.commitTransaction();
       session.endSession();
       
-      logger.info(`Ticket created: ${ticket.ticketNumber} by ${userId}`, {
+      logger.info(`Ticket created: ${ticket.ticketId} by ${userId}`, {
         ticketId: ticket._id,
         category: ticket.category,
         priority: ticket.priority,
@@ -274,8 +292,8 @@ class TicketController {
           ticket: await ticket.populate(['createdBy', 'assignedTo']),
           message: 'Ticket created successfully',
           metadata: {
-            ticketNumber: ticket.ticketNumber,
-            estimatedResponse: `Within ${TICKET_PRIORITIES[ticket.priority].responseTime} minutes`,
+            ticketNumber: ticket.ticketId,
+            estimatedResponse: `Within ${ticket.sla.responseTime.target} business minutes`,
             nextSteps: [
               'Your ticket has been logged and assigned a unique number',
               'You will receive email updates on progress',
@@ -374,14 +392,16 @@ class TicketController {
       // Apply advanced filters
       this.applyAdvancedFilters(query, req.query);
       
-      // Text search
+      // Text search (kept alongside the role-based $or)
       if (search && search.trim()) {
-        query.$or = [
-          { ticketNumber: { $regex: search, $options: 'i' } },
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { 'comments.content': { $regex: search, $options: 'i' } }
-        ];
+        query.$and = [...(query.$and || []), {
+          $or: [
+            { ticketId: { $regex: search, $options: 'i' } },
+            { title: { $regex: search, $options: 'i' } },
+            { description: { $regex: search, $options: 'i' } },
+            { 'comments.message': { $regex: search, $options: 'i' } }
+          ]
+        }];
       }
       
       // Calculate pagination
@@ -397,6 +417,7 @@ class TicketController {
       const tickets = await Ticket.find(query)
         .populate('createdBy', 'firstName lastName email role department avatar')
         .populate('assignedTo', 'firstName lastName email role supportAreas availabilityStatus')
+        .populate('assignedGroup', 'name campus')
         .populate('comments.user', 'firstName lastName role avatar')
         .populate('attachments.uploadedBy', 'firstName lastName')
         .populate('history.performedBy', 'firstName lastName role')
@@ -427,8 +448,8 @@ class TicketController {
           !['page', 'limit', 'sortBy', 'sortOrder', 'includeAnalytics'].includes(key)
         ),
         availableFilters: {
-          status: ['Open', 'Assigned', 'In Progress', 'Pending', 'Resolved', 'Closed', 'Escalated'],
-          priority: Object.keys(TICKET_PRIORITIES),
+          status: Object.keys(TICKET_STATUS),
+          priority: Object.keys(TICKET_SLA),
           category: Object.keys(TICKET_CATEGORIES),
           campuses: ['BU', 'MA', 'KA', 'AR', 'MB', 'OTHER']
         }
@@ -475,10 +496,10 @@ class TicketController {
       const userId = req.user.id;
       const userRole = req.user.role;
       
-      // Find by ticketNumber or ID
+      // Find by ticketId or ID
       const query = mongoose.Types.ObjectId.isValid(id) 
         ? { _id: id }
-        : { $or: [{ ticketNumber: id }, { ticketId: id }] };
+        : { ticketId: id };
       
       const ticket = await Ticket.findOne(query)
         .populate('createdBy', 'firstName lastName email role department phone campus')
@@ -486,8 +507,9 @@ class TicketController {
         .populate('comments.user', 'firstName lastName role avatar')
         .populate('attachments.uploadedBy', 'firstName lastName')
         .populate('history.performedBy', 'firstName lastName role')
-        .populate('relatedTickets', 'ticketNumber title status priority')
+        .populate('relatedTickets', 'ticketId title status priority')
         .populate('escalatedTo', 'firstName lastName email role')
+        .populate('watchers.user', 'firstName lastName email role')
         .lean();
       
       if (!ticket) {
@@ -623,14 +645,14 @@ class TicketController {
       const allowedUpdates = [
         'title', 'description', 'category', 'subCategory', 'priority',
         'status', 'location', 'building', 'roomNumber', 'department',
-        'assignedTo', 'dueDate', 'tags', 'escalationLevel', 'campus'
+        'assignedTo', 'assignedGroup', 'dueDate', 'tags', 'campus'
       ];
       
       // Validate and apply updates
       for (const field of allowedUpdates) {
         if (updates[field] !== undefined && updates[field] !== ticket[field]) {
           // Validate specific fields
-          if (field === 'priority' && !Object.keys(TICKET_PRIORITIES).includes(updates[field])) {
+          if (field === 'priority' && !Object.keys(TICKET_SLA).includes(updates[field])) {
             throw new Error(`Invalid priority: ${updates[field]}`);
           }
           
@@ -638,7 +660,7 @@ class TicketController {
             throw new Error(`Invalid category: ${updates[field]}`);
           }
           
-          if (field === 'status' && !['Open', 'Assigned', 'In Progress', 'Pending', 'Resolved', 'Closed', 'Escalated'].includes(updates[field])) {
+          if (field === 'status' && !Object.keys(TICKET_STATUS).includes(updates[field])) {
             throw new Error(`Invalid status: ${updates[field]}`);
           }
           
@@ -653,18 +675,32 @@ class TicketController {
         }
       }
       
-      // Special handling for assignment
-      if (updates.assignedTo && updates.assignedTo !== oldTicket.assignedTo?.toString()) {
-        await this.handleAssignmentChange(ticket, oldTicket.assignedTo, updates.assignedTo, userId, session);
+      // Special handling for assignment (null/empty means unassign)
+      const newAssigneeId = updates.assignedTo || null;
+      if (updates.assignedTo !== undefined && newAssigneeId !== (oldTicket.assignedTo?.toString() || null)) {
+        await this.handleAssignmentChange(ticket, oldTicket.assignedTo, newAssigneeId, userId, session);
       }
       
       // Special handling for status changes
       if (updates.status && updates.status !== oldTicket.status) {
         await this.handleStatusChange(ticket, oldTicket.status, updates.status, userId, session);
+        
+        // A staff status change counts as the first response
+        if (['technician', 'admin'].includes(userRole)) {
+          ticket.recordFirstResponse(userId);
+        }
+        
+        // The resolution summary travels with the status change
+        if (updates.status === 'resolved' && updates.resolution?.summary) {
+          ticket.resolution.summary = updates.resolution.summary;
+          ticket.resolution.resolvedBy = userId;
+        }
       }
       
       // Special handling for escalation
-      if (updates.escalationLevel && updates.escalationLevel > oldTicket.escalationLevel) {
+      const oldLevel = oldTicket.escalation?.level || 0;
+      if (updates.escalationLevel && updates.escalationLevel > oldLevel) {
+        changes.escalationLevel = { old: oldLevel, new: updates.escalationLevel };
         await this.handleEscalation(ticket, updates.escalationLevel, userId, session);
       }
       
@@ -672,10 +708,9 @@ class TicketController {
       if (Object.keys(changes).length > 0) {
         ticket.history.push({
           action: 'UPDATED',
-          performedBy: userId,
-          changes,
-          notes: changeReason,
-          timestamp: new Date()
+          newValue: changes,
+          changedBy: userId,
+          reason: changeReason
         });
       }
       
@@ -689,10 +724,24 @@ class TicketController {
       await session.commitTransaction();
       session.endSession();
       
+      // Push the change to participants connected over Socket.IO
+      if (ticket.status !== oldTicket.status) {
+        socketService.ticketStatusChanged(ticket, oldTicket.status, userId);
+      }
+      if (socketService.toId(ticket.assignedTo) !== socketService.toId(oldTicket.assignedTo)) {
+        socketService.ticketAssigned(ticket, oldTicket.assignedTo, userId);
+      }
+      
+      // A technician slot may have opened up - retry queued tickets in the background
+      if (oldTicket.assignedTo && (changes.assignedTo || changes.status)) {
+        assignmentService.processQueue()
+          .catch(error => logger.error(`Assignment queue error: ${error.message}`));
+      }
+      
       // Populate for response
       await ticket.populate(['createdBy', 'assignedTo', 'comments.user']);
       
-      logger.info(`Ticket updated: ${ticket.ticketNumber} by ${userId}`, {
+      logger.info(`Ticket updated: ${ticket.ticketId} by ${userId}`, {
         ticketId: ticket._id,
         changes: Object.keys(changes),
         userRole: userRole
@@ -737,6 +786,46 @@ class TicketController {
     }
   }
   
+  /**
+   * @method assignTicket
+   * @description Assign (or with no technician, unassign) a ticket
+   */
+  static async assignTicket(req, res) {
+    const { assignedTo, technicianId, reason } = req.body;
+    
+    req.body = {
+      assignedTo: assignedTo ?? technicianId ?? null,
+      changeReason: reason || 'Assigned via API'
+    };
+    
+    return this.updateTicket(req, res);
+  }
+  
+  /**
+   * @method resolveTicket
+   * @description Resolve a ticket with a resolution summary
+   */
+  static async resolveTicket(req, res) {
+    const { resolution, summary, reason } = req.body;
+    const resolutionSummary = (resolution?.summary || summary || '').trim();
+    
+    if (!resolutionSummary) {
+      return res.status(400).json({
+        success: false,
+        error: 'A resolution summary is required',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    req.body = {
+      status: 'resolved',
+      resolution: { summary: resolutionSummary },
+      changeReason: reason || 'Resolved via API'
+    };
+    
+    return this.updateTicket(req, res);
+  }
+  
   /**
    * @method addComment
    * @description Add comment with enhanced features
@@ -749,21 +838,21 @@ class TicketController {
       const { id } = req.params;
       const userId = req.user.id;
       const userRole = req.user.role;
-      const { content, isInternal = false, attachments = [] } = req.body;
+      const { message, isInternal = false, attachments = [] } = req.body;
       
-      // Validate content
-      if (!content || content.trim().length === 0) {
+      // Validate message
+      if (!message || message.trim().length === 0) {
         await session.abortTransaction();
         session.endSession();
         
         return res.status(400).json({
           success: false,
-          error: 'Comment content is required',
+          error: 'Comment message is required',
           code: 'VALIDATION_ERROR'
         });
       }
       
-      if (content.length > 2000) {
+      if (message.length > 2000) {
         await session.abortTransaction();
         session.endSession();
         
@@ -789,7 +878,7 @@ class TicketController {
       }
       
       // Check permissions for internal comments
-      if (isInternal && !['Technician', 'Admin'].includes(userRole)) {
+      if (isInternal && !['technician', 'admin'].includes(userRole)) {
         await session.abortTransaction();
         session.endSession();
         
@@ -803,7 +892,7 @@ class TicketController {
       // Add comment
       const comment = {
         user: userId,
-        content: content.trim(),
+        message: message.trim(),
         isInternal,
         attachments: attachments.map(att => ({
           ...att,
@@ -815,40 +904,39 @@ class TicketController {
       
       ticket.comments.push(comment);
       
-      // Update first response time if this is the first staff comment
-      if (!isInternal && !ticket.firstResponseAt && ['Technician', 'Admin'].includes(userRole)) {
-        ticket.firstResponseAt = new Date();
+      // First public staff comment stops the response SLA clock
+      if (!isInternal && ['technician', 'admin'].includes(userRole)) {
+        ticket.recordFirstResponse(userId);
       }
       
       // Add to history
       ticket.history.push({
         action: 'COMMENTED',
-        performedBy: userId,
-        changes: {
-          commentAdded: true
-        },
-        notes: `Comment added: ${content.substring(0, 50)}...`
+        changedBy: userId,
+        reason: `Comment added: ${message.substring(0, 50)}...`
       });
       
       await ticket.save({ session });
       
       // Send notifications
-      await this.sendCommentNotifications(ticket, comment, userId, userRole, session);
+      await this.sendCommentNotifications(ticket, ticket.comments[ticket.comments.length - 1], userId, userRole, session);
       
       // Commit transaction
       await session.commitTransaction();
       session.endSession();
       
+      socketService.commentAdded(ticket, ticket.comments[ticket.comments.length - 1], isInternal);
+      
       // Get populated comment for response
       const populatedTicket = await Ticket.findById(ticket._id)
         .populate('comments.user', 'firstName lastName role avatar');
       
       const newComment = populatedTicket.comments[populatedTicket.comments.length - 1];
       
-      logger.info(`Comment added to ticket: ${ticket.ticketNumber} by ${userId}`, {
+      logger.info(`Comment added to ticket: ${ticket.ticketId} by ${userId}`, {
         ticketId: ticket._id,
         isInternal,
-        commentLength: content.length
+        commentLength: message.length
       });
       
       res.status(201).json({
@@ -910,19 +998,19 @@ class TicketController {
         Ticket.countDocuments(baseQuery),
         
         // Open tickets
-        Ticket.countDocuments({ ...baseQuery, status: 'Open' }),
+        Ticket.countDocuments({ ...baseQuery, status: 'open' }),
         
         // Assigned tickets (for technicians/admins)
         Ticket.countDocuments({ ...baseQuery, assignedTo: userId }),
         
         // High priority tickets
-        Ticket.countDocuments({ ...baseQuery, priority: { $in: ['High', 'Critical'] } }),
+        Ticket.countDocuments({ ...baseQuery, priority: { $in: ['high', 'critical'] } }),
         
         // Overdue tickets
         Ticket.countDocuments({
           ...baseQuery,
           dueDate: { $lt: new Date() },
-          status: { $nin: ['Resolved', 'Closed'] }
+          status: { $nin: ['resolved', 'closed'] }
         }),
         
         // Category statistics
@@ -939,37 +1027,29 @@ class TicketController {
           { $sort: { _id: 1 } }
         ]),
         
-        // Response time statistics
+        // First response statistics (business minutes)
         Ticket.aggregate([
           { 
             $match: { 
               ...baseQuery, 
-              firstResponseAt: { $exists: true } 
+              'sla.responseTime.actual': { $ne: null } 
             } 
           },
-          {
-            $project: {
-              responseTime: {
-                $divide: [
-                  { $subtract: ['$firstResponseAt', '$createdAt'] },
-                  1000 * 60 // minutes
-                ]
-              }
-            }
-          },
           {
             $group: {
               _id: null,
-              avgResponseTime: { $avg: '$responseTime' },
-              minResponseTime: { $min: '$responseTime' },
-              maxResponseTime: { $max: '$responseTime' }
+              avgResponseTime: { $avg: '$sla.responseTime.actual' },
+              minResponseTime: { $min: '$sla.responseTime.actual' },
+              maxResponseTime: { $max: '$sla.responseTime.actual' },
+              responded: { $sum: 1 },
+              breached: { $sum: { $cond: ['$sla.responseTime.breached', 1, 0] } }
             }
           }
         ]),
         
         // Technician statistics (admin only)
-        userRole === 'Admin' ? User.aggregate([
-          { $match: { role: 'Technician' } },
+        userRole === 'admin' ? User.aggregate([
+          { $match: { role: 'technician' } },
           {
             $lookup: {
               from: 'tickets',
@@ -991,7 +1071,7 @@ class TicketController {
                   $filter: {
                     input: '$assignedTickets',
                     as: 'ticket',
-                    cond: { $ne: ['$$ticket.status', 'Resolved'] }
+                    cond: { $ne: ['$$ticket.status', 'resolved'] }
                   }
                 }
               },
@@ -1002,11 +1082,11 @@ class TicketController {
                       $filter: {
                         input: '$assignedTickets',
                         as: 'ticket',
-                        cond: { $eq: ['$$ticket.status', 'Resolved'] }
+                        cond: { $eq: ['$$ticket.status', 'resolved'] }
                       }
                     },
                     as: 'ticket',
-                    in: '$$ticket.resolutionTime'
+                    in: '$$ticket.actualResolutionTime'
                   }
                 }
               }
@@ -1023,7 +1103,7 @@ class TicketController {
         .limit(5)
         .populate('createdBy', 'firstName lastName')
         .populate('assignedTo', 'firstName lastName')
-        .select('ticketNumber title status priority updatedAt')
+        .select('ticketId title status priority updatedAt')
         .lean();
       
       // Calculate SLA compliance
@@ -1031,7 +1111,7 @@ class TicketController {
         { 
           $match: { 
             ...baseQuery,
-            status: 'Resolved',
+            status: 'resolved',
             'sla.resolutionDeadline': { $exists: true }
           } 
         },
@@ -1042,7 +1122,7 @@ class TicketController {
             slaCompliant: {
               $sum: {
                 $cond: [
-                  { $lte: ['$resolvedAt', '$sla.resolutionDeadline'] },
+                  { $lte: ['$resolvedAt', '$sla.resolutionTime.deadline'] },
                   1,
                   0
                 ]
@@ -1115,25 +1195,25 @@ class TicketController {
     const query = {};
     
     switch (userRole) {
-      case 'Student':
-      case 'Staff':
-        query.createdBy = userId;
-        break;
-        
-      case 'Technician':
+      case 'technician':
         query.$or = [
           { assignedTo: userId },
-          { assignedTo: null, category: { $in: ['Network', 'Software'] } }, // Example: Technician's support areas
-          { escalatedTo: userId }
+          { assignedTo: null, category: { $in: ['network', 'software'] } }, // Example: Technician's support areas
+          { escalatedTo: userId },
+          { 'watchers.user': userId }
         ];
         break;
         
-      case 'Admin':
+      case 'admin':
         // Admins can see all tickets
         break;
         
+      // Students and staff see their own tickets and those they watch
       default:
-        query.createdBy = userId;
+        query.$or = [
+          { createdBy: userId },
+          { 'watchers.user': userId }
+        ];
     }
     
     return query;
@@ -1148,7 +1228,9 @@ class TicketController {
       priority: 'priority',
       category: 'category',
       department: 'department',
+      departmentId: 'departmentId',
       assignedTo: 'assignedTo',
+      assignedGroup: 'assignedGroup',
       createdBy: 'createdBy',
       campus: 'campus'
     };
@@ -1163,6 +1245,11 @@ class TicketController {
       }
     });
     
+    // Group queue filter (tickets nobody has picked up yet)
+    if (filters.unassigned === 'true') {
+      query.assignedTo = null;
+    }
+    
     // Date range filter
     if (filters.fromDate || filters.toDate) {
       query.createdAt = {};
@@ -1173,7 +1260,7 @@ class TicketController {
     // Overdue filter
     if (filters.overdue === 'true') {
       query.dueDate = { $lt: new Date() };
-      query.status = { $nin: ['Resolved', 'Closed'] };
+      query.status = { $nin: ['resolved', 'closed'] };
     }
   }
   
@@ -1181,30 +1268,60 @@ class TicketController {
    * Check view permission
    */
   static checkViewPermission(userId, userRole, ticket) {
-    if (userRole === 'Admin') return true;
+    if (userRole === 'admin') return true;
     
-    if (userRole === 'Technician') {
-      if (ticket.assignedTo && ticket.assignedTo.toString() === userId.toString()) return true;
-      if (ticket.escalatedTo && ticket.escalatedTo.toString() === userId.toString()) return true;
+    // Works on populated and unpopulated references alike
+    const isUser = value => socketService.toId(value) === socketService.toId(userId);
+    
+    if (userRole === 'technician') {
+      if (ticket.assignedTo && isUser(ticket.assignedTo)) return true;
+      if (ticket.escalatedTo && isUser(ticket.escalatedTo)) return true;
     }
     
-    if (ticket.createdBy && ticket.createdBy.toString() === userId.toString()) return true;
+    if (ticket.createdBy && isUser(ticket.createdBy)) return true;
+    
+    // Watchers (CC list) can follow the ticket
+    const watchers = ticket.watchers || [];
+    if (watchers.some(watcher => isUser(watcher.user))) return true;
     
     return false;
   }
   
+  /**
+   * Check watch permission
+   * Anyone who can view the ticket, plus the requester's supervisor (department heads)
+   */
+  static async checkWatchPermission(userId, userRole, ticket) {
+    if (this.checkViewPermission(userId, userRole, ticket)) return true;
+    
+    const creator = await User.findById(ticket.createdBy).select('professionalInfo.supervisor').lean();
+    const supervisor = creator?.professionalInfo?.supervisor;
+    
+    return !!supervisor && supervisor.toString() === userId.toString();
+  }
+  
+  /**
+   * Check manage watchers permission (add or remove other people)
+   */
+  static checkManageWatchersPermission(userId, userRole, ticket) {
+    if (['technician', 'admin'].includes(userRole)) return true;
+    
+    return [ticket.createdBy, ticket.assignedTo]
+      .some(id => id && id.toString() === userId.toString());
+  }
+  
   /**
    * Check edit permission
    */
   static checkEditPermission(userId, userRole, ticket) {
-    if (userRole === 'Admin') return true;
+    if (userRole === 'admin') return true;
     
-    if (userRole === 'Technician') {
+    if (userRole === 'technician') {
       if (ticket.assignedTo && ticket.assignedTo.toString() === userId.toString()) return true;
     }
     
     if (ticket.createdBy && ticket.createdBy.toString() === userId.toString() && 
-        ticket.status === 'Open') {
+        ticket.status === 'open') {
       return true;
     }
     
@@ -1215,16 +1332,16 @@ class TicketController {
    * Check assign permission
    */
   static checkAssignPermission(userRole) {
-    return ['Technician', 'Admin'].includes(userRole);
+    return ['technician', 'admin'].includes(userRole);
   }
   
   /**
    * Check resolve permission
    */
   static checkResolvePermission(userId, userRole, ticket) {
-    if (userRole === 'Admin') return true;
+    if (userRole === 'admin') return true;
     
-    if (userRole === 'Technician') {
+    if (userRole === 'technician') {
       return ticket.assignedTo && ticket.assignedTo.toString() === userId.toString();
     }
     
@@ -1235,14 +1352,14 @@ class TicketController {
    * Check escalate permission
    */
   static checkEscalatePermission(userRole) {
-    return ['Technician', 'Admin'].includes(userRole);
+    return ['technician', 'admin'].includes(userRole);
   }
   
   /**
    * Calculate SLA status
    */
   static calculateSLAStatus(ticket) {
-    if (ticket.status === 'Closed' || ticket.status === 'Resolved') return 'completed';
+    if (ticket.status === 'closed' || ticket.status === 'resolved') return 'completed';
     if (!ticket.sla?.resolutionDeadline) return 'no-sla';
     
     const now = new Date();
@@ -1270,7 +1387,7 @@ class TicketController {
    * Check if SLA is breached
    */
   static isSLABreached(ticket) {
-    if (ticket.status === 'Closed' || ticket.status === 'Resolved') return false;
+    if (ticket.status === 'closed' || ticket.status === 'resolved') return false;
     if (!ticket.sla?.resolutionDeadline) return false;
     
     return new Date() > ticket.sla.resolutionDeadline;
@@ -1281,7 +1398,7 @@ class TicketController {
    */
   static isTicketOverdue(ticket) {
     if (!ticket.dueDate) return false;
-    if (ticket.status === 'Resolved' || ticket.status === 'Closed') return false;
+    if (ticket.status === 'resolved' || ticket.status === 'closed') return false;
     
     return new Date() > new Date(ticket.dueDate);
   }
@@ -1321,34 +1438,42 @@ class TicketController {
    * Handle assignment change
    */
   static async handleAssignmentChange(ticket, oldAssigneeId, newAssigneeId, changedBy, session) {
-    // Update old technician's ticket count
+    // Free the old technician's slot
     if (oldAssigneeId) {
-      await User.findByIdAndUpdate(
-        oldAssigneeId,
-        { $inc: { currentTickets: -1 } },
-        { session }
-      );
+      await assignmentService.release(oldAssigneeId, session);
     }
     
-    // Update new technician's ticket count
-    if (newAssigneeId) {
-      await User.findByIdAndUpdate(
-        newAssigneeId,
-        { $inc: { currentTickets: 1 } },
-        { session }
-      );
+    // Unassigned - let the engine pick someone else (or queue it)
+    if (!newAssigneeId) {
+      await assignmentService.autoAssign(ticket, {
+        assignedBy: changedBy,
+        exclude: [oldAssigneeId],
+        session
+      });
+      return;
     }
     
+    await assignmentService.recordAssignment(newAssigneeId, session);
+    
+    ticket.assignedTo = newAssigneeId;
     ticket.assignedBy = changedBy;
     ticket.assignedAt = new Date();
+    ticket.assignment = { method: 'manual', attempts: ticket.assignment?.attempts || 0 };
   }
   
   /**
    * Handle status change
    */
   static async handleStatusChange(ticket, oldStatus, newStatus, changedBy, session) {
+    const finished = ['resolved', 'closed', 'cancelled'];
+    
+    // Finished tickets no longer count against the technician's limit
+    if (ticket.assignedTo && finished.includes(newStatus) && !finished.includes(oldStatus)) {
+      await assignmentService.release(ticket.assignedTo, session);
+    }
+    
     // If resolving ticket
-    if (newStatus === 'Resolved') {
+    if (newStatus === 'resolved') {
       ticket.resolvedAt = new Date();
       
       // Calculate resolution time
@@ -1364,7 +1489,7 @@ class TicketController {
     }
     
     // If closing ticket
-    if (newStatus === 'Closed') {
+    if (newStatus === 'closed') {
       ticket.closedAt = new Date();
     }
   }
@@ -1373,15 +1498,16 @@ class TicketController {
    * Handle escalation
    */
   static async handleEscalation(ticket, newLevel, escalatedBy, session) {
-    ticket.isEscalated = true;
-    ticket.escalationLevel = newLevel;
-    ticket.escalatedAt = new Date();
+    ticket.escalation.level = newLevel;
+    ticket.escalation.escalatedBy = escalatedBy;
+    ticket.escalation.escalatedAt = new Date();
+    ticket.escalation.history.push({ level: newLevel, escalatedBy, escalatedAt: new Date() });
     
     // Find appropriate technician/admin for escalation
     const escalationTarget = await User.findOne({
-      role: newLevel >= 3 ? 'Admin' : 'Technician',
-      availabilityStatus: 'Available',
-      canHandleEscalations: true
+      role: newLevel >= 3 ? 'admin' : 'technician',
+      isActive: true,
+      'professionalInfo.availabilityStatus': 'available'
     }).session(session);
     
     if (escalationTarget) {
@@ -1394,6 +1520,8 @@ class TicketController {
    */
   static async sendUpdateNotifications(ticket, oldTicket, changedBy, changes, session) {
     const notifications = [];
+    const actor = await User.findById(changedBy).select('firstName lastName').session(session);
+    const actorName = actor ? `${actor.firstName} ${actor.lastName}` : 'System';
     
     // Notify creator if important fields changed
     const importantFields = ['status', 'priority', 'assignedTo'];
@@ -1405,13 +1533,13 @@ class TicketController {
         notifications.push(
           sendEmail({
             to: creator.email,
-            subject: `Ticket Updated: ${ticket.ticketNumber}`,
+            subject: `Ticket Updated: ${ticket.ticketId}`,
             template: 'ticketUpdated',
             context: {
-              ticketNumber: ticket.ticketNumber,
+              ticketNumber: ticket.ticketId,
               title: ticket.title,
               changes: Object.keys(changes),
-              updatedBy: req.user ? `${req.user.firstName} ${req.user.lastName}` : 'System',
+              updatedBy: actorName,
               contactEmail: 'itsupport@bugemauniv.ac.ug'
             }
           })
@@ -1419,69 +1547,80 @@ class TicketController {
       }
     }
     
+    const oldAssignee = oldTicket.assignedTo?.toString() || null;
+    const newAssignee = ticket.assignedTo?.toString() || null;
+    
     // Notify old technician if unassigned
-    if (changes.assignedTo && oldTicket.assignedTo && 
-        oldTicket.assignedTo.toString() !== changes.assignedTo.new.toString()) {
+    if (oldAssignee && oldAssignee !== newAssignee) {
       const oldTech = await User.findById(oldTicket.assignedTo).session(session);
       if (oldTech && oldTech.email) {
         notifications.push(
           sendEmail({
             to: oldTech.email,
-            subject: `Ticket Unassigned: ${ticket.ticketNumber}`,
+            subject: `Ticket Unassigned: ${ticket.ticketId}`,
             template: 'ticketUnassigned',
             context: {
-              ticketNumber: ticket.ticketNumber,
+              ticketNumber: ticket.ticketId,
               title: ticket.title,
-              unassignedBy: req.user ? `${req.user.firstName} ${req.user.lastName}` : 'System',
+              unassignedBy: actorName,
               contactEmail: 'itsupport@bugemauniv.ac.ug'
             }
           })
         );
-        
-        notifications.push(
-          notificationService.createNotification({
-            userId: oldTicket.assignedTo,
-            title: 'Ticket Unassigned',
-            message: `Ticket ${ticket.ticketNumber} has been unassigned from you`,
-            type: 'assignment',
-            relatedTo: ticket._id
-          })
-        );
       }
+      
+      notifications.push(
+        notificationService.createTicketNotifications(ticket, 'ticket_unassigned', {
+          previousAssignee: oldTicket.assignedTo,
+          performedBy: changedBy
+        })
+      );
     }
     
     // Notify new technician if assigned
-    if (changes.assignedTo && ticket.assignedTo && 
-        (!oldTicket.assignedTo || oldTicket.assignedTo.toString() !== ticket.assignedTo.toString())) {
+    if (newAssignee && oldAssignee !== newAssignee) {
       const newTech = await User.findById(ticket.assignedTo).session(session);
       if (newTech && newTech.email) {
         notifications.push(
           sendEmail({
             to: newTech.email,
-            subject: `New Ticket Assigned: ${ticket.ticketNumber}`,
+            subject: `New Ticket Assigned: ${ticket.ticketId}`,
             template: 'ticketAssigned',
             context: {
-              ticketNumber: ticket.ticketNumber,
+              ticketNumber: ticket.ticketId,
               title: ticket.title,
               category: ticket.category,
               priority: ticket.priority,
-              assignedBy: req.user ? `${req.user.firstName} ${req.user.lastName}` : 'System',
+              assignedBy: actorName,
               contactEmail: 'itsupport@bugemauniv.ac.ug'
             }
           })
         );
-        
-        notifications.push(
-          notificationService.createNotification({
-            userId: ticket.assignedTo,
-            title: 'Ticket Assigned',
-            message: `Ticket ${ticket.ticketNumber} has been assigned to you`,
-            type: 'assignment',
-            relatedTo: ticket._id,
-            priority: 'high'
-          })
-        );
       }
+      
+      notifications.push(
+        notificationService.createTicketNotifications(ticket, 'ticket_assigned', { assignedBy: changedBy })
+      );
+    }
+    
+    // Requester, assignee and commenters hear about status changes (reopens included)
+    if (ticket.status !== oldTicket.status) {
+      notifications.push(
+        notificationService.createTicketNotifications(ticket, 'status_changed', {
+          previousStatus: oldTicket.status,
+          performedBy: changedBy
+        })
+      );
+    }
+    
+    // Escalations go to the assignee's supervisor
+    if (changes.escalationLevel && changes.escalationLevel.new > (changes.escalationLevel.old || 0)) {
+      notifications.push(
+        notificationService.createTicketNotifications(ticket, 'ticket_escalated', {
+          level: changes.escalationLevel.new,
+          performedBy: changedBy
+        })
+      );
     }
     
     // Execute notifications
@@ -1490,287 +1629,610 @@ class TicketController {
   
   /**
    * Send comment notifications
+   * Public comments reach the requester, assignee and past commenters;
+   * internal notes only reach the assignee
    */
   static async sendCommentNotifications(ticket, comment, commenterId, commenterRole, session) {
     const notifications = [];
+    const commenter = await User.findById(commenterId).select('firstName lastName').session(session);
+    const commenterName = commenter ? `${commenter.firstName} ${commenter.lastName}` : 'User';
     
-    // Determine who to notify
-    const notifyUsers = new Set();
-    
-    // Always notify creator if not the commenter
-    if (ticket.createdBy.toString() !== commenterId.toString()) {
-      notifyUsers.add(ticket.createdBy.toString());
-    }
-    
-    // Notify assigned technician if exists and not the commenter
-    if (ticket.assignedTo && ticket.assignedTo.toString() !== commenterId.toString()) {
-      notifyUsers.add(ticket.assignedTo.toString());
-    }
+    const recipients = comment.isInternal
+      ? notificationService.withoutActor([ticket.assignedTo], commenterId)
+      : notificationService.getTicketRecipients(ticket, commenterId);
     
-    // For internal comments, notify all technicians/admins
-    if (comment.isInternal) {
-      const staffMembers = await User.find({
-        role: { $in: ['Technician', 'Admin'] },
-        _id: { $ne: commenterId }
-      }).session(session);
-      
-      staffMembers.forEach(user => notifyUsers.add(user._id.toString()));
-    }
+    const users = await User.find({ _id: { $in: recipients } }).select('email').session(session);
     
-    // Send notifications
-    for (const userId of notifyUsers) {
-      const user = await User.findById(userId).session(session);
-      if (!user) continue;
-      
-      // Email notification for important comments
-      if (user.emailPreferences?.comments && user.email) {
-        notifications.push(
-          sendEmail({
-            to: user.email,
-            subject: `New Comment on Ticket: ${ticket.ticketNumber}`,
-            template: 'newComment',
-            context: {
-              ticketNumber: ticket.ticketNumber,
-              title: ticket.title,
-              commenter: req.user ? `${req.user.firstName} ${req.user.lastName}` : 'User',
-              comment: comment.content.substring(0, 100) + (comment.content.length > 100 ? '...' : ''),
-              isInternal: comment.isInternal,
-              contactEmail: 'itsupport@bugemauniv.ac.ug'
-            }
-          })
-        );
-      }
+    // Email notification (filtered by each recipient's preferences)
+    for (const user of users) {
+      if (!user.email) continue;
       
-      // In-app notification
       notifications.push(
-        notificationService.createNotification({
-          userId: user._id,
-          title: 'New Comment on Ticket',
-          message: `${req.user ? `${req.user.firstName} ${req.user.lastName}` : 'User'} added a comment to ticket ${ticket.ticketNumber}`,
-          type: 'comment',
-          relatedTo: ticket._id,
-          priority: comment.isInternal ? 'high' : 'normal'
+        sendEmail({
+          to: user.email,
+          subject: `New Comment on Ticket: ${ticket.ticketId}`,
+          template: 'newComment',
+          context: {
+            ticketNumber: ticket.ticketId,
+            title: ticket.title,
+            commenter: commenterName,
+            comment: comment.message.substring(0, 100) + (comment.message.length > 100 ? '...' : ''),
+            isInternal: comment.isInternal,
+            contactEmail: 'itsupport@bugemauniv.ac.ug'
+          }
         })
       );
     }
     
+    // In-app notification
+    notifications.push(
+      notificationService.createTicketNotifications(ticket, 'comment_added', {
+        comment,
+        isInternal: comment.isInternal,
+        performedBy: commenterId
+      })
+    );
+    
     // Execute notifications
     await Promise.allSettled(notifications);
   }
   
+  // ============================================
+  // WATCHERS (CC LIST)
+  // ============================================
+  
   /**
-   * Get query analytics
+   * @method getWatchers
+   * @description List the users following a ticket
    */
-  static async getQueryAnalytics(query) {
-    const analytics = await Ticket.aggregate([
-      { $match: query },
-      {
-        $facet: {
-          statusSummary: [
-            { $group: { _id: '$status', count: { $sum: 1 } } }
-          ],
-          prioritySummary: [
-            { $group: { _id: '$priority', count: { $sum: 1 } } }
-          ],
-          categorySummary: [
-            { $group: { _id: '$category', count: { $sum: 1 } } }
-          ],
-          responseMetrics: [
-            {
-              $match: { firstResponseAt: { $exists: true } }
-            },
-            {
-              $group: {
-                _id: null,
-                avgResponseTime: { $avg: { $subtract: ['$firstResponseAt', '$createdAt'] } },
-                count: { $sum: 1 }
-              }
-            }
-          ],
-          ageDistribution: [
-            {
-              $project: {
-                ageInDays: {
-                  $floor: {
-                    $divide: [
-                      { $subtract: [new Date(), '$createdAt'] },
-                      1000 * 60 * 60 * 24
-                    ]
-                  }
-                }
-              }
-            },
-            {
-              $bucket: {
-                groupBy: '$ageInDays',
-                boundaries: [0, 1, 3, 7, 14, 30],
-                default: '30+',
-                output: {
-                  count: { $sum: 1 }
-                }
-              }
-            }
-          ]
-        }
+  static async getWatchers(req, res) {
+    try {
+      const userId = req.user.id;
+      const ticket = await Ticket.findById(req.params.id)
+        .populate('watchers.user', 'firstName lastName email role department')
+        .populate('watchers.addedBy', 'firstName lastName');
+      
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          error: 'Ticket not found',
+          code: 'TICKET_NOT_FOUND'
+        });
       }
-    ]);
-    
-    return analytics[0] || {};
-  }
-  // Add these methods to your TicketController class
-
-/**
- * @method exportTickets
- * @description Export tickets to CSV/Excel
- */
-static async exportTickets(req, res) {
-  try {
-    const { format = 'csv', filters = {} } = req.body;
-    const userId = req.user.id;
-    const userRole = req.user.role;
-
-    // Build query with role-based permissions
-    const query = this.buildRoleBasedQuery(userId, userRole);
-    this.applyAdvancedFilters(query, filters);
-
-    // Get tickets for export
-    const tickets = await Ticket.find(query)
-      .populate('createdBy', 'firstName lastName email department')
-      .populate('assignedTo', 'firstName lastName email')
-      .select('-comments -attachments -history -__v')
-      .lean();
-
-    // Format data based on export format
-    let exportData;
-    let contentType;
-    let filename;
-
-    if (format === 'csv') {
-      exportData = this.formatTicketsToCSV(tickets);
-      contentType = 'text/csv';
-      filename = `tickets_export_${Date.now()}.csv`;
-    } else if (format === 'excel') {
-      exportData = this.formatTicketsToExcel(tickets);
-      contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-      filename = `tickets_export_${Date.now()}.xlsx`;
-    } else if (format === 'json') {
-      exportData = JSON.stringify(tickets, null, 2);
-      contentType = 'application/json';
-      filename = `tickets_export_${Date.now()}.json`;
-    } else {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid export format',
-        code: 'VALIDATION_ERROR'
+      
+      if (!this.checkViewPermission(userId, req.user.role, ticket)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to view this ticket',
+          code: 'PERMISSION_DENIED'
+        });
+      }
+      
+      res.json({
+        success: true,
+        data: {
+          watchers: ticket.watchers,
+          isWatching: ticket.isWatchedBy(userId)
+        }
       });
-    }
-
-    // Set headers for file download
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-
-    res.send(exportData);
-
-  } catch (error) {
-    logger.error(`Export tickets error: ${error.message}`, {
-      userId: req.user?.id,
-      error: error.stack
-    });
-
-    res.status(500).json({
-      success: false,
-      error: 'Failed to export tickets',
-      code: 'SERVER_ERROR'
-    });
-  }
-}
-
-/**
- * @method getTicketPublicStatus
- * @description Get ticket status for public access (no auth required)
- */
-static async getTicketPublicStatus(req, res) {
-  try {
-    const { ticketNumber } = req.params;
-
-    if (!ticketNumber) {
-      return res.status(400).json({
+      
+    } catch (error) {
+      logger.error(`Get watchers error: ${error.message}`, { ticketId: req.params.id });
+      
+      res.status(500).json({
         success: false,
-        error: 'Ticket number is required',
-        code: 'VALIDATION_ERROR'
+        error: 'Failed to get watchers',
+        code: 'SERVER_ERROR'
       });
     }
-
-    // Find ticket
-    const ticket = await Ticket.findOne({
-      $or: [
-        { ticketNumber: ticketNumber },
-        { _id: mongoose.Types.ObjectId.isValid(ticketNumber) ? ticketNumber : null }
-      ],
-      isDeleted: false
-    })
-      .populate('createdBy', 'firstName lastName')
-      .populate('assignedTo', 'firstName lastName')
-      .select('ticketNumber title status priority category createdAt updatedAt assignedTo resolvedAt closedAt')
+  }
+  
+  /**
+   * @method watchTicket
+   * @description Follow a ticket as the current user
+   */
+  static async watchTicket(req, res) {
+    try {
+      const userId = req.user.id;
+      const ticket = await Ticket.findById(req.params.id);
+      
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          error: 'Ticket not found',
+          code: 'TICKET_NOT_FOUND'
+        });
+      }
+      
+      if (!(await this.checkWatchPermission(userId, req.user.role, ticket))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to watch this ticket',
+          code: 'PERMISSION_DENIED'
+        });
+      }
+      
+      if (!ticket.isWatchedBy(userId) && ticket.watchers.length >= MAX_WATCHERS) {
+        return res.status(400).json({
+          success: false,
+          error: `A ticket can have at most ${MAX_WATCHERS} watchers`,
+          code: 'WATCHER_LIMIT'
+        });
+      }
+      
+      if (ticket.addWatcher(userId)) {
+        await ticket.save();
+      }
+      
+      res.json({
+        success: true,
+        message: 'You are now watching this ticket',
+        data: {
+          isWatching: true,
+          watcherCount: ticket.watchers.length
+        }
+      });
+      
+    } catch (error) {
+      logger.error(`Watch ticket error: ${error.message}`, { ticketId: req.params.id, userId: req.user?.id });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to watch ticket',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+  
+  /**
+   * @method unwatchTicket
+   * @description Stop following a ticket as the current user
+   */
+  static async unwatchTicket(req, res) {
+    try {
+      const ticket = await Ticket.findById(req.params.id);
+      
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          error: 'Ticket not found',
+          code: 'TICKET_NOT_FOUND'
+        });
+      }
+      
+      if (ticket.removeWatcher(req.user.id)) {
+        await ticket.save();
+      }
+      
+      res.json({
+        success: true,
+        message: 'You are no longer watching this ticket',
+        data: {
+          isWatching: false,
+          watcherCount: ticket.watchers.length
+        }
+      });
+      
+    } catch (error) {
+      logger.error(`Unwatch ticket error: ${error.message}`, { ticketId: req.params.id, userId: req.user?.id });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to unwatch ticket',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+  
+  /**
+   * @method addWatchers
+   * @description Add other users to a ticket's CC list ({ userIds: [] })
+   */
+  static async addWatchers(req, res) {
+    try {
+      const userId = req.user.id;
+      const userIds = Array.isArray(req.body.userIds) ? [...new Set(req.body.userIds.map(String))] : [];
+      
+      if (userIds.length === 0 || !userIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({
+          success: false,
+          error: 'userIds must be a non-empty array of user IDs',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+      
+      const ticket = await Ticket.findById(req.params.id);
+      
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          error: 'Ticket not found',
+          code: 'TICKET_NOT_FOUND'
+        });
+      }
+      
+      if (!this.checkManageWatchersPermission(userId, req.user.role, ticket)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to add watchers to this ticket',
+          code: 'PERMISSION_DENIED'
+        });
+      }
+      
+      const users = await User.find({ _id: { $in: userIds }, isActive: true }).select('_id');
+      
+      if (users.length !== userIds.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'One or more users were not found or are inactive',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+      
+      const added = users
+        .filter(user => !ticket.isWatchedBy(user._id))
+        .map(user => user._id);
+      
+      if (ticket.watchers.length + added.length > MAX_WATCHERS) {
+        return res.status(400).json({
+          success: false,
+          error: `A ticket can have at most ${MAX_WATCHERS} watchers`,
+          code: 'WATCHER_LIMIT'
+        });
+      }
+      
+      if (added.length > 0) {
+        added.forEach(watcherId => ticket.addWatcher(watcherId, userId));
+        await ticket.save();
+        
+        notificationService.createTicketNotifications(ticket, 'watcher_added', {
+          watchers: added,
+          performedBy: userId
+        });
+      }
+      
+      await ticket.populate('watchers.user', 'firstName lastName email role department');
+      
+      res.json({
+        success: true,
+        message: `${added.length} watcher${added.length === 1 ? '' : 's'} added`,
+        data: {
+          watchers: ticket.watchers,
+          added
+        }
+      });
+      
+    } catch (error) {
+      logger.error(`Add watchers error: ${error.message}`, { ticketId: req.params.id, userId: req.user?.id });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add watchers',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+  
+  /**
+   * @method removeWatcher
+   * @description Remove a user from a ticket's CC list (yourself, or anyone if you manage the ticket)
+   */
+  static async removeWatcher(req, res) {
+    try {
+      const userId = req.user.id;
+      const { watcherId } = req.params;
+      const ticket = await Ticket.findById(req.params.id);
+      
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          error: 'Ticket not found',
+          code: 'TICKET_NOT_FOUND'
+        });
+      }
+      
+      if (watcherId !== userId.toString() && !this.checkManageWatchersPermission(userId, req.user.role, ticket)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to remove watchers from this ticket',
+          code: 'PERMISSION_DENIED'
+        });
+      }
+      
+      if (!ticket.removeWatcher(watcherId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'User is not watching this ticket',
+          code: 'WATCHER_NOT_FOUND'
+        });
+      }
+      
+      await ticket.save();
+      
+      res.json({
+        success: true,
+        message: 'Watcher removed',
+        data: {
+          watcherCount: ticket.watchers.length
+        }
+      });
+      
+    } catch (error) {
+      logger.error(`Remove watcher error: ${error.message}`, { ticketId: req.params.id, userId: req.user?.id });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove watcher',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+  
+  /**
+   * Get query analytics
+   */
+  static async getQueryAnalytics(query) {
+    const analytics = await Ticket.aggregate([
+      { $match: query },
+      {
+        $facet: {
+          statusSummary: [
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+          ],
+          prioritySummary: [
+            { $group: { _id: '$priority', count: { $sum: 1 } } }
+          ],
+          categorySummary: [
+            { $group: { _id: '$category', count: { $sum: 1 } } }
+          ],
+          responseMetrics: [
+            {
+              $match: { 'sla.responseTime.actual': { $ne: null } }
+            },
+            {
+              $group: {
+                _id: null,
+                avgResponseTime: { $avg: '$sla.responseTime.actual' }, // business minutes
+                count: { $sum: 1 }
+              }
+            }
+          ],
+          ageDistribution: [
+            {
+              $project: {
+                ageInDays: {
+                  $floor: {
+                    $divide: [
+                      { $subtract: [new Date(), '$createdAt'] },
+                      1000 * 60 * 60 * 24
+                    ]
+                  }
+                }
+              }
+            },
+            {
+              $bucket: {
+                groupBy: '$ageInDays',
+                boundaries: [0, 1, 3, 7, 14, 30],
+                default: '30+',
+                output: {
+                  count: { $sum: 1 }
+                }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+    
+    return analytics[0] || {};
+  }
+  // Add these methods to your TicketController class
+
+/**
+ * @method exportTickets
+ * @description Export the tickets the user can see as CSV, XLSX, PDF or JSON
+ * Query: ?format=csv|xlsx|pdf|json plus the same filters as the ticket list
+ * CSV and JSON are streamed; XLSX and PDF are built in memory and capped
+ */
+static async exportTickets(req, res, options = {}) {
+  try {
+    // GET sends filters as query params; the older POST form sends { format, filters }
+    const source = req.method === 'GET'
+      ? req.query
+      : { ...(req.body?.filters || {}), format: req.body?.format };
+    const { format: requestedFormat = 'csv', ...filters } = source;
+    const format = requestedFormat === 'excel' ? 'xlsx' : requestedFormat;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid export format. Use one of: ${EXPORT_FORMATS.join(', ')}`,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // Build query with role-based permissions
+    const query = this.buildRoleBasedQuery(req.user.id, req.user.role);
+    this.applyAdvancedFilters(query, filters);
+    query.isDeleted = { $ne: true };
+
+    const findTickets = () => {
+      const find = Ticket.find(query)
+        .populate('createdBy', 'firstName lastName email department')
+        .populate('assignedTo', 'firstName lastName email')
+        .select('-comments -attachments -statusHistory -slaPauses -emailMessageIds -searchKeywords -__v')
+        .sort({ createdAt: -1 })
+        .lean();
+
+      return options.detailed ? find.populate('assignedGroup', 'name') : find;
+    };
+
+    const columns = this.getExportColumns(options);
+    const filename = `tickets_export_${Date.now()}`;
+
+    if (format === 'csv') {
+      // Byte order mark so Excel opens the file as UTF-8
+      return await this.streamExport(req, res, findTickets().cursor(), {
+        contentType: 'text/csv; charset=utf-8',
+        filename: `${filename}.csv`,
+        head: `\uFEFF${this.toCSVRow(columns.map(column => column.header))}\n`,
+        serialize: ticket => `${this.toCSVRow(columns.map(column => column.value(ticket)))}\n`
+      });
+    }
+
+    if (format === 'json') {
+      return await this.streamExport(req, res, findTickets().cursor(), {
+        contentType: 'application/json; charset=utf-8',
+        filename: `${filename}.json`,
+        head: '[\n',
+        separator: ',\n',
+        tail: '\n]\n',
+        serialize: ticket => JSON.stringify(ticket)
+      });
+    }
+
+    const total = await Ticket.countDocuments(query);
+
+    if (format === 'xlsx') {
+      if (total > EXPORT_LIMITS.xlsx) {
+        return res.status(400).json({
+          success: false,
+          error: `Too many tickets for an Excel export (${total}, limit ${EXPORT_LIMITS.xlsx}). Narrow the filters or export as CSV.`,
+          code: 'EXPORT_TOO_LARGE'
+        });
+      }
+
+      const tickets = await findTickets();
+      return this.sendExport(res, this.formatTicketsToExcel(tickets, options), {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        filename: `${filename}.xlsx`
+      });
+    }
+
+    // PDF: totals cover every match, the table the most recent tickets
+    const [tickets, totals] = await Promise.all([
+      findTickets().limit(EXPORT_LIMITS.pdf),
+      this.getExportTotals(query)
+    ]);
+
+    return this.sendExport(res, this.formatTicketsToPDF(tickets, {
+      total,
+      totals,
+      filters,
+      generatedBy: [req.user.firstName, req.user.lastName].filter(Boolean).join(' ') || req.user.email
+    }), {
+      contentType: 'application/pdf',
+      filename: `${filename}.pdf`
+    });
+
+  } catch (error) {
+    logger.error(`Export tickets error: ${error.message}`, {
+      userId: req.user?.id,
+      error: error.stack
+    });
+
+    // Mid-stream failures can only be signalled by cutting the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export tickets',
+      code: 'SERVER_ERROR'
+    });
+  }
+}
+
+/**
+ * @method exportAllTickets
+ * @description Admin export with requester/assignee contacts, resolution and escalation columns
+ */
+static async exportAllTickets(req, res) {
+  return this.exportTickets(req, res, { detailed: true });
+}
+
+/**
+ * @method getTicketPublicStatus
+ * @description Get ticket status for public access (no auth required)
+ * The caller proves they may see the ticket with the requester's email or the
+ * signed token from the ticket's emails; both failures look like "not found".
+ */
+static async getTicketPublicStatus(req, res) {
+  try {
+    const ticketNumber = String(req.params.ticketNumber || '').trim().toUpperCase();
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const token = req.body?.token || req.query.token;
+
+    if (!/^[A-Z0-9][A-Z0-9-]{2,39}$/.test(ticketNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid ticket number is required',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (!email && !token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Enter the email address the ticket was submitted with',
+        code: 'VERIFICATION_REQUIRED'
+      });
+    }
+
+    const ticket = await Ticket.findOne({ ticketId: ticketNumber, isDeleted: { $ne: true } })
+      .populate('createdBy', 'firstName email')
+      .populate('assignedTo', 'firstName')
+      .populate('comments.user', 'firstName role')
+      .select('ticketId title status priority category createdBy assignedTo contactInfo comments ' +
+        'statusHistory sla firstResponseAt resolvedAt closedAt createdAt updatedAt location campus')
       .lean();
 
-    if (!ticket) {
+    const verified = ticket && (token
+      ? TokenUtils.verifyTicketStatusToken(ticket.ticketId, String(token), publicStatusConfig.tokenSecret)
+      : [ticket.createdBy?.email, ticket.contactInfo?.alternateEmail]
+        .some(address => address && address.toLowerCase() === email));
+
+    if (!verified) {
       return res.status(404).json({
         success: false,
-        error: 'Ticket not found',
+        error: 'No ticket matches that number and email address',
         code: 'TICKET_NOT_FOUND'
       });
     }
 
-    // Calculate SLA status for public view
-    const slaStatus = this.calculateSLAStatus(ticket);
-    const isOverdue = this.isTicketOverdue(ticket);
+    // Internal notes, staff surnames and who changed what stay private
+    const comments = (ticket.comments || [])
+      .filter(comment => !comment.isInternal)
+      .slice(-publicStatusConfig.maxComments)
+      .map(comment => ({
+        author: comment.user?._id?.equals(ticket.createdBy?._id)
+          ? 'You'
+          : `${comment.user?.firstName || 'Support'} (IT Support)`,
+        message: comment.message,
+        createdAt: comment.createdAt
+      }));
 
-    // Return limited public information
     res.json({
       success: true,
       data: {
-        ticketNumber: ticket.ticketNumber,
+        ticketNumber: ticket.ticketId,
         title: ticket.title,
         status: ticket.status,
         priority: ticket.priority,
         category: ticket.category,
-        createdBy: ticket.createdBy ? {
-          firstName: ticket.createdBy.firstName,
-          lastName: ticket.createdBy.lastName
-        } : null,
-        assignedTo: ticket.assignedTo ? {
-          firstName: ticket.assignedTo.firstName,
-          lastName: ticket.assignedTo.lastName
-        } : null,
+        assignedTo: ticket.assignedTo ? { firstName: ticket.assignedTo.firstName } : null,
         createdAt: ticket.createdAt,
         updatedAt: ticket.updatedAt,
-        resolvedAt: ticket.resolvedAt,
-        closedAt: ticket.closedAt,
-        slaStatus,
-        isOverdue,
-        timeline: [
-          {
-            event: 'Created',
-            date: ticket.createdAt,
-            status: 'Open'
-          },
-          ...(ticket.assignedTo ? [{
-            event: 'Assigned',
-            date: ticket.assignedAt,
-            status: 'Assigned'
-          }] : []),
-          ...(ticket.resolvedAt ? [{
-            event: 'Resolved',
-            date: ticket.resolvedAt,
-            status: 'Resolved'
-          }] : []),
-          ...(ticket.closedAt ? [{
-            event: 'Closed',
-            date: ticket.closedAt,
-            status: 'Closed'
-          }] : [])
-        ].filter(item => item.date)
+        resolvedAt: ticket.resolvedAt || null,
+        closedAt: ticket.closedAt || null,
+        eta: this.getPublicETA(ticket),
+        timeline: (ticket.statusHistory || []).map(entry => ({
+          status: entry.status,
+          date: entry.changedAt
+        })),
+        comments
       },
       supportContact: {
         email: 'itsupport@bugemauniv.ac.ug',
@@ -1793,6 +2255,39 @@ static async getTicketPublicStatus(req, res) {
   }
 }
 
+/**
+ * Expected response and resolution times from the SLA deadlines
+ */
+static getPublicETA(ticket) {
+  if (FINISHED_STATUSES.includes(ticket.status)) {
+    return { finished: true };
+  }
+
+  const { remaining } = slaService.calculateTimeRemaining(ticket);
+  const now = new Date();
+  const responseDeadline = slaService.getDeadline(ticket, 'response');
+  const resolutionDeadline = slaService.getDeadline(ticket, 'resolution');
+
+  return {
+    finished: false,
+    respondedAt: ticket.firstResponseAt || null,
+    responseExpectedBy: ticket.firstResponseAt ? null : responseDeadline,
+    resolutionExpectedBy: resolutionDeadline,
+    // Business time left on the clock (the deadline moves while the ticket is on hold)
+    resolutionRemaining: remaining.resolution ? slaService.formatTime(Math.max(0, remaining.resolution.minutes)) : null,
+    isOnHold: Boolean(ticket.sla?.isPaused),
+    isOverdue: Boolean(resolutionDeadline && !ticket.sla?.isPaused && now > resolutionDeadline)
+  };
+}
+
+/**
+ * Signed link to a ticket's public status page
+ */
+static getPublicStatusUrl(ticketNumber) {
+  const token = TokenUtils.createTicketStatusToken(ticketNumber, publicStatusConfig.tokenSecret);
+  return `${publicStatusConfig.frontendUrl}/status/${encodeURIComponent(ticketNumber)}?token=${token}`;
+}
+
 /**
  * @method getOverdueTickets
  * @description Get all overdue tickets
@@ -1808,11 +2303,13 @@ static async getOverdueTickets(req, res) {
     // Find overdue tickets
     const overdueTickets = await Ticket.find({
       ...query,
-      status: { $nin: ['Resolved', 'Closed'] },
-      $or: [
-        { 'sla.resolutionDeadline': { $lt: new Date() } },
-        { dueDate: { $lt: new Date() } }
-      ]
+      status: { $nin: ['resolved', 'closed'] },
+      $and: [{
+        $or: [
+          { 'sla.resolutionDeadline': { $lt: new Date() } },
+          { dueDate: { $lt: new Date() } }
+        ]
+      }]
     })
       .populate('createdBy', 'firstName lastName email department')
       .populate('assignedTo', 'firstName lastName email')
@@ -1853,8 +2350,8 @@ static async getOverdueTickets(req, res) {
         stats: overdueStats,
         summary: {
           totalOverdue: overdueTickets.length,
-          criticalOverdue: overdueStats.byPriority['Critical'] || 0,
-          highOverdue: overdueStats.byPriority['High'] || 0,
+          criticalOverdue: overdueStats.byPriority['critical'] || 0,
+          highOverdue: overdueStats.byPriority['high'] || 0,
           escalationNeeded: enhancedTickets.filter(t => t.escalationRequired).length
         }
       }
@@ -1890,7 +2387,7 @@ static async getSLADashboard(req, res) {
       {
         $match: {
           createdAt: { $gte: dateRange.start, $lte: dateRange.end },
-          isDeleted: false
+          isDeleted: { $ne: true }
         }
       },
       {
@@ -1906,8 +2403,8 @@ static async getSLADashboard(req, res) {
                     $cond: [
                       { 
                         $and: [
-                          { $ne: ['$firstResponseAt', null] },
-                          { $lte: ['$firstResponseAt', '$sla.responseDeadline'] }
+                          { $gt: ['$firstResponseAt', null] },
+                          { $ne: ['$sla.responseTime.breached', true] }
                         ]
                       },
                       1,
@@ -1920,8 +2417,8 @@ static async getSLADashboard(req, res) {
                     $cond: [
                       { 
                         $and: [
-                          { $eq: ['$status', 'Resolved'] },
-                          { $lte: ['$resolvedAt', '$sla.resolutionDeadline'] }
+                          { $eq: ['$status', 'resolved'] },
+                          { $lte: ['$resolvedAt', '$sla.resolutionTime.deadline'] }
                         ]
                       },
                       1,
@@ -1944,8 +2441,8 @@ static async getSLADashboard(req, res) {
                     $cond: [
                       { 
                         $and: [
-                          { $ne: ['$firstResponseAt', null] },
-                          { $lte: ['$firstResponseAt', '$sla.responseDeadline'] }
+                          { $gt: ['$firstResponseAt', null] },
+                          { $ne: ['$sla.responseTime.breached', true] }
                         ]
                       },
                       1,
@@ -1968,7 +2465,7 @@ static async getSLADashboard(req, res) {
                     $cond: [
                       { 
                         $and: [
-                          { $eq: ['$status', 'Resolved'] },
+                          { $eq: ['$status', 'resolved'] },
                           { $lte: ['$resolvedAt', '$sla.resolutionDeadline'] }
                         ]
                       },
@@ -1981,43 +2478,22 @@ static async getSLADashboard(req, res) {
             }
           ],
           
-          // Average response times
+          // First response times (business time, excluding Pending pauses)
           responseTimes: [
             {
-              $match: { firstResponseAt: { $ne: null } }
+              $match: { 'sla.responseTime.actual': { $ne: null } }
             },
             {
               $group: {
                 _id: null,
-                avgResponseTime: {
-                  $avg: {
-                    $divide: [
-                      { $subtract: ['$firstResponseAt', '$createdAt'] },
-                      1000 * 60 // Convert to minutes
-                    ]
-                  }
-                },
-                minResponseTime: {
-                  $min: {
-                    $divide: [
-                      { $subtract: ['$firstResponseAt', '$createdAt'] },
-                      1000 * 60
-                    ]
-                  }
-                },
-                maxResponseTime: {
-                  $max: {
-                    $divide: [
-                      { $subtract: ['$firstResponseAt', '$createdAt'] },
-                      1000 * 60
-                    ]
-                  }
-                }
+                avgResponseTime: { $avg: '$sla.responseTime.actual' },
+                minResponseTime: { $min: '$sla.responseTime.actual' },
+                maxResponseTime: { $max: '$sla.responseTime.actual' }
               }
             }
           ],
           
-          // Average resolution times
+          // Average resolution times (business time, excluding Pending pauses)
           resolutionTimes: [
             {
               $match: { resolvedAt: { $ne: null } }
@@ -2027,11 +2503,11 @@ static async getSLADashboard(req, res) {
                 _id: null,
                 avgResolutionTime: {
                   $avg: {
-                    $divide: [
-                      { $subtract: ['$resolvedAt', '$createdAt'] },
-                      1000 * 60 * 60 // Convert to hours
-                    ]
+                    $divide: ['$sla.resolutionTime.actual', 60] // Convert to hours
                   }
+                },
+                avgPausedTime: {
+                  $avg: { $ifNull: ['$sla.totalPausedMinutes', 0] }
                 }
               }
             }
@@ -2047,8 +2523,8 @@ static async getSLADashboard(req, res) {
                   $cond: [
                     { 
                       $and: [
-                        { $eq: ['$status', 'Resolved'] },
-                        { $gt: ['$resolvedAt', '$sla.resolutionDeadline'] }
+                        { $eq: ['$status', 'resolved'] },
+                        { $gt: ['$resolvedAt', '$sla.resolutionTime.deadline'] }
                       ]
                     },
                     1,
@@ -2089,7 +2565,8 @@ static async getSLADashboard(req, res) {
           ? ((overall.resolutionSlaMet || 0) / overall.totalTickets) * 100
           : 0,
         avgResponseTime: metrics.responseTimes[0]?.avgResponseTime || 0,
-        avgResolutionTime: metrics.resolutionTimes[0]?.avgResolutionTime || 0
+        avgResolutionTime: metrics.resolutionTimes[0]?.avgResolutionTime || 0,
+        avgPausedTime: metrics.resolutionTimes[0]?.avgPausedTime || 0
       },
       breakdown: {
         byPriority: metrics.byPriority.map(item => ({
@@ -2123,188 +2600,170 @@ static async getSLADashboard(req, res) {
       error: error.stack
     });
 
-    res.status(500).json({
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch SLA dashboard',
+      code: 'SERVER_ERROR'
+    });
+  }
+}
+
+/**
+ * @method bulkUpdateTickets
+ * @description Apply one operation to many tickets, reporting success or failure per ticket
+ * Operations: status, assign, priority, tags, close, delete
+ * Body: { ticketIds, notes (or changeReason), ...operation fields }
+ * Each ticket is saved in its own transaction, so one failure never undoes the others
+ */
+static async bulkUpdateTickets(req, res, operation) {
+  const { ticketIds, notes, changeReason } = req.body;
+  const userId = req.user.id;
+  const userRole = req.user.role;
+  const reason = notes || changeReason || '';
+
+  if (!BULK_OPERATIONS.includes(operation)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown bulk operation. Use one of: ${BULK_OPERATIONS.join(', ')}`,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  if (!Array.isArray(ticketIds) || ticketIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Ticket IDs are required',
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const requestedIds = [...new Set(ticketIds.map(String))];
+
+  if (requestedIds.length > MAX_BULK_TICKETS) {
+    return res.status(400).json({
       success: false,
-      error: 'Failed to fetch SLA dashboard',
-      code: 'SERVER_ERROR'
+      error: `A bulk operation can change at most ${MAX_BULK_TICKETS} tickets`,
+      code: 'VALIDATION_ERROR'
     });
   }
-}
-
-/**
- * @method bulkUpdateTickets
- * @description Bulk update multiple tickets
- */
-static async bulkUpdateTickets(req, res) {
-  const session = await Ticket.startSession();
-  session.startTransaction();
-  
-  try {
-    const { ticketIds, updates, changeReason } = req.body;
-    const userId = req.user.id;
-    const userRole = req.user.role;
 
-    if (!ticketIds || !Array.isArray(ticketIds) || ticketIds.length === 0) {
-      await session.abortTransaction();
-      session.endSession();
-      
-      return res.status(400).json({
-        success: false,
-        error: 'Ticket IDs are required',
-        code: 'VALIDATION_ERROR'
-      });
-    }
+  let session;
 
-    if (!updates || Object.keys(updates).length === 0) {
-      await session.abortTransaction();
-      session.endSession();
-      
-      return res.status(400).json({
-        success: false,
-        error: 'No updates provided',
-        code: 'VALIDATION_ERROR'
-      });
-    }
+  try {
+    const prepared = await this.prepareBulkOperation(operation, req.body);
 
-    // Validate ticket IDs
-    const validObjectIds = ticketIds.filter(id => mongoose.Types.ObjectId.isValid(id));
-    
-    if (validObjectIds.length === 0) {
-      await session.abortTransaction();
-      session.endSession();
-      
+    if (prepared.error) {
       return res.status(400).json({
         success: false,
-        error: 'No valid ticket IDs provided',
+        error: prepared.error,
         code: 'VALIDATION_ERROR'
       });
     }
 
-    // Check permissions for all tickets
     const tickets = await Ticket.find({
-      _id: { $in: validObjectIds },
-      isDeleted: false
-    }).session(session);
+      _id: { $in: requestedIds.filter(id => mongoose.Types.ObjectId.isValid(id)) },
+      isDeleted: { $ne: true }
+    });
+    const ticketsById = new Map(tickets.map(ticket => [ticket._id.toString(), ticket]));
 
-    if (tickets.length === 0) {
-      await session.abortTransaction();
-      session.endSession();
-      
-      return res.status(404).json({
-        success: false,
-        error: 'No tickets found',
-        code: 'TICKETS_NOT_FOUND'
-      });
-    }
+    // Ties the per-ticket audit records of this request together
+    const batchId = crypto.randomUUID();
+    const results = [];
+    const updated = [];
 
-    // Verify permissions for each ticket
-    for (const ticket of tickets) {
-      if (!this.checkEditPermission(userId, userRole, ticket)) {
-        await session.abortTransaction();
-        session.endSession();
-        
-        return res.status(403).json({
-          success: false,
-          error: `Not authorized to update ticket ${ticket.ticketNumber}`,
-          code: 'PERMISSION_DENIED'
-        });
-      }
-    }
+    session = await Ticket.startSession();
 
-    // Apply updates to all tickets
-    const updateResults = {
-      successful: [],
-      failed: []
-    };
+    for (const ticketId of requestedIds) {
+      const ticket = ticketsById.get(ticketId);
+      const result = { ticketId, ticketNumber: ticket?.ticketId };
 
-    for (const ticket of tickets) {
       try {
-        // Track old values
-        const oldTicket = ticket.toObject();
-        const changes = {};
-
-        // Apply allowed updates
-        const allowedUpdates = [
-          'status', 'priority', 'assignedTo', 'department', 'category',
-          'tags', 'escalationLevel'
-        ];
+        if (!mongoose.Types.ObjectId.isValid(ticketId)) {
+          throw new AppError('Invalid ticket ID', 400, 'INVALID_ID');
+        }
 
-        for (const field of allowedUpdates) {
-          if (updates[field] !== undefined && updates[field] !== ticket[field]) {
-            changes[field] = {
-              old: ticket[field],
-              new: updates[field]
-            };
-            ticket[field] = updates[field];
-          }
+        if (!ticket) {
+          throw new AppError('Ticket not found', 404, 'TICKET_NOT_FOUND');
         }
 
-        // Add to history if changes were made
-        if (Object.keys(changes).length > 0) {
-          ticket.history.push({
-            action: 'BULK_UPDATED',
-            performedBy: userId,
-            changes,
-            notes: changeReason || 'Bulk update',
-            timestamp: new Date()
-          });
+        if (!this.checkEditPermission(userId, userRole, ticket)) {
+          throw new AppError('Not authorized to update this ticket', 403, 'PERMISSION_DENIED');
+        }
+
+        const before = { status: ticket.status, assignedTo: ticket.assignedTo };
+        let changes;
 
-          ticket.updatedAt = new Date();
+        session.startTransaction();
+        try {
+          changes = await this.applyBulkOperation(operation, ticket, prepared.payload, { userId, userRole, reason, session });
           await ticket.save({ session });
+          await session.commitTransaction();
+        } catch (error) {
+          await session.abortTransaction();
+          throw error;
+        }
 
-          updateResults.successful.push({
-            ticketNumber: ticket.ticketNumber,
-            changes: Object.keys(changes)
-          });
-        } else {
-          updateResults.failed.push({
-            ticketNumber: ticket.ticketNumber,
-            reason: 'No changes applied'
+        auditService.log({
+          action: `BULK_${operation.toUpperCase()}`,
+          entityType: 'Ticket',
+          entityId: ticket._id,
+          severity: operation === 'delete' ? 'warning' : 'info',
+          details: {
+            ticketNumber: ticket.ticketId,
+            changes,
+            reason: reason || undefined,
+            batchId
+          }
+        }, req);
+
+        updated.push({ ticket, before });
+        results.push({ ...result, success: true, changes });
+      } catch (error) {
+        const known = error instanceof AppError || error.name === 'ValidationError';
+
+        if (!known) {
+          logger.error(`Bulk ${operation} failed for ticket ${ticketId}: ${error.message}`, {
+            userId,
+            error: error.stack
           });
         }
-      } catch (error) {
-        updateResults.failed.push({
-          ticketNumber: ticket.ticketNumber,
-          reason: error.message
+
+        results.push({
+          ...result,
+          success: false,
+          reason: known ? error.message : 'Update failed',
+          code: error.errorCode || (known ? 'VALIDATION_ERROR' : 'SERVER_ERROR')
         });
       }
     }
 
-    // Send notifications for significant changes
-    if (updates.assignedTo || updates.status) {
-      await this.sendBulkUpdateNotifications(tickets, updates, userId, session);
-    }
+    this.announceBulkChanges(updated, userId);
 
-    // Commit transaction
-    await session.commitTransaction();
-    session.endSession();
+    const succeeded = results.filter(result => result.success).length;
 
-    logger.info(`Bulk update completed by ${userId}`, {
+    logger.info(`Bulk ${operation} by ${userId}: ${succeeded}/${results.length} tickets updated`, {
       userId,
-      totalTickets: tickets.length,
-      successful: updateResults.successful.length,
-      failed: updateResults.failed.length
+      operation,
+      batchId
     });
 
     res.json({
       success: true,
+      message: `${succeeded} of ${results.length} ticket${results.length === 1 ? '' : 's'} updated`,
       data: {
-        results: updateResults,
+        operation,
+        results,
         summary: {
-          totalProcessed: tickets.length,
-          successful: updateResults.successful.length,
-          failed: updateResults.failed.length,
-          successRate: (updateResults.successful.length / tickets.length) * 100
+          requested: results.length,
+          succeeded,
+          failed: results.length - succeeded
         }
       }
     });
 
   } catch (error) {
-    await session.abortTransaction();
-    session.endSession();
-
-    logger.error(`Bulk update tickets error: ${error.message}`, {
-      userId: req.user?.id,
+    logger.error(`Bulk ${operation} error: ${error.message}`, {
+      userId,
       error: error.stack
     });
 
@@ -2313,6 +2772,285 @@ static async bulkUpdateTickets(req, res) {
       error: 'Failed to perform bulk update',
       code: 'SERVER_ERROR'
     });
+  } finally {
+    if (session) session.endSession();
+  }
+}
+
+// ============================================
+// BULK OPERATION HELPERS
+// ============================================
+
+/**
+ * Validate an operation's input once for the whole batch
+ * Returns { payload } or { error }
+ */
+static async prepareBulkOperation(operation, body) {
+  switch (operation) {
+    case 'status': {
+      const statuses = Ticket.schema.path('status').enumValues;
+      if (!statuses.includes(body.status)) {
+        return { error: `Invalid status. Use one of: ${statuses.join(', ')}` };
+      }
+      return { payload: { status: body.status } };
+    }
+
+    case 'priority': {
+      const priorities = Ticket.schema.path('priority').enumValues;
+      if (!priorities.includes(body.priority)) {
+        return { error: `Invalid priority. Use one of: ${priorities.join(', ')}` };
+      }
+      return { payload: { priority: body.priority } };
+    }
+
+    case 'assign': {
+      const assigneeId = body.assigneeId ?? body.assignedTo ?? null;
+
+      // Empty assignee unassigns
+      if (!assigneeId) {
+        return { payload: { assignee: null } };
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(assigneeId)) {
+        return { error: 'Invalid assignee ID' };
+      }
+
+      const assignee = await User.findOne({
+        _id: assigneeId,
+        role: { $in: [/^technician$/i, /^admin$/i] },
+        isActive: { $ne: false }
+      }).select('firstName lastName role');
+
+      if (!assignee) {
+        return { error: 'Assignee must be an active technician or admin' };
+      }
+
+      return { payload: { assignee } };
+    }
+
+    case 'tags': {
+      const normalize = tags => [...new Set((Array.isArray(tags) ? tags : [tags])
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim().toLowerCase())
+        .filter(Boolean))];
+
+      const add = normalize(body.add ?? body.tags ?? []);
+      const remove = normalize(body.remove ?? []);
+
+      if (add.length === 0 && remove.length === 0) {
+        return { error: 'Provide tags to add or remove' };
+      }
+
+      const tooLong = [...add, ...remove].find(tag => tag.length > 30);
+      if (tooLong) {
+        return { error: `Tag "${tooLong}" exceeds 30 characters` };
+      }
+
+      return { payload: { add, remove } };
+    }
+
+    case 'close':
+      return { payload: { status: 'closed' } };
+
+    case 'delete':
+      return { payload: {} };
+
+    default:
+      return { error: 'Unknown bulk operation' };
+  }
+}
+
+/**
+ * Apply a prepared operation to one ticket (not saved)
+ * Returns the changes as { field: { from, to } }; throws AppError when the ticket is skipped
+ */
+static async applyBulkOperation(operation, ticket, payload, { userId, userRole, reason, session }) {
+  const finished = FINISHED_STATUSES.includes(ticket.status);
+
+  switch (operation) {
+    case 'status':
+    case 'close': {
+      if (ticket.status === payload.status) {
+        throw new AppError(`Ticket is already ${ticket.status}`, 409, 'NO_CHANGE');
+      }
+      if (operation === 'close' && ticket.status === 'cancelled') {
+        throw new AppError('Ticket is cancelled', 409, 'TICKET_FINISHED');
+      }
+
+      const from = ticket.status;
+      await this.setBulkStatus(ticket, payload.status, { userId, userRole, reason, session });
+
+      return { status: { from, to: ticket.status } };
+    }
+
+    case 'priority': {
+      if (finished) {
+        throw new AppError(`Ticket is ${ticket.status}`, 409, 'TICKET_FINISHED');
+      }
+      if (ticket.priority === payload.priority) {
+        throw new AppError(`Priority is already ${ticket.priority}`, 409, 'NO_CHANGE');
+      }
+
+      const from = ticket.priority;
+      ticket.priority = payload.priority;
+
+      return { priority: { from, to: ticket.priority } };
+    }
+
+    case 'assign': {
+      const previous = ticket.assignedTo ? ticket.assignedTo.toString() : null;
+      const next = payload.assignee ? payload.assignee._id.toString() : null;
+
+      if (finished) {
+        throw new AppError(`Ticket is ${ticket.status}`, 409, 'TICKET_FINISHED');
+      }
+      if (previous === next) {
+        throw new AppError(next ? 'Ticket is already assigned to this user' : 'Ticket is not assigned', 409, 'NO_CHANGE');
+      }
+
+      const changes = { assignedTo: { from: previous, to: next } };
+      const statusBefore = ticket.status;
+
+      if (previous) {
+        await assignmentService.release(previous, session);
+      }
+
+      if (next) {
+        await assignmentService.recordAssignment(next, session);
+
+        ticket.assignedTo = next;
+        ticket.assignedBy = userId;
+        ticket.assignedAt = new Date();
+        ticket.assignment = { method: 'manual', attempts: ticket.assignment?.attempts || 0 };
+
+        if (['open', 'reopened'].includes(ticket.status)) {
+          await this.setBulkStatus(ticket, 'assigned', { userId, userRole, reason, session });
+        }
+      } else {
+        ticket.assignedTo = null;
+
+        if (ticket.status === 'assigned') {
+          await this.setBulkStatus(ticket, 'open', { userId, userRole, reason, session });
+        }
+      }
+
+      if (ticket.status !== statusBefore) {
+        changes.status = { from: statusBefore, to: ticket.status };
+      }
+
+      return changes;
+    }
+
+    case 'tags': {
+      const current = ticket.tags || [];
+      const added = payload.add.filter(tag => !current.includes(tag));
+      const removed = payload.remove.filter(tag => current.includes(tag) && !payload.add.includes(tag));
+
+      if (added.length === 0 && removed.length === 0) {
+        throw new AppError('Tags are already up to date', 409, 'NO_CHANGE');
+      }
+
+      ticket.tags = [...current.filter(tag => !removed.includes(tag)), ...added];
+
+      return { tags: { added, removed } };
+    }
+
+    case 'delete': {
+      if (ticket.assignedTo && !finished) {
+        await assignmentService.release(ticket.assignedTo, session);
+      }
+
+      ticket.isDeleted = true;
+      ticket.deletedAt = new Date();
+      ticket.deletedBy = userId;
+
+      return { isDeleted: { from: false, to: true } };
+    }
+
+    default:
+      throw new AppError('Unknown bulk operation', 400, 'VALIDATION_ERROR');
+  }
+}
+
+/**
+ * Change status the way a single update would: history entry, technician
+ * slot, resolution details and first response
+ */
+static async setBulkStatus(ticket, status, { userId, userRole, reason, session }) {
+  const previous = ticket.status;
+  const now = new Date();
+
+  // Picked up by the model's status history hook
+  ticket.modifiedBy = userId;
+  ticket.$locals.statusComment = reason
+    ? `Status changed to ${status} (bulk): ${reason}`
+    : `Status changed to ${status} (bulk)`;
+  ticket.status = status;
+
+  // Finished tickets no longer count against the technician's limit
+  if (ticket.assignedTo && FINISHED_STATUSES.includes(status) && !FINISHED_STATUSES.includes(previous)) {
+    await assignmentService.release(ticket.assignedTo, session);
+  }
+
+  if (status === 'resolved') {
+    ticket.resolution.resolvedBy = userId;
+    ticket.resolvedAt = now;
+    ticket.actualResolutionTime = Math.round((now - ticket.createdAt) / 60000);
+    slaService.updateBreachFlags(ticket, now);
+  }
+
+  // A staff status change counts as the first response
+  if (['technician', 'admin'].includes(userRole)) {
+    ticket.recordFirstResponse(userId);
+  }
+}
+
+/**
+ * Notifications, live updates and queue processing for a finished batch
+ */
+static announceBulkChanges(updated, userId) {
+  let slotFreed = false;
+
+  for (const { ticket, before } of updated) {
+    const previousAssignee = socketService.toId(before.assignedTo);
+    const currentAssignee = socketService.toId(ticket.assignedTo);
+
+    if (ticket.isDeleted) {
+      slotFreed = slotFreed || !!previousAssignee;
+      continue;
+    }
+
+    if (ticket.status !== before.status) {
+      socketService.ticketStatusChanged(ticket, before.status, userId);
+      notificationService.createTicketNotifications(ticket, 'status_changed', {
+        previousStatus: before.status,
+        performedBy: userId
+      }).catch(error => logger.error(`Bulk notification error: ${error.message}`));
+
+      slotFreed = slotFreed || (FINISHED_STATUSES.includes(ticket.status) && !!currentAssignee);
+    }
+
+    if (currentAssignee !== previousAssignee) {
+      socketService.ticketAssigned(ticket, before.assignedTo, userId);
+
+      if (currentAssignee) {
+        notificationService.createTicketNotifications(ticket, 'ticket_assigned', { assignedBy: userId })
+          .catch(error => logger.error(`Bulk notification error: ${error.message}`));
+      }
+      if (previousAssignee) {
+        notificationService.createTicketNotifications(ticket, 'ticket_unassigned', {
+          previousAssignee,
+          performedBy: userId
+        }).catch(error => logger.error(`Bulk notification error: ${error.message}`));
+        slotFreed = true;
+      }
+    }
+  }
+
+  // Technician slots opened up - retry queued tickets in the background
+  if (slotFreed) {
+    assignmentService.processQueue()
+      .catch(error => logger.error(`Assignment queue error: ${error.message}`));
   }
 }
 
@@ -2320,60 +3058,283 @@ static async bulkUpdateTickets(req, res) {
 // ADDITIONAL HELPER METHODS
 // ============================================
 
+/**
+ * Columns shared by the CSV and Excel exports
+ * Options: detailed - add the admin-only columns
+ */
+static getExportColumns({ detailed = false } = {}) {
+  const person = user => (user ? `${user.firstName} ${user.lastName}` : '');
+
+  const columns = [
+    { header: 'Ticket Number', width: 16, value: ticket => ticket.ticketId },
+    { header: 'Title', width: 40, value: ticket => ticket.title },
+    { header: 'Description', width: 60, value: ticket => ticket.description },
+    { header: 'Status', width: 12, value: ticket => ticket.status },
+    { header: 'Priority', width: 10, value: ticket => ticket.priority },
+    { header: 'Category', width: 14, value: ticket => ticket.category },
+    { header: 'Department', width: 14, value: ticket => ticket.department },
+    { header: 'Created By', width: 22, value: ticket => person(ticket.createdBy) },
+    { header: 'Created At', width: 17, value: ticket => ticket.createdAt },
+    { header: 'Assigned To', width: 22, value: ticket => person(ticket.assignedTo) },
+    { header: 'Assigned At', width: 17, value: ticket => ticket.assignedAt },
+    { header: 'First Response At', width: 17, value: ticket => ticket.firstResponseAt },
+    { header: 'First Response (business min)', width: 14, value: ticket => ticket.sla?.responseTime?.actual },
+    { header: 'Response SLA Breached', width: 12, value: ticket => (ticket.sla?.responseTime?.breached ? 'Yes' : 'No') },
+    { header: 'Resolved At', width: 17, value: ticket => ticket.resolvedAt },
+    { header: 'Closed At', width: 17, value: ticket => ticket.closedAt },
+    { header: 'SLA Status', width: 12, value: ticket => this.calculateSLAStatus(ticket) },
+    { header: 'Due Date', width: 17, value: ticket => ticket.sla?.resolutionTime?.deadline },
+    { header: 'Campus', width: 16, value: ticket => ticket.campus },
+    { header: 'Building', width: 18, value: ticket => ticket.building },
+    { header: 'Room', width: 10, value: ticket => ticket.roomNumber }
+  ];
+
+  if (detailed) {
+    columns.push(
+      { header: 'Requester Email', width: 28, value: ticket => ticket.createdBy?.email },
+      { header: 'Assignee Email', width: 28, value: ticket => ticket.assignedTo?.email },
+      { header: 'Support Group', width: 18, value: ticket => ticket.assignedGroup?.name },
+      { header: 'Sub-category', width: 16, value: ticket => ticket.subCategory },
+      { header: 'Source', width: 8, value: ticket => ticket.source },
+      { header: 'Resolution (business min)', width: 14, value: ticket => ticket.sla?.resolutionTime?.actual },
+      { header: 'Resolution SLA Breached', width: 12, value: ticket => (ticket.sla?.resolutionTime?.breached ? 'Yes' : 'No') },
+      { header: 'Escalation Level', width: 10, value: ticket => ticket.escalation?.level },
+      { header: 'Reopen Count', width: 10, value: ticket => ticket.reopenCount },
+      { header: 'Satisfaction Rating', width: 10, value: ticket => ticket.customerSatisfaction },
+      { header: 'Tags', width: 24, value: ticket => (ticket.tags || []).join(', ') },
+      { header: 'Updated At', width: 17, value: ticket => ticket.updatedAt }
+    );
+  }
+
+  return columns;
+}
+
 /**
  * Format tickets to CSV
  */
-static formatTicketsToCSV(tickets) {
-  const headers = [
-    'Ticket Number',
-    'Title',
-    'Description',
-    'Status',
-    'Priority',
-    'Category',
-    'Department',
-    'Created By',
-    'Created At',
-    'Assigned To',
-    'Assigned At',
-    'Resolved At',
-    'Closed At',
-    'SLA Status',
-    'Due Date',
-    'Campus',
-    'Building',
-    'Room'
+static formatTicketsToCSV(tickets, options = {}) {
+  const columns = this.getExportColumns(options);
+
+  return [
+    this.toCSVRow(columns.map(column => column.header)),
+    ...tickets.map(ticket => this.toCSVRow(columns.map(column => column.value(ticket))))
+  ].join('\n');
+}
+
+/**
+ * One CSV line; text is quoted (and can't start a formula), dates are ISO 8601
+ */
+static toCSVRow(values) {
+  return values.map(value => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'string') return `"${XlsxWriter.escapeFormula(value).replace(/"/g, '""')}"`;
+    return value;
+  }).join(',');
+}
+
+/**
+ * Format tickets to an Excel workbook
+ */
+static formatTicketsToExcel(tickets, options = {}) {
+  const columns = this.getExportColumns(options);
+
+  return XlsxWriter.build([{
+    name: 'Tickets',
+    columns,
+    rows: tickets.map(ticket => columns.map(column => column.value(ticket)))
+  }]);
+}
+
+/**
+ * Printable ticket summary: totals by status and priority, then one row per ticket
+ */
+static formatTicketsToPDF(tickets, { total = tickets.length, totals = {}, filters = {}, generatedBy = '' } = {}) {
+  const doc = new PdfDocument({ size: 'A4', landscape: true, title: 'Ticket Summary', author: generatedBy });
+  const { margin } = doc;
+  const contentWidth = doc.width - margin * 2;
+  const bottom = doc.height - margin - 24;
+  const rowHeight = 16;
+  const muted = '#555555';
+  const brand = '#1f4e79';
+
+  const person = user => (user ? `${user.firstName} ${user.lastName}` : '');
+  const columns = [
+    { header: 'Ticket #', width: 78, value: ticket => ticket.ticketId },
+    { header: 'Title', width: 185, value: ticket => ticket.title },
+    { header: 'Status', width: 64, value: ticket => ticket.status },
+    { header: 'Priority', width: 50, value: ticket => ticket.priority },
+    { header: 'Category', width: 70, value: ticket => ticket.category },
+    { header: 'Department', width: 62, value: ticket => ticket.department },
+    { header: 'Requester', width: 90, value: ticket => person(ticket.createdBy) },
+    { header: 'Assigned To', width: 90, value: ticket => person(ticket.assignedTo) || 'Unassigned' },
+    { header: 'Created', width: 80, value: ticket => this.formatExportDate(ticket.createdAt) }
+  ];
+
+  // Title block
+  doc.text('Bugema University IT Support', margin, margin, { size: 16, bold: true, color: brand });
+  doc.text('Ticket Summary', margin, margin + 22, { size: 12, bold: true });
+  doc.text(
+    `Generated ${this.formatExportDate(new Date())} UTC${generatedBy ? ` by ${generatedBy}` : ''}`,
+    margin, margin + 24, { size: 9, color: muted, align: 'right', width: contentWidth }
+  );
+
+  let y = margin + 44;
+
+  const filterText = Object.entries(filters)
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+    .join('; ');
+  doc.text(doc.truncate(`Filters: ${filterText || 'none'}`, contentWidth, 9), margin, y, { size: 9, color: muted });
+  y += 18;
+
+  // Totals
+  const breakdown = (label, groups = []) => doc.truncate(
+    `${label}: ${groups.map(group => `${group._id || 'None'} ${group.count}`).join('  •  ') || '-'}`,
+    contentWidth - 136, 9
+  );
+
+  doc.rect(margin, y, contentWidth, 40, { fill: '#eef2f8' });
+  doc.text(`${total} ticket${total === 1 ? '' : 's'}`, margin + 10, y + 13, { size: 13, bold: true, color: brand });
+  doc.text(breakdown('By status', totals.status), margin + 126, y + 7, { size: 9 });
+  doc.text(breakdown('By priority', totals.priority), margin + 126, y + 23, { size: 9 });
+  y += 50;
+
+  if (tickets.length < total) {
+    doc.text(
+      `Showing the ${tickets.length} most recent of ${total} tickets. Export as CSV or Excel for the full list.`,
+      margin, y, { size: 9, color: muted }
+    );
+    y += 16;
+  }
+
+  const drawHeader = () => {
+    doc.rect(margin, y, contentWidth, rowHeight, { fill: brand });
+    let x = margin;
+    columns.forEach(column => {
+      doc.text(column.header, x + 4, y + 4, { size: 8, bold: true, color: '#ffffff' });
+      x += column.width;
+    });
+    y += rowHeight;
+  };
+
+  drawHeader();
+
+  tickets.forEach((ticket, index) => {
+    if (y + rowHeight > bottom) {
+      doc.addPage();
+      y = margin;
+      drawHeader();
+    }
+
+    if (index % 2 === 1) {
+      doc.rect(margin, y, contentWidth, rowHeight, { fill: '#f5f5f5' });
+    }
+
+    let x = margin;
+    columns.forEach(column => {
+      doc.text(doc.truncate(column.value(ticket), column.width - 8, 8), x + 4, y + 4, { size: 8 });
+      x += column.width;
+    });
+    y += rowHeight;
+  });
+
+  if (tickets.length === 0) {
+    doc.text('No tickets match these filters.', margin + 4, y + 8, { size: 9, color: muted });
+  }
+
+  // Footer on every page
+  for (let index = 0; index < doc.pageCount; index++) {
+    const footerY = doc.height - margin - 10;
+
+    doc.switchToPage(index);
+    doc.line(margin, footerY - 4, doc.width - margin, footerY - 4, { color: '#cccccc' });
+    doc.text('Bugema University IT Support - Ticket Summary', margin, footerY, { size: 8, color: muted });
+    doc.text(`Page ${index + 1} of ${doc.pageCount}`, margin, footerY, {
+      size: 8, color: muted, align: 'right', width: contentWidth
+    });
+  }
+
+  return doc.toBuffer();
+}
+
+/**
+ * Ticket counts by status and priority for an export query
+ */
+static async getExportTotals(query) {
+  // Aggregations skip schema casting, so cast the find filter first
+  const match = Ticket.find(query).cast();
+  const countBy = field => [
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
   ];
 
-  const rows = tickets.map(ticket => [
-    ticket.ticketNumber,
-    ticket.title,
-    ticket.description,
-    ticket.status,
-    ticket.priority,
-    ticket.category,
-    ticket.department,
-    ticket.createdBy ? `${ticket.createdBy.firstName} ${ticket.createdBy.lastName}` : '',
-    ticket.createdAt,
-    ticket.assignedTo ? `${ticket.assignedTo.firstName} ${ticket.assignedTo.lastName}` : '',
-    ticket.assignedAt,
-    ticket.resolvedAt,
-    ticket.closedAt,
-    this.calculateSLAStatus(ticket),
-    ticket.dueDate,
-    ticket.campus,
-    ticket.building,
-    ticket.roomNumber
+  const [totals] = await Ticket.aggregate([
+    { $match: match },
+    { $facet: { status: countBy('status'), priority: countBy('priority') } }
   ]);
 
-  const csvContent = [
-    headers.join(','),
-    ...rows.map(row => row.map(cell => 
-      typeof cell === 'string' ? `"${cell.replace(/"/g, '""')}"` : cell
-    ).join(','))
-  ].join('\n');
+  return totals || { status: [], priority: [] };
+}
+
+/**
+ * Stream a cursor to the response, honoring backpressure
+ * and stopping when the client goes away
+ */
+static async streamExport(req, res, cursor, { contentType, filename, head = '', separator = '', tail = '', serialize }) {
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.write(head);
+
+  try {
+    let first = true;
+
+    for await (const ticket of cursor) {
+      if (closed) break;
+
+      const chunk = (first ? '' : separator) + serialize(ticket);
+      first = false;
+
+      if (!res.write(chunk)) {
+        await this.waitForDrain(res);
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  if (!closed) res.end(tail);
+}
+
+static waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
 
-  return csvContent;
+static sendExport(res, buffer, { contentType, filename }) {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Length', buffer.length);
+  res.send(buffer);
+}
+
+/**
+ * "2026-03-14 09:30" (UTC)
+ */
+static formatExportDate(date) {
+  if (!date) return '';
+  const value = new Date(date);
+  return isNaN(value.getTime()) ? '' : value.toISOString().slice(0, 16).replace('T', ' ');
 }
 
 /**
@@ -2402,12 +3363,12 @@ static isEscalationRequired(ticket) {
   if (!overdueTime) return false;
   
   // Escalate if overdue by more than 2 days for critical/high priority
-  if (['Critical', 'High'].includes(ticket.priority) && overdueTime.days >= 2) {
+  if (['critical', 'high'].includes(ticket.priority) && overdueTime.days >= 2) {
     return true;
   }
   
   // Escalate if overdue by more than 5 days for medium/low priority
-  if (['Medium', 'Low'].includes(ticket.priority) && overdueTime.days >= 5) {
+  if (['medium', 'low'].includes(ticket.priority) && overdueTime.days >= 5) {
     return true;
   }
   
@@ -2453,7 +3414,7 @@ static async downloadAttachment(req, res) {
     
     const ticket = await Ticket.findOne({
       _id: id,
-      isDeleted: false,
+      isDeleted: { $ne: true },
       'attachments._id': attachmentId
     });
     
@@ -2524,7 +3485,7 @@ static async downloadAttachment(req, res) {
     
     return await Ticket.find(relatedQuery)
       .limit(5)
-      .select('ticketNumber title status priority createdAt')
+      .select('ticketId title status priority createdAt')
       .sort({ createdAt: -1 })
       .lean();
   }
@@ -2532,15 +3493,23 @@ static async downloadAttachment(req, res) {
 
 
 // Export existing methods for backward compatibility
-exports.createTicket = TicketController.createTicket;
-exports.getAllTickets = TicketController.getAllTickets;
-exports.getTicket = TicketController.getTicket;
-exports.updateTicket = TicketController.updateTicket;
-exports.assignTicket = TicketController.assignTicket;
-exports.addComment = TicketController.addComment;
-exports.resolveTicket = TicketController.resolveTicket;
-exports.deleteTicket = TicketController.deleteTicket;
-exports.getAnalyticsOverview = TicketController.getDashboardStats;
+exports.createTicket = TicketController.createTicket.bind(TicketController);
+exports.getAllTickets = TicketController.getAllTickets.bind(TicketController);
+exports.getTicket = TicketController.getTicket.bind(TicketController);
+exports.updateTicket = TicketController.updateTicket.bind(TicketController);
+exports.assignTicket = TicketController.assignTicket.bind(TicketController);
+exports.addComment = TicketController.addComment.bind(TicketController);
+exports.resolveTicket = TicketController.resolveTicket.bind(TicketController);
+exports.getAnalyticsOverview = TicketController.getDashboardStats.bind(TicketController);
 
 // Export new methods
+exports.getWatchers = TicketController.getWatchers.bind(TicketController);
+exports.watchTicket = TicketController.watchTicket.bind(TicketController);
+exports.unwatchTicket = TicketController.unwatchTicket.bind(TicketController);
+exports.addWatchers = TicketController.addWatchers.bind(TicketController);
+exports.removeWatcher = TicketController.removeWatcher.bind(TicketController);
+exports.exportTickets = TicketController.exportTickets.bind(TicketController);
+exports.exportAllTickets = TicketController.exportAllTickets.bind(TicketController);
+exports.bulkUpdateTickets = TicketController.bulkUpdateTickets.bind(TicketController);
+exports.getTicketPublicStatus = TicketController.getTicketPublicStatus.bind(TicketController);
 exports.TicketController = TicketController;
\ No newline at end of file
@@ -0,0 +1,268 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const assignmentService = require('../services/assignmentService');
+const auditService = require('../services/auditService');
+const notificationService = require('../services/notificationService');
+const socketService = require('../services/socketService');
+const { TicketController } = require('./ticketController');
+
+const requester = new mongoose.Types.ObjectId();
+const technician = new mongoose.Types.ObjectId();
+const stranger = new mongoose.Types.ObjectId();
+
+const ticket = { createdBy: requester, assignedTo: technician, status: 'open', watchers: [] };
+
+// Roles are stored lowercase on User ('student', 'staff', 'technician', 'admin')
+test('admins see every ticket, technicians their own queue', () => {
+  assert.deepEqual(TicketController.buildRoleBasedQuery(stranger, 'admin'), {});
+
+  const query = TicketController.buildRoleBasedQuery(technician, 'technician');
+  assert.ok(query.$or.some(condition => condition.assignedTo === technician));
+
+  const own = TicketController.buildRoleBasedQuery(requester, 'student');
+  assert.deepEqual(own.$or[0], { createdBy: requester });
+});
+
+test('checks view and edit permissions by lowercase role', () => {
+  assert.equal(TicketController.checkViewPermission(stranger, 'admin', ticket), true);
+  assert.equal(TicketController.checkViewPermission(technician, 'technician', ticket), true);
+  assert.equal(TicketController.checkViewPermission(requester, 'student', ticket), true);
+  assert.equal(TicketController.checkViewPermission(stranger, 'technician', ticket), false);
+  assert.equal(TicketController.checkViewPermission(stranger, 'Admin', ticket), false);
+
+  assert.equal(TicketController.checkEditPermission(technician, 'technician', ticket), true);
+  assert.equal(TicketController.checkEditPermission(stranger, 'staff', ticket), false);
+});
+
+test('only support staff assign, escalate and resolve', () => {
+  assert.equal(TicketController.checkAssignPermission('technician'), true);
+  assert.equal(TicketController.checkAssignPermission('admin'), true);
+  assert.equal(TicketController.checkAssignPermission('student'), false);
+
+  assert.equal(TicketController.checkEscalatePermission('admin'), true);
+  assert.equal(TicketController.checkEscalatePermission('staff'), false);
+
+  assert.equal(TicketController.checkResolvePermission(technician, 'technician', ticket), true);
+  assert.equal(TicketController.checkResolvePermission(stranger, 'technician', ticket), false);
+  assert.equal(TicketController.checkResolvePermission(stranger, 'admin', ticket), true);
+});
+
+test('support staff manage watchers on any ticket they can see', () => {
+  assert.equal(TicketController.checkManageWatchersPermission(stranger, 'technician', ticket), true);
+  assert.equal(TicketController.checkManageWatchersPermission(requester, 'student', ticket), true);
+  assert.equal(TicketController.checkManageWatchersPermission(stranger, 'student', ticket), false);
+});
+
+test('exports CSV without letting cells run as formulas', () => {
+  const exported = {
+    ticketId: 'BU-2026-0001',
+    title: '=HYPERLINK("http://evil","Click")',
+    description: 'Says "hello"',
+    status: 'open',
+    priority: 'high',
+    createdBy: { firstName: '@Jane', lastName: 'Doe' },
+    createdAt: new Date('2026-10-19T08:00:00Z'),
+    sla: { responseTime: { actual: 45, breached: false } }
+  };
+
+  const [header, row] = TicketController.formatTicketsToCSV([exported]).split('\n');
+  const cells = row.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const cell = name => cells[header.split(',').indexOf(`"${name}"`)];
+
+  assert.equal(cell('Ticket Number'), '"BU-2026-0001"');
+  assert.equal(cell('Title'), '"\'=HYPERLINK(""http://evil"",""Click"")"');
+  assert.equal(cell('Description'), '"Says ""hello"""');
+  assert.equal(cell('Created By'), '"\'@Jane Doe"');
+  assert.equal(cell('Created At'), '2026-10-19T08:00:00.000Z');
+  assert.equal(cell('First Response (business min)'), '45');
+  assert.equal(cell('Assigned To'), '""');
+});
+
+test('detailed exports add contact and resolution columns', () => {
+  const headers = columns => columns.map(column => column.header);
+  const basic = headers(TicketController.getExportColumns());
+  const detailed = headers(TicketController.getExportColumns({ detailed: true }));
+
+  assert.ok(!basic.includes('Requester Email'));
+  assert.deepEqual(detailed.slice(0, basic.length), basic);
+  assert.ok(detailed.includes('Requester Email'));
+  assert.ok(detailed.includes('Escalation Level'));
+});
+
+// Bulk operations run against in-memory tickets; every side effect is recorded
+const bulk = {};
+let bulkNumber = 100;
+
+const bulkTicket = (fields = {}) => new Ticket({
+  ticketId: `BU-2026-${++bulkNumber}`,
+  title: 'Projector',
+  createdBy: requester,
+  status: 'open',
+  priority: 'medium',
+  ...fields
+});
+
+const runBulk = async (operation, body, { tickets = [], user = { id: technician, role: 'technician' } } = {}) => {
+  test.mock.method(Ticket, 'find', async () => tickets);
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await TicketController.bulkUpdateTickets({ body, user }, res, operation);
+  return res;
+};
+
+test.describe('bulk operations', () => {
+  test.beforeEach(() => {
+    Object.assign(bulk, { saved: [], transactions: [], audits: [], released: [], recorded: [], queued: 0 });
+
+    test.mock.method(Ticket, 'startSession', async () => ({
+      startTransaction: () => bulk.transactions.push('start'),
+      commitTransaction: async () => bulk.transactions.push('commit'),
+      abortTransaction: async () => bulk.transactions.push('abort'),
+      endSession: () => bulk.transactions.push('end')
+    }));
+    test.mock.method(Ticket.prototype, 'save', async function() {
+      bulk.saved.push(this.ticketId);
+      return this;
+    });
+    test.mock.method(auditService, 'log', (entry) => { bulk.audits.push(entry); });
+    test.mock.method(assignmentService, 'release', async (id) => { bulk.released.push(id.toString()); });
+    test.mock.method(assignmentService, 'recordAssignment', async (id) => { bulk.recorded.push(id.toString()); });
+    test.mock.method(assignmentService, 'processQueue', async () => { bulk.queued++; });
+    test.mock.method(notificationService, 'createTicketNotifications', async () => []);
+    test.mock.method(socketService, 'ticketStatusChanged', () => {});
+    test.mock.method(socketService, 'ticketAssigned', () => {});
+    test.mock.method(console, 'info', () => {});
+    test.mock.method(console, 'error', () => {});
+  });
+
+  test.afterEach(() => {
+    test.mock.restoreAll();
+  });
+
+  test('rejects a malformed batch before loading any ticket', async () => {
+    const tooMany = Array.from({ length: 101 }, () => new mongoose.Types.ObjectId().toString());
+
+    for (const [operation, body] of [
+      ['archive', { ticketIds: [technician] }],
+      ['status', { ticketIds: [] }],
+      ['status', { ticketIds: tooMany, status: 'resolved' }],
+      ['status', { ticketIds: [technician], status: 'Resolved' }],
+      ['priority', { ticketIds: [technician], priority: 'urgent!' }],
+      ['tags', { ticketIds: [technician], add: ['  '] }]
+    ]) {
+      const res = await runBulk(operation, body);
+      assert.equal(res.statusCode, 400, operation);
+      assert.equal(res.body.code, 'VALIDATION_ERROR');
+    }
+
+    assert.equal(Ticket.find.mock.callCount(), 0);
+  });
+
+  test('reports each ticket on its own and keeps the ones that succeed', async () => {
+    const mine = bulkTicket({ assignedTo: technician, status: 'in-progress' });
+    const done = bulkTicket({ assignedTo: technician, status: 'resolved' });
+    const others = bulkTicket({ assignedTo: stranger });
+    const missing = new mongoose.Types.ObjectId().toString();
+
+    const res = await runBulk('status', {
+      ticketIds: [mine._id, done._id, others._id, missing, 'not-an-id', mine._id],
+      status: 'resolved',
+      notes: 'Projectors replaced'
+    }, { tickets: [mine, done, others] });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.data.summary, { requested: 5, succeeded: 1, failed: 4 });
+    assert.deepEqual(res.body.data.results.map(result => result.code || 'ok'),
+      ['ok', 'NO_CHANGE', 'PERMISSION_DENIED', 'TICKET_NOT_FOUND', 'INVALID_ID']);
+
+    assert.deepEqual(bulk.saved, [mine.ticketId]);
+    assert.equal(mine.status, 'resolved');
+    assert.equal(mine.resolution.resolvedBy.toString(), technician.toString());
+    assert.equal(mine.firstResponseBy.toString(), technician.toString());
+    assert.deepEqual(bulk.released, [technician.toString()]);
+    assert.equal(bulk.queued, 1);
+
+    assert.equal(bulk.audits.length, 1);
+    assert.equal(bulk.audits[0].action, 'BULK_STATUS');
+    assert.equal(bulk.audits[0].details.reason, 'Projectors replaced');
+  });
+
+  test('rolls back only the ticket whose save fails', async () => {
+    const first = bulkTicket({ ticketId: 'BU-2026-0001' });
+    const second = bulkTicket({ ticketId: 'BU-2026-0002' });
+    Ticket.prototype.save.mock.mockImplementationOnce(async () => { throw new Error('write conflict'); });
+
+    const res = await runBulk('priority', { ticketIds: [first._id, second._id], priority: 'high' }, {
+      tickets: [first, second],
+      user: { id: stranger, role: 'admin' }
+    });
+
+    assert.deepEqual(res.body.data.results.map(result => result.success), [false, true]);
+    assert.equal(res.body.data.results[0].reason, 'Update failed');
+    assert.deepEqual(bulk.transactions, ['start', 'abort', 'start', 'commit', 'end']);
+    assert.deepEqual(bulk.saved, ['BU-2026-0002']);
+  });
+
+  test('shares one batch ID across the audit records of a request', async () => {
+    const tickets = [bulkTicket(), bulkTicket()];
+
+    await runBulk('tags', { ticketIds: tickets.map(doc => doc._id), add: [' VPN ', 'vpn', 'Wifi'] }, {
+      tickets,
+      user: { id: stranger, role: 'admin' }
+    });
+
+    assert.deepEqual(tickets[0].tags, ['vpn', 'wifi']);
+    assert.equal(bulk.audits.length, 2);
+    assert.ok(bulk.audits[0].details.batchId);
+    assert.equal(bulk.audits[0].details.batchId, bulk.audits[1].details.batchId);
+  });
+
+  test('assigning moves open tickets on and unassigning hands them back', async () => {
+    const assignee = { _id: technician, firstName: 'Tom', lastName: 'Tech', role: 'technician' };
+    test.mock.method(User, 'findOne', () => ({ select: async () => assignee }));
+
+    const open = bulkTicket();
+    let res = await runBulk('assign', { ticketIds: [open._id], assigneeId: technician }, {
+      tickets: [open],
+      user: { id: stranger, role: 'admin' }
+    });
+
+    assert.deepEqual(res.body.data.results[0].changes, {
+      assignedTo: { from: null, to: technician.toString() },
+      status: { from: 'open', to: 'assigned' }
+    });
+    assert.deepEqual(bulk.recorded, [technician.toString()]);
+
+    res = await runBulk('assign', { ticketIds: [open._id], assigneeId: '' }, {
+      tickets: [open],
+      user: { id: stranger, role: 'admin' }
+    });
+
+    assert.equal(open.assignedTo, null);
+    assert.equal(open.status, 'open');
+    assert.deepEqual(bulk.released, [technician.toString()]);
+    assert.equal(bulk.queued, 1);
+  });
+
+  test('deleting hides tickets and frees the assignee', async () => {
+    const assigned = bulkTicket({ assignedTo: technician, status: 'in-progress' });
+
+    const res = await runBulk('delete', { ticketIds: [assigned._id] }, {
+      tickets: [assigned],
+      user: { id: stranger, role: 'admin' }
+    });
+
+    assert.equal(res.body.data.summary.succeeded, 1);
+    assert.equal(assigned.isDeleted, true);
+    assert.equal(assigned.deletedBy.toString(), stranger.toString());
+    assert.deepEqual(bulk.released, [technician.toString()]);
+    assert.equal(bulk.audits[0].severity, 'warning');
+  });
+});
@@ -0,0 +1,20 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Audit Context Middleware
+ * 
+ * Makes the current request (actor, IP address, user agent) available to the
+ * audit hooks on models, so changes are attributed without passing req around
+ * 
+ * @version 1.0.0
+ */
+
+const auditService = require('../services/auditService');
+
+/**
+ * Run the rest of the request inside the audit context
+ */
+const auditContext = (req, res, next) => {
+  auditService.runWithRequest(req, next);
+};
+
+module.exports = { auditContext };
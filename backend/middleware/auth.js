@@ -7,9 +7,12 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const TokenUtils = require('../utils/token.utils');
+const authConfig = require('../config/auth.config');
 
 // JWT configuration
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secure-jwt-secret-key-change-this-in-production';
+const JWT_SECRET = authConfig.jwtSecret;
 
 /**
  * Log security event
@@ -20,27 +23,9 @@ const logSecurityEvent = (eventType, data = {}) => {
 };
 
 /**
- * Extract token from request
+ * Extract token from request (shared with the Socket.IO handshake)
  */
-const extractToken = (req) => {
-  // 1. Check HTTP-only cookie (primary for web apps)
-  if (req.cookies?.accessToken) {
-    return req.cookies.accessToken;
-  }
-  
-  // 2. Check Authorization header (for API clients)
-  const authHeader = req.headers.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    return authHeader.replace('Bearer ', '');
-  }
-  
-  // 3. Check x-access-token header
-  if (req.headers['x-access-token']) {
-    return req.headers['x-access-token'];
-  }
-  
-  return null;
-};
+const { extractToken } = TokenUtils;
 
 /**
  * Main authentication middleware
@@ -106,7 +91,7 @@ const auth = async (req, res, next) => {
     }
 
     // Validate token structure
-    if (!decoded.userId || decoded.type !== 'access') {
+    if (!decoded.userId || (decoded.type && decoded.type !== 'access')) {
       logSecurityEvent('AUTH_FAILED_MALFORMED_TOKEN', {
         ip: req.ip,
         decodedKeys: Object.keys(decoded),
@@ -120,6 +105,23 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Tokens issued with a session stop working once it is signed out
+    if (decoded.sid && !(await Session.isActiveSession(decoded.sid))) {
+      logSecurityEvent('AUTH_FAILED_SESSION_REVOKED', {
+        ip: req.ip,
+        userId: decoded.userId,
+        sessionId: decoded.sid,
+        path: req.originalUrl
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: 'This session has been signed out. Please login again.',
+        code: 'SESSION_REVOKED',
+        action: 'login'
+      });
+    }
+
     // Find user
     const user = await User.findById(decoded.userId)
       .select('-password -refreshToken -verificationToken -verificationTokenExpiry -resetPasswordToken -resetPasswordExpiry');
@@ -140,12 +142,11 @@ const auth = async (req, res, next) => {
     }
 
     // Check if account is active
-    if (user.status !== 'active') {
+    if (!user.isActive) {
       logSecurityEvent('AUTH_FAILED_ACCOUNT_INACTIVE', {
         ip: req.ip,
         userId: user._id,
         email: user.email,
-        status: user.status,
         path: req.originalUrl
       });
       
@@ -162,7 +163,7 @@ const auth = async (req, res, next) => {
     }
 
     // Check if email is verified (configurable)
-    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.emailVerified && user.role !== 'admin') {
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.isEmailVerified && user.role !== 'admin') {
       logSecurityEvent('AUTH_FAILED_EMAIL_NOT_VERIFIED', {
         ip: req.ip,
         userId: user._id,
@@ -186,11 +187,13 @@ const auth = async (req, res, next) => {
       username: user.username,
       email: user.email,
       role: user.role,
+      permissions: user.permissions || [],
       firstName: user.firstName,
       lastName: user.lastName,
       department: user.department,
-      emailVerified: user.emailVerified,
-      status: user.status,
+      isEmailVerified: user.isEmailVerified,
+      isActive: user.isActive,
+      preferences: user.preferences,
       createdAt: user.createdAt,
       lastLogin: user.lastLogin
     };
@@ -198,6 +201,7 @@ const auth = async (req, res, next) => {
     // Attach user to request
     req.user = userData;
     req.userId = user._id;
+    req.sessionId = decoded.sid || null;
     
     // Update user's last activity (non-blocking)
     user.lastActivity = new Date();
@@ -284,6 +288,45 @@ const requireRole = (...roles) => {
   };
 };
 
+/**
+ * Permission-based authorization middleware
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    const granted = req.user.permissions || [];
+
+    // Admins hold 'all', which grants every permission
+    if (!granted.includes('all') && !permissions.every(permission => granted.includes(permission))) {
+      logSecurityEvent('PERMISSION_AUTHORIZATION_FAILED', {
+        userId: req.user.id,
+        email: req.user.email,
+        userRole: req.user.role,
+        requiredPermissions: permissions,
+        ip: req.ip,
+        path: req.originalUrl,
+        method: req.method
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this resource.',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        requiredPermissions: permissions
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Optional authentication middleware
  */
@@ -299,8 +342,9 @@ const optionalAuth = async (req, res, next) => {
     const decoded = jwt.verify(token, JWT_SECRET);
     const user = await User.findById(decoded.userId)
       .select('-password -refreshToken -verificationToken -verificationTokenExpiry');
+    const sessionActive = !decoded.sid || await Session.isActiveSession(decoded.sid);
     
-    if (user && user.status === 'active') {
+    if (user && user.isActive && (!decoded.type || decoded.type === 'access') && sessionActive) {
       req.user = {
         id: user._id,
         userId: user._id,
@@ -310,8 +354,8 @@ const optionalAuth = async (req, res, next) => {
         firstName: user.firstName,
         lastName: user.lastName,
         department: user.department,
-        emailVerified: user.emailVerified,
-        status: user.status
+        isEmailVerified: user.isEmailVerified,
+        isActive: user.isActive
       };
     } else {
       req.user = null;
@@ -331,6 +375,7 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   auth,
   requireRole,
+  requirePermission,
   optionalAuth,
   extractToken,
   logSecurityEvent
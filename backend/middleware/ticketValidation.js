@@ -1,4 +1,5 @@
 const { body, param, query } = require('express-validator');
+const { TICKET_SLA, TICKET_CATEGORIES, TICKET_CAMPUSES } = require('../config/ticket.config');
 
 // Ticket creation validation
 exports.validateTicketCreation = [
@@ -13,12 +14,12 @@ exports.validateTicketCreation = [
     .isLength({ min: 10, max: 5000 }).withMessage('Description must be 10-5000 characters'),
   
   body('category')
-    .isIn(['Hardware', 'Software', 'Network', 'Email', 'Account Access', 'Printer', 'Phone', 'Other'])
+    .isIn(Object.keys(TICKET_CATEGORIES))
     .withMessage('Invalid category'),
   
   body('priority')
     .optional()
-    .isIn(['Low', 'Medium', 'High', 'Critical'])
+    .isIn(Object.keys(TICKET_SLA))
     .withMessage('Invalid priority'),
   
   body('department')
@@ -26,12 +27,17 @@ exports.validateTicketCreation = [
     .trim()
     .isLength({ max: 100 }).withMessage('Department name too long'),
   
-  body('location.building')
+  body('campus')
+    .optional()
+    .isIn(Object.keys(TICKET_CAMPUSES))
+    .withMessage('Invalid campus'),
+  
+  body('building')
     .optional()
     .trim()
     .isLength({ max: 100 }).withMessage('Building name too long'),
   
-  body('location.room')
+  body('roomNumber')
     .optional()
     .trim()
     .isLength({ max: 50 }).withMessage('Room number too long'),
@@ -51,9 +57,9 @@ exports.validateTicketCreation = [
 
 // Comment validation
 exports.validateComment = [
-  body('content')
+  body('message')
     .trim()
-    .notEmpty().withMessage('Comment content is required')
+    .notEmpty().withMessage('Comment message is required')
     .isLength({ min: 1, max: 2000 }).withMessage('Comment must be 1-2000 characters'),
   
   body('isInternal')
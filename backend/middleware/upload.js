@@ -37,23 +37,23 @@ const ALLOWED_FILE_TYPES = {
 // Maximum file size (10MB)
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB in bytes
 
-// File filter function
-const fileFilter = (req, file, cb) => {
+// Check a file against the upload rules (returns an error message or null).
+// Shared with non-HTTP sources such as inbound email attachments.
+const checkFile = (file) => {
   const allowedMimeTypes = Object.keys(ALLOWED_FILE_TYPES);
   
   if (!allowedMimeTypes.includes(file.mimetype)) {
-    const error = new Error(
-      `Invalid file type. Allowed types: ${Object.values(ALLOWED_FILE_TYPES).join(', ')}`
-    );
-    error.status = 400;
-    return cb(error, false);
+    return `Invalid file type. Allowed types: ${Object.values(ALLOWED_FILE_TYPES).join(', ')}`;
   }
 
   // Check file size
   if (file.size > MAX_FILE_SIZE) {
-    const error = new Error(`File too large. Maximum size is ${MAX_FILE_SIZE / (1024 * 1024)}MB`);
-    error.status = 400;
-    return cb(error, false);
+    return `File too large. Maximum size is ${MAX_FILE_SIZE / (1024 * 1024)}MB`;
+  }
+
+  // Check for null bytes in filename (common attack)
+  if (file.originalname.includes('\0')) {
+    return `File ${file.originalname} contains invalid characters`;
   }
 
   // Check for potential malicious extensions
@@ -61,7 +61,18 @@ const fileFilter = (req, file, cb) => {
   const allowedExtensions = Object.values(ALLOWED_FILE_TYPES);
   
   if (!allowedExtensions.includes(ext)) {
-    const error = new Error(`File extension ${ext} not allowed`);
+    return `File extension ${ext} not allowed`;
+  }
+
+  return null;
+};
+
+// File filter function
+const fileFilter = (req, file, cb) => {
+  const message = checkFile(file);
+  
+  if (message) {
+    const error = new Error(message);
     error.status = 400;
     return cb(error, false);
   }
@@ -69,25 +80,33 @@ const fileFilter = (req, file, cb) => {
   cb(null, true);
 };
 
+// Sanitized, unique filename for a stored upload
+const generateFilename = (originalname, mimetype) => {
+  const originalName = path.parse(originalname).name;
+  const sanitizedName = originalName.replace(/[^a-zA-Z0-9-_.]/g, '_');
+  const ext = ALLOWED_FILE_TYPES[mimetype] || path.extname(originalname);
+  
+  return `${Date.now()}_${uuidv4().slice(0, 8)}_${sanitizedName}${ext}`;
+};
+
+// Directory uploads for a user are stored in (created if missing)
+const getUserUploadDir = (userId) => {
+  const userDir = path.join(uploadDir, userId ? String(userId) : 'anonymous');
+  if (!fs.existsSync(userDir)) {
+    fs.mkdirSync(userDir, { recursive: true });
+  }
+  return userDir;
+};
+
 // Storage configuration
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
     // Create user-specific directory if needed
-    const userDir = path.join(uploadDir, req.user ? req.user.id : 'anonymous');
-    if (!fs.existsSync(userDir)) {
-      fs.mkdirSync(userDir, { recursive: true });
-    }
-    cb(null, userDir);
+    cb(null, getUserUploadDir(req.user ? req.user.id : null));
   },
   filename: function (req, file, cb) {
-    // Sanitize filename
-    const originalName = path.parse(file.originalname).name;
-    const sanitizedName = originalName.replace(/[^a-zA-Z0-9-_.]/g, '_');
-    const ext = ALLOWED_FILE_TYPES[file.mimetype] || path.extname(file.originalname);
-    
-    // Generate unique filename
-    const uniqueFilename = `${Date.now()}_${uuidv4().slice(0, 8)}_${sanitizedName}${ext}`;
-    cb(null, uniqueFilename);
+    // Sanitize filename and make it unique
+    cb(null, generateFilename(file.originalname, file.mimetype));
   }
 });
 
@@ -249,6 +268,9 @@ module.exports = {
   cleanupOldFiles,
   getFileInfo,
   validateUploadedFiles,
+  checkFile,
+  generateFilename,
+  getUserUploadDir,
   ALLOWED_FILE_TYPES,
   MAX_FILE_SIZE,
   uploadDir
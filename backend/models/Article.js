@@ -0,0 +1,295 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Knowledge Base Article Model
+ *
+ * How-to guides and known fixes written by support staff, often from a
+ * resolved ticket. Bodies are Markdown. Public articles are visible to every
+ * signed-in user, internal ones only to technicians and admins. Each edit
+ * keeps the previous content as a version so changes can be reviewed and
+ * rolled back.
+ *
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Ticket = require('./Ticket');
+const auditService = require('../services/auditService');
+
+// Articles file under the same categories as tickets
+const ARTICLE_CATEGORIES = Ticket.schema.path('category').enumValues;
+const VISIBILITIES = ['public', 'internal'];
+
+// Roles that may read internal articles
+const STAFF_ROLES = ['technician', 'admin'];
+
+const MAX_TAGS = 20;
+const MAX_VERSIONS = 50;
+
+// Fields whose previous values are kept in a version
+const VERSIONED_FIELDS = ['title', 'body', 'category', 'tags', 'visibility'];
+
+/**
+ * "Reset a Forgotten Password!" -> "reset-a-forgotten-password"
+ */
+const slugify = (value) => String(value)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '')
+  .slice(0, 80);
+
+const normalizeTags = (tags) => [...new Set((Array.isArray(tags) ? tags : [tags])
+  .filter(tag => typeof tag === 'string')
+  .map(tag => tag.trim().toLowerCase())
+  .filter(Boolean))];
+
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  title: String,
+  body: String,
+  category: String,
+  tags: [String],
+  visibility: String,
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  editedAt: Date,
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Change note cannot exceed 200 characters']
+  }
+}, { _id: false });
+
+const articleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Article title is required'],
+    trim: true,
+    minlength: [5, 'Title must be at least 5 characters'],
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+
+  // Readable, unique URL segment derived from the title
+  slug: {
+    type: String,
+    unique: true
+  },
+
+  // Markdown
+  body: {
+    type: String,
+    required: [true, 'Article body is required'],
+    minlength: [20, 'Body must be at least 20 characters'],
+    maxlength: [50000, 'Body cannot exceed 50000 characters']
+  },
+
+  category: {
+    type: String,
+    enum: { values: ARTICLE_CATEGORIES, message: '{VALUE} is not a valid category' },
+    required: [true, 'Category is required'],
+    index: true
+  },
+
+  tags: {
+    type: [{
+      type: String,
+      maxlength: [30, 'Tags cannot exceed 30 characters']
+    }],
+    set: normalizeTags,
+    validate: {
+      validator: tags => tags.length <= MAX_TAGS,
+      message: `An article can have at most ${MAX_TAGS} tags`
+    }
+  },
+
+  visibility: {
+    type: String,
+    enum: { values: VISIBILITIES, message: '{VALUE} is not a valid visibility' },
+    default: 'internal',
+    index: true
+  },
+
+  // Ticket whose resolution the article was written from
+  sourceTicket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    index: true
+  },
+
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  lastEditedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Current version number; earlier content lives in versions (oldest first)
+  version: {
+    type: Number,
+    default: 1
+  },
+
+  // What changed in the current version
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Change note cannot exceed 200 characters']
+  },
+
+  versions: [versionSchema],
+
+  // One vote per user; the counts are kept in step for sorting
+  votes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    helpful: {
+      type: Boolean,
+      required: true
+    },
+    votedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+
+  notHelpfulCount: {
+    type: Number,
+    default: 0
+  },
+
+  viewCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+articleSchema.index(
+  { title: 'text', tags: 'text', body: 'text' },
+  { weights: { title: 10, tags: 5, body: 1 }, name: 'article_text_search' }
+);
+articleSchema.index({ helpfulCount: -1 });
+articleSchema.index({ updatedAt: -1 });
+
+// Slugs are made once from the title; a clash gets a short suffix
+articleSchema.pre('validate', async function(next) {
+  try {
+    if (!this.slug && this.title) {
+      const base = slugify(this.title) || 'article';
+      const taken = await this.constructor.exists({ slug: base });
+      this.slug = taken ? `${base}-${this._id.toString().slice(-6)}` : base;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Virtual for share of helpful votes (null before anyone voted)
+articleSchema.virtual('helpfulRatio').get(function() {
+  const total = (this.helpfulCount || 0) + (this.notHelpfulCount || 0);
+  return total > 0 ? Math.round((this.helpfulCount / total) * 100) / 100 : null;
+});
+
+// Instance methods
+
+/**
+ * Apply content changes, keeping the current content as a version first
+ * Returns false when nothing versioned changed
+ */
+articleSchema.methods.revise = function(updates, editorId, changeNote = '') {
+  const changed = VERSIONED_FIELDS.some(field => {
+    if (updates[field] === undefined) return false;
+    const next = field === 'tags' ? normalizeTags(updates[field]) : updates[field];
+    return JSON.stringify(next) !== JSON.stringify(field === 'tags' ? [...this.tags] : this[field]);
+  });
+
+  if (!changed) return false;
+
+  this.versions.push({
+    version: this.version,
+    title: this.title,
+    body: this.body,
+    category: this.category,
+    tags: [...this.tags],
+    visibility: this.visibility,
+    editedBy: this.lastEditedBy || this.author,
+    editedAt: this.updatedAt,
+    changeNote: this.changeNote
+  });
+
+  if (this.versions.length > MAX_VERSIONS) {
+    this.versions.splice(0, this.versions.length - MAX_VERSIONS);
+  }
+
+  VERSIONED_FIELDS.forEach(field => {
+    if (updates[field] !== undefined) this[field] = updates[field];
+  });
+
+  this.version += 1;
+  this.lastEditedBy = editorId;
+  this.changeNote = changeNote;
+  return true;
+};
+
+/**
+ * Record or replace a user's vote
+ */
+articleSchema.methods.vote = function(userId, helpful) {
+  const existing = this.votes.find(vote => vote.user.equals(userId));
+
+  if (existing) {
+    existing.helpful = helpful;
+    existing.votedAt = new Date();
+  } else {
+    this.votes.push({ user: userId, helpful });
+  }
+
+  this.helpfulCount = this.votes.filter(vote => vote.helpful).length;
+  this.notHelpfulCount = this.votes.length - this.helpfulCount;
+};
+
+articleSchema.methods.canBeReadBy = function(role) {
+  return this.visibility === 'public' || STAFF_ROLES.includes(role);
+};
+
+// Static methods
+
+/**
+ * Filter limiting a query to the articles a role may read
+ */
+articleSchema.statics.visibilityFilter = function(role) {
+  return STAFF_ROLES.includes(role) ? {} : { visibility: 'public' };
+};
+
+// Audit trail of article changes (views and votes are not audited)
+articleSchema.plugin(auditService.plugin, {
+  entityType: 'Article',
+  ignore: ['viewCount', 'votes', 'helpfulCount', 'notHelpfulCount']
+});
+
+const Article = mongoose.model('Article', articleSchema);
+
+module.exports = Article;
+module.exports.ARTICLE_CATEGORIES = ARTICLE_CATEGORIES;
+module.exports.VISIBILITIES = VISIBILITIES;
+module.exports.normalizeTags = normalizeTags;
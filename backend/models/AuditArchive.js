@@ -0,0 +1,65 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Audit Archive Model
+ *
+ * One entry per archive file written by the audit archive job. It keeps the
+ * hash chain anchored after the archived records are purged: the next record
+ * left in MongoDB must link to lastHash, and each archive must link to the one
+ * before it through firstPreviousHash.
+ *
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const auditArchiveSchema = new mongoose.Schema({
+  // Archive file name, relative to the configured archive directory
+  file: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // SHA-256 of the uncompressed JSONL content
+  contentHash: {
+    type: String,
+    required: true
+  },
+
+  // Chained records in the file (null when it only holds pre-chain records)
+  fromSequence: { type: Number, default: null },
+  toSequence: { type: Number, default: null, index: true },
+  firstPreviousHash: { type: String, default: null },
+  lastHash: { type: String, default: null },
+
+  recordCount: { type: Number, default: 0 },
+  chainedCount: { type: Number, default: 0 },
+  legacyCount: { type: Number, default: 0 },
+
+  // Records created before this date were archived
+  cutoff: {
+    type: Date,
+    required: true
+  },
+
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Set once the archived records have been removed from MongoDB
+  purgedAt: Date
+}, {
+  timestamps: true
+});
+
+/**
+ * Most recent archive holding chained records - the anchor the live chain continues from
+ */
+auditArchiveSchema.statics.getLatestAnchor = function() {
+  return this.findOne({ toSequence: { $ne: null } })
+    .sort({ toSequence: -1 })
+    .lean();
+};
+
+module.exports = mongoose.model('AuditArchive', auditArchiveSchema);
@@ -2,10 +2,31 @@
  * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
  * Audit Log Model
  * 
- * @version 1.0.0
+ * Records form a hash chain: each stores the SHA-256 of its own contents and
+ * the hash of the record before it, so editing or removing a record breaks
+ * every link after it. Write records with AuditLog.append(), never create().
+ * 
+ * @version 1.1.0
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const AuditArchive = require('./AuditArchive');
+
+// previousHash of the first record in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields covered by a record's hash
+const HASHED_FIELDS = [
+  'sequence', 'previousHash', 'userId', 'action', 'entityType', 'entityId', 'details',
+  'severity', 'ipAddress', 'userAgent', 'metadata', 'isSystemEvent', 'isSecurityEvent', 'createdAt'
+];
+
+// Retries when another process appended the same sequence number first
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Appends from this process are linked one at a time
+let appendQueue = Promise.resolve();
 
 const auditLogSchema = new mongoose.Schema({
   // User who performed the action (null for system events)
@@ -77,12 +98,23 @@ const auditLogSchema = new mongoose.Schema({
     index: true
   },
 
+  // Hash chain (absent on records written before the chain existed)
+  sequence: {
+    type: Number,
+    unique: true,
+    sparse: true
+  },
+
+  previousHash: String,
+
+  hash: String,
+
   // Timestamps
+  // No TTL: old records leave through the archive job, which keeps the chain anchored
   createdAt: {
     type: Date,
     default: Date.now,
-    index: true,
-    expires: 365 * 24 * 60 * 60 // Auto-expire after 1 year
+    index: true
   }
 }, {
   timestamps: true,
@@ -97,11 +129,186 @@ auditLogSchema.index({ action: 1, createdAt: -1 });
 auditLogSchema.index({ severity: 1, createdAt: -1 });
 auditLogSchema.index({ isSecurityEvent: 1, createdAt: -1 });
 
+// Records are append-only
+auditLogSchema.pre('validate', function(next) {
+  if (this.isNew && !this.hash) {
+    return next(new Error('Audit records must be written with AuditLog.append()'));
+  }
+  if (!this.isNew) {
+    return next(new Error('Audit records cannot be modified'));
+  }
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  function(next) {
+    next(new Error('Audit records cannot be modified'));
+  }
+);
+
 // Virtual for formatted timestamp
 auditLogSchema.virtual('formattedTime').get(function() {
   return this.createdAt.toLocaleString();
 });
 
+// ============================================
+// HASH CHAIN
+// ============================================
+
+/**
+ * Key-sorted JSON of a value, so the same record always hashes the same way
+ * whether it comes from a document, a lean query or an archive file
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      if (value[key] !== undefined) sorted[key] = canonicalize(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+};
+
+auditLogSchema.statics.computeHash = function(record) {
+  const content = {};
+  for (const field of HASHED_FIELDS) {
+    content[field] = record[field] === undefined ? null : record[field];
+  }
+
+  const normalized = JSON.parse(JSON.stringify(content));
+  return crypto.createHash('sha256').update(JSON.stringify(canonicalize(normalized))).digest('hex');
+};
+
+/**
+ * Last link of the chain: the newest record, else the latest archive anchor, else genesis
+ */
+auditLogSchema.statics.getChainHead = async function() {
+  const last = await this.findOne({ sequence: { $exists: true } })
+    .sort({ sequence: -1 })
+    .select('sequence hash')
+    .lean();
+  if (last) return { sequence: last.sequence, hash: last.hash };
+
+  const anchor = await AuditArchive.getLatestAnchor();
+  if (anchor) return { sequence: anchor.toSequence, hash: anchor.lastHash };
+
+  return { sequence: 0, hash: GENESIS_HASH };
+};
+
+/**
+ * Write a record linked to the current head of the chain
+ */
+auditLogSchema.statics.append = function(entry) {
+  const write = appendQueue.then(() => this.appendLinked(entry));
+  appendQueue = write.catch(() => {});
+  return write;
+};
+
+auditLogSchema.statics.appendLinked = async function(entry, attempt = 1) {
+  const head = await this.getChainHead();
+  const record = new this({
+    ...entry,
+    sequence: head.sequence + 1,
+    previousHash: head.hash,
+    createdAt: entry.createdAt || new Date()
+  });
+  record.hash = this.computeHash(record.toObject({ virtuals: false }));
+
+  try {
+    return await record.save();
+  } catch (error) {
+    if (error.code === 11000 && attempt < MAX_APPEND_ATTEMPTS) {
+      return this.appendLinked(entry, attempt + 1);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Check one record against the link expected before it; returns the problem or null
+ */
+auditLogSchema.statics.checkLink = function(record, previous) {
+  if (record.sequence !== previous.sequence + 1) {
+    return record.sequence > previous.sequence + 1 ? 'missing_records' : 'out_of_sequence';
+  }
+  if (record.previousHash !== previous.hash) return 'previous_hash_mismatch';
+  if (this.computeHash(record) !== record.hash) return 'content_modified';
+  return null;
+};
+
+/**
+ * Walk the chain from its anchor and report the first broken link
+ * options.toSequence stops the walk early (used before archiving a range)
+ *
+ * Removing the newest records leaves a shorter but valid chain, so compare
+ * the returned head with one recorded earlier to detect truncation.
+ */
+auditLogSchema.statics.verifyChain = async function(options = {}) {
+  const anchors = await AuditArchive.find({ toSequence: { $ne: null } })
+    .sort({ fromSequence: 1 })
+    .lean();
+
+  // Archives must link to each other before the live records can link to them
+  let previous = { sequence: 0, hash: GENESIS_HASH };
+  for (const anchor of anchors) {
+    if (anchor.fromSequence !== previous.sequence + 1 || anchor.firstPreviousHash !== previous.hash) {
+      return {
+        valid: false,
+        checked: 0,
+        brokenAt: {
+          archive: anchor.file,
+          sequence: anchor.fromSequence,
+          reason: 'anchor_mismatch',
+          expectedPreviousHash: previous.hash
+        },
+        anchors: anchors.length
+      };
+    }
+    previous = { sequence: anchor.toSequence, hash: anchor.lastHash };
+  }
+
+  const query = { sequence: { $gt: previous.sequence } };
+  if (options.toSequence) query.sequence.$lte = options.toSequence;
+
+  const cursor = this.find(query).sort({ sequence: 1 }).lean().cursor();
+  let checked = 0;
+
+  for await (const record of cursor) {
+    const reason = this.checkLink(record, previous);
+
+    if (reason) {
+      await cursor.close();
+      return {
+        valid: false,
+        checked,
+        brokenAt: {
+          id: record._id,
+          sequence: record.sequence,
+          createdAt: record.createdAt,
+          action: record.action,
+          reason,
+          expectedSequence: previous.sequence + 1,
+          expectedPreviousHash: previous.hash
+        },
+        anchors: anchors.length
+      };
+    }
+
+    previous = { sequence: record.sequence, hash: record.hash };
+    checked += 1;
+  }
+
+  return {
+    valid: true,
+    checked,
+    head: previous,
+    anchors: anchors.length,
+    unchained: await this.countDocuments({ sequence: { $exists: false } })
+  };
+};
+
 // Static methods
 auditLogSchema.statics.findByUser = function(userId, options = {}) {
   const { page = 1, limit = 50 } = options;
@@ -140,15 +347,24 @@ auditLogSchema.statics.getStatistics = function(days = 30) {
     {
       $group: {
         _id: {
-          $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
+          date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          severity: '$severity'
         },
         count: { $sum: 1 },
         users: { $addToSet: '$userId' },
-        actions: { $addToSet: '$action' },
+        actions: { $addToSet: '$action' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.date',
+        count: { $sum: '$count' },
+        users: { $push: '$users' },
+        actions: { $push: '$actions' },
         severityCount: {
           $push: {
-            k: '$severity',
-            v: 1
+            k: '$_id.severity',
+            v: '$count'
           }
         }
       }
@@ -160,8 +376,12 @@ auditLogSchema.statics.getStatistics = function(days = 30) {
       $project: {
         date: '$_id',
         count: 1,
-        uniqueUsers: { $size: '$users' },
-        uniqueActions: { $size: '$actions' },
+        uniqueUsers: {
+          $size: { $reduce: { input: '$users', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } }
+        },
+        uniqueActions: {
+          $size: { $reduce: { input: '$actions', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } }
+        },
         severityBreakdown: {
           $arrayToObject: '$severityCount'
         },
@@ -171,4 +391,5 @@ auditLogSchema.statics.getStatistics = function(days = 30) {
   ]);
 };
 
-module.exports = mongoose.model('AuditLog', auditLogSchema);
\ No newline at end of file
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.GENESIS_HASH = GENESIS_HASH;
\ No newline at end of file
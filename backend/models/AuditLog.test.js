@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AuditLog = require('./AuditLog');
+const AuditArchive = require('./AuditArchive');
+
+const { GENESIS_HASH } = AuditLog;
+
+// The chain lives in memory; queries return the chained helpers the model uses
+let records;
+
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    lean: () => chain,
+    cursor: () => {
+      const iterator = result[Symbol.iterator]();
+      return {
+        close: async () => {},
+        [Symbol.asyncIterator]: () => ({ next: async () => iterator.next() })
+      };
+    },
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+test.beforeEach(() => {
+  records = [];
+
+  test.mock.method(AuditLog.prototype, 'save', async function() {
+    records.push(this.toObject({ virtuals: false }));
+    return this;
+  });
+  test.mock.method(AuditLog, 'findOne', () => query(records[records.length - 1] || null));
+  test.mock.method(AuditLog, 'find', () => query(records));
+  test.mock.method(AuditLog, 'countDocuments', async () => 0);
+  test.mock.method(AuditArchive, 'getLatestAnchor', async () => null);
+  test.mock.method(AuditArchive, 'find', () => query([]));
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+const appendThree = async () => {
+  for (const action of ['LOGIN', 'TICKET_UPDATED', 'LOGOUT']) {
+    await AuditLog.append({ action, entityType: 'User', details: { note: action } });
+  }
+};
+
+test('links each record to the one before it', async () => {
+  await appendThree();
+
+  assert.deepEqual(records.map(record => record.sequence), [1, 2, 3]);
+  assert.equal(records[0].previousHash, GENESIS_HASH);
+  assert.equal(records[1].previousHash, records[0].hash);
+  assert.equal(records[2].previousHash, records[1].hash);
+  assert.equal(records[2].hash, AuditLog.computeHash(records[2]));
+});
+
+test('hashes the same content the same way regardless of key order', () => {
+  const record = { sequence: 1, action: 'LOGIN', details: { b: 2, a: 1 }, createdAt: new Date('2026-10-19T08:00:00Z') };
+  const reordered = { createdAt: '2026-10-19T08:00:00.000Z', details: { a: 1, b: 2 }, action: 'LOGIN', sequence: 1 };
+
+  assert.equal(AuditLog.computeHash(record), AuditLog.computeHash(reordered));
+  assert.notEqual(AuditLog.computeHash(record), AuditLog.computeHash({ ...record, action: 'LOGOUT' }));
+});
+
+test('verifies an intact chain', async () => {
+  await appendThree();
+
+  const result = await AuditLog.verifyChain();
+  assert.equal(result.valid, true);
+  assert.equal(result.checked, 3);
+  assert.deepEqual(result.head, { sequence: 3, hash: records[2].hash });
+});
+
+test('reports an edited record', async () => {
+  await appendThree();
+  records[1].details = { note: 'rewritten' };
+
+  const result = await AuditLog.verifyChain();
+  assert.equal(result.valid, false);
+  assert.equal(result.checked, 1);
+  assert.equal(result.brokenAt.sequence, 2);
+  assert.equal(result.brokenAt.reason, 'content_modified');
+});
+
+test('reports a removed record', async () => {
+  await appendThree();
+  records.splice(1, 1);
+
+  const result = await AuditLog.verifyChain();
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt.sequence, 3);
+  assert.equal(result.brokenAt.reason, 'missing_records');
+});
+
+test('continues the chain from the latest archive anchor', async () => {
+  AuditArchive.getLatestAnchor.mock.mockImplementation(async () => ({ toSequence: 40, lastHash: 'a'.repeat(64) }));
+
+  await AuditLog.append({ action: 'LOGIN', entityType: 'User' });
+  assert.equal(records[0].sequence, 41);
+  assert.equal(records[0].previousHash, 'a'.repeat(64));
+});
+
+test('refuses records written without append()', async () => {
+  await assert.rejects(new AuditLog({ action: 'LOGIN', entityType: 'User' }).validate(), /AuditLog.append/);
+});
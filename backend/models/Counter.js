@@ -0,0 +1,54 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Counter Model
+ *
+ * Named atomic sequences (ticket numbers, etc.) in the `counters` collection.
+ *
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // Sequence name, e.g. "ticket:TKT:20260119"
+  _id: {
+    type: String,
+    required: true
+  },
+
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  collection: 'counters',
+  versionKey: false,
+  timestamps: { createdAt: false, updatedAt: true }
+});
+
+// Static methods
+
+/**
+ * Atomically increment a sequence and return the new value
+ */
+counterSchema.statics.next = async function(name, options = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session: options.session }
+  );
+
+  return counter.seq;
+};
+
+/**
+ * Current value without incrementing (0 if never used)
+ */
+counterSchema.statics.peek = async function(name) {
+  const counter = await this.findById(name).lean();
+  return counter ? counter.seq : 0;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
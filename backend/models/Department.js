@@ -1,27 +1,242 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Department Model
+ *
+ * The university's organizational units - faculties, their departments and
+ * administrative offices - as one tree. Tickets and users reference a
+ * department by id; the legacy free-text values they used to carry are kept
+ * as aliases so old strings still resolve.
+ *
+ * @version 1.0.0
+ */
+
 const mongoose = require('mongoose');
+const auditService = require('../services/auditService');
+
+const DEPARTMENT_TYPES = ['faculty', 'department', 'office', 'unit'];
+const CAMPUSES = ['BU', 'MA', 'KA', 'AR', 'MB', 'OTHER'];
+
+// Deepest hierarchy walked when checking for parent cycles
+const MAX_DEPTH = 10;
+
+/**
+ * "IT Services", "IT_SERVICES" and "it-services" all become "it_services"
+ */
+const normalizeAlias = (value) => String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
 
-const commentSchema = new mongoose.Schema({
-  ticketId: {
+const departmentSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Department code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Department code cannot exceed 20 characters'],
+    match: [/^[A-Z0-9_]+$/, 'Department code may only contain letters, numbers and underscores']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Department name is required'],
+    trim: true,
+    maxlength: [100, 'Department name cannot exceed 100 characters']
+  },
+
+  type: {
+    type: String,
+    enum: { values: DEPARTMENT_TYPES, message: '{VALUE} is not a valid department type' },
+    default: 'department'
+  },
+
+  // Faculty or office this unit belongs to (null = top level)
+  parent: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Ticket',
-    required: true
+    ref: 'Department',
+    default: null,
+    index: true
+  },
+
+  // Campus the unit sits on (empty = university-wide)
+  campus: {
+    type: String,
+    enum: { values: CAMPUSES, message: '{VALUE} is not a valid campus' }
   },
-  userId: {
+
+  head: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
+  },
+
+  costCenter: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Cost center cannot exceed 30 characters']
   },
-  content: {
+
+  email: {
     type: String,
-    required: true
+    trim: true,
+    lowercase: true
   },
-  isInternal: {
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  // Legacy free-text values that mean this department (stored normalized)
+  aliases: [{
+    type: String,
+    set: normalizeAlias
+  }],
+
+  isActive: {
     type: Boolean,
-    default: false
+    default: true,
+    index: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
-const Comment = mongoose.model('Comment', commentSchema);
-module.exports = Comment;
\ No newline at end of file
+departmentSchema.index({ aliases: 1 });
+departmentSchema.index({ name: 1 });
+
+// A department cannot sit under itself, and an alias may only mean one department
+departmentSchema.pre('validate', async function(next) {
+  try {
+    if (this.isModified('aliases')) {
+      this.aliases = [...new Set(this.aliases.filter(Boolean))];
+
+      const taken = await this.constructor.findOne({
+        _id: { $ne: this._id },
+        aliases: { $in: this.aliases }
+      }).select('code aliases');
+
+      if (taken) {
+        const alias = this.aliases.find(value => taken.aliases.includes(value));
+        this.invalidate('aliases', `Alias "${alias}" already belongs to ${taken.code}`);
+      }
+    }
+
+    if (this.isModified('parent') && this.parent) {
+      const ancestors = await this.getAncestors();
+      if (this.parent.equals(this._id) || ancestors.some(ancestor => ancestor._id.equals(this._id))) {
+        this.invalidate('parent', 'A department cannot be placed under itself or one of its sub-units');
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Instance methods
+
+/**
+ * Parent, grandparent, ... up to the top-level unit
+ */
+departmentSchema.methods.getAncestors = async function() {
+  const ancestors = [];
+  let parentId = this.parent;
+
+  while (parentId && ancestors.length < MAX_DEPTH) {
+    const parent = await this.constructor.findById(parentId).select('code name type parent');
+    if (!parent || ancestors.some(ancestor => ancestor._id.equals(parent._id))) break;
+    ancestors.push(parent);
+    parentId = parent.parent;
+  }
+
+  return ancestors;
+};
+
+// Static methods
+
+/**
+ * Department for an id, code, name or legacy alias (null when nothing matches)
+ */
+departmentSchema.statics.resolve = async function(value) {
+  if (!value) return null;
+
+  if (value instanceof mongoose.Types.ObjectId || /^[a-f0-9]{24}$/i.test(String(value))) {
+    const department = await this.findById(value);
+    if (department) return department;
+  }
+
+  const text = String(value).trim();
+  if (!text) return null;
+
+  const alias = normalizeAlias(text);
+
+  return this.findOne({
+    $or: [
+      { code: text.toUpperCase() },
+      { aliases: alias },
+      { name: new RegExp(`^${text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+    ]
+  });
+};
+
+/**
+ * A department's id plus the ids of every unit below it
+ */
+departmentSchema.statics.getDescendantIds = async function(departmentId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(departmentId)) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent',
+        as: 'descendants',
+        maxDepth: MAX_DEPTH
+      }
+    },
+    { $project: { ids: { $concatArrays: [['$_id'], '$descendants._id'] } } }
+  ]);
+
+  return result ? result.ids : [];
+};
+
+/**
+ * All departments nested under their parents
+ */
+departmentSchema.statics.getTree = async function(query = {}) {
+  const departments = await this.find(query)
+    .populate('head', 'firstName lastName email')
+    .sort({ name: 1 })
+    .lean();
+
+  const byId = new Map(departments.map(department => [department._id.toString(), { ...department, children: [] }]));
+  const roots = [];
+
+  for (const department of byId.values()) {
+    const parent = department.parent && byId.get(department.parent.toString());
+    if (parent) parent.children.push(department);
+    else roots.push(department);
+  }
+
+  return roots;
+};
+
+// Audit trail of hierarchy changes
+departmentSchema.plugin(auditService.plugin, {
+  entityType: 'Department'
+});
+
+const Department = mongoose.model('Department', departmentSchema);
+
+module.exports = Department;
+module.exports.DEPARTMENT_TYPES = DEPARTMENT_TYPES;
+module.exports.normalizeAlias = normalizeAlias;
@@ -0,0 +1,197 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * SLA Policy Model
+ *
+ * Single source of truth for response/resolution targets (business minutes).
+ * Targets are set per priority and can be overridden per category and/or department.
+ *
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { TICKET_SLA, TICKET_CATEGORIES } = require('../config/ticket.config');
+const Department = require('./Department');
+
+const PRIORITIES = Object.keys(TICKET_SLA);
+const CATEGORIES = Object.keys(TICKET_CATEGORIES);
+
+// Built-in targets used when no policy has been configured yet
+const DEFAULT_TARGETS = {
+  critical: { responseTime: 30, resolutionTime: 240 },
+  high: { responseTime: 60, resolutionTime: 480 },
+  medium: { responseTime: 240, resolutionTime: 1440 },
+  low: { responseTime: 480, resolutionTime: 2880 }
+};
+
+const targetSchema = new mongoose.Schema({
+  responseTime: {
+    type: Number, // business minutes
+    required: [true, 'Response time target is required'],
+    min: [1, 'Response time must be at least 1 minute']
+  },
+  resolutionTime: {
+    type: Number, // business minutes
+    required: [true, 'Resolution time target is required'],
+    min: [1, 'Resolution time must be at least 1 minute']
+  }
+}, { _id: false });
+
+const slaPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'Policy name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  // Only one policy is active at a time
+  isActive: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+
+  // Targets per priority
+  targets: {
+    critical: { type: targetSchema, default: () => DEFAULT_TARGETS.critical },
+    high: { type: targetSchema, default: () => DEFAULT_TARGETS.high },
+    medium: { type: targetSchema, default: () => DEFAULT_TARGETS.medium },
+    low: { type: targetSchema, default: () => DEFAULT_TARGETS.low }
+  },
+
+  // Optional overrides, most specific match wins (category + department > department > category)
+  overrides: [{
+    priority: {
+      type: String,
+      enum: { values: PRIORITIES, message: '{VALUE} is not a valid priority' },
+      required: [true, 'Override priority is required']
+    },
+    category: {
+      type: String,
+      enum: { values: CATEGORIES, message: '{VALUE} is not a valid category' }
+    },
+    // Id, code, name or alias as entered; stored as the Department code
+    department: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Department name cannot exceed 100 characters']
+    },
+    // What tickets are matched on (set from department when the policy is saved)
+    departmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department'
+    },
+    responseTime: {
+      type: Number,
+      min: [1, 'Response time must be at least 1 minute']
+    },
+    resolutionTime: {
+      type: Number,
+      min: [1, 'Resolution time must be at least 1 minute']
+    }
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Validate overrides target something
+slaPolicySchema.pre('validate', function(next) {
+  const invalid = this.overrides.find(override => !override.category && !override.department);
+  if (invalid) {
+    this.invalidate('overrides', 'Each override needs a category or department');
+  }
+
+  const empty = this.overrides.find(override => !override.responseTime && !override.resolutionTime);
+  if (empty) {
+    this.invalidate('overrides', 'Each override needs a response or resolution time');
+  }
+
+  next();
+});
+
+// Link department overrides to their Department, so renamed or re-spelled departments still match
+slaPolicySchema.pre('validate', async function() {
+  for (const override of this.overrides) {
+    if (!override.department) {
+      override.departmentId = undefined;
+      continue;
+    }
+
+    const department = await Department.resolve(override.department);
+    if (!department) {
+      this.invalidate('overrides', `Unknown department "${override.department}"`);
+      continue;
+    }
+
+    override.departmentId = department._id;
+    override.department = department.code;
+  }
+});
+
+// Static methods
+slaPolicySchema.statics.getActive = function() {
+  return this.findOne({ isActive: true }).sort({ updatedAt: -1 });
+};
+
+slaPolicySchema.statics.activate = async function(policyId, userId) {
+  await this.updateMany({ _id: { $ne: policyId }, isActive: true }, { $set: { isActive: false } });
+  return this.findByIdAndUpdate(
+    policyId,
+    { $set: { isActive: true, updatedBy: userId } },
+    { new: true }
+  );
+};
+
+// Instance methods
+slaPolicySchema.methods.getTargets = function(priority, context = {}) {
+  const base = this.targets?.[priority] || this.targets?.medium || DEFAULT_TARGETS.medium;
+  const { category, departmentId } = context;
+
+  // Department overrides match on the ticket's departmentId (unlinked ones never match)
+  const sameDepartment = override => Boolean(override.departmentId && departmentId) &&
+    override.departmentId.toString() === departmentId.toString();
+
+  const score = override => {
+    if (override.priority !== priority) return -1;
+    if (override.category && override.category !== category) return -1;
+    if (override.department && !sameDepartment(override)) return -1;
+    return (override.department ? 2 : 0) + (override.category ? 1 : 0);
+  };
+
+  const match = this.overrides
+    .map(override => ({ override, score: score(override) }))
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score)[0];
+
+  return {
+    responseTime: match?.override.responseTime || base.responseTime,
+    resolutionTime: match?.override.resolutionTime || base.resolutionTime,
+    policyId: this._id,
+    policyName: this.name
+  };
+};
+
+const SLAPolicy = mongoose.model('SLAPolicy', slaPolicySchema);
+
+module.exports = SLAPolicy;
+module.exports.DEFAULT_TARGETS = DEFAULT_TARGETS;
+module.exports.PRIORITIES = PRIORITIES;
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const SLAPolicy = require('./SLAPolicy');
+const Department = require('./Department');
+
+const finance = { _id: new mongoose.Types.ObjectId(), code: 'FIN', name: 'Finance' };
+
+const policy = (overrides) => new SLAPolicy({ name: 'Term time', overrides });
+
+test.beforeEach(() => {
+  test.mock.method(Department, 'resolve', async (value) =>
+    ['FIN', 'Finance', 'finance dept', finance._id.toString()].includes(String(value)) ? finance : null);
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('links department overrides to the Department on save', async () => {
+  const finance24 = policy([{ priority: 'high', department: 'finance dept', responseTime: 15 }]);
+
+  await finance24.validate();
+
+  assert.equal(finance24.overrides[0].departmentId.toString(), finance._id.toString());
+  assert.equal(finance24.overrides[0].department, 'FIN');
+});
+
+test('rejects overrides for departments that do not exist', async () => {
+  await assert.rejects(
+    policy([{ priority: 'high', department: 'Astrology', responseTime: 15 }]).validate(),
+    /Unknown department "Astrology"/
+  );
+});
+
+test('matches department overrides on departmentId, not text', async () => {
+  const linked = policy([{ priority: 'high', department: 'Finance', responseTime: 15 }]);
+  await linked.validate();
+
+  assert.equal(linked.getTargets('high', { departmentId: finance._id }).responseTime, 15);
+  assert.equal(linked.getTargets('high', { departmentId: new mongoose.Types.ObjectId() }).responseTime, 60);
+  assert.equal(linked.getTargets('high', {}).responseTime, 60);
+
+  // An override saved before departments were linked never matches
+  const unlinked = policy([{ priority: 'high', department: 'FIN', responseTime: 15 }]);
+  assert.equal(unlinked.getTargets('high', { departmentId: finance._id }).responseTime, 60);
+});
@@ -0,0 +1,116 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Session Model
+ *
+ * One entry per login. The session's current refresh token is stored as a
+ * SHA-256 hash and replaced on every refresh; presenting an earlier token of
+ * the same session means it was copied, and the whole session is revoked.
+ *
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+// Revoked and expired sessions stay listed this long before MongoDB removes them
+const RETAIN_AFTER_EXPIRY_SECONDS = 30 * 24 * 60 * 60;
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Hash of the refresh token that may be used next
+  tokenHash: {
+    type: String,
+    required: true
+  },
+
+  // Token it replaced, to tell a racing tab from a replayed token
+  previousTokenHash: String,
+  rotatedAt: Date,
+
+  // Number of refreshes so far
+  generation: {
+    type: Number,
+    default: 0
+  },
+
+  // Client details
+  device: String,
+  userAgent: String,
+  ipAddress: String,
+  lastIpAddress: String,
+
+  rememberMe: {
+    type: Boolean,
+    default: false
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'token_reuse', 'password_reset', 'account_disabled']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: RETAIN_AFTER_EXPIRY_SECONDS });
+
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+/**
+ * Session as shown on the Profile page
+ */
+sessionSchema.methods.toClientFormat = function(currentSessionId) {
+  return {
+    id: this._id,
+    device: this.device,
+    userAgent: this.userAgent,
+    ipAddress: this.lastIpAddress || this.ipAddress,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+/**
+ * Unrevoked, unexpired sessions of a user, most recently used first
+ */
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+sessionSchema.statics.isActiveSession = async function(sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+  return !!(await this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }));
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,126 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Support Group Model
+ *
+ * Teams of technicians (e.g. "Network team", "Kampala Campus desk") that own
+ * a queue of tickets by category and/or campus.
+ *
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { TICKET_CATEGORIES, TICKET_CAMPUSES } = require('../config/ticket.config');
+
+const CATEGORIES = Object.keys(TICKET_CATEGORIES);
+const CAMPUSES = Object.keys(TICKET_CAMPUSES);
+
+const supportGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'Group name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // Categories routed to this group (empty = any category)
+  categories: [{
+    type: String,
+    enum: { values: CATEGORIES, message: '{VALUE} is not a valid category' }
+  }],
+
+  // Campus served by this group (empty = all campuses)
+  campus: {
+    type: String,
+    enum: { values: CAMPUSES, message: '{VALUE} is not a valid campus' }
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+supportGroupSchema.index({ members: 1 });
+supportGroupSchema.index({ categories: 1, campus: 1 });
+
+// The lead is always a member
+supportGroupSchema.pre('save', function(next) {
+  if (this.lead && !this.members.some(member => member.equals(this.lead))) {
+    this.members.push(this.lead);
+  }
+  next();
+});
+
+// Virtual for member count
+supportGroupSchema.virtual('memberCount').get(function() {
+  return this.members ? this.members.length : 0;
+});
+
+// Instance methods
+supportGroupSchema.methods.hasMember = function(userId) {
+  if (!userId) return false;
+  return this.members.some(member => (member._id || member).toString() === userId.toString());
+};
+
+// Static methods
+supportGroupSchema.statics.getForUser = function(userId) {
+  return this.find({ members: userId, isActive: true }).sort({ name: 1 });
+};
+
+/**
+ * Best group for a ticket: category + campus > campus > category
+ */
+supportGroupSchema.statics.findForTicket = async function(ticket) {
+  const { campus } = ticket;
+  const groups = await this.find({ isActive: true });
+
+  const score = group => {
+    if (group.categories.length > 0 && !group.categories.includes(ticket.category)) return -1;
+    if (group.campus && group.campus !== campus) return -1;
+    return (group.campus ? 2 : 0) + (group.categories.length > 0 ? 1 : 0);
+  };
+
+  const match = groups
+    .map(group => ({ group, score: score(group) }))
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score)[0];
+
+  return match ? match.group : null;
+};
+
+const SupportGroup = mongoose.model('SupportGroup', supportGroupSchema);
+
+module.exports = SupportGroup;
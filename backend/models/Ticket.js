@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const Department = require('./Department');
+const slaService = require('../services/slaService');
+const ticketNumberService = require('../services/ticketNumberService');
+const auditService = require('../services/auditService');
+const {
+  TICKET_SLA,
+  TICKET_CATEGORIES,
+  TICKET_STATUS,
+  TICKET_CAMPUSES,
+  FINISHED_STATUSES,
+  ACTIVE_STATUSES
+} = require('../config/ticket.config');
 
 /**
  * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
@@ -12,13 +24,15 @@ const mongoose = require('mongoose');
  * - Full audit trail
  * - Advanced search capabilities
  * - Related tickets linking
+ *
+ * Shared by the API in server.js and the routers/services under routes/ and services/.
  */
 
 const ticketSchema = new mongoose.Schema({
   // ============================================
   // TICKET IDENTIFICATION
   // ============================================
-  ticketNumber: {
+  ticketId: {
     type: String,
     unique: true,
     sparse: true // Allows null during creation before pre-save hook
@@ -49,36 +63,43 @@ const ticketSchema = new mongoose.Schema({
   category: {
     type: String,
     enum: {
-      values: ['Hardware', 'Software', 'Network', 'Email', 'Account Access', 'Printer', 'Phone', 'Other'],
+      values: Object.keys(TICKET_CATEGORIES),
       message: '{VALUE} is not a valid category'
     },
     required: [true, 'Category is required'],
-    default: 'Other'
+    default: 'other',
+    index: true
   },
   
+  // Additional Categories for Bugema University
   subCategory: {
     type: String,
-    trim: true,
-    maxlength: [100, 'Sub-category cannot exceed 100 characters']
+    enum: ['internet', 'wifi', 'campus_network', 'software_installation', 'software_license', 
+           'virus_removal', 'computer_repair', 'printer_issues', 'peripheral_devices',
+           'password_reset', 'account_lockout', 'access_permissions', 'email_setup',
+           'email_spam', 'website_access', 'cms_issues', 'online_learning_platform',
+           'general_inquiry', 'suggestion', 'complaint'],
+    default: 'general_inquiry'
   },
   
   priority: {
     type: String,
     enum: {
-      values: ['Low', 'Medium', 'High', 'Critical'],
+      values: Object.keys(TICKET_SLA),
       message: '{VALUE} is not a valid priority'
     },
     required: [true, 'Priority is required'],
-    default: 'Medium'
+    default: 'medium',
+    index: true
   },
   
   status: {
     type: String,
     enum: {
-      values: ['Open', 'Assigned', 'In Progress', 'Pending', 'Resolved', 'Closed', 'Reopened', 'Cancelled'],
+      values: Object.keys(TICKET_STATUS),
       message: '{VALUE} is not a valid status'
     },
-    default: 'Open',
+    default: 'open',
     index: true
   },
   
@@ -107,32 +128,58 @@ const ticketSchema = new mongoose.Schema({
     type: Date
   },
   
+  // Team queue the ticket belongs to
+  assignedGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SupportGroup',
+    index: true
+  },
+  
+  // How the current assignment was made (see services/assignmentService)
+  assignment: {
+    method: {
+      type: String,
+      enum: ['manual', 'auto', 'queued']
+    },
+    strategy: String,
+    queuedAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastAttemptAt: Date,
+    reason: String
+  },
+  
   // ============================================
   // LOCATION & DEPARTMENT
   // ============================================
+  // Campus code; also selects the SLA calendar
+  campus: {
+    type: String,
+    enum: Object.keys(TICKET_CAMPUSES),
+    default: 'BU',
+    index: true
+  },
+  
   location: {
-    building: {
-      type: String,
-      trim: true,
-      maxlength: [100, 'Building name cannot exceed 100 characters']
-    },
-    room: {
-      type: String,
-      trim: true,
-      maxlength: [50, 'Room number cannot exceed 50 characters']
-    },
-    campus: {
-      type: String,
-      enum: ['Main Campus', 'Kampala Campus', 'Other'],
-      default: 'Main Campus'
-    },
-    floor: {
-      type: String,
-      trim: true,
-      maxlength: [20, 'Floor cannot exceed 20 characters']
-    }
+    type: String,
+    trim: true
   },
   
+  building: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Building name cannot exceed 100 characters']
+  },
+  
+  roomNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Room number cannot exceed 50 characters']
+  },
+  
+  // Legacy department text; departmentId is what reports and access checks use
   department: {
     type: String,
     trim: true,
@@ -140,6 +187,12 @@ const ticketSchema = new mongoose.Schema({
     index: true
   },
   
+  departmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    index: true
+  },
+  
   // ============================================
   // CONTACT INFORMATION
   // ============================================
@@ -157,6 +210,19 @@ const ticketSchema = new mongoose.Schema({
     }
   },
   
+  // Channel the ticket was submitted through
+  source: {
+    type: String,
+    enum: ['web', 'email', 'api'],
+    default: 'web'
+  },
+  
+  // Message-IDs of inbound emails already applied (prevents duplicates)
+  emailMessageIds: [{
+    type: String,
+    trim: true
+  }],
+  
   // ============================================
   // COMMENTS & COMMUNICATION
   // ============================================
@@ -166,9 +232,9 @@ const ticketSchema = new mongoose.Schema({
       ref: 'User',
       required: true
     },
-    content: {
+    message: {
       type: String,
-      required: [true, 'Comment content is required'],
+      required: [true, 'Comment message is required'],
       trim: true,
       minlength: [1, 'Comment cannot be empty'],
       maxlength: [2000, 'Comment cannot exceed 2000 characters']
@@ -179,17 +245,20 @@ const ticketSchema = new mongoose.Schema({
       index: true
     },
     attachments: [{
-      filename: String,
-      originalName: String,
-      path: String,
-      size: Number,
-      mimeType: String
+      fileName: String,
+      fileUrl: String,
+      fileType: String,
+      fileSize: Number
     }],
     createdAt: {
       type: Date,
       default: Date.now,
       index: true
     },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    },
     editedAt: Date,
     isEdited: {
       type: Boolean,
@@ -201,31 +270,16 @@ const ticketSchema = new mongoose.Schema({
   // ATTACHMENTS
   // ============================================
   attachments: [{
-    filename: {
-      type: String,
-      required: true
-    },
-    originalName: {
-      type: String,
-      required: true
-    },
-    path: {
-      type: String,
-      required: true
-    },
-    size: {
+    fileName: String,
+    fileUrl: String,
+    fileType: String,
+    fileSize: {
       type: Number,
-      required: true,
       max: [10485760, 'File size cannot exceed 10MB'] // 10MB limit
     },
-    mimeType: {
-      type: String,
-      required: true
-    },
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
+      ref: 'User'
     },
     uploadedAt: {
       type: Date,
@@ -237,21 +291,50 @@ const ticketSchema = new mongoose.Schema({
   // SLA TRACKING (Enhanced)
   // ============================================
   sla: {
-    responseTime: {
-      target: {
-        type: Number, // in minutes
-        default: function() {
-          // Auto-calculate based on priority
-          const priorityTargets = {
-            'Critical': 30,    // 30 minutes
-            'High': 120,       // 2 hours
-            'Medium': 480,     // 8 hours
-            'Low': 1440        // 24 hours
-          };
-          return priorityTargets[this.priority] || 480;
-        }
+    // Campus calendar the SLA clock runs on (business hours & holidays)
+    calendar: {
+      type: String,
+      trim: true
+    },
+    // Timezone the calendar's working hours are read in (requester's preference)
+    timezone: {
+      type: String,
+      trim: true
+    },
+    // SLA clock is stopped while the ticket is Pending
+    isPaused: {
+      type: Boolean,
+      default: false
+    },
+    pausedAt: Date,
+    totalPausedMinutes: {
+      type: Number, // Business minutes spent paused
+      default: 0,
+      min: [0, 'Paused time cannot be negative']
+    },
+    // Alerts already sent by the SLA monitor (prevents repeats)
+    alerts: [{
+      clock: {
+        type: String,
+        enum: ['response', 'resolution']
+      },
+      level: {
+        type: String,
+        enum: ['warning', 'critical', 'breached']
       },
-      actual: Number, // Calculated when first response is made
+      sentAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // SLA policy the targets were taken from
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SLAPolicy'
+    },
+    responseTime: {
+      target: Number, // Business minutes, set from the active SLA policy on creation
+      actual: Number, // Business minutes, calculated when first response is made
       deadline: Date,
       breached: {
         type: Boolean,
@@ -259,20 +342,8 @@ const ticketSchema = new mongoose.Schema({
       }
     },
     resolutionTime: {
-      target: {
-        type: Number, // in minutes
-        default: function() {
-          // Auto-calculate based on priority
-          const priorityTargets = {
-            'Critical': 240,    // 4 hours
-            'High': 1440,       // 24 hours
-            'Medium': 4320,     // 3 days
-            'Low': 10080        // 7 days
-          };
-          return priorityTargets[this.priority] || 4320;
-        }
-      },
-      actual: Number, // Calculated when resolved
+      target: Number, // Business minutes, set from the active SLA policy on creation
+      actual: Number, // Business minutes, calculated when resolved
       deadline: Date,
       breached: {
         type: Boolean,
@@ -281,34 +352,71 @@ const ticketSchema = new mongoose.Schema({
     }
   },
   
+  // Resolution deadline for clients that predate the sla block
+  // (kept equal to sla.resolutionTime.deadline)
+  slaDueDate: {
+    type: Date,
+    index: true
+  },
+  
+  // First public comment or status change by support staff
+  firstResponseAt: {
+    type: Date,
+    index: true
+  },
+  
+  firstResponseBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
   // ============================================
   // RESOLUTION DETAILS
   // ============================================
   resolution: {
-    description: {
+    summary: {
       type: String,
       trim: true,
-      maxlength: [2000, 'Resolution description cannot exceed 2000 characters']
+      maxlength: [2000, 'Resolution summary cannot exceed 2000 characters']
     },
+    details: String,
+    solutionSteps: [String],
+    rootCause: String,
+    preventedFromRecurring: Boolean,
+    preventiveMeasures: [String],
     resolvedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
-    },
-    resolvedAt: Date,
-    resolutionTime: Number, // Total time in minutes
-    satisfactionRating: {
-      type: Number,
-      min: [1, 'Rating must be at least 1'],
-      max: [5, 'Rating cannot exceed 5']
-    },
-    satisfactionComment: {
-      type: String,
-      trim: true,
-      maxlength: [500, 'Satisfaction comment cannot exceed 500 characters']
-    },
-    ratedAt: Date
+    }
+  },
+  
+  resolvedAt: {
+    type: Date,
+    index: true
+  },
+  
+  actualResolutionTime: {
+    type: Number // Wall-clock minutes from creation to resolution
+  },
+  
+  // ============================================
+  // FEEDBACK
+  // ============================================
+  customerSatisfaction: {
+    type: Number,
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot exceed 5'],
+    default: null
+  },
+  
+  feedbackComment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Feedback comment cannot exceed 1000 characters']
   },
   
+  ratedAt: Date,
+  
   // ============================================
   // ESCALATION SYSTEM
   // ============================================
@@ -340,24 +448,35 @@ const ticketSchema = new mongoose.Schema({
     }]
   },
   
+  // Senior technician or admin the ticket was escalated to
+  escalatedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
   // ============================================
   // RELATED & LINKED TICKETS
   // ============================================
   relatedTickets: [{
-    ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket'
+  }],
+  
+  // ============================================
+  // WATCHERS (CC LIST)
+  // ============================================
+  watchers: [{
+    _id: false,
+    user: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'Ticket'
-    },
-    relationship: {
-      type: String,
-      enum: ['Duplicate', 'Related', 'Blocks', 'Blocked By', 'Parent', 'Child'],
-      default: 'Related'
+      ref: 'User',
+      required: true
     },
-    linkedBy: {
+    addedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    linkedAt: {
+    addedAt: {
       type: Date,
       default: Date.now
     }
@@ -394,6 +513,17 @@ const ticketSchema = new mongoose.Schema({
     ref: 'User'
   },
   
+  viewedBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    viewedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // ============================================
   // STATUS HISTORY (Audit Trail)
   // ============================================
@@ -414,6 +544,46 @@ const ticketSchema = new mongoose.Schema({
     comment: String
   }],
   
+  // ============================================
+  // SLA PAUSES (Time spent waiting in Pending)
+  // ============================================
+  slaPauses: [{
+    pausedAt: {
+      type: Date,
+      required: true
+    },
+    pausedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resumedAt: Date,
+    resumedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    duration: Number // Business minutes, set on resume
+  }],
+  
+  // ============================================
+  // FIELD HISTORY (Audit Trail)
+  // ============================================
+  history: [{
+    action: String,
+    field: String,
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: String
+  }],
+  
   // ============================================
   // TIMESTAMPS
   // ============================================
@@ -442,6 +612,10 @@ const ticketSchema = new mongoose.Schema({
     min: [0, 'Reopen count cannot be negative']
   },
   
+  dueDate: {
+    type: Date
+  },
+  
   // ============================================
   // SOFT DELETE
   // ============================================
@@ -460,7 +634,14 @@ const ticketSchema = new mongoose.Schema({
   
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.history;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -468,11 +649,19 @@ const ticketSchema = new mongoose.Schema({
 // INDEXES FOR PERFORMANCE
 // ============================================
 ticketSchema.index({ createdBy: 1, status: 1 });
+ticketSchema.index({ createdBy: 1, createdAt: -1 });
 ticketSchema.index({ assignedTo: 1, status: 1 });
+ticketSchema.index({ assignedGroup: 1, assignedTo: 1, status: 1 });
+ticketSchema.index({ emailMessageIds: 1 });
+ticketSchema.index({ 'assignment.method': 1, 'assignment.queuedAt': 1 });
 ticketSchema.index({ status: 1, priority: -1, createdAt: -1 });
 ticketSchema.index({ category: 1, status: 1 });
+ticketSchema.index({ category: 1, subCategory: 1 });
+ticketSchema.index({ campus: 1, status: 1 });
 ticketSchema.index({ department: 1, status: 1 });
+ticketSchema.index({ departmentId: 1, status: 1 });
 ticketSchema.index({ tags: 1 });
+ticketSchema.index({ 'watchers.user': 1 });
 ticketSchema.index({ 'sla.responseTime.breached': 1, 'sla.resolutionTime.breached': 1 });
 ticketSchema.index({ createdAt: -1 });
 ticketSchema.index({ updatedAt: -1 });
@@ -480,12 +669,12 @@ ticketSchema.index({ updatedAt: -1 });
 ticketSchema.index({ 
   title: 'text', 
   description: 'text', 
-  ticketNumber: 'text',
+  ticketId: 'text',
   tags: 'text',
   searchKeywords: 'text'
 }, {
   weights: {
-    ticketNumber: 10,
+    ticketId: 10,
     title: 5,
     tags: 3,
     description: 2,
@@ -500,43 +689,58 @@ ticketSchema.index({
 // Generate ticket number before first save
 ticketSchema.pre('save', async function(next) {
   try {
-    // Only generate ticket number for new documents
-    if (this.isNew && !this.ticketNumber) {
-      const date = new Date();
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      
-      // Count tickets created today
-      const startOfDay = new Date(date.setHours(0, 0, 0, 0));
-      const endOfDay = new Date(date.setHours(23, 59, 59, 999));
-      
-      const count = await this.constructor.countDocuments({
-        createdAt: { $gte: startOfDay, $lte: endOfDay }
-      });
-      
-      const sequence = String(count + 1).padStart(4, '0');
-      this.ticketNumber = `TKT-${year}${month}${day}-${sequence}`;
+    // Only generate ticket number for new documents (atomic counter, never reused)
+    if (!this.ticketId) {
+      this.ticketId = await ticketNumberService.generate(this);
     }
     
     // Update timestamp
     this.updatedAt = Date.now();
     
-    // Calculate SLA deadlines for new tickets
+    // File the ticket under the requester's department unless one was given
+    if (this.isNew && !this.departmentId && !this.department) {
+      const requester = await mongoose.model('User').findById(this.createdBy).select('departmentId');
+      this.departmentId = requester?.departmentId;
+    }
+    
+    // Link the department before SLA overrides are matched against it
+    await this.syncDepartment();
+    
+    // Calculate SLA deadlines for new tickets (targets are business minutes)
     if (this.isNew) {
       const now = new Date();
+      const calendar = slaService.calendar.getCalendar(
+        this.campus,
+        this.sla.timezone || await this.getRequesterTimezone()
+      );
+      const campus = calendar.name;
+      
+      this.sla.calendar = calendar.name;
+      this.sla.timezone = calendar.timezone;
+      
+      // Targets come from the active SLA policy unless set explicitly
+      if (!this.sla.responseTime.target || !this.sla.resolutionTime.target) {
+        const targets = await slaService.getTargets(this.priority, {
+          category: this.category,
+          departmentId: this.departmentId
+        });
+        
+        this.sla.policy = targets.policyId;
+        this.sla.responseTime.target = this.sla.responseTime.target || targets.responseTime;
+        this.sla.resolutionTime.target = this.sla.resolutionTime.target || targets.resolutionTime;
+      }
       
       // Response time deadline
       if (this.sla.responseTime.target) {
-        this.sla.responseTime.deadline = new Date(
-          now.getTime() + this.sla.responseTime.target * 60000
+        this.sla.responseTime.deadline = slaService.addBusinessMinutes(
+          now, this.sla.responseTime.target, campus, calendar.timezone
         );
       }
       
       // Resolution time deadline
       if (this.sla.resolutionTime.target) {
-        this.sla.resolutionTime.deadline = new Date(
-          now.getTime() + this.sla.resolutionTime.target * 60000
+        this.sla.resolutionTime.deadline = slaService.addBusinessMinutes(
+          now, this.sla.resolutionTime.target, campus, calendar.timezone
         );
       }
       
@@ -547,6 +751,9 @@ ticketSchema.pre('save', async function(next) {
         changedAt: now,
         comment: 'Ticket created'
       });
+    } else if (this.isModified('priority') && !FINISHED_STATUSES.includes(this.status)) {
+      // A new priority moves the deadlines to its targets
+      await this.retargetSLA();
     }
     
     // Build search keywords
@@ -567,56 +774,162 @@ ticketSchema.pre('save', async function(next) {
 
 // Track status changes
 ticketSchema.pre('save', function(next) {
-  if (!this.isNew && this.isModified('status')) {
+  if (!this.isModified('status')) return next();
+  
+  const now = new Date();
+  const changedBy = this.modifiedBy || this._modifiedBy; // Set by callers
+  
+  if (!this.isNew) {
     this.statusHistory.push({
       status: this.status,
-      changedBy: this.modifiedBy || this.createdBy, // Set via middleware
-      changedAt: new Date(),
-      comment: `Status changed to ${this.status}`
+      changedBy: changedBy || this.createdBy,
+      changedAt: now,
+      comment: this.$locals.statusComment || `Status changed to ${this.status}` // Set by callers that add a note
     });
+    delete this.$locals.statusComment;
     
-    // Update closedAt when status changes to Closed
-    if (this.status === 'Closed' && !this.closedAt) {
-      this.closedAt = new Date();
-      
-      // Calculate actual resolution time
-      if (!this.resolution.resolutionTime) {
-        const duration = this.closedAt - this.createdAt;
-        this.resolution.resolutionTime = Math.round(duration / 60000); // Convert to minutes
-        this.sla.resolutionTime.actual = this.resolution.resolutionTime;
-      }
+    // Stop the SLA clock in Pending, restart it on any other status
+    if (this.status === 'pending') {
+      this.pauseSLA(changedBy);
+    } else if (this.sla.isPaused) {
+      this.resumeSLA(changedBy);
     }
+  }
+  
+  // Record resolution time and SLA outcome when resolved
+  if (this.status === 'resolved' && !this.resolvedAt) {
+    this.resolvedAt = now;
+    this.actualResolutionTime = Math.round((now - this.createdAt) / 60000); // Convert to minutes
+    slaService.updateBreachFlags(this, now);
+  }
+  
+  // Update closedAt when status changes to Closed
+  if (this.status === 'closed' && !this.closedAt) {
+    this.closedAt = now;
     
-    // Track reopen
-    if (this.status === 'Reopened') {
-      this.reopenedAt = new Date();
-      this.reopenCount += 1;
-      this.closedAt = null; // Clear closed date
+    // Closed without being resolved: the clock stops here
+    if (!this.actualResolutionTime) {
+      this.actualResolutionTime = Math.round((this.closedAt - this.createdAt) / 60000);
+      this.sla.resolutionTime.actual = slaService.calculateResolutionMinutes(this, this.closedAt);
     }
   }
   
+  // Track reopen
+  if (this.status === 'reopened') {
+    this.reopenedAt = now;
+    this.reopenCount += 1;
+    this.closedAt = null; // Clear closed date
+    this.resolvedAt = null;
+  }
+  
+  next();
+});
+
+// Keep the legacy due date on the resolution deadline
+ticketSchema.pre('save', function(next) {
+  if (this.sla.resolutionTime.deadline) {
+    this.slaDueDate = this.sla.resolutionTime.deadline;
+  } else if (this.isNew || this.isModified('priority')) {
+    // No business-hours target (legacy tickets): wall-clock hours per priority
+    this.slaDueDate = new Date(Date.now() + TICKET_SLA[this.priority].hours * 60 * 60 * 1000);
+  }
+  
   next();
 });
 
+// Add history tracking middleware
+ticketSchema.pre('save', function(next) {
+  const ticket = this;
+  
+  if (ticket.isNew) {
+    // Don't add history for new documents
+    return next();
+  }
+  
+  try {
+    const modifiedPaths = ticket.modifiedPaths();
+    const changes = [];
+    
+    // Track all changes except internal fields
+    const excludedFields = ['updatedAt', 'viewedBy', 'history', 'statusHistory', 'searchKeywords',
+                            'viewCount', 'lastViewedAt', 'lastViewedBy', '__v'];
+    
+    modifiedPaths.forEach(path => {
+      if (excludedFields.includes(path)) return;
+      
+      const oldValue = ticket._original ? ticket._original[path] : undefined;
+      const newValue = ticket[path];
+      
+      // Only track if value actually changed
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes.push({
+          action: 'UPDATE',
+          field: path,
+          oldValue,
+          newValue,
+          changedBy: ticket._modifiedBy || ticket.modifiedBy || null,
+          reason: ticket._changeReason || null
+        });
+      }
+    });
+    
+    // Add changes to history
+    if (changes.length > 0) {
+      ticket.history.push(...changes);
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ============================================
 // VIRTUAL FIELDS
 // ============================================
 
 // Virtual for formatted ticket number (already exists in ID)
 ticketSchema.virtual('formattedNumber').get(function() {
-  return this.ticketNumber || `TKT-${this._id.toString().substring(18, 24).toUpperCase()}`;
+  return this.ticketId || `TKT-${this._id.toString().substring(18, 24).toUpperCase()}`;
+});
+
+// Virtual for SLA status
+ticketSchema.virtual('slaStatus').get(function() {
+  if (FINISHED_STATUSES.includes(this.status)) return 'completed';
+  if (!this.slaDueDate) return 'no-sla';
+  if (this.sla?.isPaused) return 'paused';
+  
+  const now = new Date();
+  const timeRemaining = this.slaDueDate - now;
+  
+  if (timeRemaining < 0) return 'breached';
+  if (timeRemaining < 60 * 60 * 1000) return 'critical'; // Less than 1 hour
+  if (timeRemaining < 4 * 60 * 60 * 1000) return 'warning'; // Less than 4 hours
+  return 'normal';
+});
+
+// Virtual for SLA time remaining
+ticketSchema.virtual('slaTimeRemaining').get(function() {
+  if (!this.slaDueDate) return null;
+  
+  const now = new Date();
+  const timeRemaining = this.slaDueDate - now;
+  
+  return Math.max(0, Math.floor(timeRemaining / (1000 * 60))); // in minutes
 });
 
 // Virtual for overdue status
 ticketSchema.virtual('isOverdue').get(function() {
-  if (this.status === 'Resolved' || this.status === 'Closed' || this.status === 'Cancelled') {
+  if (FINISHED_STATUSES.includes(this.status)) {
     return false;
   }
   
   const now = new Date();
-  return (
-    (this.sla.responseTime.deadline && now > this.sla.responseTime.deadline && !this.sla.responseTime.actual) ||
-    (this.sla.resolutionTime.deadline && now > this.sla.resolutionTime.deadline && !this.resolution.resolvedAt)
+  // A paused clock stopped at pausedAt
+  const resolutionClock = this.sla.isPaused && this.sla.pausedAt ? this.sla.pausedAt : now;
+  return Boolean(
+    (this.sla.responseTime.deadline && now > this.sla.responseTime.deadline && this.sla.responseTime.actual == null) ||
+    (this.sla.resolutionTime.deadline && resolutionClock > this.sla.resolutionTime.deadline && !this.resolvedAt)
   );
 });
 
@@ -630,10 +943,9 @@ ticketSchema.virtual('ageInDays').get(function() {
 
 // Virtual for age in hours
 ticketSchema.virtual('ageInHours').get(function() {
-  const now = new Date();
   const created = new Date(this.createdAt);
-  const diffTime = Math.abs(now - created);
-  return Math.ceil(diffTime / (1000 * 60 * 60));
+  const now = new Date();
+  return Math.floor((now - created) / (1000 * 60 * 60));
 });
 
 // Virtual for comment count
@@ -656,10 +968,10 @@ ticketSchema.virtual('publicComments').get(function() {
 // ============================================
 
 // Add comment to ticket
-ticketSchema.methods.addComment = function(userId, content, isInternal = false, attachments = []) {
+ticketSchema.methods.addComment = function(userId, message, isInternal = false, attachments = []) {
   this.comments.push({
     user: userId,
-    content: content,
+    message: message,
     isInternal: isInternal,
     attachments: attachments,
     createdAt: new Date()
@@ -667,27 +979,181 @@ ticketSchema.methods.addComment = function(userId, content, isInternal = false,
   return this.save();
 };
 
+// Add attachment to ticket
+ticketSchema.methods.addAttachment = async function(fileData) {
+  this.attachments.push({
+    fileName: fileData.fileName,
+    fileUrl: fileData.fileUrl,
+    fileType: fileData.fileType,
+    fileSize: fileData.fileSize,
+    uploadedBy: fileData.uploadedBy,
+    uploadedAt: new Date()
+  });
+  
+  await this.save();
+  return this.attachments[this.attachments.length - 1];
+};
+
+// Check whether a user follows the ticket
+ticketSchema.methods.isWatchedBy = function(userId) {
+  return (this.watchers || []).some(watcher => (watcher.user._id || watcher.user).toString() === userId.toString());
+};
+
+// Add a watcher (no-op if already watching); returns whether one was added
+ticketSchema.methods.addWatcher = function(userId, addedBy = userId) {
+  if (this.isWatchedBy(userId)) return false;
+  
+  this.watchers.push({ user: userId, addedBy, addedAt: new Date() });
+  return true;
+};
+
+// Remove a watcher; returns whether one was removed
+ticketSchema.methods.removeWatcher = function(userId) {
+  const count = this.watchers.length;
+  this.watchers = this.watchers.filter(watcher => (watcher.user._id || watcher.user).toString() !== userId.toString());
+  return this.watchers.length < count;
+};
+
+// Link departmentId from the department text (the text itself is kept as entered)
+ticketSchema.methods.syncDepartment = async function() {
+  if (this.isModified('departmentId') || !this.isModified('department')) return;
+  
+  const department = await Department.resolve(this.department);
+  this.departmentId = department ? department._id : undefined;
+};
+
+// Timezone from the requester's preferences (undefined falls back to the campus calendar)
+ticketSchema.methods.getRequesterTimezone = async function() {
+  if (!this.createdBy) return undefined;
+  
+  const requester = await mongoose.model('User').findById(this.createdBy).select('preferences.timezone').lean();
+  return requester?.preferences?.timezone;
+};
+
 // Assign ticket to technician
 ticketSchema.methods.assignTo = function(technicianId, assignedById) {
   this.assignedTo = technicianId;
   this.assignedBy = assignedById;
   this.assignedAt = new Date();
-  this.status = 'Assigned';
+  this.status = 'assigned';
+  this.modifiedBy = assignedById;
   return this.save();
 };
 
+// Record the first response by support staff (no-op once recorded)
+ticketSchema.methods.recordFirstResponse = function(userId, respondedAt = new Date()) {
+  if (this.firstResponseAt) return false;
+  
+  this.firstResponseAt = respondedAt;
+  this.firstResponseBy = userId;
+  
+  const { responseTime } = this.sla;
+  responseTime.actual = slaService.calculateResponseMinutes(this, respondedAt);
+  responseTime.breached = responseTime.target
+    ? responseTime.actual > responseTime.target
+    : Boolean(responseTime.deadline && respondedAt > responseTime.deadline);
+  
+  return true;
+};
+
 // Update status
 ticketSchema.methods.updateStatus = function(newStatus, userId, comment = '') {
+  const oldStatus = this.status;
   this.status = newStatus;
   this.modifiedBy = userId; // This will be picked up by pre-save hook
+  this._changeReason = comment || `Status changed from ${oldStatus} to ${newStatus}`;
   
   if (comment) {
-    this.statusHistory[this.statusHistory.length - 1].comment = comment;
+    this.$locals.statusComment = comment;
   }
   
   return this.save();
 };
 
+// Pause SLA clock (called when the ticket enters Pending)
+ticketSchema.methods.pauseSLA = function(userId, reason = 'Waiting on requester or parts') {
+  if (this.sla.isPaused) return this;
+  
+  const now = new Date();
+  this.sla.isPaused = true;
+  this.sla.pausedAt = now;
+  
+  this.slaPauses.push({
+    pausedAt: now,
+    pausedBy: userId,
+    reason: reason
+  });
+  
+  return this;
+};
+
+// Resume SLA clock and push deadlines out by the paused business time
+ticketSchema.methods.resumeSLA = function(userId) {
+  if (!this.sla.isPaused) return this;
+  
+  const now = new Date();
+  const pausedMinutes = Math.max(
+    0,
+    slaService.calculateBusinessMinutes(this.sla.pausedAt, now, this.sla.calendar, this.sla.timezone)
+  );
+  
+  const openPause = this.slaPauses.find(pause => !pause.resumedAt);
+  if (openPause) {
+    openPause.resumedAt = now;
+    openPause.resumedBy = userId;
+    openPause.duration = pausedMinutes;
+  }
+  
+  if (this.sla.resolutionTime.deadline) {
+    this.sla.resolutionTime.deadline = slaService.addBusinessMinutes(
+      this.sla.resolutionTime.deadline, pausedMinutes, this.sla.calendar, this.sla.timezone
+    );
+  }
+  
+  // Response clock only matters until the first response is made
+  if (this.sla.responseTime.deadline && this.sla.responseTime.actual == null) {
+    this.sla.responseTime.deadline = slaService.addBusinessMinutes(
+      this.sla.responseTime.deadline, pausedMinutes, this.sla.calendar, this.sla.timezone
+    );
+  }
+  
+  this.sla.totalPausedMinutes = (this.sla.totalPausedMinutes || 0) + pausedMinutes;
+  this.sla.isPaused = false;
+  this.sla.pausedAt = null;
+  
+  return this;
+};
+
+// Move the SLA targets and deadlines to the current priority (clocks run from creation)
+ticketSchema.methods.retargetSLA = async function() {
+  if (!this.sla.calendar) {
+    const calendar = slaService.calendar.getCalendar(this.campus, await this.getRequesterTimezone());
+    this.sla.calendar = calendar.name;
+    this.sla.timezone = calendar.timezone;
+  }
+  
+  const targets = await slaService.getTargets(this.priority, {
+    category: this.category,
+    departmentId: this.departmentId
+  });
+  const pausedMinutes = this.sla.totalPausedMinutes || 0;
+  const deadline = target => slaService.addBusinessMinutes(
+    this.createdAt, target + pausedMinutes, this.sla.calendar, this.sla.timezone
+  );
+  
+  this.sla.policy = targets.policyId;
+  this.sla.resolutionTime.target = targets.resolutionTime;
+  this.sla.resolutionTime.deadline = deadline(targets.resolutionTime);
+  
+  // The response clock stopped at the first response
+  if (!this.firstResponseAt) {
+    this.sla.responseTime.target = targets.responseTime;
+    this.sla.responseTime.deadline = deadline(targets.responseTime);
+  }
+  
+  return this;
+};
+
 // Escalate ticket
 ticketSchema.methods.escalate = function(userId, reason) {
   this.escalation.level += 1;
@@ -703,63 +1169,53 @@ ticketSchema.methods.escalate = function(userId, reason) {
   });
   
   // Auto-increase priority on escalation
-  if (this.escalation.level === 1 && this.priority === 'Low') {
-    this.priority = 'Medium';
-  } else if (this.escalation.level === 2 && this.priority === 'Medium') {
-    this.priority = 'High';
-  } else if (this.escalation.level >= 3 && this.priority !== 'Critical') {
-    this.priority = 'Critical';
+  if (this.escalation.level === 1 && this.priority === 'low') {
+    this.priority = 'medium';
+  } else if (this.escalation.level === 2 && this.priority === 'medium') {
+    this.priority = 'high';
+  } else if (this.escalation.level >= 3 && this.priority !== 'critical') {
+    this.priority = 'critical';
   }
   
   return this.save();
 };
 
-// Resolve ticket
-ticketSchema.methods.resolve = function(userId, resolutionDescription) {
-  this.status = 'Resolved';
-  this.resolution.description = resolutionDescription;
+// Resolve ticket (resolution time and SLA outcome are set by the status hook)
+ticketSchema.methods.resolve = function(userId, summary) {
+  this.status = 'resolved';
+  this.resolution.summary = summary;
   this.resolution.resolvedBy = userId;
-  this.resolution.resolvedAt = new Date();
-  
-  // Calculate resolution time
-  const duration = this.resolution.resolvedAt - this.createdAt;
-  this.resolution.resolutionTime = Math.round(duration / 60000); // Convert to minutes
-  this.sla.resolutionTime.actual = this.resolution.resolutionTime;
-  
-  // Check SLA breach
-  if (this.sla.resolutionTime.deadline && this.resolution.resolvedAt > this.sla.resolutionTime.deadline) {
-    this.sla.resolutionTime.breached = true;
-  }
-  
+  this.modifiedBy = userId;
   return this.save();
 };
 
 // Close ticket
 ticketSchema.methods.close = function(userId) {
-  this.status = 'Closed';
-  this.closedAt = new Date();
+  this.status = 'closed';
   this.modifiedBy = userId;
   return this.save();
 };
 
-// Reopen ticket
+// Reopen ticket (reopen count and dates are set by the status hook)
 ticketSchema.methods.reopen = function(userId, reason) {
-  this.status = 'Reopened';
-  this.reopenedAt = new Date();
-  this.reopenCount += 1;
-  this.closedAt = null;
+  this.status = 'reopened';
   this.modifiedBy = userId;
   
-  this.addComment(userId, `Ticket reopened: ${reason}`, false);
+  this.comments.push({
+    user: userId,
+    message: `Ticket reopened: ${reason}`,
+    isInternal: false,
+    createdAt: new Date()
+  });
   
   return this.save();
 };
 
 // Add satisfaction rating
 ticketSchema.methods.addRating = function(rating, comment = '') {
-  this.resolution.satisfactionRating = rating;
-  this.resolution.satisfactionComment = comment;
-  this.resolution.ratedAt = new Date();
+  this.customerSatisfaction = rating;
+  this.feedbackComment = comment;
+  this.ratedAt = new Date();
   return this.save();
 };
 
@@ -777,7 +1233,7 @@ ticketSchema.methods.incrementView = function(userId) {
 
 // Get tickets by status
 ticketSchema.statics.getByStatus = function(status) {
-  return this.find({ status, isDeleted: false })
+  return this.find({ status, isDeleted: { $ne: true } })
     .populate('createdBy', 'firstName lastName email')
     .populate('assignedTo', 'firstName lastName email')
     .sort({ priority: -1, createdAt: -1 });
@@ -787,12 +1243,12 @@ ticketSchema.statics.getByStatus = function(status) {
 ticketSchema.statics.getOverdue = function() {
   const now = new Date();
   return this.find({
-    status: { $in: ['Open', 'Assigned', 'In Progress', 'Pending'] },
+    status: { $in: ACTIVE_STATUSES },
     $or: [
       { 'sla.responseTime.deadline': { $lt: now }, 'sla.responseTime.actual': null },
-      { 'sla.resolutionTime.deadline': { $lt: now }, 'resolution.resolvedAt': null }
+      { 'sla.resolutionTime.deadline': { $lt: now }, resolvedAt: null, 'sla.isPaused': { $ne: true } }
     ],
-    isDeleted: false
+    isDeleted: { $ne: true }
   })
     .populate('createdBy', 'firstName lastName email')
     .populate('assignedTo', 'firstName lastName email')
@@ -801,7 +1257,7 @@ ticketSchema.statics.getOverdue = function() {
 
 // Get tickets by user
 ticketSchema.statics.getByUser = function(userId) {
-  return this.find({ createdBy: userId, isDeleted: false })
+  return this.find({ createdBy: userId, isDeleted: { $ne: true } })
     .populate('assignedTo', 'firstName lastName email')
     .sort({ createdAt: -1 });
 };
@@ -810,8 +1266,8 @@ ticketSchema.statics.getByUser = function(userId) {
 ticketSchema.statics.getAssignedTickets = function(technicianId) {
   return this.find({ 
     assignedTo: technicianId, 
-    status: { $nin: ['Closed', 'Cancelled'] },
-    isDeleted: false 
+    status: { $nin: ['closed', 'cancelled'] },
+    isDeleted: { $ne: true }
   })
     .populate('createdBy', 'firstName lastName email')
     .sort({ priority: -1, createdAt: -1 });
@@ -822,7 +1278,7 @@ ticketSchema.statics.searchTickets = function(query) {
   return this.find(
     { 
       $text: { $search: query },
-      isDeleted: false 
+      isDeleted: { $ne: true } 
     },
     { score: { $meta: 'textScore' } }
   )
@@ -833,15 +1289,15 @@ ticketSchema.statics.searchTickets = function(query) {
 
 // Get statistics
 ticketSchema.statics.getStatistics = async function(filters = {}) {
-  const baseQuery = { isDeleted: false, ...filters };
+  const baseQuery = { isDeleted: { $ne: true }, ...filters };
   
   const [total, open, assigned, inProgress, resolved, closed] = await Promise.all([
     this.countDocuments(baseQuery),
-    this.countDocuments({ ...baseQuery, status: 'Open' }),
-    this.countDocuments({ ...baseQuery, status: 'Assigned' }),
-    this.countDocuments({ ...baseQuery, status: 'In Progress' }),
-    this.countDocuments({ ...baseQuery, status: 'Resolved' }),
-    this.countDocuments({ ...baseQuery, status: 'Closed' })
+    this.countDocuments({ ...baseQuery, status: 'open' }),
+    this.countDocuments({ ...baseQuery, status: 'assigned' }),
+    this.countDocuments({ ...baseQuery, status: 'in-progress' }),
+    this.countDocuments({ ...baseQuery, status: 'resolved' }),
+    this.countDocuments({ ...baseQuery, status: 'closed' })
   ]);
   
   return {
@@ -855,4 +1311,90 @@ ticketSchema.statics.getStatistics = async function(filters = {}) {
   };
 };
 
-module.exports = mongoose.model('Ticket', ticketSchema);
\ No newline at end of file
+// Dashboard breakdowns by status, priority and category with response and SLA figures
+ticketSchema.statics.getDashboardStats = async function(userId, userRole) {
+  const query = { isDeleted: { $ne: true } };
+  
+  // Apply role-based filtering
+  if (userRole === 'student') {
+    query.createdBy = userId;
+  } else if (userRole === 'staff') {
+    // Staff can see department tickets
+    // This will need user department data
+  }
+  
+  const stats = await this.aggregate([
+    { $match: query },
+    {
+      $facet: {
+        byStatus: [
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ],
+        byPriority: [
+          { $group: { _id: '$priority', count: { $sum: 1 } } }
+        ],
+        byCategory: [
+          { $group: { _id: '$category', count: { $sum: 1 } } }
+        ],
+        responseTime: [
+          {
+            $match: { firstResponseAt: { $exists: true } }
+          },
+          {
+            $project: {
+              responseTime: {
+                $divide: [
+                  { $subtract: ['$firstResponseAt', '$createdAt'] },
+                  1000 * 60 * 60 // Convert to hours
+                ]
+              }
+            }
+          },
+          {
+            $group: {
+              _id: null,
+              avgResponseTime: { $avg: '$responseTime' },
+              minResponseTime: { $min: '$responseTime' },
+              maxResponseTime: { $max: '$responseTime' }
+            }
+          }
+        ],
+        slaStatus: [
+          {
+            $addFields: {
+              slaBreached: {
+                $cond: [
+                  { $and: [
+                    { $not: [{ $in: ['$status', FINISHED_STATUSES] }] },
+                    { $lt: ['$slaDueDate', new Date()] }
+                  ]},
+                  true,
+                  false
+                ]
+              }
+            }
+          },
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              breached: {
+                $sum: { $cond: ['$slaBreached', 1, 0] }
+              }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+  
+  return stats[0];
+};
+
+// Audit trail of creates, updates and deletes (views are not audited)
+ticketSchema.plugin(auditService.plugin, {
+  entityType: 'Ticket',
+  ignore: ['viewCount', 'lastViewedAt', 'lastViewedBy', 'viewedBy', 'history']
+});
+
+module.exports = mongoose.model('Ticket', ticketSchema);
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Ticket = require('./Ticket');
+const Department = require('./Department');
+
+const ict = { _id: new mongoose.Types.ObjectId(), code: 'ICT', name: 'ICT Directorate' };
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('links the department from its text without rewriting the text', async () => {
+  test.mock.method(Department, 'resolve', async () => ict);
+  const ticket = new Ticket({ department: 'ict dept' });
+
+  await ticket.syncDepartment();
+
+  assert.equal(ticket.departmentId.toString(), ict._id.toString());
+  assert.equal(ticket.department, 'ict dept');
+});
+
+test('keeps an explicit departmentId and the text as given', async () => {
+  const resolve = test.mock.method(Department, 'resolve', async () => ict);
+  const other = new mongoose.Types.ObjectId();
+  const ticket = new Ticket({ department: 'Library', departmentId: other });
+
+  await ticket.syncDepartment();
+
+  assert.equal(resolve.mock.callCount(), 0);
+  assert.equal(ticket.departmentId.toString(), other.toString());
+  assert.equal(ticket.department, 'Library');
+});
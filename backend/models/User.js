@@ -12,6 +12,9 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
 const crypto = require('crypto');
+const auditService = require('../services/auditService');
+const Department = require('./Department');
+const { TICKET_CATEGORIES, TICKET_CAMPUSES } = require('../config/ticket.config');
 
 const userSchema = new mongoose.Schema({
   // Authentication
@@ -21,9 +24,7 @@ const userSchema = new mongoose.Schema({
     unique: true,
     trim: true,
     minlength: [3, 'Username must be at least 3 characters'],
-    maxlength: [50, 'Username cannot exceed 50 characters'],
-    match: [/^[a-zA-Z0-9_]+$/, 'Username can only contain letters, numbers, and underscores'],
-    index: true
+    maxlength: [30, 'Username cannot exceed 30 characters']
   },
   
   email: {
@@ -35,8 +36,7 @@ const userSchema = new mongoose.Schema({
     validate: {
       validator: validator.isEmail,
       message: 'Please provide a valid email address'
-    },
-    index: true
+    }
   },
   
   password: {
@@ -46,117 +46,83 @@ const userSchema = new mongoose.Schema({
     select: false
   },
   
-  // Profile
-  profile: {
-    firstName: { type: String, trim: true, maxlength: 50 },
-    lastName: { type: String, trim: true, maxlength: 50 },
-    fullName: { type: String, trim: true, maxlength: 100 },
-    avatar: { type: String, default: '', maxlength: 500 },
-    bio: { type: String, maxlength: 500, default: '' },
-    phone: {
-      type: String,
-      validate: {
-        validator: function(v) {
-          if (!v) return true;
-          return /^[\+]?[1-9][\d]{0,15}$/.test(v.replace(/\D/g, ''));
-        },
-        message: 'Please provide a valid phone number'
-      }
-    },
-    gender: {
-      type: String,
-      enum: ['male', 'female', 'other', 'prefer-not-to-say'],
-      default: 'prefer-not-to-say'
-    },
-    dateOfBirth: Date,
-    nationality: { type: String, default: 'Ugandan' },
-    address: {
-      street: String,
-      city: String,
-      state: String,
-      country: { type: String, default: 'Uganda' },
-      postalCode: String
-    }
+  // Profile Information
+  firstName: {
+    type: String,
+    required: [true, 'First name is required'],
+    trim: true
   },
   
-  // Academic Info (Students)
-  academicInfo: {
-    studentId: {
-      type: String,
-      unique: true,
-      sparse: true,
-      uppercase: true,
-      trim: true
-    },
-    department: {
-      type: String,
-      enum: ['computer_science', 'information_technology', 'software_engineering', 
-             'business_administration', 'education', 'theology', 'engineering', 
-             'medicine', 'nursing', 'law', 'arts_sciences', 'other']
-    },
-    program: {
-      type: String,
-      enum: ['BSC_COMPUTER_SCIENCE', 'BSC_INFORMATION_TECHNOLOGY', 
-             'BSC_SOFTWARE_ENGINEERING', 'BSC_NETWORKING', 'BSC_CYBER_SECURITY',
-             'BBA_BUSINESS_ADMINISTRATION', 'BA_EDUCATION', 'BA_THEOLOGY',
-             'BSC_ENGINEERING', 'BSC_MEDICINE', 'BSC_NURSING', 'LLB_LAW', 'OTHER']
-    },
-    campus: {
-      type: String,
-      enum: ['BU', 'MA', 'KA', 'AR', 'MB', 'OTHER'],
-      default: 'BU'
-    },
-    yearOfEntry: Number,
-    currentYear: { type: Number, min: 1, max: 5 },
-    semester: { type: Number, min: 1, max: 8 },
-    academicStatus: {
-      type: String,
-      enum: ['active', 'inactive', 'suspended', 'graduated', 'withdrawn'],
-      default: 'active'
-    },
-    expectedGraduation: Number,
-    gpa: { type: Number, min: 0, max: 5.0 },
-    hostel: {
-      name: String,
-      room: String,
-      block: String
-    }
+  lastName: {
+    type: String,
+    required: [true, 'Last name is required'],
+    trim: true
+  },
+  
+  phone: {
+    type: String,
+    trim: true
+  },
+  
+  // University Information
+  role: {
+    type: String,
+    enum: ['student', 'staff', 'technician', 'admin'],
+    default: 'student',
+    required: true,
+    index: true
+  },
+  
+  // Legacy department string; departmentId is what reports use
+  department: {
+    type: String,
+    enum: ['computer_science', 'engineering', 'business', 'health_sciences', 'education', 'it', 'administration', 'other'],
+    default: 'computer_science'
+  },
+  
+  originalDepartment: {
+    type: String
+  },
+  
+  departmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    index: true
+  },
+  
+  studentId: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  
+  employeeId: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  
+  campus: {
+    type: String,
+    enum: Object.keys(TICKET_CAMPUSES),
+    default: 'BU'
+  },
+  
+  yearOfEntry: {
+    type: Number
+  },
+  
+  semester: {
+    type: Number
   },
   
   // Professional Info (Staff/Technicians)
   professionalInfo: {
-    employeeId: { type: String, unique: true, sparse: true, uppercase: true },
-    jobTitle: {
-      type: String,
-      enum: ['LECTURER', 'SENIOR_LECTURER', 'ASSOCIATE_PROFESSOR', 'PROFESSOR',
-             'IT_MANAGER', 'SYSTEM_ADMINISTRATOR', 'NETWORK_ADMINISTRATOR',
-             'HELPDESK_SUPPORT', 'TECHNICAL_SUPPORT', 'SOFTWARE_DEVELOPER',
-             'DATABASE_ADMINISTRATOR', 'SECURITY_ANALYST', 'IT_DIRECTOR',
-             'IT_SUPPORT_SPECIALIST', 'NETWORK_ENGINEER', 'SYSTEMS_ENGINEER']
-    },
-    department: {
-      type: String,
-      enum: ['academic_affairs', 'administration', 'finance', 'human_resources',
-             'information_technology', 'it_services', 'library', 'research',
-             'student_affairs', 'facilities_management', 'security']
-    },
-    officeNumber: String,
-    officePhone: String,
-    officeLocation: {
-      building: String,
-      floor: String,
-      campus: { type: String, enum: ['BU', 'MA', 'KA', 'AR', 'MB', 'OTHER'], default: 'BU' }
-    },
-    employmentDate: Date,
-    employmentType: {
-      type: String,
-      enum: ['FULL_TIME', 'PART_TIME', 'CONTRACT', 'TEMPORARY']
-    },
+    jobTitle: { type: String, trim: true },
     supervisor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     supportAreas: [{
       type: String,
-      enum: ['Hardware', 'Software', 'Network', 'Email', 'Account Access',
-             'Printer', 'Phone', 'Server', 'Database', 'Security', 'Other']
+      enum: Object.keys(TICKET_CATEGORIES)
     }],
     maxConcurrentTickets: { type: Number, default: 10, min: 1, max: 50 },
     availabilityStatus: {
@@ -166,64 +132,98 @@ const userSchema = new mongoose.Schema({
     }
   },
   
-  // Role & Permissions
-  role: {
-    type: String,
-    enum: ['student', 'staff', 'technician', 'admin'],
-    default: 'student',
-    required: true,
+  // Account Status
+  isEmailVerified: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  
+  isActive: {
+    type: Boolean,
+    default: true,
     index: true
   },
   
+  isLocked: {
+    type: Boolean,
+    default: false
+  },
+  
+  verifiedAt: {
+    type: Date
+  },
+  
+  // Security
+  loginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  
+  passwordChangedAt: {
+    type: Date,
+    select: false
+  },
+  
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  
+  lastPasswordResetAt: {
+    type: Date,
+    select: false
+  },
+  
+  // Activity
+  lastLogin: {
+    type: Date
+  },
+  
+  lastActivity: {
+    type: Date
+  },
+  
+  // Permissions
   permissions: {
     type: [String],
     default: function() {
       const rolePermissions = {
-        admin: ['create_ticket', 'view_tickets', 'update_tickets', 'delete_tickets',
-                'assign_tickets', 'resolve_tickets', 'reopen_tickets', 'escalate_tickets',
-                'view_users', 'manage_users', 'deactivate_users', 'view_reports',
-                'generate_reports', 'export_data', 'manage_knowledge_base',
-                'view_analytics', 'system_settings', 'manage_sla', 'view_audit_logs'],
-        technician: ['create_ticket', 'view_tickets', 'update_tickets', 'assign_tickets',
-                     'resolve_tickets', 'reopen_tickets', 'escalate_tickets',
-                     'manage_knowledge_base', 'view_reports'],
-        staff: ['create_ticket', 'view_tickets', 'update_tickets'],
-        student: ['create_ticket', 'view_tickets']
+        admin: ['all'],
+        technician: ['create_ticket', 'view_all_tickets', 'assign_tickets', 'resolve_tickets'],
+        staff: ['create_ticket', 'view_department_tickets', 'edit_profile'],
+        student: ['create_ticket', 'view_own_tickets', 'edit_profile']
       };
       return rolePermissions[this.role] || rolePermissions.student;
     }
   },
   
-  // Account Status
-  isEmailVerified: { type: Boolean, default: false, index: true },
-  isActive: { type: Boolean, default: true, index: true },
-  isLocked: { type: Boolean, default: false },
-  verifiedAt: Date,
-  activatedAt: { type: Date, default: Date.now },
-  deactivatedAt: Date,
-  deactivationReason: {
-    type: String,
-    enum: ['voluntary', 'inactivity', 'violation', 'graduation', 'termination', 'other']
-  },
-  
-  // Security
-  loginAttempts: { type: Number, default: 0, select: false },
-  lockUntil: { type: Date, select: false },
-  passwordChangedAt: { type: Date, select: false },
-  passwordResetToken: { type: String, select: false },
-  passwordResetExpires: { type: Date, select: false },
-  emailVerificationToken: { type: String, select: false },
-  emailVerificationExpires: { type: Date, select: false },
-  lastPasswordResetAt: { type: Date, select: false },
-  
-  // Activity
-  lastLogin: { type: Date, index: true },
-  lastActivity: { type: Date, index: true },
-  
   // Statistics (Technicians)
   statistics: {
     ticketsCreated: { type: Number, default: 0 },
     ticketsAssigned: { type: Number, default: 0 },
+    lastAssignedAt: Date,
     ticketsResolved: { type: Number, default: 0 },
     averageResolutionTime: { type: Number, default: 0 },
     satisfactionRating: { type: Number, default: 0, min: 0, max: 5 },
@@ -245,18 +245,24 @@ const userSchema = new mongoose.Schema({
     timezone: { type: String, default: 'Africa/Kampala' }
   },
   
-  // Audit
-  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-  deletedAt: Date
+  // Metadata
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
 }, {
   timestamps: true,
-  toJSON: { 
+  toJSON: {
     virtuals: true,
     transform: function(doc, ret) {
       delete ret.password;
       delete ret.__v;
+      delete ret.passwordResetToken;
+      delete ret.passwordResetExpires;
+      delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpires;
+      delete ret.loginAttempts;
+      delete ret.lockUntil;
       return ret;
     }
   }
@@ -264,9 +270,8 @@ const userSchema = new mongoose.Schema({
 
 // Virtuals
 userSchema.virtual('displayName').get(function() {
-  if (this.profile?.fullName) return this.profile.fullName;
-  if (this.profile?.firstName && this.profile?.lastName) {
-    return `${this.profile.firstName} ${this.profile.lastName}`;
+  if (this.firstName && this.lastName) {
+    return `${this.firstName} ${this.lastName}`;
   }
   return this.username;
 });
@@ -281,16 +286,14 @@ userSchema.virtual('isTechnician').get(function() {
 
 // Middleware
 userSchema.pre('save', async function(next) {
-  if (this.profile?.firstName && this.profile?.lastName && !this.profile?.fullName) {
-    this.profile.fullName = `${this.profile.firstName} ${this.profile.lastName}`.trim();
-  }
-  
-  if (!this.isModified('password')) return next();
-  
   try {
-    const salt = await bcrypt.genSalt(12);
+    await this.syncDepartment();
+    
+    if (!this.isModified('password')) return next();
+    
+    const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
-    this.passwordChangedAt = this.isNew ? Date.now() - 1000 : Date.now();
+    this.passwordChangedAt = Date.now();
     next();
   } catch (error) {
     next(error);
@@ -298,6 +301,17 @@ userSchema.pre('save', async function(next) {
 });
 
 // Instance Methods
+userSchema.methods.syncDepartment = async function() {
+  if (this.isModified('departmentId')) return;
+  
+  const legacyPath = ['originalDepartment', 'department']
+    .find(path => this.isModified(path) && this.get(path));
+  if (!legacyPath) return;
+  
+  const department = await Department.resolve(this.get(legacyPath));
+  if (department) this.departmentId = department._id;
+};
+
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
@@ -305,19 +319,49 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.createPasswordResetToken = function() {
   const resetToken = crypto.randomBytes(32).toString('hex');
   this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
-  this.passwordResetExpires = Date.now() + 10 * 60 * 1000;
+  this.passwordResetExpires = Date.now() + 3600000; // 1 hour
   return resetToken;
 };
 
 userSchema.methods.createEmailVerificationToken = function() {
   const verificationToken = crypto.randomBytes(32).toString('hex');
   this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
-  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000;
+  this.emailVerificationExpires = Date.now() + 86400000; // 24 hours
   return verificationToken;
 };
 
+// Increment failed login attempts
+userSchema.methods.incrementFailedAttempts = function() {
+  this.loginAttempts += 1;
+  if (this.loginAttempts >= 5) {
+    this.isLocked = true;
+    this.lockUntil = new Date(Date.now() + 900000); // 15 minutes
+  }
+};
+
+// Reset failed login attempts
+userSchema.methods.resetFailedAttempts = function() {
+  this.loginAttempts = 0;
+  this.isLocked = false;
+  this.lockUntil = undefined;
+};
+
+// Check if account is locked
+userSchema.methods.isAccountLocked = function() {
+  if (!this.isLocked) return false;
+  if (this.lockUntil && this.lockUntil > new Date()) {
+    return true;
+  }
+  this.isLocked = false;
+  this.lockUntil = undefined;
+  this.loginAttempts = 0;
+  return false;
+};
+
+// Admins hold 'all'
 userSchema.methods.hasPermission = function(permission) {
-  return this.permissions && this.permissions.includes(permission);
+  return Boolean(this.permissions) &&
+    (this.permissions.includes('all') || this.permissions.includes(permission));
 };
 
 userSchema.methods.canAcceptTicket = function() {
@@ -345,9 +389,15 @@ userSchema.statics.getAvailableTechnicians = function(category) {
   }
   
   return this.find(query)
-    .select('profile professionalInfo statistics')
+    .select('firstName lastName username role campus professionalInfo statistics')
     .sort({ 'statistics.ticketsAssigned': 1 });
 };
 
+// Audit trail of account changes (logins are audited separately)
+userSchema.plugin(auditService.plugin, {
+  entityType: 'User',
+  ignore: ['lastLogin', 'lastActivity', 'loginAttempts']
+});
+
 const User = mongoose.model('User', userSchema);
-module.exports = User;
\ No newline at end of file
+module.exports = User;
@@ -1,4 +1,43 @@
 const mongoose = require('mongoose');
+const digestConfig = require('../config/digest.config');
+
+// Notification events a user can opt in/out of, with their defaults per channel
+const NOTIFICATION_EVENTS = {
+  ticket_created: { label: 'New tickets', email: true, inApp: true },
+  ticket_assigned: { label: 'Ticket assigned', email: true, inApp: true },
+  status_updated: { label: 'Status updates', email: true, inApp: true },
+  new_comment: { label: 'New comments', email: true, inApp: true },
+  ticket_resolved: { label: 'Ticket resolved', email: true, inApp: true },
+  sla_alert: { label: 'SLA alerts', email: true, inApp: true },
+  announcement: { label: 'System announcements', email: false, inApp: true }
+};
+
+const CHANNELS = ['email', 'inApp'];
+
+// Notification.type -> preference event
+const TYPE_EVENTS = {
+  ticket: 'ticket_created',
+  assignment: 'ticket_assigned',
+  ticket_update: 'status_updated',
+  comment: 'new_comment',
+  ticket_resolved: 'ticket_resolved',
+  sla_alert: 'sla_alert',
+  sla_escalation: 'sla_alert',
+  system: 'announcement',
+  info: 'announcement'
+};
+
+const channelSchema = (defaults) => new mongoose.Schema({
+  email: { type: Boolean, default: defaults.email },
+  inApp: { type: Boolean, default: defaults.inApp }
+}, { _id: false });
+
+const notificationsShape = Object.fromEntries(
+  Object.entries(NOTIFICATION_EVENTS).map(([event, defaults]) => [
+    event,
+    { type: channelSchema(defaults), default: () => ({}) }
+  ])
+);
 
 const userPreferencesSchema = new mongoose.Schema({
   userId: {
@@ -7,16 +46,38 @@ const userPreferencesSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
-  emailNotifications: {
-    ticketAssigned: { type: Boolean, default: true },
-    statusUpdated: { type: Boolean, default: true },
-    newComment: { type: Boolean, default: true }
+  // One switch per event per channel
+  notifications: {
+    type: new mongoose.Schema(notificationsShape, { _id: false }),
+    default: () => ({})
   },
+  // 'digest' holds email back for the digest, 'none' turns email off entirely
   emailFrequency: {
     type: String,
     enum: ['immediate', 'digest', 'none'],
     default: 'immediate'
   },
+  // When the digest goes out (campus time)
+  digest: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      default: digestConfig.defaultSchedule.frequency
+    },
+    hour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: digestConfig.defaultSchedule.hour
+    },
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+      default: digestConfig.defaultSchedule.dayOfWeek
+    },
+    lastSentAt: Date
+  },
   dataMinimization: {
     type: Boolean,
     default: true // Limit data in emails by default
@@ -25,4 +86,92 @@ const userPreferencesSchema = new mongoose.Schema({
   timestamps: true
 });
 
-module.exports = mongoose.model('UserPreferences', userPreferencesSchema);
\ No newline at end of file
+userPreferencesSchema.index({ emailFrequency: 1 });
+
+/**
+ * Whether an event should be delivered now on a channel
+ */
+userPreferencesSchema.methods.allows = function(event, channel) {
+  if (!NOTIFICATION_EVENTS[event]) return true;
+  if (!this.notifications?.[event]?.[channel]) return false;
+
+  return channel !== 'email' || this.emailFrequency === 'immediate';
+};
+
+/**
+ * Preferences for a user; unsaved defaults when none are stored
+ */
+userPreferencesSchema.statics.getForUser = async function(userId) {
+  const preferences = await this.findOne({ userId });
+  return preferences || this.buildDefaults(userId);
+};
+
+/**
+ * Defaults, carrying over the legacy User.preferences.notifications.email switches
+ */
+userPreferencesSchema.statics.buildDefaults = async function(userId) {
+  const preferences = new this({ userId });
+  const User = mongoose.models.User;
+  if (!User) return preferences;
+
+  const user = await User.findById(userId).select('preferences').lean();
+  const legacy = user?.preferences?.notifications?.email;
+
+  if (legacy?.ticketUpdates === false) {
+    ['ticket_created', 'ticket_assigned', 'status_updated', 'new_comment', 'ticket_resolved']
+      .forEach(event => { preferences.notifications[event].email = false; });
+  }
+  if (legacy?.announcements === false) {
+    preferences.notifications.announcement.email = false;
+  }
+
+  return preferences;
+};
+
+userPreferencesSchema.statics.allows = async function(userId, event, channel) {
+  if (!userId || !NOTIFICATION_EVENTS[event]) return true;
+
+  const preferences = await this.getForUser(userId);
+  return preferences.allows(event, channel);
+};
+
+/**
+ * Email address variant for senders that only know the recipient's address
+ * (addresses without an account always get mail)
+ */
+userPreferencesSchema.statics.allowsEmailTo = async function(address, event) {
+  const User = mongoose.models.User;
+  if (!User || typeof address !== 'string' || !NOTIFICATION_EVENTS[event]) return true;
+
+  const user = await User.findOne({ email: address.toLowerCase() }).select('_id').lean();
+  return user ? this.allows(user._id, event, 'email') : true;
+};
+
+/**
+ * Subset of users who accept an event on a channel
+ */
+userPreferencesSchema.statics.filterRecipients = async function(userIds, event, channel) {
+  const ids = userIds.filter(Boolean).map(id => id.toString());
+  if (ids.length === 0 || !NOTIFICATION_EVENTS[event]) return ids;
+
+  const stored = await this.find({ userId: { $in: ids } });
+  const byUser = new Map(stored.map(preferences => [preferences.userId.toString(), preferences]));
+  const allowed = [];
+
+  for (const id of ids) {
+    const preferences = byUser.get(id) || await this.buildDefaults(id);
+    if (preferences.allows(event, channel)) allowed.push(id);
+  }
+
+  return allowed;
+};
+
+userPreferencesSchema.statics.eventForType = function(type) {
+  return TYPE_EVENTS[type] || null;
+};
+
+const UserPreferences = mongoose.model('UserPreferences', userPreferencesSchema);
+
+module.exports = UserPreferences;
+module.exports.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+module.exports.CHANNELS = CHANNELS;
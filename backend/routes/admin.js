@@ -6,7 +6,8 @@
  */
 
 const express = require('express');
-const { auth, requireRole } = require('../middleware/auth');
+const { auth, requireRole, requirePermission } = require('../middleware/auth');
+const AuditController = require('../controllers/auditController');
 
 const router = express.Router();
 
@@ -34,4 +35,60 @@ router.get('/', (req, res) => {
   });
 });
 
+// ============================================
+// AUDIT LOGS
+// ============================================
+
+const canViewAuditLogs = requirePermission('view_audit_logs');
+
+/**
+ * @route   GET /api/admin/audit-logs
+ * @desc    Search audit logs (?user=, ?action=, ?entityType=, ?entityId=, ?severity=,
+ *          ?securityOnly=true, ?from=, ?to=, ?page=, ?limit=)
+ * @access  Private/Admin
+ */
+router.get('/audit-logs', canViewAuditLogs, AuditController.listAuditLogs);
+
+/**
+ * @route   GET /api/admin/audit-logs/export
+ * @desc    Download matching audit logs as CSV (same filters as the search)
+ * @access  Private/Admin
+ */
+router.get('/audit-logs/export', canViewAuditLogs, AuditController.exportAuditLogs);
+
+/**
+ * @route   GET /api/admin/audit-logs/stats
+ * @desc    Daily audit activity trend and totals (?days=30)
+ * @access  Private/Admin
+ */
+router.get('/audit-logs/stats', canViewAuditLogs, AuditController.getAuditStatistics);
+
+/**
+ * @route   GET /api/admin/audit-logs/filters
+ * @desc    Actions, entity types and severities to filter by
+ * @access  Private/Admin
+ */
+router.get('/audit-logs/filters', canViewAuditLogs, AuditController.getFilterOptions);
+
+/**
+ * @route   GET /api/admin/audit-logs/verify
+ * @desc    Verify the audit hash chain, reporting the first broken link (?archives=true)
+ * @access  Private/Admin
+ */
+router.get('/audit-logs/verify', canViewAuditLogs, AuditController.verifyChain);
+
+/**
+ * @route   GET /api/admin/audit-logs/archives
+ * @desc    List audit archive files and their chain anchors
+ * @access  Private/Admin
+ */
+router.get('/audit-logs/archives', canViewAuditLogs, AuditController.listArchives);
+
+/**
+ * @route   GET /api/admin/audit-logs/:id
+ * @desc    Get one audit log record
+ * @access  Private/Admin
+ */
+router.get('/audit-logs/:id', canViewAuditLogs, AuditController.getAuditLog);
+
 module.exports = router;
\ No newline at end of file
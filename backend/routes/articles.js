@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const ArticleController = require('../controllers/articleController');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const canManageArticles = requirePermission('manage_knowledge_base');
+
+/**
+ * @route   GET /api/articles
+ * @desc    Browse knowledge base articles (?search=, ?category=, ?tag=, ?visibility=, ?sort=, ?page=, ?limit=)
+ * @access  Private (internal articles: technicians and admins)
+ */
+router.get('/', auth, ArticleController.listArticles);
+
+/**
+ * @route   GET /api/articles/search
+ * @desc    Best matching articles for a phrase (?q=, ?category=, ?limit=)
+ * @access  Private
+ */
+router.get('/search', auth, ArticleController.searchArticles);
+
+/**
+ * @route   POST /api/articles
+ * @desc    Create article (sourceTicket links it to the ticket it was written from)
+ * @access  Private (manage_knowledge_base)
+ */
+router.post('/', auth, canManageArticles, ArticleController.createArticle);
+
+/**
+ * @route   GET /api/articles/:id
+ * @desc    Get article by id or slug
+ * @access  Private
+ */
+router.get('/:id', auth, ArticleController.getArticle);
+
+/**
+ * @route   PUT /api/articles/:id
+ * @desc    Update article (previous content is kept as a version; changeNote describes the edit)
+ * @access  Private (manage_knowledge_base)
+ */
+router.put('/:id', auth, canManageArticles, ArticleController.updateArticle);
+
+/**
+ * @route   DELETE /api/articles/:id
+ * @desc    Delete article
+ * @access  Private (manage_knowledge_base)
+ */
+router.delete('/:id', auth, canManageArticles, ArticleController.deleteArticle);
+
+/**
+ * @route   GET /api/articles/:id/versions
+ * @desc    Earlier versions of an article
+ * @access  Private (manage_knowledge_base)
+ */
+router.get('/:id/versions', auth, canManageArticles, ArticleController.getVersions);
+
+/**
+ * @route   POST /api/articles/:id/versions/:version/restore
+ * @desc    Restore an earlier version as the newest one
+ * @access  Private (manage_knowledge_base)
+ */
+router.post('/:id/versions/:version/restore', auth, canManageArticles, ArticleController.restoreVersion);
+
+/**
+ * @route   POST /api/articles/:id/vote
+ * @desc    Mark an article helpful or not ({ helpful: true|false })
+ * @access  Private
+ */
+router.post('/:id/vote', auth, ArticleController.voteArticle);
+
+module.exports = router;
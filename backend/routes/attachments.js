@@ -1,6 +1,6 @@
 const express = require('express');
-const upload = require('../middleware/upload');
-const Attachment = require('../models/Attachment');
+const { upload } = require('../middleware/upload');
+const Attachment = require('../models/Attachments');
 const { auth } = require('../middleware/auth');
 const fs = require('fs');
 const path = require('path');
@@ -89,7 +89,7 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     // Check if user owns the attachment or has permission
-    if (attachment.uploadedBy.toString() !== req.user.userId) {
+    if (attachment.uploadedBy.toString() !== req.user.userId.toString()) {
       return res.status(403).json({ message: 'Not authorized to delete this file' });
     }
 
@@ -29,7 +29,6 @@ const strictAuthLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   skipSuccessfulRequests: true,
-  keyGenerator: (req) => req.ip,
   handler: (req, res) => {
     res.status(429).json({
       success: false,
@@ -50,8 +49,7 @@ const standardLimiter = rateLimit({
     code: 'RATE_LIMIT_EXCEEDED'
   },
   standardHeaders: true,
-  legacyHeaders: false,
-  keyGenerator: (req) => req.ip
+  legacyHeaders: false
 });
 
 // ============================================================================
@@ -255,6 +253,31 @@ router.get('/me', auth, authController.getMe);
  */
 router.post('/logout', auth, authController.logout);
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (devices) of the current user
+ * @access  Private
+ */
+router.get('/sessions', auth, authController.listSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out every other session of the current user
+ * @access  Private
+ */
+router.delete('/sessions', auth, standardLimiter, authController.revokeOtherSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out one session of the current user
+ * @access  Private
+ */
+router.delete('/sessions/:id', auth, standardLimiter, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+], validateRequest, authController.revokeSession);
+
 /**
  * @route   POST /api/auth/change-password
  * @desc    Change password (authenticated user)
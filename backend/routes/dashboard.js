@@ -42,9 +42,9 @@ router.get('/stats', auth, async (req, res) => {
 
       userTickets.forEach(ticket => {
         stats.totalTickets += ticket.count;
-        if (ticket._id === 'Open') stats.openTickets = ticket.count;
-        if (ticket._id === 'In Progress') stats.inProgressTickets = ticket.count;
-        if (ticket._id === 'Resolved') stats.resolvedTickets = ticket.count;
+        if (ticket._id === 'open') stats.openTickets = ticket.count;
+        if (ticket._id === 'in-progress') stats.inProgressTickets = ticket.count;
+        if (ticket._id === 'resolved') stats.resolvedTickets = ticket.count;
       });
 
     } 
@@ -76,8 +76,8 @@ router.get('/stats', auth, async (req, res) => {
 
       assignedTickets.forEach(ticket => {
         stats.assignedTickets += ticket.count;
-        if (ticket._id === 'Open') stats.openAssignedTickets = ticket.count;
-        if (ticket._id === 'In Progress') stats.inProgressAssignedTickets = ticket.count;
+        if (ticket._id === 'open') stats.openAssignedTickets = ticket.count;
+        if (ticket._id === 'in-progress') stats.inProgressAssignedTickets = ticket.count;
       });
 
       allTickets.forEach(ticket => {
@@ -125,10 +125,10 @@ router.get('/stats', auth, async (req, res) => {
 
       ticketStats.forEach(ticket => {
         stats.totalTickets += ticket.count;
-        if (ticket._id === 'Open') stats.openTickets = ticket.count;
-        if (ticket._id === 'In Progress') stats.inProgressTickets = ticket.count;
-        if (ticket._id === 'Resolved') stats.resolvedTickets = ticket.count;
-        if (ticket._id === 'Closed') stats.closedTickets = ticket.count;
+        if (ticket._id === 'open') stats.openTickets = ticket.count;
+        if (ticket._id === 'in-progress') stats.inProgressTickets = ticket.count;
+        if (ticket._id === 'resolved') stats.resolvedTickets = ticket.count;
+        if (ticket._id === 'closed') stats.closedTickets = ticket.count;
       });
 
       userStats.forEach(user => {
@@ -244,7 +244,7 @@ router.get('/overview', auth, requireRole('admin'), async (req, res) => {
       
       // Unresolved tickets (older than 7 days)
       Ticket.find({ 
-        status: { $in: ['Open', 'In Progress'] },
+        status: { $in: ['open', 'in-progress'] },
         createdAt: { $lte: new Date(new Date().setDate(new Date().getDate() - 7)) }
       })
       .populate('createdBy', 'username email')
@@ -333,7 +333,7 @@ router.get('/user-stats', auth, async (req, res) => {
           total: { $sum: 1 },
           resolved: { 
             $sum: { 
-              $cond: [{ $in: ['$status', ['Resolved', 'Closed']] }, 1, 0]
+              $cond: [{ $in: ['$status', ['resolved', 'closed']] }, 1, 0]
             }
           }
         }}
@@ -352,10 +352,10 @@ router.get('/user-stats', auth, async (req, res) => {
 
     ticketStats.forEach(stat => {
       userStats.totalTickets += stat.count;
-      if (stat._id === 'Open') userStats.openTickets = stat.count;
-      if (stat._id === 'In Progress') userStats.inProgressTickets = stat.count;
-      if (stat._id === 'Resolved') userStats.resolvedTickets = stat.count;
-      if (stat._id === 'Closed') userStats.resolvedTickets += stat.count;
+      if (stat._id === 'open') userStats.openTickets = stat.count;
+      if (stat._id === 'in-progress') userStats.inProgressTickets = stat.count;
+      if (stat._id === 'resolved') userStats.resolvedTickets = stat.count;
+      if (stat._id === 'closed') userStats.resolvedTickets += stat.count;
     });
 
     res.json({
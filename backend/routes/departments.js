@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const DepartmentController = require('../controllers/departmentController');
+const { auth, requireRole } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/departments
+ * @desc    List departments (?active=true, ?type=faculty, ?parent=<id>|root, ?search=, ?tree=true)
+ * @access  Private
+ */
+router.get('/', auth, DepartmentController.listDepartments);
+
+/**
+ * @route   POST /api/departments
+ * @desc    Create department
+ * @access  Private/Admin
+ */
+router.post('/', auth, requireRole('admin'), DepartmentController.createDepartment);
+
+/**
+ * @route   GET /api/departments/:id
+ * @desc    Get department with its hierarchy path, sub-units and usage counts
+ * @access  Private
+ */
+router.get('/:id', auth, DepartmentController.getDepartment);
+
+/**
+ * @route   PUT /api/departments/:id
+ * @desc    Update department
+ * @access  Private/Admin
+ */
+router.put('/:id', auth, requireRole('admin'), DepartmentController.updateDepartment);
+
+/**
+ * @route   DELETE /api/departments/:id
+ * @desc    Delete a department with no sub-units, users or tickets
+ * @access  Private/Admin
+ */
+router.delete('/:id', auth, requireRole('admin'), DepartmentController.deleteDepartment);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * Router Mounts
+ *
+ * Every router in this folder and the path server.js mounts it at. server.js
+ * registers its own handlers first, so a router serves only the paths those
+ * handlers leave alone (or pass on with next()).
+ */
+
+const ROUTERS = {
+  '/api/auth': './auth',
+  '/api/users': './users',
+  '/api/tickets': './tickets',
+  '/api/dashboard': './dashboard',
+  '/api/notifications': './notifications',
+  '/api/sla': './sla',
+  '/api/support-groups': './supportGroups',
+  '/api/departments': './departments',
+  '/api/articles': './articles',
+  '/api/attachments': './attachments',
+  '/api/analytics': './analytics',
+  '/api/admin': './admin',
+  '/public/tickets': './publicStatus'
+};
+
+/**
+ * Mount every router on the app
+ */
+const mountRouters = (app) => {
+  for (const [path, file] of Object.entries(ROUTERS)) {
+    app.use(path, require(file));
+  }
+};
+
+module.exports = {
+  ROUTERS,
+  mountRouters
+};
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const { ROUTERS, mountRouters } = require('./index');
+
+test('mounts every router in the folder', () => {
+  const files = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && !file.endsWith('.test.js') && file !== 'index.js')
+    .map(file => `./${path.basename(file, '.js')}`);
+
+  assert.deepEqual(Object.values(ROUTERS).sort(), files.sort());
+});
+
+test('every router loads and mounts on the app', () => {
+  const app = express();
+  mountRouters(app);
+
+  const mounted = app._router.stack.filter(layer => layer.name === 'router');
+  assert.equal(mounted.length, Object.keys(ROUTERS).length);
+
+  for (const layer of mounted) {
+    assert.ok(layer.handle.stack.length > 0);
+  }
+});
+
+test('serves the paths the frontend calls', () => {
+  for (const prefix of ['/api/notifications', '/api/sla', '/api/support-groups', '/api/articles', '/api/admin']) {
+    assert.ok(ROUTERS[prefix], `${prefix} is mounted`);
+  }
+});
+
+test('mounts the public status lookup outside /api', () => {
+  assert.equal(ROUTERS['/public/tickets'], './publicStatus');
+});
+
+test('rate limiters keep the IPv6-safe default key', (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+
+  for (const file of ['./auth', './publicStatus']) {
+    delete require.cache[require.resolve(file)];
+    require(file);
+  }
+
+  const keyErrors = errors.mock.calls
+    .filter(call => call.arguments.some(arg => arg?.code === 'ERR_ERL_KEY_GEN_IPV6'));
+  assert.equal(keyErrors.length, 0);
+});
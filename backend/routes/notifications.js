@@ -1,11 +1,12 @@
 /**
  * Notification Routes
- * 
+ *
  * @version 1.0.0
  * @author Bugema University IT Support System
  */
 
 const express = require('express');
+const NotificationController = require('../controllers/notificationController');
 const { auth } = require('../middleware/auth');
 
 const router = express.Router();
@@ -14,18 +15,44 @@ router.use(auth);
 
 /**
  * @route   GET /api/notifications
- * @desc    Get user notifications
+ * @desc    Get user notifications (?page, ?limit, ?type, ?priority, ?unread=true)
  * @access  Private
  */
-router.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Notifications API',
-    data: {
-      notifications: [],
-      unreadCount: 0
-    }
-  });
-});
-
-module.exports = router;
\ No newline at end of file
+router.get('/', NotificationController.listNotifications);
+
+/**
+ * @route   GET /api/notifications/unread
+ * @desc    Get unread notification count
+ * @access  Private
+ */
+router.get('/unread', NotificationController.getUnreadCount);
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.put('/read-all', NotificationController.markAllAsRead);
+
+/**
+ * @route   POST /api/notifications/dismiss
+ * @desc    Dismiss several notifications ({ ids } or { read: true })
+ * @access  Private
+ */
+router.post('/dismiss', NotificationController.dismissNotifications);
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.put('/:id/read', NotificationController.markAsRead);
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Delete a notification
+ * @access  Private
+ */
+router.delete('/:id', NotificationController.deleteNotification);
+
+module.exports = router;
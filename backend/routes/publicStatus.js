@@ -0,0 +1,48 @@
+/**
+ * Public Ticket Status Routes
+ *
+ * Unauthenticated status lookups for requesters following the link in their
+ * ticket emails. Mounted at /public/tickets - outside /api/ - so lookups have
+ * their own rate limit instead of sharing the API budget.
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const TicketController = require('../controllers/ticketController');
+const publicStatusConfig = require('../config/publicStatus.config');
+
+const router = express.Router();
+
+// Guessing ticket numbers and emails is slow by design
+const statusLookupLimiter = rateLimit({
+  windowMs: publicStatusConfig.rateLimit.windowMs,
+  max: publicStatusConfig.rateLimit.max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: 'Too many status lookups. Please try again later.',
+      code: 'RATE_LIMIT_EXCEEDED',
+      retryAfter: Math.ceil(publicStatusConfig.rateLimit.windowMs / 1000)
+    });
+  }
+});
+
+router.use(statusLookupLimiter);
+
+/**
+ * @route   GET /public/tickets/:ticketNumber/status?token=
+ * @desc    Ticket status from the signed link in a ticket email
+ * @access  Public
+ */
+router.get('/:ticketNumber/status', TicketController.getTicketPublicStatus);
+
+/**
+ * @route   POST /public/tickets/:ticketNumber/status
+ * @desc    Ticket status for the requester's email ({ email } or { token })
+ * @access  Public
+ */
+router.post('/:ticketNumber/status', TicketController.getTicketPublicStatus);
+
+module.exports = router;
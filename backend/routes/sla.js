@@ -1,21 +1,73 @@
 const express = require('express');
 const router = express.Router();
+const SLAController = require('../controllers/slaController');
+const { auth, requireRole } = require('../middleware/auth');
 
-// SLA metrics endpoint
-router.get('/', (req, res) => {
-  res.json({
-    message: 'SLA metrics endpoint',
-    status: 'under development'
-  });
-});
-
-// Ticket SLA endpoint
-router.get('/tickets/:id', (req, res) => {
-  res.json({
-    message: 'Ticket SLA endpoint',
-    ticketId: req.params.id,
-    status: 'under development'
-  });
-});
+/**
+ * @route   GET /api/sla
+ * @desc    SLA compliance metrics (?from=&to= or ?timeframe=today|week|month|quarter|year)
+ * @access  Private/Technician, Admin
+ */
+router.get('/', auth, requireRole('technician', 'admin'), SLAController.getSLAMetrics);
+
+/**
+ * @route   GET /api/sla/tickets/:id
+ * @desc    SLA timeline for a ticket (id or ticket number)
+ * @access  Private
+ */
+router.get('/tickets/:id', auth, SLAController.getTicketSLA);
+
+// ============================================
+// SLA POLICIES
+// ============================================
+
+/**
+ * @route   GET /api/sla/policies/active
+ * @desc    Get the SLA policy applied to new tickets
+ * @access  Private
+ */
+router.get('/policies/active', auth, SLAController.getActivePolicy);
+
+/**
+ * @route   GET /api/sla/policies
+ * @desc    List SLA policies
+ * @access  Private/Admin
+ */
+router.get('/policies', auth, requireRole('admin'), SLAController.listPolicies);
+
+/**
+ * @route   POST /api/sla/policies
+ * @desc    Create SLA policy
+ * @access  Private/Admin
+ */
+router.post('/policies', auth, requireRole('admin'), SLAController.createPolicy);
+
+/**
+ * @route   GET /api/sla/policies/:id
+ * @desc    Get SLA policy
+ * @access  Private/Admin
+ */
+router.get('/policies/:id', auth, requireRole('admin'), SLAController.getPolicy);
+
+/**
+ * @route   PUT /api/sla/policies/:id
+ * @desc    Update SLA policy
+ * @access  Private/Admin
+ */
+router.put('/policies/:id', auth, requireRole('admin'), SLAController.updatePolicy);
+
+/**
+ * @route   POST /api/sla/policies/:id/activate
+ * @desc    Make SLA policy the active one
+ * @access  Private/Admin
+ */
+router.post('/policies/:id/activate', auth, requireRole('admin'), SLAController.activatePolicy);
+
+/**
+ * @route   DELETE /api/sla/policies/:id
+ * @desc    Delete an inactive SLA policy
+ * @access  Private/Admin
+ */
+router.delete('/policies/:id', auth, requireRole('admin'), SLAController.deletePolicy);
 
 module.exports = router;
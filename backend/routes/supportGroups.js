@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const SupportGroupController = require('../controllers/supportGroupController');
+const { auth, requireRole } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/support-groups
+ * @desc    List support groups (?active=true, ?mine=true for the caller's groups)
+ * @access  Private/Technician, Admin
+ */
+router.get('/', auth, requireRole('technician', 'admin'), SupportGroupController.listGroups);
+
+/**
+ * @route   POST /api/support-groups
+ * @desc    Create support group
+ * @access  Private/Admin
+ */
+router.post('/', auth, requireRole('admin'), SupportGroupController.createGroup);
+
+/**
+ * @route   GET /api/support-groups/:id
+ * @desc    Get support group with members and queue size
+ * @access  Private/Technician, Admin
+ */
+router.get('/:id', auth, requireRole('technician', 'admin'), SupportGroupController.getGroup);
+
+/**
+ * @route   PUT /api/support-groups/:id
+ * @desc    Update support group
+ * @access  Private/Admin
+ */
+router.put('/:id', auth, requireRole('admin'), SupportGroupController.updateGroup);
+
+/**
+ * @route   DELETE /api/support-groups/:id
+ * @desc    Delete a support group with no open tickets
+ * @access  Private/Admin
+ */
+router.delete('/:id', auth, requireRole('admin'), SupportGroupController.deleteGroup);
+
+// ============================================
+// GROUP QUEUES
+// ============================================
+
+/**
+ * @route   GET /api/support-groups/:id/queue
+ * @desc    Unassigned tickets in the group's queue
+ * @access  Private/Group members, Admin
+ */
+router.get('/:id/queue', auth, requireRole('technician', 'admin'), SupportGroupController.getGroupQueue);
+
+/**
+ * @route   POST /api/support-groups/:id/queue/:ticketId/claim
+ * @desc    Take an unassigned ticket from the group's queue
+ * @access  Private/Group members, Admin
+ */
+router.post('/:id/queue/:ticketId/claim', auth, requireRole('technician', 'admin'), SupportGroupController.claimTicket);
+
+module.exports = router;
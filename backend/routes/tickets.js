@@ -1,8 +1,14 @@
 // routes/tickets.js - COMPLETE ROUTES
 const express = require('express');
 const router = express.Router();
-const TicketController = require('../controllers/ticketController');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const Ticket = require('../models/Ticket');
+const { DEFAULT_TARGETS } = require('../models/SLAPolicy');
+const { TICKET_SLA, TICKET_CATEGORIES, TICKET_STATUS, TICKET_CAMPUSES } = require('../config/ticket.config');
+const { TicketController } = require('../controllers/ticketController');
+const SLAController = require('../controllers/slaController');
+const assignmentService = require('../services/assignmentService');
+const notificationService = require('../services/notificationService');
+const { auth, requireRole } = require('../middleware/auth');
 
 // Validation middleware
 const validateTicketCreation = (req, res, next) => {
@@ -65,7 +71,7 @@ const validateComment = (req, res, next) => {
 };
 
 // All routes require authentication
-router.use(authenticateToken);
+router.use(auth);
 
 // ============================================
 // TICKET MANAGEMENT ROUTES
@@ -86,7 +92,7 @@ router.post('/', validateTicketCreation, async (req, res) => {
  * @access  Private (Role-based)
  */
 router.get('/', async (req, res) => {
-  await TicketController.getTickets(req, res);
+  await TicketController.getAllTickets(req, res);
 });
 
 /**
@@ -95,16 +101,16 @@ router.get('/', async (req, res) => {
  * @access  Private
  */
 router.get('/statistics', async (req, res) => {
-  await TicketController.getTicketStatistics(req, res);
+  await TicketController.getDashboardStats(req, res);
 });
 
 /**
- * @route   GET /api/tickets/:id
- * @desc    Get single ticket
+ * @route   GET /api/tickets/export
+ * @desc    Export visible tickets (?format=csv|xlsx|pdf|json plus list filters)
  * @access  Private (Role-based)
  */
-router.get('/:id', async (req, res) => {
-  await TicketController.getTicket(req, res);
+router.get('/export', async (req, res) => {
+  await TicketController.exportTickets(req, res);
 });
 
 /**
@@ -121,7 +127,7 @@ router.put('/:id', async (req, res) => {
  * @desc    Soft delete ticket
  * @access  Private/Admin only
  */
-router.delete('/:id', authorizeRoles('Admin'), async (req, res) => {
+router.delete('/:id', requireRole('admin'), async (req, res) => {
   try {
     const ticket = await Ticket.findById(req.params.id);
     
@@ -159,7 +165,7 @@ router.delete('/:id', authorizeRoles('Admin'), async (req, res) => {
  * @desc    Assign ticket to technician
  * @access  Private/Technician, Admin
  */
-router.post('/:id/assign', authorizeRoles('Technician', 'Admin'), async (req, res) => {
+router.post('/:id/assign', requireRole('technician', 'admin'), async (req, res) => {
   await TicketController.assignTicket(req, res);
 });
 
@@ -177,16 +183,70 @@ router.post('/:id/comments', validateComment, async (req, res) => {
  * @desc    Resolve ticket
  * @access  Private/Technician, Admin
  */
-router.post('/:id/resolve', authorizeRoles('Technician', 'Admin'), async (req, res) => {
+router.post('/:id/resolve', requireRole('technician', 'admin'), async (req, res) => {
   await TicketController.resolveTicket(req, res);
 });
 
+/**
+ * @route   GET /api/tickets/:id/sla
+ * @desc    SLA timeline for a ticket
+ * @access  Private (All authenticated users with access)
+ */
+router.get('/:id/sla', async (req, res) => {
+  await SLAController.getTicketSLA(req, res);
+});
+
+/**
+ * @route   GET /api/tickets/:id/watchers
+ * @desc    List users watching a ticket
+ * @access  Private (All authenticated users with access)
+ */
+router.get('/:id/watchers', async (req, res) => {
+  await TicketController.getWatchers(req, res);
+});
+
+/**
+ * @route   POST /api/tickets/:id/watchers
+ * @desc    Add users to a ticket's CC list
+ * @access  Private (Ticket creator, assignee, Technician, Admin)
+ */
+router.post('/:id/watchers', async (req, res) => {
+  await TicketController.addWatchers(req, res);
+});
+
+/**
+ * @route   DELETE /api/tickets/:id/watchers/:watcherId
+ * @desc    Remove a user from a ticket's CC list
+ * @access  Private (The watcher, ticket creator, assignee, Technician, Admin)
+ */
+router.delete('/:id/watchers/:watcherId', async (req, res) => {
+  await TicketController.removeWatcher(req, res);
+});
+
+/**
+ * @route   POST /api/tickets/:id/watch
+ * @desc    Watch a ticket
+ * @access  Private (Users with access, or the requester's supervisor)
+ */
+router.post('/:id/watch', async (req, res) => {
+  await TicketController.watchTicket(req, res);
+});
+
+/**
+ * @route   DELETE /api/tickets/:id/watch
+ * @desc    Stop watching a ticket
+ * @access  Private
+ */
+router.delete('/:id/watch', async (req, res) => {
+  await TicketController.unwatchTicket(req, res);
+});
+
 /**
  * @route   POST /api/tickets/:id/escalate
  * @desc    Escalate ticket
  * @access  Private/Technician, Admin
  */
-router.post('/:id/escalate', authorizeRoles('Technician', 'Admin'), async (req, res) => {
+router.post('/:id/escalate', requireRole('technician', 'admin'), async (req, res) => {
   try {
     const { reason } = req.body;
     const ticket = await Ticket.findById(req.params.id);
@@ -200,6 +260,12 @@ router.post('/:id/escalate', authorizeRoles('Technician', 'Admin'), async (req,
     
     await ticket.escalate(req.user.id, reason);
     
+    notificationService.createTicketNotifications(ticket, 'ticket_escalated', {
+      level: ticket.escalation.level,
+      reason,
+      performedBy: req.user.id
+    });
+    
     res.json({
       success: true,
       message: 'Ticket escalated successfully'
@@ -230,15 +296,22 @@ router.post('/:id/reopen', async (req, res) => {
     }
     
     // Check permissions
-    if (req.user.role !== 'Admin' && ticket.createdBy.toString() !== req.user.id.toString()) {
+    if (req.user.role !== 'admin' && ticket.createdBy.toString() !== req.user.id.toString()) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to reopen this ticket'
       });
     }
     
+    const previousStatus = ticket.status;
     await ticket.reopen(req.user.id, reason);
     
+    notificationService.createTicketNotifications(ticket, 'ticket_reopened', {
+      previousStatus,
+      reason,
+      performedBy: req.user.id
+    });
+    
     res.json({
       success: true,
       message: 'Ticket reopened successfully'
@@ -277,7 +350,7 @@ router.post('/:id/rate', async (req, res) => {
     }
     
     // Check if ticket is resolved
-    if (ticket.status !== 'Resolved') {
+    if (ticket.status !== 'resolved') {
       return res.status(400).json({
         success: false,
         error: 'Only resolved tickets can be rated'
@@ -285,7 +358,7 @@ router.post('/:id/rate', async (req, res) => {
     }
     
     // Check if already rated
-    if (ticket.resolution.satisfactionRating) {
+    if (ticket.customerSatisfaction) {
       return res.status(400).json({
         success: false,
         error: 'Ticket has already been rated'
@@ -294,6 +367,8 @@ router.post('/:id/rate', async (req, res) => {
     
     await ticket.addRating(rating, comment);
     
+    notificationService.createTicketNotifications(ticket, 'rating_received', { rating, comment });
+    
     res.json({
       success: true,
       message: 'Rating submitted successfully'
@@ -306,6 +381,130 @@ router.post('/:id/rate', async (req, res) => {
   }
 });
 
+// ============================================
+// BULK OPERATIONS
+// Each responds with a result per ticket: { success, reason, code, changes }
+// ============================================
+
+/**
+ * @route   PATCH /api/tickets/bulk/status
+ * @desc    Change the status of several tickets - body { ticketIds, status, notes }
+ * @access  Private/Technician, Admin
+ */
+router.patch('/bulk/status', requireRole('technician', 'admin'), async (req, res) => {
+  await TicketController.bulkUpdateTickets(req, res, 'status');
+});
+
+/**
+ * @route   PATCH /api/tickets/bulk/assign
+ * @desc    Assign several tickets (empty assigneeId unassigns) - body { ticketIds, assigneeId, notes }
+ * @access  Private/Technician, Admin
+ */
+router.patch('/bulk/assign', requireRole('technician', 'admin'), async (req, res) => {
+  await TicketController.bulkUpdateTickets(req, res, 'assign');
+});
+
+/**
+ * @route   PATCH /api/tickets/bulk/priority
+ * @desc    Change the priority of several tickets - body { ticketIds, priority, notes }
+ * @access  Private/Technician, Admin
+ */
+router.patch('/bulk/priority', requireRole('technician', 'admin'), async (req, res) => {
+  await TicketController.bulkUpdateTickets(req, res, 'priority');
+});
+
+/**
+ * @route   PATCH /api/tickets/bulk/tags
+ * @desc    Add or remove tags on several tickets - body { ticketIds, add, remove, notes }
+ * @access  Private/Technician, Admin
+ */
+router.patch('/bulk/tags', requireRole('technician', 'admin'), async (req, res) => {
+  await TicketController.bulkUpdateTickets(req, res, 'tags');
+});
+
+/**
+ * @route   PATCH /api/tickets/bulk/close
+ * @desc    Close several tickets - body { ticketIds, notes }
+ * @access  Private/Technician, Admin
+ */
+router.patch('/bulk/close', requireRole('technician', 'admin'), async (req, res) => {
+  await TicketController.bulkUpdateTickets(req, res, 'close');
+});
+
+// ============================================
+// ADMIN ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/tickets/admin/bulk-delete
+ * @desc    Soft delete several tickets - body { ticketIds, notes }
+ * @access  Private/Admin
+ */
+router.post('/admin/bulk-delete', requireRole('admin'), async (req, res) => {
+  await TicketController.bulkUpdateTickets(req, res, 'delete');
+});
+
+/**
+ * @route   GET /api/tickets/admin/export
+ * @desc    Export all tickets with contact, resolution and escalation details
+ * @access  Private/Admin
+ */
+router.get('/admin/export', requireRole('admin'), async (req, res) => {
+  await TicketController.exportAllTickets(req, res);
+});
+
+/**
+ * @route   PUT /api/tickets/admin/sla-policy
+ * @desc    Update the active SLA policy
+ * @access  Private/Admin
+ */
+router.put('/admin/sla-policy', requireRole('admin'), async (req, res) => {
+  await SLAController.updateActivePolicy(req, res);
+});
+
+/**
+ * @route   GET /api/tickets/admin/assignment-queue
+ * @desc    Tickets waiting for a free technician
+ * @access  Private/Technician, Admin
+ */
+router.get('/admin/assignment-queue', requireRole('technician', 'admin'), async (req, res) => {
+  try {
+    const tickets = await assignmentService.getQueue();
+    
+    res.json({
+      success: true,
+      data: tickets,
+      count: tickets.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch assignment queue'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tickets/admin/assignment-queue/process
+ * @desc    Retry automatic assignment for queued tickets
+ * @access  Private/Admin
+ */
+router.post('/admin/assignment-queue/process', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await assignmentService.processQueue();
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process assignment queue'
+    });
+  }
+});
+
 // ============================================
 // UTILITY ROUTES
 // ============================================
@@ -330,11 +529,11 @@ router.get('/search/suggestions', async (req, res) => {
     const suggestions = await Ticket.find(
       { 
         $text: { $search: q },
-        isDeleted: false 
+        isDeleted: { $ne: true } 
       },
       { score: { $meta: 'textScore' } }
     )
-    .select('ticketNumber title status category priority createdAt')
+    .select('ticketId title status category priority createdAt')
     .sort({ score: { $meta: 'textScore' } })
     .limit(10)
     .lean();
@@ -356,7 +555,7 @@ router.get('/search/suggestions', async (req, res) => {
  * @desc    Get overdue tickets
  * @access  Private/Technician, Admin
  */
-router.get('/overdue', authorizeRoles('Technician', 'Admin'), async (req, res) => {
+router.get('/overdue', requireRole('technician', 'admin'), async (req, res) => {
   try {
     const tickets = await Ticket.getOverdue();
     
@@ -400,7 +599,7 @@ router.get('/my/created', async (req, res) => {
  * @desc    Get tickets assigned to current user
  * @access  Private/Technician, Admin
  */
-router.get('/my/assigned', authorizeRoles('Technician', 'Admin'), async (req, res) => {
+router.get('/my/assigned', requireRole('technician', 'admin'), async (req, res) => {
   try {
     const tickets = await Ticket.getAssignedTickets(req.user.id);
     
@@ -445,46 +644,31 @@ router.get('/status/:status', async (req, res) => {
  * @access  Public
  */
 router.get('/metadata/categories', (req, res) => {
-  const categories = {
-    Hardware: { name: 'Hardware Issues', icon: '🔧', color: '#f59e0b' },
-    Software: { name: 'Software Issues', icon: '💻', color: '#8b5cf6' },
-    Network: { name: 'Network Issues', icon: '🌐', color: '#3b82f6' },
-    Email: { name: 'Email Issues', icon: '📧', color: '#6366f1' },
-    'Account Access': { name: 'Account Access Issues', icon: '👤', color: '#10b981' },
-    Printer: { name: 'Printer Issues', icon: '🖨️', color: '#ec4899' },
-    Phone: { name: 'Phone Issues', icon: '📞', color: '#f97316' },
-    Other: { name: 'Other Issues', icon: '❓', color: '#6b7280' }
-  };
-  
-  const priorities = {
-    Critical: { color: '#dc2626', responseTime: 30, resolutionTime: 240 },
-    High: { color: '#ea580c', responseTime: 120, resolutionTime: 1440 },
-    Medium: { color: '#d97706', responseTime: 480, resolutionTime: 4320 },
-    Low: { color: '#059669', responseTime: 1440, resolutionTime: 10080 }
-  };
-  
-  const statuses = {
-    Open: { color: '#3b82f6', description: 'New ticket, not yet assigned' },
-    Assigned: { color: '#f59e0b', description: 'Assigned to a technician' },
-    'In Progress': { color: '#8b5cf6', description: 'Technician is working on it' },
-    Pending: { color: '#6b7280', description: 'Waiting for information or parts' },
-    Resolved: { color: '#10b981', description: 'Issue has been resolved' },
-    Closed: { color: '#6b7280', description: 'Ticket closed' },
-    Reopened: { color: '#ec4899', description: 'Ticket reopened after resolution' },
-    Cancelled: { color: '#6b7280', description: 'Ticket cancelled' }
-  };
+  const priorities = Object.fromEntries(Object.entries(TICKET_SLA).map(([priority, { color }]) => [
+    priority,
+    { color, ...DEFAULT_TARGETS[priority] }
+  ]));
   
   res.json({
     success: true,
     data: {
-      categories,
+      categories: TICKET_CATEGORIES,
       priorities,
-      statuses,
-      campuses: ['Main Campus', 'Kampala Campus', 'Other'],
-      defaultCategory: 'Other',
-      defaultPriority: 'Medium'
+      statuses: TICKET_STATUS,
+      campuses: TICKET_CAMPUSES,
+      defaultCategory: 'other',
+      defaultPriority: 'medium'
     }
   });
 });
 
+/**
+ * @route   GET /api/tickets/:id
+ * @desc    Get single ticket (declared last so /overdue isn't taken for an id)
+ * @access  Private (Role-based)
+ */
+router.get('/:id', async (req, res) => {
+  await TicketController.getTicket(req, res);
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { auth } = require('../middleware/auth');
+const router = require('./tickets');
+
+const findRoute = (method, path) => router.stack
+  .find(layer => layer.route?.path === path && layer.route.methods[method])?.route;
+
+// Run a route's middleware (everything before its handler) for a user
+const passesGuards = (route, role) => {
+  const guards = route.stack.slice(0, -1);
+  let passed = true;
+
+  for (const { handle } of guards) {
+    let nextCalled = false;
+    const res = { status: () => res, json: () => res };
+    handle({ user: { id: 'u1', role }, ip: '127.0.0.1' }, res, () => { nextCalled = true; });
+    if (!nextCalled) passed = false;
+  }
+
+  return passed;
+};
+
+test('requires authentication for every ticket route', () => {
+  assert.equal(router.stack[0].handle, auth);
+});
+
+test('lets technicians and admins run bulk operations', () => {
+  for (const action of ['status', 'assign', 'priority', 'tags', 'close']) {
+    const route = findRoute('patch', `/bulk/${action}`);
+    assert.ok(route, `PATCH /bulk/${action} exists`);
+    assert.equal(passesGuards(route, 'technician'), true);
+    assert.equal(passesGuards(route, 'admin'), true);
+    assert.equal(passesGuards(route, 'student'), false);
+  }
+});
+
+test('limits admin routes to admins', () => {
+  const route = findRoute('post', '/admin/bulk-delete');
+  assert.equal(passesGuards(route, 'admin'), true);
+  assert.equal(passesGuards(route, 'technician'), false);
+});
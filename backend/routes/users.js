@@ -9,6 +9,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Ticket = require('../models/Ticket');
+const UserPreferences = require('../models/UserPreferences');
+const { NOTIFICATION_EVENTS, CHANNELS } = require('../models/UserPreferences');
 const { auth, requireRole } = require('../middleware/auth');
 const auditService = require('../services/auditService');
 
@@ -206,6 +208,135 @@ router.put('/change-password', auth, [
   }
 });
 
+/**
+ * Notification preferences as returned to the client
+ */
+const formatPreferences = (preferences) => ({
+  notifications: preferences.notifications.toObject(),
+  emailFrequency: preferences.emailFrequency,
+  dataMinimization: preferences.dataMinimization,
+  digest: {
+    frequency: preferences.digest.frequency,
+    hour: preferences.digest.hour,
+    dayOfWeek: preferences.digest.dayOfWeek,
+    lastSentAt: preferences.digest.lastSentAt || null
+  },
+  events: Object.entries(NOTIFICATION_EVENTS).map(([key, event]) => ({ key, label: event.label })),
+  channels: CHANNELS
+});
+
+/**
+ * @route   GET /api/users/notifications/preferences
+ * @desc    Get current user's notification preferences
+ * @access  Private
+ */
+router.get('/notifications/preferences', auth, async (req, res) => {
+  try {
+    const preferences = await UserPreferences.getForUser(req.user.userId);
+
+    res.json({
+      success: true,
+      data: { preferences: formatPreferences(preferences) }
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/users/notifications/preferences
+ * @desc    Update notification preferences ({ notifications: { event: { email, inApp } }, emailFrequency, digest })
+ * @access  Private
+ */
+router.put('/notifications/preferences', auth, [
+  body('notifications')
+    .optional()
+    .isObject()
+    .withMessage('Notifications must be an object of events')
+    .custom((notifications) => Object.entries(notifications).every(([event, channels]) =>
+      NOTIFICATION_EVENTS[event] &&
+      channels && typeof channels === 'object' &&
+      Object.entries(channels).every(([channel, enabled]) => CHANNELS.includes(channel) && typeof enabled === 'boolean')
+    ))
+    .withMessage('Unknown notification event or channel'),
+
+  body('emailFrequency')
+    .optional()
+    .isIn(['immediate', 'digest', 'none'])
+    .withMessage('Email frequency must be immediate, digest or none'),
+
+  body('digest')
+    .optional()
+    .isObject()
+    .withMessage('Digest must be an object'),
+
+  body('digest.frequency')
+    .optional()
+    .isIn(['daily', 'weekly'])
+    .withMessage('Digest frequency must be daily or weekly'),
+
+  body('digest.hour')
+    .optional()
+    .isInt({ min: 0, max: 23 })
+    .withMessage('Digest hour must be between 0 and 23'),
+
+  body('digest.dayOfWeek')
+    .optional()
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Digest day must be between 0 (Sunday) and 6 (Saturday)'),
+
+  body('dataMinimization')
+    .optional()
+    .isBoolean()
+    .withMessage('Data minimization must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const preferences = await UserPreferences.getForUser(req.user.userId);
+    const { notifications = {}, emailFrequency, dataMinimization, digest = {} } = req.body;
+
+    Object.entries(notifications).forEach(([event, channels]) => {
+      Object.entries(channels).forEach(([channel, enabled]) => {
+        preferences.set(`notifications.${event}.${channel}`, enabled);
+      });
+    });
+
+    if (emailFrequency !== undefined) preferences.emailFrequency = emailFrequency;
+    if (dataMinimization !== undefined) preferences.dataMinimization = dataMinimization;
+
+    if (digest.frequency !== undefined) preferences.set('digest.frequency', digest.frequency);
+    if (digest.hour !== undefined) preferences.set('digest.hour', parseInt(digest.hour, 10));
+    if (digest.dayOfWeek !== undefined) preferences.set('digest.dayOfWeek', parseInt(digest.dayOfWeek, 10));
+
+    await preferences.save();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: { preferences: formatPreferences(preferences) }
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during preferences update'
+    });
+  }
+});
+
 /**
  * @route   GET /api/users
  * @desc    Get all users (Admin only)
@@ -471,10 +602,10 @@ router.get('/admin/stats', auth, requireRole('admin'), async (req, res) => {
 router.get('/admin/system-stats', auth, requireRole('admin'), async (req, res) => {
   try {
     const totalTickets = await Ticket.countDocuments();
-    const openTickets = await Ticket.countDocuments({ status: 'Open' });
-    const inProgressTickets = await Ticket.countDocuments({ status: 'In Progress' });
-    const resolvedTickets = await Ticket.countDocuments({ status: 'Resolved' });
-    const closedTickets = await Ticket.countDocuments({ status: 'Closed' });
+    const openTickets = await Ticket.countDocuments({ status: 'open' });
+    const inProgressTickets = await Ticket.countDocuments({ status: 'in-progress' });
+    const resolvedTickets = await Ticket.countDocuments({ status: 'resolved' });
+    const closedTickets = await Ticket.countDocuments({ status: 'closed' });
 
     auditService.logUserActivity(req.user.userId, 'GET_SYSTEM_STATS', 'TICKET');
 
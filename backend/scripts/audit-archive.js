@@ -0,0 +1,54 @@
+// backend/scripts/audit-archive.js
+/**
+ * Audit Archive Runner
+ * 
+ * Archives audit records past the retention period to disk, then purges them
+ * Run: node scripts/audit-archive.js             (keeps archiving on the configured interval)
+ *      node scripts/audit-archive.js --once      (single run, then exit)
+ *      node scripts/audit-archive.js --dry-run   (report what would be archived, then exit)
+ * 
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const auditArchiveService = require('../services/auditArchiveService');
+
+const connect = async () => {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/it_support_system';
+  await mongoose.connect(mongoURI);
+  console.log('✅ Connected to MongoDB');
+};
+
+const shutdown = async (code = 0) => {
+  auditArchiveService.stop();
+  await mongoose.disconnect();
+  console.log('🔌 Disconnected from MongoDB');
+  process.exit(code);
+};
+
+(async () => {
+  try {
+    await connect();
+
+    const dryRun = process.argv.includes('--dry-run');
+    const result = await auditArchiveService.runOnce({ dryRun });
+    console.log('🗄️ Audit archive run complete:', result);
+
+    if (dryRun || process.argv.includes('--once')) {
+      return shutdown(result.error ? 1 : 0);
+    }
+
+    auditArchiveService.start();
+
+    // Keep the process alive while the (unref'd) timer runs
+    setInterval(() => {}, 60 * 60 * 1000);
+
+    process.on('SIGINT', () => shutdown(0));
+    process.on('SIGTERM', () => shutdown(0));
+  } catch (error) {
+    console.error('❌ Audit archive job failed to start:', error.message);
+    await shutdown(1);
+  }
+})();
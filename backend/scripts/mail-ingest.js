@@ -0,0 +1,59 @@
+// backend/scripts/mail-ingest.js
+/**
+ * Inbound Mail Runner
+ * 
+ * Turns messages delivered to the support Maildir into tickets and comments
+ * Run: node scripts/mail-ingest.js                       (keeps polling on the configured interval)
+ *      node scripts/mail-ingest.js --once                (process waiting messages, then exit)
+ *      node scripts/mail-ingest.js --once --maildir=DIR  (use another Maildir, e.g. a test spool)
+ * 
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const inboundMail = require('../services/inboundMailService');
+
+const maildirArg = process.argv.find(arg => arg.startsWith('--maildir='));
+if (maildirArg) {
+  inboundMail.config.maildir = maildirArg.split('=')[1];
+}
+
+const connect = async () => {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/it_support_system';
+  await mongoose.connect(mongoURI);
+  console.log('✅ Connected to MongoDB');
+};
+
+const shutdown = async (code = 0) => {
+  inboundMail.stop();
+  await mongoose.disconnect();
+  console.log('🔌 Disconnected from MongoDB');
+  process.exit(code);
+};
+
+(async () => {
+  try {
+    await connect();
+
+    const result = await inboundMail.runOnce();
+    console.log('📊 Inbound mail run complete:', result);
+
+    if (process.argv.includes('--once')) {
+      return shutdown(0);
+    }
+
+    inboundMail.config.enabled = true;
+    inboundMail.start();
+
+    // Keep the process alive while the (unref'd) timer runs
+    setInterval(() => {}, 60 * 60 * 1000);
+
+    process.on('SIGINT', () => shutdown(0));
+    process.on('SIGTERM', () => shutdown(0));
+  } catch (error) {
+    console.error('❌ Inbound mail runner failed to start:', error.message);
+    await shutdown(1);
+  }
+})();
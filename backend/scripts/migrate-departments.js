@@ -0,0 +1,328 @@
+// backend/scripts/migrate-departments.js
+/**
+ * Department Migration Script
+ *
+ * Creates the default department hierarchy, then links existing users,
+ * tickets and SLA policy overrides to it by resolving their free-text
+ * department values
+ * Run: node scripts/migrate-departments.js             (seed and backfill)
+ *      node scripts/migrate-departments.js --dry-run   (report what would change, then exit)
+ *
+ * Safe to re-run: existing departments keep their settings (only missing
+ * aliases are added) and records that already have a departmentId are skipped.
+ *
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Department = require('../models/Department');
+const auditService = require('../services/auditService');
+
+const { normalizeAlias } = Department;
+
+// Parents before children; aliases cover every legacy value in users and tickets
+const DEFAULT_CATALOG = [
+  { code: 'SST', name: 'School of Science and Technology', type: 'faculty', aliases: ['science_technology'] },
+  { code: 'CS', name: 'Computer Science', parent: 'SST', aliases: ['computer_science'] },
+  { code: 'INF_TECH', name: 'Information Technology', parent: 'SST', aliases: ['information_technology'] },
+  { code: 'SE', name: 'Software Engineering', parent: 'SST', aliases: ['software_engineering'] },
+  { code: 'ENG', name: 'Engineering', parent: 'SST', aliases: ['engineering'] },
+  { code: 'SBS', name: 'School of Business', type: 'faculty', aliases: ['business', 'business_administration', 'business_school'] },
+  { code: 'SED', name: 'School of Education', type: 'faculty', aliases: ['education'] },
+  { code: 'STH', name: 'School of Theology', type: 'faculty', aliases: ['theology'] },
+  { code: 'SHS', name: 'School of Health Sciences', type: 'faculty', aliases: ['health_sciences'] },
+  { code: 'MED', name: 'Medicine', parent: 'SHS', aliases: ['medicine', 'school_of_medicine'] },
+  { code: 'NUR', name: 'Nursing', parent: 'SHS', aliases: ['nursing'] },
+  { code: 'SOL', name: 'School of Law', type: 'faculty', aliases: ['law'] },
+  { code: 'SAS', name: 'School of Arts and Sciences', type: 'faculty', aliases: ['arts_sciences'] },
+  { code: 'ADMIN', name: 'Administration', type: 'office', aliases: ['administration'] },
+  { code: 'ACAD', name: 'Academic Affairs', type: 'office', parent: 'ADMIN', aliases: ['academic_affairs', 'academic'] },
+  { code: 'FIN', name: 'Finance', type: 'office', parent: 'ADMIN', aliases: ['finance'] },
+  { code: 'HR', name: 'Human Resources', type: 'office', parent: 'ADMIN', aliases: ['human_resources'] },
+  { code: 'STUD', name: 'Student Affairs', type: 'office', parent: 'ADMIN', aliases: ['student_affairs', 'student_services'] },
+  { code: 'FAC', name: 'Facilities Management', type: 'office', parent: 'ADMIN', aliases: ['facilities', 'facilities_management', 'maintenance'] },
+  { code: 'SEC', name: 'Security', type: 'office', parent: 'ADMIN', aliases: ['security'] },
+  { code: 'ITS', name: 'IT Services', type: 'office', aliases: ['it_services', 'it'] },
+  { code: 'LIB', name: 'Library', type: 'office', aliases: ['library', 'library_services'] },
+  { code: 'RES', name: 'Research', type: 'office', aliases: ['research', 'research_division'] },
+  { code: 'OTHER', name: 'Other', type: 'unit', aliases: ['other', 'other_department'] }
+];
+
+// Where users keep their legacy value, most specific first
+const USER_DEPARTMENT_FIELDS = [
+  'professionalInfo.department',
+  'academicInfo.department',
+  'originalDepartment',
+  'department'
+];
+
+const BATCH_SIZE = 500;
+
+class DepartmentMigration {
+  constructor({ dryRun = false } = {}) {
+    this.dryRun = dryRun;
+    this.resolver = new Map();
+    this.pending = [];
+    this.userDepartments = new Map();
+    this.unresolved = new Map();
+    this.stats = {
+      departmentsCreated: 0,
+      departmentsUpdated: 0,
+      usersLinked: 0,
+      ticketsLinked: 0,
+      ticketsInherited: 0,
+      overridesLinked: 0
+    };
+  }
+
+  async connect() {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/it_support_system';
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected to MongoDB');
+  }
+
+  async disconnect() {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+
+  async run() {
+    console.log(`🚀 Starting department migration${this.dryRun ? ' (dry run)' : ''}...\n`);
+
+    await this.seedCatalog();
+    await this.buildResolver();
+    await this.linkUsers();
+    await this.linkTickets();
+    await this.linkPolicies();
+
+    if (!this.dryRun) {
+      await auditService.logSystemEvent('DEPARTMENTS_MIGRATED', {
+        ...this.stats,
+        unresolved: Object.fromEntries(this.unresolved)
+      }, 'info');
+    }
+
+    this.printSummary();
+  }
+
+  /**
+   * Create missing catalog departments; add missing aliases to existing ones
+   */
+  async seedCatalog() {
+    const byCode = new Map();
+
+    for (const entry of DEFAULT_CATALOG) {
+      let department = await Department.findOne({ code: entry.code });
+      const parent = entry.parent ? byCode.get(entry.parent) : null;
+
+      if (!department) {
+        console.log(`   ➕ ${entry.code} ${entry.name}`);
+        this.stats.departmentsCreated++;
+
+        department = new Department({ ...entry, parent: parent ? parent._id : null });
+        if (!this.dryRun) await department.save();
+      } else {
+        const missing = entry.aliases.filter(alias => !department.aliases.includes(alias));
+
+        if (missing.length > 0) {
+          console.log(`   ✏️  ${entry.code}: adding aliases ${missing.join(', ')}`);
+          this.stats.departmentsUpdated++;
+
+          department.aliases.push(...missing);
+          if (!this.dryRun) await department.save();
+        }
+      }
+
+      byCode.set(entry.code, department);
+    }
+
+    // Dry runs resolve against the catalog as it would be after seeding
+    this.pending = this.dryRun ? [...byCode.values()] : [];
+  }
+
+  /**
+   * Map every code, name and alias to its department
+   */
+  async buildResolver() {
+    const existing = await Department.find().select('code name aliases').lean();
+    const departments = [...existing, ...this.pending.filter(pending =>
+      !existing.some(department => department.code === pending.code))];
+
+    for (const department of departments) {
+      const keys = [department.code, department.name, ...(department.aliases || [])];
+      for (const key of keys) {
+        const normalized = normalizeAlias(key);
+        if (!this.resolver.has(normalized)) {
+          this.resolver.set(normalized, { _id: department._id, code: department.code });
+        }
+      }
+    }
+  }
+
+  /**
+   * Department named by the first value that resolves (all are reported when none does)
+   */
+  resolve(...values) {
+    const candidates = values.filter(value => typeof value === 'string' && value.trim());
+    const department = candidates
+      .map(value => this.resolver.get(normalizeAlias(value)))
+      .find(Boolean);
+
+    if (!department) {
+      candidates.forEach(value => this.unresolved.set(value, (this.unresolved.get(value) || 0) + 1));
+    }
+
+    return department || null;
+  }
+
+  /**
+   * Link users from whichever legacy field they carry
+   */
+  async linkUsers() {
+    const users = mongoose.connection.db.collection('users');
+    const cursor = users.find({}, {
+      projection: { departmentId: 1, ...Object.fromEntries(USER_DEPARTMENT_FIELDS.map(field => [field, 1])) }
+    });
+
+    let operations = [];
+
+    for await (const user of cursor) {
+      if (user.departmentId) {
+        this.userDepartments.set(user._id.toString(), user.departmentId);
+        continue;
+      }
+
+      const department = this.resolve(...USER_DEPARTMENT_FIELDS
+        .map(field => field.split('.').reduce((value, key) => value?.[key], user)));
+
+      if (!department) continue;
+
+      this.userDepartments.set(user._id.toString(), department._id);
+      this.stats.usersLinked++;
+      operations.push({
+        updateOne: { filter: { _id: user._id }, update: { $set: { departmentId: department._id } } }
+      });
+
+      if (operations.length >= BATCH_SIZE) {
+        await this.write(users, operations);
+        operations = [];
+      }
+    }
+
+    await this.write(users, operations);
+  }
+
+  /**
+   * Link tickets from their department string, else from their requester
+   */
+  async linkTickets() {
+    const tickets = mongoose.connection.db.collection('tickets');
+    const cursor = tickets.find(
+      { departmentId: { $exists: false } },
+      { projection: { department: 1, createdBy: 1 } }
+    );
+
+    let operations = [];
+
+    for await (const ticket of cursor) {
+      const department = this.resolve(ticket.department);
+      const update = {};
+
+      if (department) {
+        update.departmentId = department._id;
+        this.stats.ticketsLinked++;
+      } else if (ticket.createdBy && this.userDepartments.has(ticket.createdBy.toString())) {
+        update.departmentId = this.userDepartments.get(ticket.createdBy.toString());
+        this.stats.ticketsInherited++;
+      } else {
+        continue;
+      }
+
+      operations.push({ updateOne: { filter: { _id: ticket._id }, update: { $set: update } } });
+
+      if (operations.length >= BATCH_SIZE) {
+        await this.write(tickets, operations);
+        operations = [];
+      }
+    }
+
+    await this.write(tickets, operations);
+  }
+
+  /**
+   * Link SLA department overrides, which tickets are matched against by departmentId
+   */
+  async linkPolicies() {
+    const policies = mongoose.connection.db.collection('slapolicies');
+    const cursor = policies.find(
+      { overrides: { $elemMatch: { department: { $nin: [null, ''] }, departmentId: { $exists: false } } } },
+      { projection: { overrides: 1 } }
+    );
+
+    const operations = [];
+
+    for await (const policy of cursor) {
+      let linked = 0;
+
+      const overrides = policy.overrides.map(override => {
+        if (!override.department || override.departmentId) return override;
+
+        const department = this.resolve(override.department);
+        if (!department) return override;
+
+        linked++;
+        return { ...override, departmentId: department._id, department: department.code };
+      });
+
+      if (linked === 0) continue;
+
+      this.stats.overridesLinked += linked;
+      operations.push({ updateOne: { filter: { _id: policy._id }, update: { $set: { overrides } } } });
+    }
+
+    await this.write(policies, operations);
+  }
+
+  async write(collection, operations) {
+    if (this.dryRun || operations.length === 0) return;
+    await collection.bulkWrite(operations, { ordered: false });
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(50));
+    console.log(`🎉 DEPARTMENT MIGRATION SUMMARY${this.dryRun ? ' (DRY RUN)' : ''}`);
+    console.log('='.repeat(50));
+    console.log(`🏛️  Departments created: ${this.stats.departmentsCreated}`);
+    console.log(`✏️  Departments updated: ${this.stats.departmentsUpdated}`);
+    console.log(`👥 Users linked: ${this.stats.usersLinked}`);
+    console.log(`🎫 Tickets linked by department: ${this.stats.ticketsLinked}`);
+    console.log(`🎫 Tickets linked by requester: ${this.stats.ticketsInherited}`);
+    console.log(`⏱️  SLA overrides linked: ${this.stats.overridesLinked}`);
+
+    if (this.unresolved.size > 0) {
+      console.log('⚠️  Unresolved values (add them as aliases and re-run):');
+      for (const [value, count] of this.unresolved) {
+        console.log(`   "${value}" × ${count}`);
+      }
+    }
+
+    console.log('='.repeat(50));
+  }
+}
+
+(async () => {
+  const migration = new DepartmentMigration({ dryRun: process.argv.includes('--dry-run') });
+
+  try {
+    await migration.connect();
+    await migration.run();
+    await migration.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Department migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+})();
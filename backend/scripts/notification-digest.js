@@ -0,0 +1,53 @@
+// backend/scripts/notification-digest.js
+/**
+ * Notification Digest Runner
+ * 
+ * Emails the daily/weekly digest to users whose email frequency is 'digest'
+ * Run: node scripts/notification-digest.js          (keeps checking on the configured interval)
+ *      node scripts/notification-digest.js --once   (send digests that are due now, then exit)
+ * 
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const digestService = require('../services/digestService');
+
+const connect = async () => {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/it_support_system';
+  await mongoose.connect(mongoURI);
+  console.log('✅ Connected to MongoDB');
+};
+
+const shutdown = async (code = 0) => {
+  digestService.stop();
+  await mongoose.disconnect();
+  console.log('🔌 Disconnected from MongoDB');
+  process.exit(code);
+};
+
+(async () => {
+  try {
+    await connect();
+
+    const result = await digestService.runOnce();
+    console.log('📊 Digest run complete:', result);
+
+    if (process.argv.includes('--once')) {
+      return shutdown(0);
+    }
+
+    digestService.config.enabled = true;
+    digestService.start();
+
+    // Keep the process alive while the (unref'd) timer runs
+    setInterval(() => {}, 60 * 60 * 1000);
+
+    process.on('SIGINT', () => shutdown(0));
+    process.on('SIGTERM', () => shutdown(0));
+  } catch (error) {
+    console.error('❌ Digest runner failed to start:', error.message);
+    await shutdown(1);
+  }
+})();
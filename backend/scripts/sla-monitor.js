@@ -0,0 +1,52 @@
+// backend/scripts/sla-monitor.js
+/**
+ * SLA Monitor Runner
+ * 
+ * Runs the background SLA breach monitor in its own process
+ * Run: node scripts/sla-monitor.js          (keeps scanning on the configured interval)
+ *      node scripts/sla-monitor.js --once   (single scan, then exit)
+ * 
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const slaMonitor = require('../services/slaMonitorService');
+
+const connect = async () => {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/it_support_system';
+  await mongoose.connect(mongoURI);
+  console.log('✅ Connected to MongoDB');
+};
+
+const shutdown = async (code = 0) => {
+  slaMonitor.stop();
+  await mongoose.disconnect();
+  console.log('🔌 Disconnected from MongoDB');
+  process.exit(code);
+};
+
+(async () => {
+  try {
+    await connect();
+
+    const result = await slaMonitor.runOnce();
+    console.log('📊 SLA scan complete:', result);
+
+    if (process.argv.includes('--once')) {
+      return shutdown(0);
+    }
+
+    slaMonitor.start();
+
+    // Keep the process alive while the (unref'd) timer runs
+    setInterval(() => {}, 60 * 60 * 1000);
+
+    process.on('SIGINT', () => shutdown(0));
+    process.on('SIGTERM', () => shutdown(0));
+  } catch (error) {
+    console.error('❌ SLA monitor failed to start:', error.message);
+    await shutdown(1);
+  }
+})();
@@ -22,12 +22,29 @@ const rateLimit = require('express-rate-limit');
 
 require('dotenv').config();
 
+const ticketNumberService = require('./services/ticketNumberService');
+const socketService = require('./services/socketService');
+const notificationService = require('./services/notificationService');
+const assignmentService = require('./services/assignmentService');
+const auditService = require('./services/auditService');
+const slaMonitor = require('./services/slaMonitorService');
+const sessionService = require('./services/sessionService');
+const Session = require('./models/Session');
+const Department = require('./models/Department');
+const { auditContext } = require('./middleware/audit');
+const { mountRouters } = require('./routes');
+const { TicketController } = require('./controllers/ticketController');
+const authConfig = require('./config/auth.config');
+
 // ============================================
 // APP INITIALIZATION - MUST BE AFTER IMPORTS
 // ============================================
 const app = express();
 const PORT = process.env.PORT || 5002;
 
+// Shared with middleware/auth and the mounted routers, so one token works everywhere
+const JWT_SECRET = authConfig.jwtSecret;
+
 // ============================================
 // MIDDLEWARE - NOW WE CAN USE app
 // ============================================
@@ -68,6 +85,9 @@ app.use(cookieParser());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Audit hooks attribute model changes to the current request
+app.use(auditContext);
+
 // ============================================
 // DATABASE CONNECTION
 // ============================================
@@ -137,7 +157,8 @@ if (emailConfig.auth.user && emailConfig.auth.pass) {
 // DATABASE MODELS
 // ============================================
 
-// Department mapping
+// Legacy department strings for the user `department` field; departmentId
+// (resolved through the Department model's aliases) is what reports use
 const DEPARTMENT_MAPPING = {
   'computer_science': 'computer_science',
   'engineering': 'engineering',
@@ -161,842 +182,10 @@ const DEPARTMENT_MAPPING = {
   'RESEARCH': 'other'
 };
 
-// User Schema (Production Ready)
-const userSchema = new mongoose.Schema({
-  // Authentication
-  username: {
-    type: String,
-    required: [true, 'Username is required'],
-    unique: true,
-    trim: true,
-    minlength: [3, 'Username must be at least 3 characters'],
-    maxlength: [30, 'Username cannot exceed 30 characters']
-  },
-  
-  email: {
-    type: String,
-    required: [true, 'Email is required'],
-    unique: true,
-    lowercase: true,
-    trim: true
-  },
-  
-  password: {
-    type: String,
-    required: [true, 'Password is required'],
-    minlength: [8, 'Password must be at least 8 characters'],
-    select: false
-  },
-  
-  // Profile Information
-  firstName: {
-    type: String,
-    required: [true, 'First name is required'],
-    trim: true
-  },
-  
-  lastName: {
-    type: String,
-    required: [true, 'Last name is required'],
-    trim: true
-  },
-  
-  phone: {
-    type: String,
-    trim: true
-  },
-  
-  // University Information
-  role: {
-    type: String,
-    enum: ['student', 'staff', 'technician', 'admin'],
-    default: 'student',
-    required: true
-  },
-  
-  department: {
-    type: String,
-    enum: ['computer_science', 'engineering', 'business', 'health_sciences', 'education', 'it', 'administration', 'other'],
-    default: 'computer_science'
-  },
-  
-  originalDepartment: {
-    type: String
-  },
-  
-  studentId: {
-    type: String,
-    trim: true,
-    uppercase: true
-  },
-  
-  employeeId: {
-    type: String,
-    trim: true,
-    uppercase: true
-  },
-  
-  campus: {
-    type: String,
-    enum: ['BU', 'MA', 'KA', 'AR', 'MB', 'OTHER'],
-    default: 'BU'
-  },
-  
-  yearOfEntry: {
-    type: Number
-  },
-  
-  semester: {
-    type: Number
-  },
-  
-  // Account Status
-  isEmailVerified: {
-    type: Boolean,
-    default: false,
-    index: true
-  },
-  
-  isActive: {
-    type: Boolean,
-    default: true,
-    index: true
-  },
-  
-  isLocked: {
-    type: Boolean,
-    default: false
-  },
-  
-  verifiedAt: {
-    type: Date
-  },
-  
-  // Security
-  loginAttempts: {
-    type: Number,
-    default: 0,
-    select: false
-  },
-  
-  lockUntil: {
-    type: Date,
-    select: false
-  },
-  
-  passwordChangedAt: {
-    type: Date,
-    select: false
-  },
-  
-  passwordResetToken: {
-    type: String,
-    select: false
-  },
-  
-  passwordResetExpires: {
-    type: Date,
-    select: false
-  },
-  
-  emailVerificationToken: {
-    type: String,
-    select: false
-  },
-  
-  emailVerificationExpires: {
-    type: Date,
-    select: false
-  },
-  
-  lastPasswordResetAt: {
-    type: Date,
-    select: false
-  },
-  
-  // Activity
-  lastLogin: {
-    type: Date
-  },
-  
-  lastActivity: {
-    type: Date
-  },
-  
-  // Permissions
-  permissions: {
-    type: [String],
-    default: function() {
-      const rolePermissions = {
-        admin: ['all'],
-        technician: ['create_ticket', 'view_all_tickets', 'assign_tickets', 'resolve_tickets'],
-        staff: ['create_ticket', 'view_department_tickets', 'edit_profile'],
-        student: ['create_ticket', 'view_own_tickets', 'edit_profile']
-      };
-      return rolePermissions[this.role] || rolePermissions.student;
-    }
-  },
-  
-  // Metadata
-  metadata: {
-    type: mongoose.Schema.Types.Mixed,
-    default: {}
-  },
-  
-  // Timestamps
-  createdAt: {
-    type: Date,
-    default: Date.now
-  },
-  
-  updatedAt: {
-    type: Date,
-    default: Date.now
-  }
-}, {
-  timestamps: true,
-  toJSON: {
-    transform: function(doc, ret) {
-      delete ret.password;
-      delete ret.__v;
-      delete ret.passwordResetToken;
-      delete ret.passwordResetExpires;
-      delete ret.emailVerificationToken;
-      delete ret.emailVerificationExpires;
-      delete ret.loginAttempts;
-      delete ret.lockUntil;
-      return ret;
-    }
-  }
-});
-
-// Hash password before saving
-userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
-  
-  try {
-    const salt = await bcrypt.genSalt(10);
-    this.password = await bcrypt.hash(this.password, salt);
-    this.passwordChangedAt = Date.now();
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
+const User = require('./models/User');
+const Ticket = require('./models/Ticket');
+const { TICKET_SLA, TICKET_CATEGORIES, TICKET_STATUS, FINISHED_STATUSES } = require('./config/ticket.config');
 
-// Compare password method
-userSchema.methods.comparePassword = async function(candidatePassword) {
-  return await bcrypt.compare(candidatePassword, this.password);
-};
-
-// Create password reset token
-userSchema.methods.createPasswordResetToken = function() {
-  const resetToken = crypto.randomBytes(32).toString('hex');
-  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
-  this.passwordResetExpires = Date.now() + 3600000; // 1 hour
-  return resetToken;
-};
-
-// Create email verification token
-userSchema.methods.createEmailVerificationToken = function() {
-  const verificationToken = crypto.randomBytes(32).toString('hex');
-  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
-  this.emailVerificationExpires = Date.now() + 86400000; // 24 hours
-  return verificationToken;
-};
-
-// Increment failed login attempts
-userSchema.methods.incrementFailedAttempts = function() {
-  this.loginAttempts += 1;
-  if (this.loginAttempts >= 5) {
-    this.isLocked = true;
-    this.lockUntil = new Date(Date.now() + 900000); // 15 minutes
-  }
-};
-
-// Reset failed login attempts
-userSchema.methods.resetFailedAttempts = function() {
-  this.loginAttempts = 0;
-  this.isLocked = false;
-  this.lockUntil = undefined;
-};
-
-// Check if account is locked
-userSchema.methods.isAccountLocked = function() {
-  if (!this.isLocked) return false;
-  if (this.lockUntil && this.lockUntil > new Date()) {
-    return true;
-  }
-  this.isLocked = false;
-  this.lockUntil = undefined;
-  this.loginAttempts = 0;
-  return false;
-};
-
-const User = mongoose.model('User', userSchema);
-
-// Ticket Schema
-const TICKET_SLA = {
-  critical: { hours: 4, color: '#dc2626', label: 'Critical (4hrs)' },
-  high: { hours: 8, color: '#ea580c', label: 'High (8hrs)' },
-  medium: { hours: 24, color: '#d97706', label: 'Medium (24hrs)' },
-  low: { hours: 72, color: '#059669', label: 'Low (72hrs)' }
-};
-
-// Ticket Categories with Icons
-const TICKET_CATEGORIES = {
-  network: { name: 'Network Issues', icon: '🌐', color: '#3b82f6' },
-  software: { name: 'Software Issues', icon: '💻', color: '#8b5cf6' },
-  hardware: { name: 'Hardware Issues', icon: '🔧', color: '#f59e0b' },
-  account: { name: 'Account Issues', icon: '👤', color: '#10b981' },
-  email: { name: 'Email Issues', icon: '📧', color: '#6366f1' },
-  website: { name: 'Website Issues', icon: '🌍', color: '#ec4899' },
-  other: { name: 'Other Issues', icon: '❓', color: '#6b7280' }
-};
-
-// Ticket Status Workflow
-const TICKET_STATUS = {
-  open: { name: 'Open', color: '#3b82f6', order: 1 },
-  'in-progress': { name: 'In Progress', color: '#f59e0b', order: 2 },
-  resolved: { name: 'Resolved', color: '#10b981', order: 3 },
-  closed: { name: 'Closed', color: '#6b7280', order: 4 },
-  pending: { name: 'Pending', color: '#8b5cf6', order: 2.5 }
-};
-
-// Enhanced Ticket Schema
-const enhancedTicketSchema = new mongoose.Schema({
-  // Unique Identifier
-  ticketId: {
-    type: String,
-    unique: true,
-    index: true
-  },
-  
-  // Ticket Information
-  title: {
-    type: String,
-    required: [true, 'Ticket title is required'],
-    trim: true,
-    minlength: [5, 'Title must be at least 5 characters'],
-    maxlength: [200, 'Title cannot exceed 200 characters']
-  },
-  
-  description: {
-    type: String,
-    required: [true, 'Ticket description is required'],
-    minlength: [10, 'Description must be at least 10 characters'],
-    maxlength: [5000, 'Description cannot exceed 5000 characters']
-  },
-  
-  // Classification
-  status: {
-    type: String,
-    enum: Object.keys(TICKET_STATUS),
-    default: 'open',
-    index: true
-  },
-  
-  priority: {
-    type: String,
-    enum: Object.keys(TICKET_SLA),
-    default: 'medium',
-    index: true
-  },
-  
-  category: {
-    type: String,
-    enum: Object.keys(TICKET_CATEGORIES),
-    default: 'other',
-    index: true
-  },
-  
-  // Additional Categories for Bugema University
-  subCategory: {
-    type: String,
-    enum: ['internet', 'wifi', 'campus_network', 'software_installation', 'software_license', 
-           'virus_removal', 'computer_repair', 'printer_issues', 'peripheral_devices',
-           'password_reset', 'account_lockout', 'access_permissions', 'email_setup',
-           'email_spam', 'website_access', 'cms_issues', 'online_learning_platform',
-           'general_inquiry', 'suggestion', 'complaint'],
-    default: 'general_inquiry'
-  },
-  
-  // Campus Location
-  campus: {
-    type: String,
-    enum: ['BU', 'MA', 'KA', 'AR', 'MB', 'OTHER'],
-    default: 'BU',
-    index: true
-  },
-  
-  location: {
-    type: String,
-    trim: true
-  },
-  
-  building: {
-    type: String,
-    trim: true
-  },
-  
-  roomNumber: {
-    type: String,
-    trim: true
-  },
-  
-  // People
-  createdBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true,
-    index: true
-  },
-  
-  assignedTo: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    index: true
-  },
-  
-  // SLA & Timelines
-  slaDueDate: {
-    type: Date
-  },
-  
-  actualResolutionTime: {
-    type: Number // in minutes
-  },
-  
-  firstResponseAt: {
-    type: Date
-  },
-  
-  resolvedAt: {
-    type: Date
-  },
-  
-  closedAt: {
-    type: Date
-  },
-  
-  // Attachments
-  attachments: [{
-    fileName: String,
-    fileUrl: String,
-    fileType: String,
-    fileSize: Number,
-    uploadedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-  
-  // Comments/Conversation
-  comments: [{
-    _id: {
-      type: mongoose.Schema.Types.ObjectId,
-      default: () => new mongoose.Types.ObjectId()
-    },
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    message: {
-      type: String,
-      required: [true, 'Comment message is required'],
-      trim: true,
-      maxlength: [2000, 'Comment cannot exceed 2000 characters']
-    },
-    isInternal: {
-      type: Boolean,
-      default: false
-    },
-    attachments: [{
-      fileName: String,
-      fileUrl: String,
-      fileType: String,
-      fileSize: Number
-    }],
-    createdAt: {
-      type: Date,
-      default: Date.now
-    },
-    updatedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-  
-  // Resolution Details
-  resolution: {
-    summary: String,
-    details: String,
-    solutionSteps: [String],
-    rootCause: String,
-    preventedFromRecurring: Boolean,
-    preventiveMeasures: [String]
-  },
-  
-  // Feedback
-  customerSatisfaction: {
-    type: Number,
-    min: 1,
-    max: 5,
-    default: null
-  },
-  
-  feedbackComment: {
-    type: String,
-    maxlength: [1000, 'Feedback comment cannot exceed 1000 characters']
-  },
-  
-  // Metadata
-  tags: [{
-    type: String,
-    trim: true
-  }],
-  
-  relatedTickets: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Ticket'
-  }],
-  
-  escalationLevel: {
-    type: Number,
-    default: 1,
-    min: 1,
-    max: 3
-  },
-  
-  // Activity Tracking
-  viewedBy: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    viewedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-  
-  // Audit Trail
-  history: [{
-    action: String,
-    field: String,
-    oldValue: mongoose.Schema.Types.Mixed,
-    newValue: mongoose.Schema.Types.Mixed,
-    changedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    changedAt: {
-      type: Date,
-      default: Date.now
-    },
-    reason: String
-  }],
-  
-  // Timestamps
-  createdAt: {
-    type: Date,
-    default: Date.now,
-    index: true
-  },
-  
-  updatedAt: {
-    type: Date,
-    default: Date.now
-  },
-  
-  dueDate: {
-    type: Date
-  }
-}, {
-  timestamps: true,
-  toJSON: {
-    virtuals: true,
-    transform: function(doc, ret) {
-      delete ret.__v;
-      delete ret.history;
-      return ret;
-    }
-  }
-});
-
-// Virtual for SLA status
-enhancedTicketSchema.virtual('slaStatus').get(function() {
-  if (this.status === 'closed' || this.status === 'resolved') return 'completed';
-  if (!this.slaDueDate) return 'no-sla';
-  
-  const now = new Date();
-  const timeRemaining = this.slaDueDate - now;
-  
-  if (timeRemaining < 0) return 'breached';
-  if (timeRemaining < 60 * 60 * 1000) return 'critical'; // Less than 1 hour
-  if (timeRemaining < 4 * 60 * 60 * 1000) return 'warning'; // Less than 4 hours
-  return 'normal';
-});
-
-// Virtual for SLA time remaining
-enhancedTicketSchema.virtual('slaTimeRemaining').get(function() {
-  if (!this.slaDueDate) return null;
-  
-  const now = new Date();
-  const timeRemaining = this.slaDueDate - now;
-  
-  return Math.max(0, Math.floor(timeRemaining / (1000 * 60))); // in minutes
-});
-
-// Virtual for age
-enhancedTicketSchema.virtual('ageInHours').get(function() {
-  const created = new Date(this.createdAt);
-  const now = new Date();
-  return Math.floor((now - created) / (1000 * 60 * 60));
-});
-
-// Pre-save middleware
-enhancedTicketSchema.pre('save', async function(next) {
-  try {
-    // Generate ticket ID if not exists
-    if (!this.ticketId) {
-      const year = new Date().getFullYear().toString().slice(-2);
-      const month = (new Date().getMonth() + 1).toString().padStart(2, '0');
-      
-      // Get count of tickets this month
-      const count = await this.constructor.countDocuments({
-        createdAt: {
-          $gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1),
-          $lt: new Date(new Date().getFullYear(), new Date().getMonth() + 1, 1)
-        }
-      });
-      
-      const sequence = (count + 1).toString().padStart(4, '0');
-      this.ticketId = `TKT-${year}${month}-${sequence}`;
-    }
-    
-    // Calculate SLA due date based on priority
-    if (this.isModified('priority') || this.isNew) {
-      const slaHours = TICKET_SLA[this.priority].hours;
-      this.slaDueDate = new Date(Date.now() + (slaHours * 60 * 60 * 1000));
-    }
-    
-    // Update timestamps based on status changes
-    if (this.isModified('status')) {
-      if (this.status === 'resolved' && !this.resolvedAt) {
-        this.resolvedAt = new Date();
-        
-        // Calculate actual resolution time
-        if (this.createdAt) {
-          const resolutionTimeMs = new Date() - this.createdAt;
-          this.actualResolutionTime = Math.floor(resolutionTimeMs / (1000 * 60)); // minutes
-        }
-      }
-      
-      if (this.status === 'closed' && !this.closedAt) {
-        this.closedAt = new Date();
-      }
-    }
-    
-    this.updatedAt = new Date();
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
-
-// Add history tracking middleware
-enhancedTicketSchema.pre('save', function(next) {
-  const ticket = this;
-  
-  if (ticket.isNew) {
-    // Don't add history for new documents
-    return next();
-  }
-  
-  try {
-    const modifiedPaths = ticket.modifiedPaths();
-    const changes = [];
-    
-    // Track all changes except internal fields
-    const excludedFields = ['updatedAt', 'viewedBy', 'history', '__v'];
-    
-    modifiedPaths.forEach(path => {
-      if (excludedFields.includes(path)) return;
-      
-      const oldValue = ticket._original ? ticket._original[path] : undefined;
-      const newValue = ticket[path];
-      
-      // Only track if value actually changed
-      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
-        changes.push({
-          action: 'UPDATE',
-          field: path,
-          oldValue,
-          newValue,
-          changedBy: ticket._modifiedBy || null,
-          reason: ticket._changeReason || null
-        });
-      }
-    });
-    
-    // Add changes to history
-    if (changes.length > 0) {
-      if (!ticket.history) ticket.history = [];
-      ticket.history.push(...changes);
-    }
-    
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
-
-// Instance methods
-enhancedTicketSchema.methods.addComment = async function(commentData, userId) {
-  const comment = {
-    user: userId,
-    message: commentData.message,
-    isInternal: commentData.isInternal || false,
-    attachments: commentData.attachments || []
-  };
-  
-  this.comments.push(comment);
-  
-  // Update first response time if this is the first agent comment
-  if (commentData.isInternal === false && !this.firstResponseAt) {
-    this.firstResponseAt = new Date();
-  }
-  
-  await this.save();
-  return this.comments[this.comments.length - 1];
-};
-
-enhancedTicketSchema.methods.addAttachment = async function(fileData) {
-  this.attachments.push({
-    fileName: fileData.fileName,
-    fileUrl: fileData.fileUrl,
-    fileType: fileData.fileType,
-    fileSize: fileData.fileSize,
-    uploadedAt: new Date()
-  });
-  
-  await this.save();
-  return this.attachments[this.attachments.length - 1];
-};
-
-enhancedTicketSchema.methods.assignToUser = async function(userId, changedBy, reason) {
-  this.assignedTo = userId;
-  this._modifiedBy = changedBy;
-  this._changeReason = reason || 'Ticket reassigned';
-  this.status = 'in-progress';
-  
-  await this.save();
-  return this;
-};
-
-enhancedTicketSchema.methods.updateStatus = async function(newStatus, changedBy, reason) {
-  const oldStatus = this.status;
-  this.status = newStatus;
-  this._modifiedBy = changedBy;
-  this._changeReason = reason || `Status changed from ${oldStatus} to ${newStatus}`;
-  
-  await this.save();
-  return this;
-};
-
-// Static methods
-enhancedTicketSchema.statics.getDashboardStats = async function(userId, userRole) {
-  const query = {};
-  
-  // Apply role-based filtering
-  if (userRole === 'student') {
-    query.createdBy = userId;
-  } else if (userRole === 'staff') {
-    // Staff can see department tickets
-    // This will need user department data
-  }
-  
-  const stats = await this.aggregate([
-    { $match: query },
-    {
-      $facet: {
-        byStatus: [
-          { $group: { _id: '$status', count: { $sum: 1 } } }
-        ],
-        byPriority: [
-          { $group: { _id: '$priority', count: { $sum: 1 } } }
-        ],
-        byCategory: [
-          { $group: { _id: '$category', count: { $sum: 1 } } }
-        ],
-        responseTime: [
-          {
-            $match: { firstResponseAt: { $exists: true } }
-          },
-          {
-            $project: {
-              responseTime: {
-                $divide: [
-                  { $subtract: ['$firstResponseAt', '$createdAt'] },
-                  1000 * 60 * 60 // Convert to hours
-                ]
-              }
-            }
-          },
-          {
-            $group: {
-              _id: null,
-              avgResponseTime: { $avg: '$responseTime' },
-              minResponseTime: { $min: '$responseTime' },
-              maxResponseTime: { $max: '$responseTime' }
-            }
-          }
-        ],
-        slaStatus: [
-          {
-            $addFields: {
-              slaBreached: {
-                $cond: [
-                  { $and: [
-                    { $ne: ['$status', 'closed'] },
-                    { $ne: ['$status', 'resolved'] },
-                    { $lt: ['$slaDueDate', new Date()] }
-                  ]},
-                  true,
-                  false
-                ]
-              }
-            }
-          },
-          {
-            $group: {
-              _id: null,
-              total: { $sum: 1 },
-              breached: {
-                $sum: { $cond: ['$slaBreached', 1, 0] }
-              }
-            }
-          }
-        ]
-      }
-    }
-  ]);
-  
-  return stats[0];
-};
-
-// Create indexes for performance
-enhancedTicketSchema.index({ ticketId: 1 });
-enhancedTicketSchema.index({ status: 1, priority: 1 });
-enhancedTicketSchema.index({ createdBy: 1, createdAt: -1 });
-enhancedTicketSchema.index({ assignedTo: 1, status: 1 });
-enhancedTicketSchema.index({ slaDueDate: 1 });
-enhancedTicketSchema.index({ category: 1, subCategory: 1 });
-enhancedTicketSchema.index({ campus: 1, status: 1 });
-
-const Ticket = mongoose.model('Ticket', enhancedTicketSchema);
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
@@ -1159,8 +348,18 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+    const decoded = jwt.verify(token, JWT_SECRET);
+    
+    // Refresh tokens and signed-out sessions don't grant access (older tokens carry no type)
+    if ((decoded.type && decoded.type !== 'access') || (decoded.sid && !(await Session.isActiveSession(decoded.sid)))) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid or expired token.' 
+      });
+    }
+    
     req.user = await User.findById(decoded.userId).select('-password');
+    req.sessionId = decoded.sid || null;
     
     if (!req.user) {
       return res.status(401).json({ 
@@ -1179,6 +378,67 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// ============================================
+// REAL-TIME EVENTS
+// ============================================
+const sameId = (a, b) => String(a?._id || a || '') === String(b?._id || b || '');
+
+// Same department by Department reference (users and tickets spell the legacy text differently)
+const sameDepartment = (user, record) =>
+  Boolean(user?.departmentId && record?.departmentId) && sameId(user.departmentId, record.departmentId);
+
+// Push status/assignment changes to the ticket's participants
+// (live over Socket.IO and as in-app notifications)
+const emitTicketChanges = (ticket, previousStatus, previousAssignee, changedBy) => {
+  if (ticket.status !== previousStatus) {
+    socketService.ticketStatusChanged(ticket, previousStatus, changedBy);
+    notificationService.createTicketNotifications(ticket, 'status_changed', {
+      previousStatus,
+      performedBy: changedBy
+    });
+  }
+  
+  if (!sameId(ticket.assignedTo, previousAssignee)) {
+    socketService.ticketAssigned(ticket, previousAssignee, changedBy);
+    
+    if (previousAssignee) {
+      notificationService.createTicketNotifications(ticket, 'ticket_unassigned', {
+        previousAssignee,
+        performedBy: changedBy
+      });
+    }
+    if (ticket.assignedTo && !sameId(ticket.assignedTo, changedBy)) {
+      notificationService.createTicketNotifications(ticket, 'ticket_assigned', { assignedBy: changedBy });
+    }
+  }
+};
+
+// Keep technician slot counts in step with a ticket's assignee and status, the way
+// the ticket controller does. Returns true when a slot opened up.
+const syncAssignmentSlots = async (ticket, previousStatus, previousAssignee) => {
+  const wasCounted = Boolean(previousAssignee) && !FINISHED_STATUSES.includes(previousStatus);
+  const isCounted = Boolean(ticket.assignedTo) && !FINISHED_STATUSES.includes(ticket.status);
+  const unchanged = wasCounted && isCounted && sameId(ticket.assignedTo, previousAssignee);
+
+  if (wasCounted && !unchanged) {
+    await assignmentService.release(previousAssignee._id || previousAssignee);
+  }
+  if (isCounted && !unchanged) {
+    await assignmentService.recordAssignment(ticket.assignedTo._id || ticket.assignedTo);
+  }
+
+  return wasCounted && !unchanged;
+};
+
+// Comment notifications: internal notes to the assignee, public comments to everyone involved
+const notifyComment = (ticket, comment, isInternal, author) => {
+  notificationService.createTicketNotifications(ticket, 'comment_added', {
+    comment,
+    isInternal,
+    performedBy: author
+  });
+};
+
 // ============================================
 // AUTH ENDPOINTS
 // ============================================
@@ -1248,7 +508,9 @@ app.post('/api/auth/register', async (req, res) => {
     const frontendDepartment = req.body.department;
     const mappedDepartment = mapDepartment(frontendDepartment);
     
-    console.log(`🔄 Department mapping: ${frontendDepartment} → ${mappedDepartment}`);
+    const department = await Department.resolve(frontendDepartment);
+    
+    console.log(`🔄 Department mapping: ${frontendDepartment} → ${mappedDepartment} (${department ? department.code : 'unlinked'})`);
 
     // Create new user
     const userData = {
@@ -1258,6 +520,7 @@ app.post('/api/auth/register', async (req, res) => {
       role: req.body.role || 'student',
       department: mappedDepartment,
       originalDepartment: frontendDepartment,
+      departmentId: department?._id,
       firstName: req.body.firstName || req.body.username,
       lastName: req.body.lastName || 'User',
       phone: req.body.phone,
@@ -1291,10 +554,11 @@ app.post('/api/auth/register', async (req, res) => {
     const token = jwt.sign(
       { 
         userId: savedUser._id, 
+        type: 'access',
         role: savedUser.role,
         email: savedUser.email 
       },
-      process.env.JWT_SECRET || 'your-secret-key-change-in-production',
+      JWT_SECRET,
       { expiresIn: '7d' }
     );
 
@@ -1614,6 +878,7 @@ app.post('/api/auth/login', async (req, res) => {
     const user = await User.findOne({ email: email.toLowerCase() }).select('+password +loginAttempts +lockUntil');
     
     if (!user) {
+      auditService.logLogin(req, { email, success: false, reason: 'unknown_email' });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -1623,6 +888,7 @@ app.post('/api/auth/login', async (req, res) => {
     // Check if account is locked
     if (user.isAccountLocked()) {
       const remainingTime = Math.ceil((user.lockUntil - new Date()) / 60000);
+      auditService.logLogin(req, { user, email, success: false, reason: 'account_locked' });
       return res.status(423).json({
         success: false,
         message: `Account is locked. Try again in ${remainingTime} minutes.`,
@@ -1633,6 +899,7 @@ app.post('/api/auth/login', async (req, res) => {
 
     // Check if email is verified
     if (!user.isEmailVerified) {
+      auditService.logLogin(req, { user, email, success: false, reason: 'email_not_verified' });
       return res.status(403).json({
         success: false,
         message: 'Please verify your email before logging in',
@@ -1643,6 +910,7 @@ app.post('/api/auth/login', async (req, res) => {
 
     // Check if user is active
     if (!user.isActive) {
+      auditService.logLogin(req, { user, email, success: false, reason: 'account_inactive' });
       return res.status(403).json({
         success: false,
         message: 'Account is deactivated. Please contact support.'
@@ -1658,6 +926,12 @@ app.post('/api/auth/login', async (req, res) => {
       await user.save();
       
       const remainingAttempts = 5 - user.loginAttempts;
+      auditService.logLogin(req, {
+        user,
+        email,
+        success: false,
+        reason: remainingAttempts > 0 ? 'invalid_password' : 'invalid_password_account_locked'
+      });
       
       return res.status(401).json({
         success: false,
@@ -1672,16 +946,23 @@ app.post('/api/auth/login', async (req, res) => {
     user.lastLogin = new Date();
     user.lastActivity = new Date();
     await user.save();
+    
+    auditService.logLogin(req, { user, email, success: true });
+
+    // Open a session; its refresh token is exchanged at /api/auth/refresh
+    const { session, refreshToken } = await sessionService.createSession(user, req, { rememberMe: !!rememberMe });
 
     // Create JWT token
     const token = jwt.sign(
       { 
         userId: user._id, 
+        type: 'access',
+        sid: session._id.toString(),
         role: user.role,
         email: user.email,
         isEmailVerified: user.isEmailVerified
       },
-      process.env.JWT_SECRET || 'your-secret-key-change-in-production',
+      JWT_SECRET,
       { expiresIn: rememberMe ? '30d' : '7d' }
     );
 
@@ -1691,6 +972,7 @@ app.post('/api/auth/login', async (req, res) => {
       data: {
         user: user.toJSON(),
         token,
+        refreshToken,
         expiresAt: rememberMe 
           ? Date.now() + (30 * 24 * 60 * 60 * 1000)
           : Date.now() + (7 * 24 * 60 * 60 * 1000)
@@ -1763,11 +1045,24 @@ app.get('/api/auth/check-email/:email', async (req, res) => {
 });
 
 // Logout
-app.post('/api/auth/logout', authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    // Sign out this session so its refresh token can no longer be used
+    if (req.sessionId) {
+      await sessionService.revokeSession(req.sessionId, 'logout');
+    }
+    
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('❌ [LOGOUT] Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
 });
 
 // Change Password (Authenticated)
@@ -1849,11 +1144,11 @@ app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
         canViewAll = true;
         break;
       case 'staff':
-        const staff = await User.findById(userId);
+        const staff = await User.findById(userId).select('departmentId');
         ticketQuery = {
           $or: [
             { createdBy: userId },
-            { department: staff?.department }
+            ...(staff?.departmentId ? [{ departmentId: staff.departmentId }] : [])
           ]
         };
         break;
@@ -2133,7 +1428,26 @@ app.post('/api/tickets', authenticateToken, async (req, res) => {
     };
 
     const ticket = new Ticket(ticketData);
-    await ticket.save();
+    
+    // Auto-assign using the configured strategy (queued when nobody is free)
+    await assignmentService.autoAssign(ticket);
+    
+    try {
+      await ticket.save();
+    } catch (error) {
+      // Give back the slot autoAssign took
+      if (ticket.assignedTo) {
+        await assignmentService.release(ticket.assignedTo).catch(() => {});
+      }
+      throw error;
+    }
+    
+    emitTicketChanges(ticket, ticket.status, null, req.user._id);
+    
+    // Nobody could take it - let technicians covering the category know
+    if (!ticket.assignedTo) {
+      notificationService.createTicketNotifications(ticket, 'ticket_created');
+    }
 
     await ticket.populate('createdBy', 'username email firstName lastName role');
 
@@ -2168,6 +1482,8 @@ app.get('/api/tickets', authenticateToken, async (req, res) => {
       category, 
       campus,
       assignedTo,
+      assignedGroup,
+      unassigned,
       createdBy,
       search,
       page = 1, 
@@ -2186,10 +1502,10 @@ app.get('/api/tickets', authenticateToken, async (req, res) => {
     if (userRole === 'student') {
       query.createdBy = userId;
     } else if (userRole === 'staff') {
-      const staff = await User.findById(userId);
+      const staff = await User.findById(userId).select('departmentId');
       query.$or = [
         { createdBy: userId },
-        { department: staff?.department }
+        ...(staff?.departmentId ? [{ departmentId: staff.departmentId }] : [])
       ];
     }
     // Technicians and admins see all tickets
@@ -2218,6 +1534,22 @@ app.get('/api/tickets', authenticateToken, async (req, res) => {
       query.assignedTo = assignedTo === 'unassigned' ? null : assignedTo;
     }
     
+    // Support group queue (cast here - the counts aggregation below doesn't cast)
+    if (assignedGroup && assignedGroup !== 'all') {
+      if (!mongoose.Types.ObjectId.isValid(assignedGroup)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid support group ID'
+        });
+      }
+      query.assignedGroup = new mongoose.Types.ObjectId(assignedGroup);
+    }
+    
+    // Group queue filter (tickets nobody has picked up yet)
+    if (unassigned === 'true') {
+      query.assignedTo = null;
+    }
+    
     if (createdBy && createdBy !== 'all') {
       query.createdBy = createdBy;
     }
@@ -2370,6 +1702,8 @@ app.get('/api/tickets', authenticateToken, async (req, res) => {
           priority: priority || 'all',
           category: category || 'all',
           campus: campus || 'all',
+          assignedGroup: assignedGroup || 'all',
+          unassigned: unassigned === 'true',
           counts: filterData[0] || {}
         },
         metadata: {
@@ -2403,9 +1737,14 @@ app.get('/api/tickets', authenticateToken, async (req, res) => {
  * @desc    Get single ticket by ID - FIXED VERSION
  * @access  Private
  */
-app.get('/api/tickets/:id', authenticateToken, async (req, res) => {
+app.get('/api/tickets/:id', authenticateToken, async (req, res, next) => {
   try {
     const { id } = req.params;
+    
+    // Not an id or a ticket number (e.g. /overdue) - leave it to the tickets router
+    if (!mongoose.Types.ObjectId.isValid(id) && !ticketNumberService.getPattern().test(id)) {
+      return next();
+    }
     const userId = req.user._id;
     const userRole = req.user.role;
     
@@ -2416,7 +1755,7 @@ app.get('/api/tickets/:id', authenticateToken, async (req, res) => {
     if (mongoose.Types.ObjectId.isValid(id)) {
       query = { _id: id };
     } else {
-      // Try ticketId format like TKT-2401-0001
+      // Try ticketId format like TKT-20260119-0001
       query = { ticketId: id };
     }
     
@@ -2457,20 +1796,20 @@ app.get('/api/tickets/:id', authenticateToken, async (req, res) => {
                     ticket.assignedTo._id && 
                     ticket.assignedTo._id.toString() === userId.toString();
   
-  const sameDepartment = req.user.department === ticket.department;
+  const inDepartment = sameDepartment(req.user, ticket);
   
   const isUnassigned = !ticket.assignedTo;
   
   // Allow if: assigned to them OR same department OR unassigned
-  hasPermission = isAssigned || sameDepartment || isUnassigned;
+  hasPermission = isAssigned || inDepartment || isUnassigned;
   
   console.log('🔐 Technician permission check:', {
     isAssigned,
-    sameDepartment: `${req.user.department} === ${ticket.department}`,
+    sameDepartment: inDepartment,
     isUnassigned,
     hasPermission,
-    ticketDepartment: ticket.department,
-    userDepartment: req.user.department
+    ticketDepartment: ticket.departmentId,
+    userDepartment: req.user.departmentId
   });
 }
     // Staff can access tickets in their department
@@ -2478,8 +1817,7 @@ app.get('/api/tickets/:id', authenticateToken, async (req, res) => {
       const isOwner = ticket.createdBy && 
                      ticket.createdBy._id && 
                      ticket.createdBy._id.toString() === userId.toString();
-      const isInDepartment = ticket.createdBy && 
-                           ticket.createdBy.department === req.user.department;
+      const isInDepartment = sameDepartment(req.user, ticket);
       hasPermission = isOwner || isInDepartment;
     }
     // Students can only access their own tickets
@@ -2494,6 +1832,9 @@ app.get('/api/tickets/:id', authenticateToken, async (req, res) => {
       }
     }
     
+    // Watchers (CC list) can follow the ticket
+    hasPermission = hasPermission || TicketController.checkViewPermission(userId, userRole, ticket);
+    
     console.log(`🔐 [GET TICKET] Permission check: ${hasPermission ? 'GRANTED' : 'DENIED'}`, {
       userRole,
       userId,
@@ -2633,10 +1974,27 @@ app.put('/api/tickets/:id', authenticateToken, async (req, res) => {
       });
     }
     
+    const previousStatus = ticket.status;
+    const previousAssignee = ticket.assignedTo;
+    
     // Update ticket
     Object.assign(ticket, req.body);
+    
+    // A staff status change counts as the first response
+    if (isAdminOrTech && ticket.status !== previousStatus) {
+      ticket.recordFirstResponse(userId);
+    }
+    
     await ticket.save();
     
+    emitTicketChanges(ticket, previousStatus, previousAssignee, userId);
+    
+    // A technician slot may have opened up - retry queued tickets in the background
+    if (await syncAssignmentSlots(ticket, previousStatus, previousAssignee)) {
+      assignmentService.processQueue()
+        .catch(error => console.error('❌ [ASSIGNMENT QUEUE] Error:', error.message));
+    }
+    
     await ticket.populate('createdBy', 'username email firstName lastName role');
     await ticket.populate('assignedTo', 'username email firstName lastName role');
     
@@ -2670,7 +2028,7 @@ app.get('/api/tickets/:id/comments', authenticateToken, async (req, res) => {
     // Find ticket with comments populated
     const ticket = await Ticket.findById(id)
       .populate('comments.user', 'firstName lastName email role')
-      .select('comments createdBy assignedTo department');
+      .select('comments createdBy assignedTo department departmentId watchers');
     
     if (!ticket) {
       return res.status(404).json({
@@ -2683,20 +2041,23 @@ app.get('/api/tickets/:id/comments', authenticateToken, async (req, res) => {
     const isOwner = ticket.createdBy.toString() === userId.toString();
     const isAssigned = ticket.assignedTo && ticket.assignedTo.toString() === userId.toString();
     const isAdminOrTech = ['admin', 'technician'].includes(userRole);
-    const sameDepartment = ticket.department === req.user.department;
+    const inDepartment = sameDepartment(req.user, ticket);
     
     let hasPermission = false;
     
     if (userRole === 'admin') {
       hasPermission = true;
     } else if (userRole === 'technician') {
-      hasPermission = isAssigned || sameDepartment || !ticket.assignedTo;
+      hasPermission = isAssigned || inDepartment || !ticket.assignedTo;
     } else if (userRole === 'staff') {
-      hasPermission = isOwner || sameDepartment;
+      hasPermission = isOwner || inDepartment;
     } else if (userRole === 'student') {
       hasPermission = isOwner;
     }
     
+    // Watchers (CC list) can follow the ticket
+    hasPermission = hasPermission || TicketController.checkViewPermission(userId, userRole, ticket);
+    
     if (!hasPermission) {
       return res.status(403).json({
         success: false,
@@ -2779,8 +2140,17 @@ app.post('/api/tickets/:id/comments', authenticateToken, async (req, res) => {
     };
     
     ticket.comments.push(newComment);
+    
+    // The first public comment from staff is the first response
+    if (!isInternal && ['admin', 'technician'].includes(req.user.role)) {
+      ticket.recordFirstResponse(req.user._id);
+    }
+    
     await ticket.save();
     
+    socketService.commentAdded(ticket, newComment, isInternal);
+    notifyComment(ticket, newComment, isInternal, req.user._id);
+    
     // Populate user info
     await ticket.populate('comments.user', 'firstName lastName email role');
     const addedComment = ticket.comments.find(c => c._id.toString() === newComment._id.toString());
@@ -2818,7 +2188,7 @@ app.get('/api/tickets/:id/activities', authenticateToken, async (req, res) => {
     
     // Find ticket
     const ticket = await Ticket.findById(id)
-      .select('history createdBy assignedTo department status priority updatedAt');
+      .select('history createdBy assignedTo department departmentId watchers status priority updatedAt');
     
     if (!ticket) {
       return res.status(404).json({
@@ -2831,20 +2201,23 @@ app.get('/api/tickets/:id/activities', authenticateToken, async (req, res) => {
     const isOwner = ticket.createdBy.toString() === userId.toString();
     const isAssigned = ticket.assignedTo && ticket.assignedTo.toString() === userId.toString();
     const isAdminOrTech = ['admin', 'technician'].includes(userRole);
-    const sameDepartment = ticket.department === req.user.department;
+    const inDepartment = sameDepartment(req.user, ticket);
     
     let hasPermission = false;
     
     if (userRole === 'admin') {
       hasPermission = true;
     } else if (userRole === 'technician') {
-      hasPermission = isAssigned || sameDepartment || !ticket.assignedTo;
+      hasPermission = isAssigned || inDepartment || !ticket.assignedTo;
     } else if (userRole === 'staff') {
-      hasPermission = isOwner || sameDepartment;
+      hasPermission = isOwner || inDepartment;
     } else if (userRole === 'student') {
       hasPermission = isOwner;
     }
     
+    // Watchers (CC list) can follow the ticket
+    hasPermission = hasPermission || TicketController.checkViewPermission(userId, userRole, ticket);
+    
     if (!hasPermission) {
       return res.status(403).json({
         success: false,
@@ -3135,7 +2508,7 @@ app.post('/api/v2/tickets', authenticateToken, async (req, res) => {
       location,
       building,
       roomNumber,
-      department,
+      departmentId: (await Department.resolve(department))?._id,
       createdBy: userId,
       slaDueDate,
       attachments: attachments.map(att => ({
@@ -3701,6 +3074,11 @@ app.put('/api/v2/tickets/:id', authenticateToken, async (req, res) => {
       }
     }
     
+    // A staff status change counts as the first response
+    if (isAdminOrTech && ticket.status !== oldTicket.status) {
+      ticket.recordFirstResponse(userId);
+    }
+    
     // Special handling for resolution
     if (updates.status === 'resolved' && oldTicket.status !== 'resolved') {
       ticket.resolvedAt = new Date();
@@ -3759,6 +3137,8 @@ app.put('/api/v2/tickets/:id', authenticateToken, async (req, res) => {
     await session.commitTransaction();
     session.endSession();
     
+    emitTicketChanges(ticket, oldTicket.status, oldTicket.assignedTo, userId);
+    
     // Populate for response
     await ticket.populate('createdBy', 'firstName lastName email role');
     await ticket.populate('assignedTo', 'firstName lastName email role');
@@ -3854,17 +3234,11 @@ app.post('/api/v2/tickets/:id/comments', authenticateToken, async (req, res) =>
     }
     
     // Add comment
-    const commentData = {
-      message: message.trim(),
-      isInternal,
-      attachments
-    };
-    
-    const comment = await ticket.addComment(commentData, userId);
+    await ticket.addComment(userId, message.trim(), isInternal, attachments);
+    const comment = ticket.comments[ticket.comments.length - 1];
     
-    // Update first response time if this is the first non-internal comment from staff
-    if (!isInternal && !ticket.firstResponseAt && ['technician', 'admin'].includes(userRole)) {
-      ticket.firstResponseAt = new Date();
+    // The first public comment from staff is the first response
+    if (!isInternal && ['technician', 'admin'].includes(userRole) && ticket.recordFirstResponse(userId)) {
       await ticket.save({ session });
     }
     
@@ -3961,6 +3335,9 @@ app.post('/api/v2/tickets/:id/comments', authenticateToken, async (req, res) =>
     await session.commitTransaction();
     session.endSession();
     
+    socketService.commentAdded(ticket, comment, isInternal);
+    notifyComment(ticket, comment, isInternal, userId);
+    
     // Get populated comment for response
     const populatedTicket = await Ticket.findById(ticket._id)
       .populate('comments.user', 'firstName lastName role');
@@ -4336,6 +3713,11 @@ app.get('/api/database/status', async (req, res) => {
   }
 });
 
+// ============================================
+// ROUTERS (notifications, SLA, support groups, articles, admin, ...)
+// ============================================
+mountRouters(app);
+
 // ============================================
 // ERROR HANDLING
 // ============================================
@@ -4428,9 +3810,20 @@ const startServer = async () => {
     console.log('   • ✅ Single ticket endpoint now available at /api/tickets/:id');
   });
 
+  // Real-time ticket and notification events (same JWT as the REST API)
+  socketService.attach(server, {
+    jwtSecret: JWT_SECRET,
+    corsOrigin: process.env.CORS_ORIGIN || process.env.FRONTEND_URL || 'http://localhost:3000'
+  });
+
+  // Background SLA breach scans (SLA_MONITOR_ENABLED=false when scripts/sla-monitor.js runs instead)
+  slaMonitor.start();
+
   // Graceful shutdown
   process.on('SIGTERM', () => {
     console.log('\n🛑 SIGTERM received. Shutting down gracefully...');
+    socketService.close();
+    slaMonitor.stop();
     server.close(() => {
       console.log('✅ Server closed');
       mongoose.connection.close();
@@ -4454,6 +3847,9 @@ if (!process.env.SMTP_USER || !process.env.SMTP_PASS) {
   console.warn('   To enable email features, set SMTP_USER and SMTP_PASS in .env');
 }
 
-startServer();
+// Tests load the app without starting it
+if (require.main === module) {
+  startServer();
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
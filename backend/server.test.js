@@ -0,0 +1,238 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'server-test-secret';
+
+const User = require('./models/User');
+const Ticket = require('./models/Ticket');
+const assignmentService = require('./services/assignmentService');
+const notificationService = require('./services/notificationService');
+const socketService = require('./services/socketService');
+const Notification = require('./models/Notification');
+
+// Requests go through the app server.js serves, live handlers and mounted routers alike
+let server;
+let baseUrl;
+
+const requester = new mongoose.Types.ObjectId();
+const technician = new mongoose.Types.ObjectId();
+const watcher = new mongoose.Types.ObjectId();
+const colleague = new mongoose.Types.ObjectId();
+const finance = new mongoose.Types.ObjectId();
+
+const users = {
+  [requester]: { _id: requester, role: 'student', firstName: 'Jane', lastName: 'Doe', isActive: true },
+  [technician]: { _id: technician, role: 'technician', firstName: 'Tom', lastName: 'Tech', isActive: true },
+  [watcher]: { _id: watcher, role: 'staff', firstName: 'Wendy', lastName: 'Watch', department: 'Finance', isActive: true },
+  // Legacy text differs from the ticket's; the Department reference matches
+  [colleague]: { _id: colleague, role: 'staff', firstName: 'Carl', lastName: 'Clerk', department: 'finance dept', departmentId: finance, isActive: true }
+};
+
+// Mongoose query stand-in: chainable, resolves to the result
+const query = (result) => {
+  const chain = {
+    populate: () => chain,
+    select: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const request = async (method, path, userId, body, token = jwt.sign({ userId, type: 'access' }, process.env.JWT_SECRET)) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test.before(async () => {
+  test.mock.method(console, 'warn', () => {});
+  const app = require('./server');
+  test.mock.restoreAll();
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+test.beforeEach(() => {
+  test.mock.method(User, 'findById', (id) => ({ select: async () => users[id] || null }));
+  test.mock.method(Ticket.prototype, 'save', async function() { return this; });
+  test.mock.method(Ticket.prototype, 'populate', async function() { return this; });
+  test.mock.method(assignmentService, 'release', async () => null);
+  test.mock.method(assignmentService, 'recordAssignment', async () => null);
+  test.mock.method(assignmentService, 'processQueue', async () => ({ assigned: 0, queued: 0, errors: 0 }));
+  test.mock.method(notificationService, 'createTicketNotifications', async () => []);
+  test.mock.method(socketService, 'ticketStatusChanged', () => {});
+  test.mock.method(socketService, 'ticketAssigned', () => {});
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'error', () => {});
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+const newTicket = { title: 'Projector in LT2 is off', description: 'No signal from the lectern PC', category: 'hardware' };
+
+test('assigns new tickets automatically', async () => {
+  const autoAssign = test.mock.method(assignmentService, 'autoAssign', async (ticket) => {
+    ticket.assignedTo = technician;
+    ticket.status = 'assigned';
+    return { assigned: true };
+  });
+
+  const { status, body } = await request('POST', '/api/tickets', requester, newTicket);
+
+  assert.equal(status, 201);
+  assert.equal(autoAssign.mock.callCount(), 1);
+  assert.equal(body.data.assignedTo, technician.toString());
+  assert.equal(body.data.status, 'assigned');
+  assert.equal(socketService.ticketAssigned.mock.callCount(), 1);
+  assert.deepEqual(notificationService.createTicketNotifications.mock.calls.map(call => call.arguments[1]), ['ticket_assigned']);
+});
+
+test('tells technicians about new tickets nobody could take', async () => {
+  test.mock.method(assignmentService, 'autoAssign', async () => ({ assigned: false, queued: true }));
+
+  const { status } = await request('POST', '/api/tickets', requester, newTicket);
+
+  assert.equal(status, 201);
+  assert.deepEqual(notificationService.createTicketNotifications.mock.calls.map(call => call.arguments[1]), ['ticket_created']);
+});
+
+test('gives the slot back when a new ticket fails to save', async () => {
+  test.mock.method(assignmentService, 'autoAssign', async (ticket) => {
+    ticket.assignedTo = technician;
+    return { assigned: true };
+  });
+  Ticket.prototype.save.mock.mockImplementation(async () => { throw new Error('validation failed'); });
+
+  const { status } = await request('POST', '/api/tickets', requester, newTicket);
+
+  assert.equal(status, 500);
+  assert.deepEqual(assignmentService.release.mock.calls.map(call => call.arguments[0]), [technician]);
+});
+
+test('frees the assignee and retries the queue when a ticket is resolved', async () => {
+  const ticket = new Ticket({ ...newTicket, createdBy: requester, assignedTo: technician, status: 'in-progress' });
+  test.mock.method(Ticket, 'findById', async () => ticket);
+
+  const { status } = await request('PUT', `/api/tickets/${ticket._id}`, technician, { status: 'resolved' });
+
+  assert.equal(status, 200);
+  assert.deepEqual(assignmentService.release.mock.calls.map(call => call.arguments[0].toString()), [technician.toString()]);
+  assert.equal(assignmentService.recordAssignment.mock.callCount(), 0);
+  assert.equal(assignmentService.processQueue.mock.callCount(), 1);
+});
+
+test('moves the slot when a ticket is reassigned', async () => {
+  const other = new mongoose.Types.ObjectId();
+  const ticket = new Ticket({ ...newTicket, createdBy: requester, assignedTo: technician, status: 'assigned' });
+  test.mock.method(Ticket, 'findById', async () => ticket);
+
+  await request('PUT', `/api/tickets/${ticket._id}`, technician, { assignedTo: other });
+
+  assert.deepEqual(assignmentService.release.mock.calls.map(call => call.arguments[0].toString()), [technician.toString()]);
+  assert.deepEqual(assignmentService.recordAssignment.mock.calls.map(call => call.arguments[0].toString()), [other.toString()]);
+
+  // Editing anything else leaves the counts alone
+  assignmentService.release.mock.resetCalls();
+  assignmentService.recordAssignment.mock.resetCalls();
+  await request('PUT', `/api/tickets/${ticket._id}`, technician, { priority: 'high' });
+
+  assert.equal(assignmentService.release.mock.callCount(), 0);
+  assert.equal(assignmentService.recordAssignment.mock.callCount(), 0);
+});
+
+test('lets watchers read the ticket, its comments and its activity', async () => {
+  const ticket = new Ticket({
+    ...newTicket,
+    createdBy: requester,
+    assignedTo: technician,
+    department: 'ICT',
+    watchers: [{ user: watcher }],
+    comments: [{ user: technician, message: 'Replacing the HDMI cable' }]
+  });
+  test.mock.method(Ticket, 'findOne', () => query(ticket));
+  test.mock.method(Ticket, 'findById', () => query(ticket));
+
+  for (const path of ['', '/comments', '/activities']) {
+    const { status } = await request('GET', `/api/tickets/${ticket._id}${path}`, watcher);
+    assert.equal(status, 200, `GET ${path || '/'}`);
+  }
+
+  // Once off the CC list, the staff member is an outsider again
+  ticket.watchers = [];
+  for (const path of ['', '/comments', '/activities']) {
+    const { status } = await request('GET', `/api/tickets/${ticket._id}${path}`, watcher);
+    assert.equal(status, 403, `GET ${path || '/'}`);
+  }
+});
+
+test('filters the ticket list by support group and unassigned queue', async () => {
+  const group = new mongoose.Types.ObjectId();
+  const count = test.mock.method(Ticket, 'countDocuments', async () => 0);
+  test.mock.method(Ticket, 'find', () => query([]));
+  const aggregate = test.mock.method(Ticket, 'aggregate', async () => []);
+
+  const { status, body } = await request('GET', `/api/tickets?assignedGroup=${group}&unassigned=true`, technician);
+
+  assert.equal(status, 200);
+  const filter = count.mock.calls[0].arguments[0];
+  assert.equal(filter.assignedGroup.toString(), group.toString());
+  assert.ok(filter.assignedGroup instanceof mongoose.Types.ObjectId);
+  assert.equal(filter.assignedTo, null);
+  assert.deepEqual(aggregate.mock.calls[0].arguments[0][0].$match, filter);
+  assert.equal(body.data.filters.assignedGroup, group.toString());
+
+  const invalid = await request('GET', '/api/tickets?assignedGroup=helpdesk', technician);
+  assert.equal(invalid.status, 400);
+});
+
+test('matches staff to tickets by department reference, not legacy text', async () => {
+  const ticket = new Ticket({ ...newTicket, createdBy: requester, department: 'Finance', departmentId: finance });
+  test.mock.method(Ticket, 'findOne', () => query(ticket));
+  test.mock.method(Ticket, 'findById', () => query(ticket));
+
+  for (const path of ['', '/comments', '/activities']) {
+    assert.equal((await request('GET', `/api/tickets/${ticket._id}${path}`, colleague)).status, 200, `GET ${path || '/'}`);
+    assert.equal((await request('GET', `/api/tickets/${ticket._id}${path}`, watcher)).status, 403, `GET ${path || '/'}`);
+  }
+
+  const count = test.mock.method(Ticket, 'countDocuments', async () => 0);
+  test.mock.method(Ticket, 'aggregate', async () => []);
+  test.mock.method(Ticket, 'find', () => query([]));
+
+  await request('GET', '/api/tickets', colleague);
+  assert.deepEqual(count.mock.calls[0].arguments[0].$or, [{ createdBy: colleague }, { departmentId: finance }]);
+});
+
+test('accepts access tokens issued before sessions, but not refresh tokens', async () => {
+  const ticket = new Ticket({ ...newTicket, createdBy: requester });
+  test.mock.method(Ticket, 'findOne', () => query(ticket));
+  test.mock.method(Notification, 'getUnreadCount', async () => 2);
+  // middleware/auth records the user's last activity
+  User.findById.mock.mockImplementation(() => ({ select: async () => ({ ...users[requester], save: async () => {} }) }));
+
+  // What server.js signed before tokens were typed and bound to a session
+  const legacy = jwt.sign({ userId: requester, role: 'student', email: 'jane@students.bugemauniv.ac.ug' }, process.env.JWT_SECRET, { expiresIn: '7d' });
+  const refresh = jwt.sign({ userId: requester, type: 'refresh', sid: 'abc' }, process.env.JWT_SECRET);
+
+  for (const path of [`/api/tickets/${ticket._id}`, '/api/notifications/unread']) {
+    assert.equal((await request('GET', path, requester, undefined, legacy)).status, 200, `GET ${path}`);
+    assert.equal((await request('GET', path, requester, undefined, refresh)).status, 401, `GET ${path}`);
+  }
+});
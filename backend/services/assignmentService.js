@@ -0,0 +1,298 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Assignment Service - Automatic ticket assignment engine
+ *
+ * Picks a technician for new and unassigned tickets using pluggable
+ * strategies (round-robin, least-loaded, skill-match) configured per
+ * category and campus. Tickets are routed to a support group first and
+ * offered to its members; tickets nobody can take are queued and retried.
+ *
+ * @version 1.0.0
+ */
+
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const SupportGroup = require('../models/SupportGroup');
+const assignmentConfig = require('../config/assignment.config');
+
+const ASSIGNABLE_STATUSES = ['open', 'reopened'];
+const PRIORITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+const DEFAULT_MAX_TICKETS = 10;
+
+class AssignmentService {
+  constructor(config = assignmentConfig) {
+    this.config = config;
+    this.strategies = new Map();
+
+    this.registerStrategy('least-loaded', candidates => this.byLoad(candidates));
+    this.registerStrategy('round-robin', candidates => this.byLastAssigned(candidates));
+    this.registerStrategy('skill-match', (candidates, ticket) => this.byLoad(
+      candidates.filter(user => (user.professionalInfo?.supportAreas || []).includes(ticket.category))
+    ));
+  }
+
+  /**
+   * Register a strategy: (candidates, ticket) => candidates in order of preference
+   */
+  registerStrategy(name, rank) {
+    if (typeof rank !== 'function') {
+      throw new Error(`Assignment strategy "${name}" must be a function`);
+    }
+
+    this.strategies.set(name, rank);
+    return this;
+  }
+
+  /**
+   * Resolve the rule for a ticket (category + campus > campus > category > default)
+   */
+  getRule(ticket) {
+    const score = rule => {
+      if (rule.category && rule.category !== ticket.category) return -1;
+      if (rule.campus && rule.campus !== ticket.campus) return -1;
+      return (rule.campus ? 2 : 0) + (rule.category ? 1 : 0);
+    };
+
+    const match = (this.config.rules || [])
+      .map(rule => ({ rule, score: score(rule) }))
+      .filter(item => item.score > 0)
+      .sort((a, b) => b.score - a.score)[0];
+
+    const rule = match?.rule || {};
+
+    return {
+      strategy: rule.strategy || this.config.defaultStrategy,
+      fallback: rule.fallback !== undefined ? rule.fallback : this.config.defaultFallback,
+      sameCampus: Boolean(rule.sameCampus)
+    };
+  }
+
+  /**
+   * Technicians who are active, available and below their ticket limit
+   */
+  async findCandidates(ticket, options = {}) {
+    const { exclude = [], sameCampus = false, members, session } = options;
+
+    const query = {
+      role: 'technician',
+      isActive: true,
+      'professionalInfo.availabilityStatus': 'available'
+    };
+
+    const excluded = exclude.filter(Boolean).map(id => id.toString());
+    if (excluded.length > 0) {
+      query._id = { $nin: excluded };
+    }
+
+    // Group tickets only go to group members
+    if (members) {
+      query._id = { ...query._id, $in: members };
+    }
+
+    if (sameCampus && ticket.campus) {
+      query.campus = ticket.campus;
+    }
+
+    const technicians = await User.find(query)
+      .select('firstName lastName role campus professionalInfo statistics')
+      .session(session || null);
+
+    return technicians.filter(technician => technician.canAcceptTicket());
+  }
+
+  /**
+   * Assign a ticket automatically, or queue it when nobody is free.
+   * Only sets fields on the document - the caller saves it.
+   */
+  async autoAssign(ticket, options = {}) {
+    const { assignedBy, exclude = [], session } = options;
+
+    const group = await this.resolveGroup(ticket, session);
+
+    if (!this.config.enabled) {
+      return this.queue(ticket, 'Automatic assignment disabled');
+    }
+
+    const rule = this.getRule(ticket);
+    const candidates = await this.findCandidates(ticket, {
+      exclude,
+      sameCampus: rule.sameCampus,
+      members: group && group.members.length > 0 ? group.members : undefined,
+      session
+    });
+
+    const strategies = [rule.strategy, rule.fallback]
+      .filter((name, index, list) => name && list.indexOf(name) === index);
+
+    for (const name of strategies) {
+      const rank = this.strategies.get(name);
+      if (!rank) {
+        console.warn(`⚠️ Unknown assignment strategy "${name}"`);
+        continue;
+      }
+
+      for (const candidate of rank(candidates, ticket)) {
+        // Re-check capacity atomically - another request may have filled the slot
+        const technician = await this.recordAssignment(candidate._id, session, this.getMaxTickets(candidate));
+        if (!technician) continue;
+
+        ticket.assignedTo = technician._id;
+        ticket.assignedBy = assignedBy || undefined;
+        ticket.assignedAt = new Date();
+        ticket.assignment = {
+          method: 'auto',
+          strategy: name,
+          attempts: (ticket.assignment?.attempts || 0) + 1,
+          lastAttemptAt: new Date()
+        };
+
+        if (ASSIGNABLE_STATUSES.includes(ticket.status)) {
+          ticket.status = 'assigned';
+        }
+
+        return { assigned: true, technician, strategy: name };
+      }
+    }
+
+    return this.queue(ticket, 'No available technician');
+  }
+
+  /**
+   * Route a ticket to its support group (keeps an explicitly chosen group)
+   */
+  async resolveGroup(ticket, session) {
+    if (ticket.assignedGroup) {
+      return SupportGroup.findById(ticket.assignedGroup._id || ticket.assignedGroup).session(session || null);
+    }
+
+    const group = await SupportGroup.findForTicket(ticket);
+    if (group) {
+      ticket.assignedGroup = group._id;
+    }
+
+    return group;
+  }
+
+  /**
+   * Put a ticket in the assignment queue
+   */
+  queue(ticket, reason) {
+    ticket.assignedTo = null;
+    ticket.assignment = {
+      method: 'queued',
+      queuedAt: ticket.assignment?.queuedAt || new Date(),
+      attempts: (ticket.assignment?.attempts || 0) + 1,
+      lastAttemptAt: new Date(),
+      reason
+    };
+
+    if (ticket.status === 'assigned') {
+      ticket.status = 'open';
+    }
+
+    return { assigned: false, queued: true, reason };
+  }
+
+  /**
+   * Count a new ticket against a technician, respecting their limit
+   */
+  recordAssignment(technicianId, session, maxTickets) {
+    const filter = { _id: technicianId };
+    if (maxTickets) {
+      filter['statistics.ticketsAssigned'] = { $lt: maxTickets };
+    }
+
+    return User.findOneAndUpdate(
+      filter,
+      {
+        $inc: { 'statistics.ticketsAssigned': 1 },
+        $set: { 'statistics.lastAssignedAt': new Date() }
+      },
+      { new: true, session }
+    );
+  }
+
+  /**
+   * Free a slot when a ticket is unassigned or finished
+   */
+  release(technicianId, session) {
+    return User.findOneAndUpdate(
+      { _id: technicianId, 'statistics.ticketsAssigned': { $gt: 0 } },
+      { $inc: { 'statistics.ticketsAssigned': -1 } },
+      { new: true, session }
+    );
+  }
+
+  /**
+   * Queued tickets, highest priority first then oldest
+   */
+  async getQueue(limit = 50) {
+    const tickets = await Ticket.find({
+      'assignment.method': 'queued',
+      assignedTo: null,
+      status: { $in: ASSIGNABLE_STATUSES },
+      isDeleted: { $ne: true }
+    })
+      .sort({ 'assignment.queuedAt': 1 })
+      .limit(limit);
+
+    // Stable sort keeps the oldest first within a priority
+    const rank = ticket => PRIORITY_ORDER[ticket.priority] ?? PRIORITY_ORDER.medium;
+    return tickets.sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Retry assignment for queued tickets
+   */
+  async processQueue(limit = 50) {
+    const result = { assigned: 0, queued: 0, errors: 0 };
+    const tickets = await this.getQueue(limit);
+
+    for (const ticket of tickets) {
+      try {
+        const outcome = await this.autoAssign(ticket);
+        await ticket.save();
+        result[outcome.assigned ? 'assigned' : 'queued'] += 1;
+      } catch (error) {
+        result.errors += 1;
+        console.error(`❌ Queue assignment failed on ${ticket.ticketId}:`, error.message);
+      }
+    }
+
+    if (result.assigned > 0) {
+      console.log(`📋 Assigned ${result.assigned} queued ticket(s)`);
+    }
+
+    return result;
+  }
+
+  // ============================================
+  // STRATEGY HELPERS
+  // ============================================
+
+  getMaxTickets(technician) {
+    return technician.professionalInfo?.maxConcurrentTickets || DEFAULT_MAX_TICKETS;
+  }
+
+  getLoad(technician) {
+    return (technician.statistics?.ticketsAssigned || 0) / this.getMaxTickets(technician);
+  }
+
+  getLastAssigned(technician) {
+    return technician.statistics?.lastAssignedAt ? technician.statistics.lastAssignedAt.getTime() : 0;
+  }
+
+  byLoad(candidates) {
+    return [...candidates].sort((a, b) =>
+      this.getLoad(a) - this.getLoad(b) || this.getLastAssigned(a) - this.getLastAssigned(b)
+    );
+  }
+
+  byLastAssigned(candidates) {
+    return [...candidates].sort((a, b) => this.getLastAssigned(a) - this.getLastAssigned(b));
+  }
+}
+
+// Export singleton instance
+module.exports = new AssignmentService();
+module.exports.AssignmentService = AssignmentService;
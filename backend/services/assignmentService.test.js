@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Ticket = require('../models/Ticket');
+const assignmentService = require('./assignmentService');
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('serves the queue by priority, oldest first within a priority', async () => {
+  // As the database returns them: oldest queued first
+  const queued = [
+    { ticketId: 'BU-2026-0001', priority: 'low' },
+    { ticketId: 'BU-2026-0002', priority: 'high' },
+    { ticketId: 'BU-2026-0003', priority: 'medium' },
+    { ticketId: 'BU-2026-0004', priority: 'critical' },
+    { ticketId: 'BU-2026-0005', priority: 'high' }
+  ];
+  const find = test.mock.method(Ticket, 'find', () => ({
+    sort: () => ({ limit: async () => [...queued] })
+  }));
+
+  const tickets = await assignmentService.getQueue();
+
+  assert.equal(find.mock.calls[0].arguments[0]['assignment.method'], 'queued');
+  assert.deepEqual(tickets.map(ticket => ticket.ticketId),
+    ['BU-2026-0004', 'BU-2026-0002', 'BU-2026-0005', 'BU-2026-0003', 'BU-2026-0001']);
+});
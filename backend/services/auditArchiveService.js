@@ -0,0 +1,366 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Audit Archive Service - Archive-then-purge of old audit records
+ *
+ * Replaces the old one-year TTL. Records past the retention period are
+ * verified, written to a gzipped JSONL file, anchored with an AuditArchive
+ * entry (last hash, content hash) and only then deleted from MongoDB, so the
+ * hash chain still verifies after the purge.
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const zlib = require('zlib');
+const { once } = require('events');
+
+const AuditLog = require('../models/AuditLog');
+const AuditArchive = require('../models/AuditArchive');
+const auditService = require('./auditService');
+const auditConfig = require('../config/audit.config');
+
+class AuditArchiveService {
+  constructor(config = auditConfig) {
+    this.config = config;
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+    this.lastResult = null;
+    this.expiryIndexChecked = false;
+  }
+
+  /**
+   * Start archiving on the configured interval
+   */
+  start() {
+    if (this.timer || !this.config.archive.enabled) return this;
+
+    this.timer = setInterval(() => this.runOnce(), this.config.archive.intervalHours * 60 * 60 * 1000);
+    if (this.timer.unref) this.timer.unref();
+
+    console.log(`🗄️ Audit archive job started (every ${this.config.archive.intervalHours}h, ` +
+      `retention ${this.config.retentionDays} days)`);
+    return this;
+  }
+
+  /**
+   * Stop archiving
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('⏹️ Audit archive job stopped');
+    }
+  }
+
+  /**
+   * Archive and purge everything past retention (skipped if a run is in progress)
+   * options.dryRun reports what would be archived without writing or deleting
+   */
+  async runOnce(options = {}, now = new Date()) {
+    if (this.running) {
+      return { skipped: true };
+    }
+
+    this.running = true;
+    let result = { archived: 0, purged: 0 };
+
+    try {
+      await this.dropExpiryIndex();
+      result.purged += await this.finishPendingPurges();
+
+      const cutoff = new Date(now.getTime() - this.config.retentionDays * 24 * 60 * 60 * 1000);
+      const range = await this.findArchivableRange(cutoff);
+
+      if (range.chainedCount + range.legacyCount === 0) {
+        return result;
+      }
+
+      if (options.dryRun) {
+        result = { ...result, dryRun: true, cutoff, ...range };
+        return result;
+      }
+
+      // Never archive (and so bless) a segment that has already been tampered with
+      if (range.toSequence) {
+        const verification = await AuditLog.verifyChain({ toSequence: range.toSequence });
+        if (!verification.valid) {
+          console.error('❌ Audit chain broken, archiving aborted:', verification.brokenAt);
+          result = { ...result, error: 'CHAIN_BROKEN', brokenAt: verification.brokenAt };
+          return result;
+        }
+      }
+
+      const archive = await this.writeArchive(range, cutoff, now);
+      result.archived = archive.recordCount;
+      result.file = archive.file;
+      result.purged += await this.purge(archive);
+
+      await auditService.logSystemEvent('AUDIT_ARCHIVED', {
+        file: archive.file,
+        recordCount: archive.recordCount,
+        fromSequence: archive.fromSequence,
+        toSequence: archive.toSequence,
+        cutoff
+      }, 'info');
+
+      console.log(`🗄️ Archived ${archive.recordCount} audit records to ${archive.file}`);
+    } catch (error) {
+      result.error = error.message;
+      console.error('❌ Audit archive run failed:', error.message);
+    } finally {
+      this.running = false;
+      this.lastRun = new Date();
+      this.lastResult = result;
+    }
+
+    return result;
+  }
+
+  /**
+   * Records to archive: pre-chain records past the cutoff, plus the chained
+   * records before the first one still inside retention (a contiguous prefix,
+   * so the chain left in MongoDB has no holes)
+   */
+  async findArchivableRange(cutoff) {
+    const anchor = await AuditArchive.getLatestAnchor();
+    const afterSequence = anchor ? anchor.toSequence : 0;
+
+    const firstRetained = await AuditLog.findOne({
+      sequence: { $gt: afterSequence },
+      createdAt: { $gte: cutoff }
+    })
+      .sort({ sequence: 1 })
+      .select('sequence')
+      .lean();
+
+    const chainedQuery = { sequence: { $gt: afterSequence } };
+    if (firstRetained) chainedQuery.sequence.$lt = firstRetained.sequence;
+    else chainedQuery.createdAt = { $lt: cutoff };
+
+    const [first, last, chainedCount, legacyCount] = await Promise.all([
+      AuditLog.findOne(chainedQuery).sort({ sequence: 1 }).select('sequence previousHash').lean(),
+      AuditLog.findOne(chainedQuery).sort({ sequence: -1 }).select('sequence hash').lean(),
+      AuditLog.countDocuments(chainedQuery),
+      AuditLog.countDocuments({ sequence: { $exists: false }, createdAt: { $lt: cutoff } })
+    ]);
+
+    return {
+      fromSequence: first?.sequence ?? null,
+      toSequence: last?.sequence ?? null,
+      firstPreviousHash: first?.previousHash ?? null,
+      lastHash: last?.hash ?? null,
+      chainedCount,
+      legacyCount
+    };
+  }
+
+  /**
+   * Stream the range to <directory>/audit-<date>-<from>-<to>.jsonl.gz and record its anchor
+   */
+  async writeArchive(range, cutoff, now = new Date()) {
+    const directory = this.getDirectory();
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const stamp = now.toISOString().slice(0, 10);
+    const file = range.toSequence
+      ? `audit-${stamp}-${range.fromSequence}-${range.toSequence}.jsonl.gz`
+      : `audit-${stamp}-legacy-${now.getTime()}.jsonl.gz`;
+    const target = path.join(directory, file);
+    const partial = `${target}.partial`;
+
+    const hash = crypto.createHash('sha256');
+    const gzip = zlib.createGzip();
+    const output = fs.createWriteStream(partial);
+    gzip.pipe(output);
+
+    let recordCount = 0;
+    const write = async (record) => {
+      const line = `${JSON.stringify(record)}\n`;
+      hash.update(line);
+      recordCount += 1;
+      if (!gzip.write(line)) await once(gzip, 'drain');
+    };
+
+    // Pre-chain records first, then the chained range in order
+    const legacy = AuditLog.find({ sequence: { $exists: false }, createdAt: { $lt: cutoff } })
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor();
+    for await (const record of legacy) await write(record);
+
+    if (range.toSequence) {
+      const chained = AuditLog.find({ sequence: { $gte: range.fromSequence, $lte: range.toSequence } })
+        .sort({ sequence: 1 })
+        .lean()
+        .cursor();
+      for await (const record of chained) await write(record);
+    }
+
+    gzip.end();
+    await once(output, 'finish');
+    await fs.promises.rename(partial, target);
+
+    return AuditArchive.create({
+      file,
+      contentHash: hash.digest('hex'),
+      fromSequence: range.fromSequence,
+      toSequence: range.toSequence,
+      firstPreviousHash: range.firstPreviousHash,
+      lastHash: range.lastHash,
+      recordCount,
+      chainedCount: range.chainedCount,
+      legacyCount: range.legacyCount,
+      cutoff
+    });
+  }
+
+  /**
+   * Delete the records an archive holds, then mark it purged
+   */
+  async purge(archive) {
+    const filters = [{ sequence: { $exists: false }, createdAt: { $lt: archive.cutoff } }];
+    if (archive.toSequence) {
+      filters.push({ sequence: { $gte: archive.fromSequence, $lte: archive.toSequence } });
+    }
+
+    let purged = 0;
+    for (const filter of filters) {
+      const { deletedCount } = await AuditLog.deleteMany(filter);
+      purged += deletedCount;
+    }
+
+    await AuditArchive.updateOne({ _id: archive._id }, { $set: { purgedAt: new Date() } });
+    return purged;
+  }
+
+  /**
+   * Complete purges interrupted after their archive file was written
+   */
+  async finishPendingPurges() {
+    const pending = await AuditArchive.find({ purgedAt: null }).sort({ archivedAt: 1 });
+    let purged = 0;
+
+    for (const archive of pending) {
+      const verification = await this.verifyArchive(archive);
+      if (!verification.valid) {
+        console.error(`❌ Archive ${archive.file} failed verification, not purging:`, verification.reason);
+        continue;
+      }
+      purged += await this.purge(archive);
+    }
+
+    return purged;
+  }
+
+  /**
+   * Check an archive file against its anchor: content hash, then every chained link
+   */
+  async verifyArchive(archive) {
+    const target = path.join(this.getDirectory(), archive.file);
+
+    if (!fs.existsSync(target)) {
+      return { file: archive.file, valid: false, reason: 'file_missing' };
+    }
+
+    const hash = crypto.createHash('sha256');
+    const lines = readline.createInterface({
+      input: fs.createReadStream(target).pipe(zlib.createGunzip()),
+      crlfDelay: Infinity
+    });
+
+    let previous = archive.toSequence
+      ? { sequence: archive.fromSequence - 1, hash: archive.firstPreviousHash }
+      : null;
+    let recordCount = 0;
+    let brokenAt = null;
+
+    for await (const line of lines) {
+      hash.update(`${line}\n`);
+      recordCount += 1;
+
+      const record = JSON.parse(line);
+      if (brokenAt || record.sequence === undefined || !previous) continue;
+
+      const reason = AuditLog.checkLink(record, previous);
+      if (reason) {
+        brokenAt = { sequence: record.sequence, reason };
+      } else {
+        previous = { sequence: record.sequence, hash: record.hash };
+      }
+    }
+
+    if (hash.digest('hex') !== archive.contentHash) {
+      return { file: archive.file, valid: false, reason: 'content_hash_mismatch', recordCount };
+    }
+    if (brokenAt) {
+      return { file: archive.file, valid: false, reason: brokenAt.reason, brokenAt, recordCount };
+    }
+    if (previous && (previous.sequence !== archive.toSequence || previous.hash !== archive.lastHash)) {
+      return { file: archive.file, valid: false, reason: 'anchor_mismatch', recordCount };
+    }
+
+    return { file: archive.file, valid: true, recordCount };
+  }
+
+  /**
+   * Verify every archive file; returns one result per archive
+   */
+  async verifyArchives() {
+    const archives = await AuditArchive.find().sort({ archivedAt: 1 }).lean();
+    const results = [];
+
+    for (const archive of archives) {
+      results.push(await this.verifyArchive(archive));
+    }
+
+    return results;
+  }
+
+  /**
+   * The one-year TTL index from earlier releases would keep deleting records
+   * behind the chain's back; Mongoose never drops indexes on its own
+   */
+  async dropExpiryIndex() {
+    if (this.expiryIndexChecked) return;
+
+    try {
+      const indexes = await AuditLog.collection.indexes();
+      for (const index of indexes) {
+        if (index.expireAfterSeconds !== undefined) {
+          await AuditLog.collection.dropIndex(index.name);
+          console.log(`🗑️ Dropped audit log TTL index ${index.name}`);
+        }
+      }
+    } catch (error) {
+      // Collection not created yet - nothing to drop
+      if (error.codeName !== 'NamespaceNotFound') throw error;
+    }
+
+    this.expiryIndexChecked = true;
+  }
+
+  getDirectory() {
+    return path.resolve(this.config.archive.directory);
+  }
+
+  /**
+   * Get service health
+   */
+  getHealthStatus() {
+    return {
+      status: this.timer ? 'running' : 'stopped',
+      retentionDays: this.config.retentionDays,
+      lastRun: this.lastRun,
+      lastResult: this.lastResult
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AuditArchiveService();
+module.exports.AuditArchiveService = AuditArchiveService;
@@ -1,127 +1,337 @@
 /**
- * Safe Email Service - Development Version
- * Won't crash on connection errors
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Audit Service - Writes AuditLog records
+ *
+ * Records creates, updates (with before/after diffs) and deletes of audited
+ * models through a Mongoose plugin, plus logins, role changes and other
+ * security events. The request (actor, IP address, user agent) is picked up
+ * from the audit context middleware, so model hooks need no extra arguments.
+ *
+ * @version 1.0.0
  */
 
-const nodemailer = require('nodemailer');
+const { AsyncLocalStorage } = require('async_hooks');
+const AuditLog = require('../models/AuditLog');
 
-class SafeEmailService {
+// Never copied into audit details
+const SENSITIVE_FIELDS = [
+  'password', 'refreshToken', 'refreshTokenExpiry', 'passwordResetToken', 'passwordResetExpires',
+  'emailVerificationToken', 'emailVerificationExpires', 'verificationToken', 'resetPasswordToken',
+  'twoFactorSecret'
+];
+
+// Account fields whose changes are security events
+const SECURITY_FIELDS = ['password', 'role', 'permissions', 'isActive', 'status', 'isLocked'];
+
+// Activity logged by routes that counts as a security event
+const SECURITY_ACTIONS = ['CHANGE_PASSWORD', 'RESET_PASSWORD', 'DELETE_USER'];
+
+// Bookkeeping that changes on every read or request
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const REDACTED = '[REDACTED]';
+
+class AuditService {
   constructor() {
-    this.transporter = null;
-    this.enabled = false;
-    this.initialized = false;
+    this.context = new AsyncLocalStorage();
+    this.plugin = this.plugin.bind(this);
   }
 
-  async init() {
-    if (this.initialized) {
-      return;
-    }
+  // ============================================
+  // REQUEST CONTEXT
+  // ============================================
 
-    // Check if email should be disabled
-    if (process.env.DISABLE_EMAIL === 'true' || process.env.EMAIL_ENABLED === 'false') {
-      console.log('📧 Email service disabled via environment variable');
-      this.enabled = false;
-      this.initialized = true;
-      return;
-    }
+  /**
+   * Run the rest of a request with it available to audit hooks
+   */
+  runWithRequest(req, callback) {
+    return this.context.run({ req }, callback);
+  }
+
+  /**
+   * Actor, IP address and user agent of a request (or the current one)
+   */
+  getRequestContext(req = this.context.getStore()?.req) {
+    if (!req) return {};
 
+    const forwarded = req.headers?.['x-forwarded-for'];
+    const user = req.user || {};
+
+    return {
+      userId: user._id || user.id || user.userId || undefined,
+      ipAddress: (forwarded ? forwarded.split(',')[0].trim() : null) ||
+        req.ip || req.connection?.remoteAddress || undefined,
+      userAgent: req.headers?.['user-agent']
+    };
+  }
+
+  // ============================================
+  // WRITING RECORDS
+  // ============================================
+
+  /**
+   * Write an audit record; failures are logged, never thrown
+   */
+  async log(entry, req) {
     try {
-      const config = {
-        host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-        port: parseInt(process.env.EMAIL_PORT) || 587,
-        secure: process.env.EMAIL_SECURE === 'true',
-        auth: {
-          user: process.env.EMAIL_USER || '',
-          pass: process.env.EMAIL_PASS || ''
-        },
-        tls: {
-          rejectUnauthorized: false
-        }
-      };
-
-      // Only create transporter if credentials exist
-      if (config.auth.user && config.auth.pass) {
-        this.transporter = nodemailer.createTransport(config);
-        
-        // Test connection (non-blocking)
-        this.transporter.verify()
-          .then(() => {
-            console.log('✅ Email service connected successfully');
-            this.enabled = true;
-          })
-          .catch(verifyError => {
-            console.warn('⚠️ Email connection test failed:', verifyError.message);
-            console.log('📧 Emails will not be sent, but server will continue running');
-            this.enabled = false;
-          });
-      } else {
-        console.log('📧 Email credentials not configured, using mock mode');
-        this.enabled = false;
-      }
+      const context = this.getRequestContext(req);
 
-      this.initialized = true;
+      return await AuditLog.append({
+        userId: entry.userId || context.userId,
+        action: entry.action,
+        entityType: entry.entityType,
+        entityId: String(entry.entityId),
+        details: entry.details || {},
+        severity: entry.severity || 'info',
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        metadata: entry.metadata || {},
+        isSystemEvent: entry.isSystemEvent ?? !(entry.userId || context.userId),
+        isSecurityEvent: !!entry.isSecurityEvent
+      });
     } catch (error) {
-      console.warn('⚠️ Email service initialization error:', error.message);
-      console.log('📧 Using mock email mode');
-      this.enabled = false;
-      this.initialized = true;
+      console.error(`❌ Failed to write audit log (${entry.action}):`, error.message);
+      return null;
     }
   }
 
-  async sendEmail(to, subject, html, text = '') {
-    if (!this.initialized) {
-      await this.init();
-    }
+  /**
+   * Successful or failed login
+   */
+  logLogin(req, { user, email, success, reason }) {
+    return this.log({
+      userId: user?._id,
+      action: success ? 'LOGIN_SUCCESS' : 'LOGIN_FAILED',
+      entityType: 'User',
+      entityId: user?._id || email || 'unknown',
+      severity: success ? 'info' : 'warning',
+      isSystemEvent: false,
+      isSecurityEvent: true,
+      details: {
+        email: email || user?.email,
+        ...(reason && { reason })
+      }
+    }, req);
+  }
 
-    if (!this.enabled) {
-      // Mock sending - log but don't actually send
-      console.log(`📨 [MOCK EMAIL] To: ${to}, Subject: "${subject}"`);
-      console.log(`   Preview: ${html?.substring(0, 100)}${html?.length > 100 ? '...' : ''}`);
-      return { success: true, message: 'Email logged (mock mode)' };
-    }
+  /**
+   * Role change on a user account
+   */
+  logRoleChange(user, previousRole, newRole, req) {
+    return this.log({
+      action: 'ROLE_CHANGED',
+      entityType: 'User',
+      entityId: user._id,
+      severity: 'warning',
+      isSecurityEvent: true,
+      details: {
+        email: user.email,
+        changes: { role: { from: previousRole, to: newRole } }
+      }
+    }, req);
+  }
 
-    try {
-      const mailOptions = {
-        from: `"IT Support System" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
-        to: Array.isArray(to) ? to.join(', ') : to,
-        subject: subject,
-        html: html,
-        text: text || html.replace(/<[^>]*>/g, '')
-      };
-
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log(`📨 Email sent to ${to}: ${info.messageId}`);
-      return { success: true, messageId: info.messageId };
-    } catch (error) {
-      console.error('❌ Email sending failed:', error.message);
-      return { 
-        success: false, 
-        error: error.message,
-        message: 'Email sending failed, but operation continues'
-      };
-    }
+  /**
+   * Activity by a signed-in user (page views, reports, lookups)
+   */
+  logUserActivity(userId, action, entityType, details = {}) {
+    return this.log({
+      userId,
+      action,
+      entityType,
+      entityId: details.targetUserId || details.entityId || userId,
+      isSecurityEvent: SECURITY_ACTIONS.includes(action),
+      details
+    });
   }
 
-  async verifyConnection() {
-    if (!this.transporter) {
-      return { success: false, message: 'No email transporter configured' };
-    }
+  /**
+   * Event raised by the system itself (errors, scheduled jobs)
+   */
+  logSystemEvent(action, details = {}, severity = 'error') {
+    return this.log({
+      action,
+      entityType: 'System',
+      entityId: 'system',
+      severity,
+      isSystemEvent: true,
+      details
+    });
+  }
 
-    try {
-      await this.transporter.verify();
-      return { success: true, message: 'Email connection verified' };
-    } catch (error) {
-      return { success: false, message: error.message };
+  // ============================================
+  // MODEL PLUGIN
+  // ============================================
+
+  /**
+   * Mongoose plugin: schema.plugin(auditService.plugin, { entityType, ignore })
+   * Logs CREATE / UPDATE / DELETE with before/after diffs
+   */
+  plugin(schema, options = {}) {
+    const service = this;
+    const ignore = [...IGNORED_FIELDS, ...(options.ignore || [])];
+
+    const entityTypeOf = (model) => options.entityType || model.modelName;
+
+    // Snapshot loaded documents so saves can be diffed
+    schema.post('init', function() {
+      this.$locals.auditBefore = this.toObject({ depopulate: true, virtuals: false });
+    });
+
+    schema.pre('save', function(next) {
+      this.$locals.auditWasNew = this.isNew;
+      next();
+    });
+
+    schema.post('save', function(doc) {
+      const entityType = entityTypeOf(doc.constructor);
+      const after = doc.toObject({ depopulate: true, virtuals: false });
+
+      if (doc.$locals.auditWasNew) {
+        service.log({
+          action: 'CREATE',
+          entityType,
+          entityId: doc._id,
+          details: { after: service.redact(after, ignore) }
+        });
+      } else {
+        service.logChanges(entityType, doc, doc.$locals.auditBefore, after, ignore);
+      }
+
+      doc.$locals.auditBefore = after;
+    });
+
+    // Single-document query updates and deletes: read the document first
+    const singleUpdates = ['findOneAndUpdate', 'updateOne', 'findOneAndReplace', 'replaceOne'];
+    const singleDeletes = ['findOneAndDelete', 'findOneAndRemove', 'deleteOne'];
+
+    schema.pre([...singleUpdates, ...singleDeletes], { document: false, query: true }, async function() {
+      this._auditBefore = await this.model.findOne(this.getFilter()).lean();
+    });
+
+    schema.post(singleUpdates, { document: false, query: true }, async function() {
+      const before = this._auditBefore;
+      if (!before) return;
+
+      const after = await this.model.findById(before._id).lean();
+      if (after) {
+        service.logChanges(entityTypeOf(this.model), after, before, after, ignore);
+      }
+    });
+
+    schema.post(singleDeletes, { document: false, query: true }, function() {
+      const before = this._auditBefore;
+      if (!before) return;
+
+      service.logDelete(entityTypeOf(this.model), before, ignore);
+    });
+
+    // doc.deleteOne()
+    schema.post('deleteOne', { document: true, query: false }, function(doc) {
+      service.logDelete(entityTypeOf(doc.constructor), doc.toObject({ depopulate: true }), ignore);
+    });
+
+    // Bulk updates only record the filter and the update
+    schema.post('updateMany', { document: false, query: true }, function(result) {
+      service.log({
+        action: 'BULK_UPDATE',
+        entityType: entityTypeOf(this.model),
+        entityId: 'bulk',
+        details: {
+          filter: service.redact(this.getFilter(), []),
+          update: service.redact(this.getUpdate(), []),
+          modifiedCount: result?.modifiedCount
+        }
+      });
+    });
+  }
+
+  /**
+   * UPDATE record with the changed fields (and ROLE_CHANGED for user roles)
+   */
+  logChanges(entityType, doc, before, after, ignore = IGNORED_FIELDS) {
+    const changes = this.diff(before, after, ignore);
+    if (Object.keys(changes).length === 0) return null;
+
+    if (entityType === 'User' && changes.role) {
+      this.logRoleChange(doc, changes.role.from, changes.role.to);
     }
+
+    return this.log({
+      action: 'UPDATE',
+      entityType,
+      entityId: doc._id,
+      isSecurityEvent: entityType === 'User' && SECURITY_FIELDS.some(field => changes[field]),
+      details: { changes }
+    });
+  }
+
+  logDelete(entityType, before, ignore = IGNORED_FIELDS) {
+    return this.log({
+      action: 'DELETE',
+      entityType,
+      entityId: before._id,
+      severity: 'warning',
+      details: { before: this.redact(before, ignore) }
+    });
   }
 
-  destroy() {
-    if (this.transporter) {
-      this.transporter.close();
-      console.log('📧 Email service closed');
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Top-level fields that differ between two plain objects: { field: { from, to } }
+   * Arrays are summarised by length; sensitive fields only note that they changed
+   */
+  diff(before = {}, after = {}, ignore = IGNORED_FIELDS) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+      if (ignore.includes(field)) continue;
+
+      const from = before?.[field];
+      const to = after?.[field];
+      if (this.serialize(from) === this.serialize(to)) continue;
+
+      if (SENSITIVE_FIELDS.includes(field)) {
+        changes[field] = { from: REDACTED, to: REDACTED };
+      } else if (Array.isArray(from) || Array.isArray(to)) {
+        changes[field] = { fromCount: from?.length || 0, toCount: to?.length || 0 };
+      } else {
+        changes[field] = { from: this.toPlain(from), to: this.toPlain(to) };
+      }
     }
+
+    return changes;
+  }
+
+  /**
+   * Copy without sensitive or ignored fields; arrays become counts
+   */
+  redact(value, ignore = IGNORED_FIELDS) {
+    if (!value || typeof value !== 'object') return value;
+
+    return Object.fromEntries(Object.entries(value)
+      .filter(([field]) => !ignore.includes(field))
+      .map(([field, fieldValue]) => {
+        if (SENSITIVE_FIELDS.includes(field)) return [field, REDACTED];
+        if (Array.isArray(fieldValue)) return [field, { count: fieldValue.length }];
+        return [field, this.toPlain(fieldValue)];
+      }));
+  }
+
+  toPlain(value) {
+    if (value === undefined) return null;
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  serialize(value) {
+    return JSON.stringify(value === undefined ? null : value);
   }
 }
 
 // Export singleton instance
-module.exports = new SafeEmailService();
\ No newline at end of file
+module.exports = new AuditService();
+module.exports.AuditService = AuditService;
@@ -0,0 +1,330 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Digest Service - Batched notification emails
+ *
+ * Users whose emailFrequency is 'digest' get one email per day or week with
+ * their unread notifications and ticket updates since the last digest, plus
+ * the overdue tickets on their queue for support staff.
+ *
+ * @version 1.0.0
+ */
+
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const UserPreferences = require('../models/UserPreferences');
+const { NOTIFICATION_EVENTS } = require('../models/UserPreferences');
+const emailService = require('./emailService');
+const digestConfig = require('../config/digest.config');
+
+const STAFF_ROLES = ['technician', 'admin'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+
+class DigestService {
+  constructor(config = digestConfig) {
+    this.config = config;
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+    this.lastResult = null;
+    this.formatter = null;
+  }
+
+  /**
+   * Start checking for due digests
+   */
+  start() {
+    if (this.timer || !this.config.enabled) return this;
+
+    this.timer = setInterval(() => this.runOnce(), this.config.intervalMinutes * 60 * 1000);
+    if (this.timer.unref) this.timer.unref();
+
+    console.log(`📬 Notification digest scheduler started (every ${this.config.intervalMinutes} min)`);
+    return this;
+  }
+
+  /**
+   * Stop checking for due digests
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('⏹️ Notification digest scheduler stopped');
+    }
+  }
+
+  /**
+   * Send every digest that is due (skipped if a run is in progress)
+   */
+  async runOnce(now = new Date()) {
+    if (this.running) {
+      return { skipped: true };
+    }
+
+    this.running = true;
+    const result = { sent: 0, empty: 0, skipped: 0, errors: 0 };
+
+    try {
+      const subscribers = await UserPreferences.find({ emailFrequency: 'digest' });
+
+      for (const preferences of subscribers) {
+        if (!this.isDue(preferences, now)) continue;
+
+        try {
+          const status = await this.sendDigest(preferences, now);
+          result[status] += 1;
+        } catch (error) {
+          result.errors += 1;
+          console.error(`❌ Digest for user ${preferences.userId} failed:`, error.message);
+        }
+      }
+    } catch (error) {
+      result.errors += 1;
+      console.error('❌ Digest run failed:', error.message);
+    } finally {
+      this.running = false;
+      this.lastRun = new Date();
+      this.lastResult = result;
+    }
+
+    return result;
+  }
+
+  /**
+   * Due once per scheduled day, from the scheduled hour onwards
+   */
+  isDue(preferences, now = new Date()) {
+    const schedule = this.getSchedule(preferences);
+    const local = this.getLocalTime(now);
+
+    if (local.hour < schedule.hour) return false;
+    if (schedule.frequency === 'weekly' && local.weekday !== schedule.dayOfWeek) return false;
+
+    const lastSentAt = preferences.digest?.lastSentAt;
+    return !lastSentAt || this.getLocalTime(lastSentAt).date !== local.date;
+  }
+
+  /**
+   * Build and send one user's digest, then record it as sent
+   * Returns 'sent', 'empty' (nothing new) or 'skipped' (no active account)
+   */
+  async sendDigest(preferences, now = new Date()) {
+    const user = await User.findById(preferences.userId).select('firstName lastName email role isActive');
+    let status = 'skipped';
+
+    if (user && user.isActive && user.email) {
+      const since = this.getSince(preferences, now);
+      const digest = await this.buildDigest(user, preferences, since, now);
+
+      status = this.isEmpty(digest) ? 'empty' : 'sent';
+
+      if (status === 'sent') {
+        const total = digest.totalNotifications + digest.ticketUpdates.length + digest.overdue.length;
+        await emailService.sendEmail({
+          to: user.email,
+          subject: `📬 Your ${digest.periodLabel.toLowerCase()} IT Support digest - ${total} update${total === 1 ? '' : 's'}`,
+          template: 'notificationDigest',
+          context: digest
+        });
+      }
+    }
+
+    preferences.set('digest.lastSentAt', now);
+    await preferences.save();
+
+    return status;
+  }
+
+  /**
+   * Digest content for a user since a date
+   */
+  async buildDigest(user, preferences, since, now = new Date()) {
+    const schedule = this.getSchedule(preferences);
+    const isStaff = STAFF_ROLES.includes(user.role);
+
+    const [notifications, ticketUpdates, overdue] = await Promise.all([
+      this.getNotifications(user._id, preferences, since),
+      this.getTicketUpdates(user._id, since),
+      isStaff ? this.getOverdueQueue(user._id) : []
+    ]);
+
+    return {
+      name: user.firstName || user.email,
+      periodLabel: schedule.frequency === 'weekly' ? 'Weekly' : 'Daily',
+      since,
+      until: now,
+      sinceLabel: since.toLocaleString('en-GB', { timeZone: this.config.timezone }),
+      notificationGroups: this.groupNotifications(notifications),
+      totalNotifications: notifications.length,
+      ticketUpdates,
+      overdue,
+      isStaff,
+      dashboardUrl: `${this.config.frontendUrl}/dashboard`,
+      settingsUrl: `${this.config.frontendUrl}/settings`
+    };
+  }
+
+  /**
+   * Unread notifications since the last digest, for events the user wants by email
+   */
+  async getNotifications(userId, preferences, since) {
+    const notifications = await Notification.find({
+      userId,
+      read: false,
+      createdAt: { $gt: since }
+    })
+      .sort({ createdAt: -1 })
+      .limit(this.config.maxItems * 4)
+      .lean();
+
+    return notifications.filter(notification => {
+      const event = UserPreferences.eventForType(notification.type);
+      return !event || preferences.notifications?.[event]?.email !== false;
+    });
+  }
+
+  /**
+   * Tickets the user raised or works on that changed since the last digest
+   */
+  async getTicketUpdates(userId, since) {
+    const tickets = await Ticket.find({
+      $or: [{ createdBy: userId }, { assignedTo: userId }],
+      updatedAt: { $gt: since },
+      isDeleted: { $ne: true }
+    })
+      .select('ticketId title status priority updatedAt')
+      .sort({ updatedAt: -1 })
+      .limit(this.config.maxItems)
+      .lean();
+
+    return tickets.map(ticket => ({
+      ticketNumber: ticket.ticketId,
+      title: ticket.title,
+      status: ticket.status,
+      priority: ticket.priority,
+      updatedAt: ticket.updatedAt,
+      url: this.getTicketUrl(ticket._id)
+    }));
+  }
+
+  /**
+   * Overdue tickets on a technician's queue
+   */
+  async getOverdueQueue(userId) {
+    const tickets = await Ticket.getAssignedTickets(userId);
+
+    return tickets
+      .filter(ticket => ticket.status !== 'resolved' && ticket.isOverdue)
+      .slice(0, this.config.maxItems)
+      .map(ticket => ({
+        ticketNumber: ticket.ticketId,
+        title: ticket.title,
+        status: ticket.status,
+        priority: ticket.priority,
+        deadline: ticket.sla?.resolutionTime?.deadline || null,
+        url: this.getTicketUrl(ticket._id)
+      }));
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Notifications grouped by preference event, in NOTIFICATION_EVENTS order
+   */
+  groupNotifications(notifications) {
+    const groups = new Map();
+
+    for (const notification of notifications) {
+      const event = UserPreferences.eventForType(notification.type) || 'announcement';
+      if (!groups.has(event)) groups.set(event, []);
+
+      const items = groups.get(event);
+      if (items.length >= this.config.maxItems) continue;
+
+      items.push({
+        title: notification.title,
+        message: notification.message,
+        createdAt: notification.createdAt,
+        url: notification.relatedModel === 'Ticket' && notification.relatedTo
+          ? this.getTicketUrl(notification.relatedTo)
+          : null
+      });
+    }
+
+    return Object.keys(NOTIFICATION_EVENTS)
+      .filter(event => groups.has(event))
+      .map(event => ({ event, label: NOTIFICATION_EVENTS[event].label, items: groups.get(event) }));
+  }
+
+  isEmpty(digest) {
+    return digest.totalNotifications === 0 && digest.ticketUpdates.length === 0 && digest.overdue.length === 0;
+  }
+
+  /**
+   * User's schedule with config defaults filled in
+   */
+  getSchedule(preferences) {
+    return { ...this.config.defaultSchedule, ...(preferences.digest?.toObject?.() || preferences.digest || {}) };
+  }
+
+  /**
+   * Start of the digest window (last digest, or one period back)
+   */
+  getSince(preferences, now = new Date()) {
+    if (preferences.digest?.lastSentAt) return new Date(preferences.digest.lastSentAt);
+
+    const days = PERIOD_DAYS[this.getSchedule(preferences).frequency] || 1;
+    return new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  }
+
+  getTicketUrl(ticketId) {
+    return `${this.config.frontendUrl}/tickets/${ticketId}`;
+  }
+
+  /**
+   * { date: 'YYYY-MM-DD', hour, weekday } in the configured timezone
+   */
+  getLocalTime(date) {
+    if (!this.formatter) {
+      this.formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: this.config.timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23',
+        weekday: 'short'
+      });
+    }
+
+    const parts = {};
+    for (const part of this.formatter.formatToParts(new Date(date))) {
+      parts[part.type] = part.value;
+    }
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      hour: parseInt(parts.hour, 10),
+      weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+  }
+
+  /**
+   * Get service health
+   */
+  getHealthStatus() {
+    return {
+      status: this.timer ? 'running' : 'stopped',
+      lastRun: this.lastRun,
+      lastResult: this.lastResult
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new DigestService();
+module.exports.DigestService = DigestService;
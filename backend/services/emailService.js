@@ -22,6 +22,19 @@
 const nodemailer = require('nodemailer');
 const fs = require('fs');
 const path = require('path');
+const UserPreferences = require('../models/UserPreferences');
+
+// Templates the recipient can opt out of (UserPreferences notification events)
+const TEMPLATE_EVENTS = {
+  ticketCreated: 'ticket_created',
+  ticketAssigned: 'ticket_assigned',
+  ticketUnassigned: 'ticket_assigned',
+  ticketUpdated: 'status_updated',
+  ticketStatusUpdate: 'status_updated',
+  ticketResolved: 'ticket_resolved',
+  newComment: 'new_comment',
+  slaBreachAlert: 'sla_alert'
+};
 
 class EmailService {
   constructor() {
@@ -164,6 +177,7 @@ class EmailService {
    * @param {string} options.subject - Email subject
    * @param {string} options.template - Template name
    * @param {Object} options.context - Template context data
+   * @param {string} [options.event] - Notification event (defaults from the template)
    * @returns {Promise<Object>} Send result
    */
   async sendEmail(options) {
@@ -172,6 +186,16 @@ class EmailService {
       return this.handleError('Invalid email address', options);
     }
 
+    // Respect the recipient's notification preferences
+    if (!(await this.isWanted(options))) {
+      console.log(`🔕 Email to ${options.to} skipped by notification preferences (${options.template})`);
+      return {
+        success: true,
+        skipped: true,
+        timestamp: new Date().toISOString()
+      };
+    }
+
     // Add email to queue for processing
     return new Promise((resolve) => {
       this.queue.push({ options, resolve });
@@ -179,6 +203,24 @@ class EmailService {
     });
   }
 
+  /**
+   * Whether the recipient accepts this email now (account emails always go out)
+   *
+   * @param {Object} options - Email options
+   * @returns {Promise<boolean>}
+   */
+  async isWanted(options) {
+    const event = options.event || TEMPLATE_EVENTS[options.template];
+    if (!event) return true;
+
+    try {
+      return await UserPreferences.allowsEmailTo(options.to, event);
+    } catch (error) {
+      console.error('❌ Failed to check notification preferences:', error.message);
+      return true;
+    }
+  }
+
   /**
    * Process email queue with rate limiting
    */
@@ -210,7 +252,8 @@ class EmailService {
    * Start automatic queue processor (runs every second)
    */
   startQueueProcessor() {
-    setInterval(() => this.processQueue(), 1000);
+    // Unref'd so requiring the service never keeps a script or test process alive
+    setInterval(() => this.processQueue(), 1000).unref();
   }
 
   /**
@@ -653,13 +696,13 @@ ticketCreated: `
         </div>
         <div class="ticket-detail">
           <strong>Priority:</strong>
-          <span class="status-badge ${context.priority === 'Critical' ? 'status-critical' : 'status-open'}">
+          <span class="status-badge ${context.priority === 'critical' ? 'status-critical' : 'status-open'}">
             ${context.priority}
           </span>
         </div>
         <div class="ticket-detail">
           <strong>Status:</strong>
-          <span class="status-badge status-open">${context.status || 'Open'}</span>
+          <span class="status-badge status-open">${context.status || 'open'}</span>
         </div>
         <div class="ticket-detail">
           <strong>Created:</strong>
@@ -743,7 +786,7 @@ ticketAssigned: `
         </div>
         <div class="ticket-detail">
           <strong>Priority:</strong> 
-          <span class="${context.priority === 'High' || context.priority === 'Critical' ? 'priority-high' : ''}">
+          <span class="${context.priority === 'high' || context.priority === 'critical' ? 'priority-high' : ''}">
             ${context.priority}
           </span>
         </div>
@@ -835,9 +878,9 @@ ticketStatusUpdate: `
       
       <div class="status-change">
         <div class="status-icon">
-          ${context.newStatus === 'Resolved' ? '✅' : 
-            context.newStatus === 'In Progress' ? '🔄' : 
-            context.newStatus === 'Closed' ? '🔒' : '📝'}
+          ${context.newStatus === 'resolved' ? '✅' : 
+            context.newStatus === 'in-progress' ? '🔄' : 
+            context.newStatus === 'closed' ? '🔒' : '📝'}
         </div>
         <div>
           <strong>${context.ticketNumber} - ${context.title}</strong><br>
@@ -1129,7 +1172,7 @@ slaBreachAlert: `
       <h2 style="color: #dc2626; margin-top: 0;">URGENT: Service Level Agreement Breach</h2>
       
       <div class="alert-box">
-        <div class="breach-type">${context.breachType.toUpperCase()} BREACH</div>
+        <div class="breach-type">${(context.breachType || '').toUpperCase()} BREACH</div>
         <h3 style="margin: 10px 0; color: #dc2626;">${context.ticketNumber} - ${context.title}</h3>
         
         <p><strong>Breach Details:</strong></p>
@@ -1189,6 +1232,91 @@ slaBreachAlert: `
   </div>
 </body>
 </html>
+`,
+
+notificationDigest: `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${context.periodLabel || 'Daily'} Digest - Bugema University IT Support</title>
+  <style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background: #f5f5f5; }
+    .container { max-width: 600px; margin: 20px auto; background: white; border-radius: 10px; overflow: hidden; box-shadow: 0 0 20px rgba(0,0,0,0.1); }
+    .header { background: linear-gradient(135deg, #1a56db 0%, #1e40af 100%); color: white; padding: 30px 20px; text-align: center; }
+    .content { padding: 30px; }
+    .section { margin: 25px 0; }
+    .section h3 { color: #1a56db; border-bottom: 2px solid #e9ecef; padding-bottom: 8px; margin-bottom: 10px; }
+    .item { padding: 10px 0; border-bottom: 1px solid #e9ecef; }
+    .item:last-child { border-bottom: none; }
+    .item-meta { font-size: 12px; color: #6c757d; }
+    .overdue { background: #fef2f2; border: 1px solid #fecaca; border-radius: 5px; padding: 15px; }
+    .button { display: inline-block; padding: 12px 24px; background: #1a56db; color: white; text-decoration: none; border-radius: 5px; font-weight: bold; margin: 15px 0; }
+    .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #6c757d; font-size: 12px; border-top: 1px solid #e9ecef; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1 style="margin: 0; font-weight: 300;">📬 Your ${(context.periodLabel || 'Daily').toLowerCase()} digest</h1>
+      <p style="margin: 10px 0 0; opacity: 0.9;">Since ${context.sinceLabel || 'your last digest'}</p>
+    </div>
+    
+    <div class="content">
+      <h2 style="color: #1a56db; margin-top: 0;">Hello ${context.name || 'Valued User'}!</h2>
+      
+      <p>Here is what happened in the IT Support System while you were away.</p>
+      
+      ${(context.overdue || []).length > 0 ? `
+      <div class="section overdue">
+        <h3 style="color: #dc2626; border-color: #fecaca;">⏰ Overdue on your queue (${context.overdue.length})</h3>
+        ${context.overdue.map(ticket => `
+        <div class="item">
+          <a href="${ticket.url}"><strong>${ticket.ticketNumber}</strong></a> - ${ticket.title}
+          <div class="item-meta">${ticket.priority} priority • ${ticket.status}${ticket.deadline ? ` • due ${new Date(ticket.deadline).toLocaleString()}` : ''}</div>
+        </div>
+        `).join('')}
+      </div>
+      ` : ''}
+      
+      ${(context.notificationGroups || []).map(group => `
+      <div class="section">
+        <h3>${group.label} (${group.items.length})</h3>
+        ${group.items.map(item => `
+        <div class="item">
+          ${item.url ? `<a href="${item.url}"><strong>${item.title}</strong></a>` : `<strong>${item.title}</strong>`}
+          <div>${item.message}</div>
+          <div class="item-meta">${new Date(item.createdAt).toLocaleString()}</div>
+        </div>
+        `).join('')}
+      </div>
+      `).join('')}
+      
+      ${(context.ticketUpdates || []).length > 0 ? `
+      <div class="section">
+        <h3>🎫 Ticket updates (${context.ticketUpdates.length})</h3>
+        ${context.ticketUpdates.map(ticket => `
+        <div class="item">
+          <a href="${ticket.url}"><strong>${ticket.ticketNumber}</strong></a> - ${ticket.title}
+          <div class="item-meta">${ticket.status} • updated ${new Date(ticket.updatedAt).toLocaleString()}</div>
+        </div>
+        `).join('')}
+      </div>
+      ` : ''}
+      
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${context.dashboardUrl}" class="button" style="color: white; text-decoration: none;">Open Dashboard</a>
+      </div>
+    </div>
+    
+    <div class="footer">
+      <p>© ${new Date().getFullYear()} Bugema University IT Support</p>
+      <p>You receive this digest because of your notification settings. <a href="${context.settingsUrl}">Change how often you get it</a>.</p>
+    </div>
+  </div>
+</body>
+</html>
 `
     };
 
@@ -1320,7 +1448,7 @@ TICKET DETAILS:
 - Title: ${context.title}
 - Category: ${context.category}
 - Priority: ${context.priority}
-- Status: ${context.status || 'Open'}
+- Status: ${context.status || 'open'}
 - Created: ${new Date(context.createdAt).toLocaleString()}
 
 VIEW TICKET: ${context.ticketUrl}
@@ -1533,6 +1661,31 @@ SLA Compliance System
 
 -----------------------------------
 Automated SLA alert - Immediate action required
+`,
+
+notificationDigest: `
+BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+===================================
+
+${(context.periodLabel || 'Daily').toUpperCase()} DIGEST
+Since ${context.sinceLabel || 'your last digest'}
+
+Hello ${context.name || 'Valued User'},
+${(context.overdue || []).length > 0 ? `
+OVERDUE ON YOUR QUEUE (${context.overdue.length}):
+${context.overdue.map(ticket => `- ${ticket.ticketNumber}: ${ticket.title} [${ticket.priority}, ${ticket.status}]`).join('\n')}
+` : ''}${(context.notificationGroups || []).map(group => `
+${group.label.toUpperCase()} (${group.items.length}):
+${group.items.map(item => `- ${item.title}: ${item.message}`).join('\n')}
+`).join('')}${(context.ticketUpdates || []).length > 0 ? `
+TICKET UPDATES (${context.ticketUpdates.length}):
+${context.ticketUpdates.map(ticket => `- ${ticket.ticketNumber}: ${ticket.title} [${ticket.status}]`).join('\n')}
+` : ''}
+Open your dashboard: ${context.dashboardUrl}
+Change digest settings: ${context.settingsUrl}
+
+-----------------------------------
+Automated notification digest
 `
     };
 
@@ -0,0 +1,494 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Inbound Mail Service - Email-to-ticket ingestion
+ *
+ * Reads RFC 822 messages from a Maildir, opens tickets for new requests from
+ * registered users and threads replies ("[TKT-...]" in the subject) onto the
+ * existing ticket as comments. Attachments go through the upload rules.
+ *
+ * The From address is only believed when our MTA's Authentication-Results
+ * header shows SPF, DKIM or DMARC passing for that domain; the MTA must strip
+ * any such header a sender adds with our authserv-id (RFC 8601 section 5).
+ *
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { simpleParser } = require('mailparser');
+
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const assignmentService = require('./assignmentService');
+const ticketNumberService = require('./ticketNumberService');
+const { checkFile, generateFilename, getUserUploadDir } = require('../middleware/upload');
+const inboundMailConfig = require('../config/inboundMail.config');
+
+const TITLE_MIN = 5;
+const TITLE_MAX = 200;
+const DESCRIPTION_MIN = 10;
+const DESCRIPTION_MAX = 5000;
+const COMMENT_MAX = 2000;
+
+// Failed-run counts per message, kept in the Maildir so they survive restarts
+const ATTEMPTS_FILE = '.attempts.json';
+
+// Authentication-Results property holding the domain each method vouched for
+const AUTH_DOMAIN_PROPERTIES = {
+  dmarc: 'header.from',
+  dkim: 'header.d',
+  spf: 'smtp.mailfrom'
+};
+
+// Lines that start the quoted part of a reply
+const QUOTE_MARKERS = [
+  /^On .+wrote:\s*$/,
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^_{10,}\s*$/,
+  /^From:\s.+/
+];
+
+class InboundMailService {
+  constructor(config = inboundMailConfig) {
+    this.config = config;
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+    this.lastResult = null;
+    this.ticketPattern = new RegExp(`\\[${ticketNumberService.getPattern().source}\\]`, 'i');
+  }
+
+  /**
+   * Start polling the Maildir
+   */
+  start() {
+    if (this.timer || !this.config.enabled) return this;
+
+    this.timer = setInterval(() => this.runOnce(), this.config.intervalSeconds * 1000);
+    if (this.timer.unref) this.timer.unref();
+
+    console.log(`📥 Inbound mail polling ${this.config.maildir} (every ${this.config.intervalSeconds}s)`);
+    return this;
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('⏹️ Inbound mail polling stopped');
+    }
+  }
+
+  /**
+   * Process every message waiting in new/ (skipped if a run is in progress)
+   */
+  async runOnce(maildir = this.config.maildir) {
+    if (this.running) {
+      return { skipped: true };
+    }
+
+    this.running = true;
+    const result = { created: 0, threaded: 0, duplicate: 0, rejected: 0, failed: 0 };
+
+    try {
+      const newDir = path.join(maildir, 'new');
+      if (!fs.existsSync(newDir)) {
+        throw new Error(`Maildir not found: ${newDir}`);
+      }
+
+      const files = (await fs.promises.readdir(newDir)).filter(name => !name.startsWith('.')).sort();
+
+      for (const name of files) {
+        await this.processFile(maildir, name, result);
+      }
+    } catch (error) {
+      result.failed += 1;
+      console.error('❌ Inbound mail run failed:', error.message);
+    } finally {
+      this.running = false;
+      this.lastRun = new Date();
+      this.lastResult = result;
+    }
+
+    return result;
+  }
+
+  /**
+   * Process one Maildir message and file it into cur/
+   * Messages that fail unexpectedly stay in new/ and are retried next run,
+   * until they have failed `maxAttempts` runs and are moved to failed/.
+   */
+  async processFile(maildir, name, result) {
+    try {
+      const raw = await fs.promises.readFile(path.join(maildir, 'new', name));
+      const outcome = await this.processMessage(raw);
+
+      result[outcome.status] += 1;
+      if (outcome.status === 'rejected') {
+        console.warn(`⚠️ Rejected inbound mail ${name}: ${outcome.reason}`);
+      }
+
+      // Seen, and trashed when rejected
+      await this.fileMessage(maildir, name, outcome.status === 'rejected' ? 'ST' : 'S');
+      await this.clearAttempts(maildir, name);
+      return outcome;
+    } catch (error) {
+      result.failed += 1;
+      console.error(`❌ Failed to process inbound mail ${name}:`, error.message);
+
+      await this.recordFailure(maildir, name).catch(fileError => {
+        console.error(`❌ Failed to record the failure of ${name}:`, fileError.message);
+      });
+      return { status: 'failed', reason: error.message };
+    }
+  }
+
+  /**
+   * Turn a raw RFC 822 message into a new ticket or a comment
+   */
+  async processMessage(raw) {
+    const mail = await simpleParser(raw);
+    const sender = mail.from?.value?.[0]?.address?.toLowerCase();
+
+    if (!sender) {
+      return this.reject('No sender address');
+    }
+
+    if (sender === this.config.supportAddress || this.isAutoGenerated(mail)) {
+      return this.reject('Automatic or looped message');
+    }
+
+    if (mail.messageId && await Ticket.exists({ emailMessageIds: mail.messageId })) {
+      return { status: 'duplicate' };
+    }
+
+    const user = await User.findByEmail(sender);
+    if (!user || !user.isActive) {
+      return this.reject(`No active account for ${sender}`);
+    }
+
+    // Mail claiming to be from staff is never taken on trust
+    if ((this.config.requireAuthentication || this.isStaff(user)) && !this.isAuthenticated(mail, sender)) {
+      return this.reject(`${sender} did not pass SPF, DKIM or DMARC`);
+    }
+
+    const ticket = await this.findThread(mail);
+    if (ticket) {
+      return this.threadReply(ticket, user, mail);
+    }
+
+    return this.createTicket(user, mail);
+  }
+
+  /**
+   * Existing ticket a message replies to (subject tag first, then mail headers)
+   */
+  async findThread(mail) {
+    const match = this.ticketPattern.exec(mail.subject || '');
+    if (match) {
+      const ticket = await Ticket.findOne({ ticketId: match[1].toUpperCase(), isDeleted: { $ne: true } });
+      if (ticket) return ticket;
+    }
+
+    const references = [mail.inReplyTo, ...[].concat(mail.references || [])].filter(Boolean);
+    if (references.length === 0) return null;
+
+    return Ticket.findOne({ emailMessageIds: { $in: references }, isDeleted: { $ne: true } });
+  }
+
+  /**
+   * Open a ticket for a new request
+   */
+  async createTicket(user, mail) {
+    const ticket = new Ticket({
+      title: this.buildTitle(mail.subject),
+      description: this.buildDescription(this.getText(mail), mail.subject),
+      category: this.config.defaults.category,
+      priority: this.config.defaults.priority,
+      createdBy: user._id,
+      source: 'email',
+      emailMessageIds: mail.messageId ? [mail.messageId] : []
+    });
+
+    await ticket.validate();
+
+    const attachments = await this.saveAttachments(mail, user._id);
+    ticket.attachments = attachments;
+
+    await this.keepAttachmentsIf(attachments, async () => {
+      await assignmentService.autoAssign(ticket);
+      await ticket.save();
+    });
+
+    console.log(`📧 Ticket ${ticket.ticketId} created from email by ${user.email}`);
+    return { status: 'created', ticket };
+  }
+
+  /**
+   * Add a reply as a public comment on its ticket
+   */
+  async threadReply(ticket, user, mail) {
+    if (!this.canReply(ticket, user)) {
+      return this.reject(`${user.email} is not a participant on ${ticket.ticketId}`);
+    }
+
+    const attachments = await this.saveAttachments(mail, user._id);
+    const content = this.extractReply(this.getText(mail))
+      || (attachments.length > 0 ? 'Sent attachments by email' : '');
+
+    if (!content) {
+      return this.reject(`Empty reply to ${ticket.ticketId}`);
+    }
+
+    if (mail.messageId) {
+      ticket.emailMessageIds.push(mail.messageId);
+    }
+
+    // Staff replying by email counts as a response too
+    if (this.isStaff(user)) {
+      ticket.recordFirstResponse(user._id);
+    }
+
+    await this.keepAttachmentsIf(attachments, () =>
+      ticket.addComment(user._id, content.slice(0, COMMENT_MAX), false, attachments));
+
+    console.log(`📧 Email reply from ${user.email} added to ${ticket.ticketId}`);
+    return { status: 'threaded', ticket };
+  }
+
+  /**
+   * Store attachments that pass the upload rules; others are skipped
+   */
+  async saveAttachments(mail, userId) {
+    const saved = [];
+    const candidates = (mail.attachments || []).filter(attachment => !attachment.related);
+
+    // A write failing part-way leaves none of this message's files behind
+    await this.keepAttachmentsIf(saved, async () => {
+      for (const attachment of candidates.slice(0, this.config.maxAttachments)) {
+        await this.saveAttachment(attachment, userId, saved);
+      }
+    });
+
+    return saved;
+  }
+
+  /**
+   * Write one attachment if it passes the upload rules, adding it to `saved`
+   */
+  async saveAttachment(attachment, userId, saved) {
+    const file = {
+      originalname: attachment.filename || 'attachment',
+      mimetype: attachment.contentType,
+      size: attachment.size || attachment.content.length
+    };
+
+    const problem = checkFile(file);
+    if (problem) {
+      console.warn(`⚠️ Skipped email attachment ${file.originalname}: ${problem}`);
+      return;
+    }
+
+    const filename = generateFilename(file.originalname, file.mimetype);
+    const filePath = path.join(getUserUploadDir(userId), filename);
+    await fs.promises.writeFile(filePath, attachment.content);
+
+    saved.push({
+      fileName: file.originalname,
+      fileUrl: filePath,
+      fileType: file.mimetype,
+      fileSize: file.size,
+      uploadedBy: userId
+    });
+  }
+
+  /**
+   * Run the save that records attachments; delete their files if it fails
+   * (the message is retried or parked in failed/, so nothing would point at them)
+   */
+  async keepAttachmentsIf(attachments, save) {
+    try {
+      return await save();
+    } catch (error) {
+      await Promise.allSettled(attachments.map(attachment => fs.promises.unlink(attachment.fileUrl)));
+      throw error;
+    }
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * The requester, the assignee and watchers may reply to a ticket
+   * (other staff comment through the app, not by email)
+   */
+  canReply(ticket, user) {
+    const userId = user._id.toString();
+    const isParticipant = [ticket.createdBy, ticket.assignedTo]
+      .some(participant => participant && participant.toString() === userId);
+
+    return isParticipant || ticket.isWatchedBy(user._id);
+  }
+
+  isStaff(user) {
+    return ['technician', 'admin'].includes(user.role);
+  }
+
+  /**
+   * Whether our MTA vouched for the sender's domain
+   * Only the topmost Authentication-Results header with a trusted authserv-id
+   * counts; DMARC, DKIM or SPF must pass for exactly the From domain.
+   */
+  isAuthenticated(mail, sender) {
+    const domain = sender.split('@').pop();
+    const header = [].concat(mail.headers.get('authentication-results') || [])
+      .map(String)
+      .find(value => this.isTrustedAuthServ(value.split(';')[0]));
+
+    if (!header) return false;
+
+    return header.split(';').slice(1).some(result => {
+      const match = /^\s*(dmarc|dkim|spf)\s*=\s*pass\b(.*)$/is.exec(result);
+      if (!match) return false;
+
+      const property = AUTH_DOMAIN_PROPERTIES[match[1].toLowerCase()];
+      const value = match[2].split(/\s+/).find(token => token.toLowerCase().startsWith(`${property}=`));
+      return Boolean(value) && value.slice(property.length + 1).split('@').pop().toLowerCase() === domain;
+    });
+  }
+
+  isTrustedAuthServ(authServId) {
+    const id = authServId.trim().split(/\s+/)[0].toLowerCase();
+    return this.config.trustedAuthServIds.some(trusted => id === trusted || id.endsWith(`.${trusted}`));
+  }
+
+  /**
+   * Auto-replies, bounces and bulk mail (RFC 3834)
+   */
+  isAutoGenerated(mail) {
+    const autoSubmitted = String(mail.headers.get('auto-submitted') || 'no').toLowerCase();
+    const precedence = String(mail.headers.get('precedence') || '').toLowerCase();
+
+    return autoSubmitted !== 'no' || ['bulk', 'junk', 'list', 'auto_reply'].includes(precedence);
+  }
+
+  getText(mail) {
+    return (mail.text || '').replace(/\r\n/g, '\n').trim();
+  }
+
+  buildTitle(subject = '') {
+    const title = subject
+      .replace(/^\s*((re|fw|fwd)\s*:\s*)+/i, '')
+      .replace(this.ticketPattern, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return title.length >= TITLE_MIN ? title.slice(0, TITLE_MAX) : 'Support request by email';
+  }
+
+  buildDescription(text, subject = '') {
+    const description = text || subject.trim();
+    return description.length >= DESCRIPTION_MIN
+      ? description.slice(0, DESCRIPTION_MAX)
+      : `Sent by email: ${description || '(no message body)'}`;
+  }
+
+  /**
+   * New text of a reply, without the quoted original
+   */
+  extractReply(text) {
+    const lines = [];
+
+    for (const line of text.split('\n')) {
+      if (QUOTE_MARKERS.some(marker => marker.test(line.trim()))) break;
+      if (line.startsWith('>')) continue;
+      lines.push(line);
+    }
+
+    return lines.join('\n').trim();
+  }
+
+  reject(reason) {
+    return { status: 'rejected', reason };
+  }
+
+  /**
+   * Move a message from new/ to cur/ with Maildir info flags
+   */
+  async fileMessage(maildir, name, flags) {
+    const curDir = path.join(maildir, 'cur');
+    await fs.promises.mkdir(curDir, { recursive: true });
+
+    const base = name.split(':')[0];
+    await fs.promises.rename(path.join(maildir, 'new', name), path.join(curDir, `${base}:2,${flags}`));
+  }
+
+  /**
+   * Count a failed run for a message; the last allowed failure moves it to failed/
+   * Returns the number of failed runs so far
+   */
+  async recordFailure(maildir, name) {
+    const attempts = await this.readAttempts(maildir);
+    const count = (attempts[name] || 0) + 1;
+
+    if (count >= this.config.maxAttempts) {
+      const failedDir = path.join(maildir, 'failed');
+      await fs.promises.mkdir(failedDir, { recursive: true });
+      await fs.promises.rename(path.join(maildir, 'new', name), path.join(failedDir, name));
+
+      delete attempts[name];
+      console.warn(`⚠️ Moved inbound mail ${name} to failed/ after ${count} attempts`);
+    } else {
+      attempts[name] = count;
+    }
+
+    await this.writeAttempts(maildir, attempts);
+    return count;
+  }
+
+  async clearAttempts(maildir, name) {
+    const attempts = await this.readAttempts(maildir);
+    if (!(name in attempts)) return;
+
+    delete attempts[name];
+    await this.writeAttempts(maildir, attempts);
+  }
+
+  async readAttempts(maildir) {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(maildir, ATTEMPTS_FILE), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async writeAttempts(maildir, attempts) {
+    const file = path.join(maildir, ATTEMPTS_FILE);
+
+    if (Object.keys(attempts).length === 0) {
+      await fs.promises.rm(file, { force: true });
+    } else {
+      await fs.promises.writeFile(file, JSON.stringify(attempts));
+    }
+  }
+
+  /**
+   * Get service health
+   */
+  getHealthStatus() {
+    return {
+      status: this.timer ? 'running' : 'stopped',
+      maildir: this.config.maildir,
+      lastRun: this.lastRun,
+      lastResult: this.lastResult
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new InboundMailService();
+module.exports.InboundMailService = InboundMailService;
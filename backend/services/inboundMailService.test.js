@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { simpleParser } = require('mailparser');
+
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const assignmentService = require('./assignmentService');
+const { getUserUploadDir } = require('../middleware/upload');
+const inboundMailConfig = require('../config/inboundMail.config');
+const { InboundMailService } = require('./inboundMailService');
+
+const service = (overrides = {}) => new InboundMailService({
+  ...inboundMailConfig,
+  requireAuthentication: true,
+  trustedAuthServIds: ['bugemauniv.ac.ug'],
+  maxAttempts: 3,
+  ...overrides
+});
+
+const message = ({ from = 'jane@students.bugemauniv.ac.ug', authResults = [], subject = 'Printer on level 2 is jammed' } = {}) =>
+  Buffer.from([
+    ...authResults.map(value => `Authentication-Results: ${value}`),
+    `From: Sender <${from}>`,
+    'To: itsupport@bugemauniv.ac.ug',
+    `Subject: ${subject}`,
+    'Message-ID: <m1@students.bugemauniv.ac.ug>',
+    '',
+    'The printer has been jammed since this morning.',
+    ''
+  ].join('\r\n'));
+
+const mockUser = (role) => {
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'jane@students.bugemauniv.ac.ug', role, isActive: true };
+  test.mock.method(User, 'findByEmail', async () => user);
+  return user;
+};
+
+test.beforeEach(() => {
+  test.mock.method(Ticket, 'exists', async () => null);
+  test.mock.method(Ticket, 'findOne', async () => null);
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+  test.mock.method(console, 'error', () => {});
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('trusts SPF, DKIM or DMARC passes from our own MTA for the sender domain', async () => {
+  const mail = service();
+  const check = async (authResults, from = 'jane@students.bugemauniv.ac.ug') =>
+    mail.isAuthenticated(await simpleParser(message({ from, authResults })), from);
+
+  assert.equal(await check(['mx.bugemauniv.ac.ug; dkim=pass (2048-bit key) header.d=students.bugemauniv.ac.ug']), true);
+  assert.equal(await check(['mx.bugemauniv.ac.ug; spf=pass smtp.mailfrom=jane@students.bugemauniv.ac.ug']), true);
+  assert.equal(await check(['mx.bugemauniv.ac.ug 1; dmarc=pass header.from=students.bugemauniv.ac.ug']), true);
+
+  // Failing checks, another domain's pass and other servers' verdicts don't count
+  assert.equal(await check(['mx.bugemauniv.ac.ug; spf=fail smtp.mailfrom=students.bugemauniv.ac.ug']), false);
+  assert.equal(await check(['mx.bugemauniv.ac.ug; dkim=pass header.d=attacker.example']), false);
+  assert.equal(await check(['mail.attacker.example; dkim=pass header.d=students.bugemauniv.ac.ug']), false);
+  assert.equal(await check([]), false);
+
+  // A forged header below the one our MTA added is ignored
+  assert.equal(await check([
+    'mx.bugemauniv.ac.ug; dkim=none; spf=softfail smtp.mailfrom=students.bugemauniv.ac.ug',
+    'mx.bugemauniv.ac.ug; dkim=pass header.d=students.bugemauniv.ac.ug'
+  ]), false);
+});
+
+test('rejects unauthenticated mail', async () => {
+  mockUser('student');
+
+  const outcome = await service().processMessage(message());
+  assert.equal(outcome.status, 'rejected');
+  assert.match(outcome.reason, /SPF, DKIM or DMARC/);
+});
+
+test('never acts on unauthenticated staff mail, even when authentication is optional', async () => {
+  mockUser('technician');
+
+  const outcome = await service({ requireAuthentication: false }).processMessage(message());
+  assert.equal(outcome.status, 'rejected');
+});
+
+test('lets only participants reply by email', () => {
+  const requester = new mongoose.Types.ObjectId();
+  const assignee = new mongoose.Types.ObjectId();
+  const watcher = new mongoose.Types.ObjectId();
+  const ticket = new Ticket({ createdBy: requester, assignedTo: assignee, watchers: [{ user: watcher }] });
+  const mail = service();
+
+  assert.equal(mail.canReply(ticket, { _id: requester, role: 'student' }), true);
+  assert.equal(mail.canReply(ticket, { _id: assignee, role: 'technician' }), true);
+  assert.equal(mail.canReply(ticket, { _id: watcher, role: 'staff' }), true);
+  assert.equal(mail.canReply(ticket, { _id: new mongoose.Types.ObjectId(), role: 'technician' }), false);
+  assert.equal(mail.canReply(ticket, { _id: new mongoose.Types.ObjectId(), role: 'admin' }), false);
+});
+
+// Parsed message carrying a screenshot, as simpleParser returns it
+const withScreenshot = (text) => ({
+  subject: 'Printer on level 2 is jammed',
+  text,
+  attachments: [{ filename: 'jam.png', contentType: 'image/png', content: Buffer.from('png'), size: 3 }]
+});
+
+// Uploads go to the real per-user directory; each test gets its own user
+const uploadsOf = (t, userId) => {
+  const dir = getUserUploadDir(userId);
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  return () => fs.promises.readdir(dir);
+};
+
+test('removes saved attachments when the new ticket fails to save', async (t) => {
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'jane@students.bugemauniv.ac.ug', role: 'student' };
+  const files = uploadsOf(t, user._id);
+  test.mock.method(assignmentService, 'autoAssign', async () => ({ assigned: false }));
+  const save = test.mock.method(Ticket.prototype, 'save', async () => { throw new Error('database unavailable'); });
+
+  await assert.rejects(service().createTicket(user, withScreenshot('The printer is jammed.')), /database unavailable/);
+  assert.equal(save.mock.callCount(), 1);
+  assert.deepEqual(await files(), []);
+
+  // A successful save keeps them
+  save.mock.mockImplementation(async function() { return this; });
+  const { ticket } = await service().createTicket(user, withScreenshot('The printer is jammed.'));
+  assert.deepEqual(await files(), [path.basename(ticket.attachments[0].fileUrl)]);
+});
+
+test('removes saved attachments when the reply fails to save', async (t) => {
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'jane@students.bugemauniv.ac.ug', role: 'student' };
+  const files = uploadsOf(t, user._id);
+  const ticket = new Ticket({ createdBy: user._id, ticketId: 'TKT-20261019-0001' });
+  test.mock.method(ticket, 'addComment', async () => { throw new Error('validation failed'); });
+
+  await assert.rejects(service().threadReply(ticket, user, withScreenshot('Photo attached.')), /validation failed/);
+  assert.deepEqual(await files(), []);
+});
+
+test('removes the files already written when a later attachment fails', async (t) => {
+  const userId = new mongoose.Types.ObjectId();
+  const files = uploadsOf(t, userId);
+  const mail = withScreenshot('');
+  mail.attachments.push({ filename: 'broken.png', contentType: 'image/png', content: null, size: 3 });
+
+  await assert.rejects(service().saveAttachments(mail, userId));
+  assert.deepEqual(await files(), []);
+});
+
+test('moves a message to failed/ once it has failed maxAttempts runs', async (t) => {
+  const maildir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'maildir-'));
+  t.after(() => fs.promises.rm(maildir, { recursive: true, force: true }));
+  await fs.promises.mkdir(path.join(maildir, 'new'));
+  await fs.promises.writeFile(path.join(maildir, 'new', '1700000000.M1.host'), message());
+
+  const mail = service();
+  t.mock.method(mail, 'processMessage', async () => { throw new Error('database unavailable'); });
+
+  for (let run = 1; run <= 2; run++) {
+    const result = await mail.runOnce(maildir);
+    assert.equal(result.failed, 1);
+    assert.deepEqual(await fs.promises.readdir(path.join(maildir, 'new')), ['1700000000.M1.host']);
+    assert.deepEqual(await mail.readAttempts(maildir), { '1700000000.M1.host': run });
+  }
+
+  await mail.runOnce(maildir);
+  assert.deepEqual(await fs.promises.readdir(path.join(maildir, 'new')), []);
+  assert.deepEqual(await fs.promises.readdir(path.join(maildir, 'failed')), ['1700000000.M1.host']);
+  assert.equal(fs.existsSync(path.join(maildir, '.attempts.json')), false);
+});
+
+test('forgets earlier failures once a message goes through', async (t) => {
+  const maildir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'maildir-'));
+  t.after(() => fs.promises.rm(maildir, { recursive: true, force: true }));
+  await fs.promises.mkdir(path.join(maildir, 'new'));
+  await fs.promises.writeFile(path.join(maildir, 'new', '1700000000.M2.host'), message());
+
+  const mail = service();
+  const processMessage = t.mock.method(mail, 'processMessage', async () => { throw new Error('timeout'); });
+  await mail.runOnce(maildir);
+
+  processMessage.mock.mockImplementation(async () => ({ status: 'duplicate' }));
+  const result = await mail.runOnce(maildir);
+
+  assert.equal(result.duplicate, 1);
+  assert.deepEqual(await fs.promises.readdir(path.join(maildir, 'cur')), ['1700000000.M2.host:2,S']);
+  assert.deepEqual(await mail.readAttempts(maildir), {});
+});
@@ -5,8 +5,14 @@
  * @version 1.0.0
  */
 
+const mongoose = require('mongoose');
 const Notification = require('../models/Notification');
-const User = require('../models/User');
+const UserPreferences = require('../models/UserPreferences');
+
+// Repeats of the same ticket event for a user within this window are merged
+const DEDUPE_WINDOW_MS = (parseInt(process.env.NOTIFICATION_DEDUPE_SECONDS) || 120) * 1000;
+
+const FINISHED_STATUSES = ['resolved', 'closed', 'cancelled'];
 
 class NotificationService {
   constructor() {
@@ -15,35 +21,67 @@ class NotificationService {
   }
 
   /**
-   * Create a new notification
+   * Create a new notification (skipped when the user turned the event off in-app;
+   * pass preferencesChecked when the recipients were already filtered).
+   * With a dedupeKey, an unread notification with the same key from the last
+   * DEDUPE_WINDOW_MS is replaced and its count carried over.
    */
   async createNotification(notificationData) {
     try {
       console.log('📢 Creating notification:', notificationData);
       
+      if (!notificationData.preferencesChecked) {
+        const event = UserPreferences.eventForType(notificationData.type || 'info');
+        if (!(await UserPreferences.allows(notificationData.userId, event, 'inApp'))) {
+          return {
+            success: true,
+            skipped: true,
+            message: 'Notification disabled by user preferences'
+          };
+        }
+      }
+      
+      const metadata = { ...(notificationData.metadata || {}) };
+      let message = notificationData.message;
+
+      if (notificationData.dedupeKey) {
+        const previous = await Notification.findOneAndDelete({
+          userId: notificationData.userId,
+          read: false,
+          'metadata.dedupeKey': notificationData.dedupeKey,
+          createdAt: { $gte: new Date(Date.now() - DEDUPE_WINDOW_MS) }
+        });
+
+        metadata.dedupeKey = notificationData.dedupeKey;
+        metadata.count = (previous?.metadata?.count || (previous ? 1 : 0)) + 1;
+
+        if (metadata.count > 1) {
+          message = `${message} (${metadata.count} updates)`;
+        }
+      }
+      
       // Create notification in database
       const notification = new Notification({
         userId: notificationData.userId,
         title: notificationData.title,
-        message: notificationData.message,
+        message,
         type: notificationData.type || 'info',
         priority: notificationData.priority || 'medium',
         relatedTo: notificationData.relatedTo,
+        relatedModel: notificationData.relatedTo ? (notificationData.relatedModel || 'Ticket') : undefined,
         read: false,
-        metadata: notificationData.metadata || {}
+        metadata
       });
 
       await notification.save();
 
-      // Emit to user if online
-      if (this.onlineUsers.has(notificationData.userId.toString())) {
-        const socketData = this.onlineUsers.get(notificationData.userId.toString());
-        if (socketData && socketData.socketId && global.io) {
-          global.io.to(socketData.socketId).emit('notification:new', {
-            notification: notification.toObject(),
-            unreadCount: await this.getUnreadCount(notificationData.userId)
-          });
-        }
+      // Emit to user if online (every open tab is in the user's room)
+      if (this.onlineUsers.has(notificationData.userId.toString()) && global.io) {
+        global.io.to(this.getUserRoom(notificationData.userId)).emit('notification:new', {
+          notification: notification.toClientFormat(),
+          merged: metadata.count > 1,
+          unreadCount: await this.getUnreadCount(notificationData.userId)
+        });
       }
 
       return {
@@ -66,86 +104,288 @@ class NotificationService {
    */
   async createTicketNotifications(ticket, eventType, data = {}) {
     try {
-      console.log(`🎫 Creating ticket notifications for ${ticket.ticketNumber}, event: ${eventType}`);
+      console.log(`🎫 Creating ticket notifications for ${ticket.ticketId}, event: ${eventType}`);
       
       const notifications = [];
+      // Whichever User model the host app registered
+      const User = mongoose.model('User');
+      const ticketNumber = this.getTicketNumber(ticket);
       
       switch (eventType) {
         case 'ticket_created':
-          // Notify available technicians
+          // Notify available technicians who cover the category
           const technicians = await User.find({
-            role: 'Technician',
-            'supportAreas': ticket.category,
-            'availabilityStatus': 'available'
+            role: 'technician',
+            isActive: true,
+            'professionalInfo.supportAreas': ticket.category,
+            'professionalInfo.availabilityStatus': 'available'
           }).limit(5);
 
-          for (const tech of technicians) {
+          // Only technicians who want new-ticket alerts in-app
+          const recipients = await UserPreferences.filterRecipients(
+            technicians.map(tech => tech._id), 'ticket_created', 'inApp'
+          );
+
+          for (const techId of recipients) {
             const notification = await this.createNotification({
-              userId: tech._id,
+              userId: techId,
+              preferencesChecked: true,
               title: 'New Ticket Available',
               message: `New ${ticket.category} ticket: ${ticket.title}`,
               type: 'ticket',
               relatedTo: ticket._id,
-              priority: ticket.priority === 'Critical' ? 'high' : 'medium',
+              priority: ticket.priority === 'critical' ? 'high' : 'medium',
               metadata: {
-                ticketNumber: ticket.ticketNumber,
+                ticketNumber: ticket.ticketId,
                 category: ticket.category,
                 priority: ticket.priority
               }
             });
 
-            if (notification.success) {
-              notifications.push(notification.notification);
-            }
+            notifications.push(notification);
           }
           break;
 
         case 'ticket_assigned':
           // Notify assigned technician
           if (ticket.assignedTo) {
-            await this.createNotification({
+            notifications.push(await this.createNotification({
               userId: ticket.assignedTo,
               title: 'Ticket Assigned to You',
-              message: `Ticket ${ticket.ticketNumber} has been assigned to you`,
+              message: `Ticket ${ticketNumber} has been assigned to you`,
               type: 'assignment',
               relatedTo: ticket._id,
               priority: 'high',
+              dedupeKey: `assignment:${ticket._id}`,
               metadata: {
-                ticketNumber: ticket.ticketNumber,
+                ticketNumber,
                 assignedBy: data.assignedBy,
                 priority: ticket.priority
               }
-            });
+            }));
+          }
+          break;
+
+        case 'ticket_unassigned':
+          // Notify the technician the ticket was taken from
+          if (data.previousAssignee) {
+            notifications.push(await this.createNotification({
+              userId: data.previousAssignee,
+              title: 'Ticket Unassigned',
+              message: `Ticket ${ticketNumber} has been unassigned from you`,
+              type: 'assignment',
+              relatedTo: ticket._id,
+              dedupeKey: `assignment:${ticket._id}`,
+              metadata: {
+                ticketNumber,
+                unassignedBy: data.performedBy
+              }
+            }));
+          }
+          break;
+
+        case 'comment_added': {
+          // Internal notes stay with the assignee; public comments reach everyone involved
+          const comment = data.comment || {};
+          const author = comment.user || comment.author || data.performedBy;
+          const content = comment.message || '';
+          const excerpt = content.length > 100 ? `${content.substring(0, 100)}...` : content;
+          const recipients = data.isInternal
+            ? this.withoutActor([ticket.assignedTo], author)
+            : this.getTicketRecipients(ticket, author);
+
+          for (const userId of recipients) {
+            notifications.push(await this.createNotification({
+              userId,
+              title: data.isInternal ? 'Internal Note on Ticket' : 'New Comment on Ticket',
+              message: `${ticketNumber}: ${excerpt}`,
+              type: 'comment',
+              relatedTo: ticket._id,
+              priority: data.isInternal ? 'high' : 'medium',
+              dedupeKey: `comment:${ticket._id}`,
+              metadata: {
+                ticketNumber,
+                commentId: comment._id,
+                author: author?.toString(),
+                isInternal: !!data.isInternal
+              }
+            }));
+          }
+          break;
+        }
+
+        case 'status_changed': {
+          const previous = (data.previousStatus || '').toLowerCase();
+          const current = (ticket.status || '').toLowerCase();
+
+          // Leaving Resolved/Closed for an active status is a reopen
+          if (FINISHED_STATUSES.includes(previous) && !FINISHED_STATUSES.includes(current)) {
+            return this.createTicketNotifications(ticket, 'ticket_reopened', data);
+          }
+
+          const resolved = current === 'resolved';
+
+          for (const userId of this.getTicketRecipients(ticket, data.performedBy)) {
+            notifications.push(await this.createNotification({
+              userId,
+              title: resolved ? 'Ticket Resolved' : 'Ticket Status Updated',
+              message: `Ticket ${ticketNumber} is now ${ticket.status}`,
+              type: resolved ? 'ticket_resolved' : 'ticket_update',
+              relatedTo: ticket._id,
+              priority: resolved ? 'high' : 'medium',
+              dedupeKey: `status:${ticket._id}`,
+              metadata: {
+                ticketNumber,
+                previousStatus: data.previousStatus,
+                status: ticket.status,
+                changedBy: data.performedBy
+              }
+            }));
+          }
+          break;
+        }
+
+        case 'ticket_reopened':
+          for (const userId of this.getTicketRecipients(ticket, data.performedBy)) {
+            notifications.push(await this.createNotification({
+              userId,
+              title: 'Ticket Reopened',
+              message: `Ticket ${ticketNumber} has been reopened${data.reason ? `: ${data.reason.substring(0, 100)}` : ''}`,
+              type: 'ticket_update',
+              relatedTo: ticket._id,
+              priority: 'high',
+              dedupeKey: `status:${ticket._id}`,
+              metadata: {
+                ticketNumber,
+                previousStatus: data.previousStatus,
+                reopenedBy: data.performedBy
+              }
+            }));
+          }
+          break;
+
+        case 'ticket_escalated': {
+          // The assignee's supervisor, plus whoever the ticket was escalated to
+          const assignee = ticket.assignedTo
+            ? await User.findById(ticket.assignedTo).select('professionalInfo.supervisor').lean()
+            : null;
+          const recipients = this.withoutActor(
+            [assignee?.professionalInfo?.supervisor, ticket.escalatedTo],
+            data.performedBy
+          );
+
+          for (const userId of recipients) {
+            notifications.push(await this.createNotification({
+              userId,
+              title: 'Ticket Escalated',
+              message: `Ticket ${ticketNumber} was escalated${data.level ? ` to level ${data.level}` : ''}${data.reason ? `: ${data.reason.substring(0, 100)}` : ''}`,
+              type: 'sla_escalation',
+              relatedTo: ticket._id,
+              priority: data.level >= 3 ? 'critical' : 'high',
+              dedupeKey: `escalation:${ticket._id}`,
+              metadata: {
+                ticketNumber,
+                level: data.level,
+                escalatedBy: data.performedBy,
+                assignedTo: ticket.assignedTo?.toString()
+              }
+            }));
+          }
+          break;
+        }
+
+        case 'watcher_added':
+          // Tell people they were CC'd on a ticket
+          for (const userId of this.withoutActor(data.watchers || [], data.performedBy)) {
+            notifications.push(await this.createNotification({
+              userId,
+              title: 'Added as Watcher',
+              message: `You are now following ticket ${ticketNumber}: ${ticket.title}`,
+              type: 'ticket_update',
+              relatedTo: ticket._id,
+              priority: 'low',
+              metadata: {
+                ticketNumber,
+                addedBy: data.performedBy
+              }
+            }));
+          }
+          break;
+
+        case 'rating_received':
+          // Tell the technician how the requester rated the resolution
+          for (const userId of this.withoutActor([ticket.assignedTo, ticket.resolution?.resolvedBy], ticket.createdBy)) {
+            notifications.push(await this.createNotification({
+              userId,
+              title: 'Resolution Rated',
+              message: `Ticket ${ticketNumber} was rated ${data.rating}/5${data.comment ? `: ${data.comment.substring(0, 100)}` : ''}`,
+              type: 'ticket_resolved',
+              relatedTo: ticket._id,
+              priority: data.rating <= 2 ? 'high' : 'low',
+              metadata: {
+                ticketNumber,
+                rating: data.rating
+              }
+            }));
           }
           break;
 
         case 'ticket_resolved':
           // Notify ticket creator
           if (ticket.createdBy) {
-            await this.createNotification({
+            notifications.push(await this.createNotification({
               userId: ticket.createdBy,
               title: 'Ticket Resolved',
-              message: `Your ticket ${ticket.ticketNumber} has been resolved`,
+              message: `Your ticket ${ticketNumber} has been resolved`,
               type: 'ticket_resolved',
               relatedTo: ticket._id,
               priority: 'high',
+              dedupeKey: `status:${ticket._id}`,
               metadata: {
-                ticketNumber: ticket.ticketNumber,
+                ticketNumber,
                 resolvedBy: data.resolvedBy,
                 resolutionTime: data.resolutionTime
               }
-            });
+            }));
           }
           break;
       }
 
-      return notifications;
+      return notifications
+        .filter(result => result && result.success && !result.skipped)
+        .map(result => result.notification || result);
     } catch (error) {
       console.error('❌ Failed to create ticket notifications:', error);
       return [];
     }
   }
 
+  /**
+   * Requester, assignee, past commenters and watchers of a ticket, minus whoever acted
+   */
+  getTicketRecipients(ticket, actorId) {
+    const commenters = (ticket.comments || []).map(comment => comment.user || comment.author);
+    const watchers = (ticket.watchers || []).map(watcher => watcher.user || watcher);
+    return this.withoutActor([ticket.createdBy, ticket.assignedTo, ...commenters, ...watchers], actorId);
+  }
+
+  /**
+   * Unique string ids (ObjectIds or populated documents), excluding the actor
+   */
+  withoutActor(users, actorId) {
+    const actor = actorId ? (actorId._id || actorId).toString() : null;
+    const ids = users
+      .filter(Boolean)
+      .map(user => (user._id || user).toString())
+      .filter(id => id !== actor);
+
+    return [...new Set(ids)];
+  }
+
+  getTicketNumber(ticket) {
+    return ticket.ticketId || ticket._id.toString();
+  }
+
   /**
    * Get unread notification count
    */
@@ -193,13 +433,19 @@ class NotificationService {
     return user ? user.socketId : null;
   }
 
+  /**
+   * Socket.IO room joined by every connection of a user
+   */
+  getUserRoom(userId) {
+    return `user:${userId}`;
+  }
+
   /**
    * Emit to user
    */
   emitToUser(userId, event, data) {
-    const socketId = this.getUserSocketId(userId);
-    if (socketId && global.io) {
-      global.io.to(socketId).emit(event, data);
+    if (this.onlineUsers.has(userId.toString()) && global.io) {
+      global.io.to(this.getUserRoom(userId)).emit(event, data);
     }
   }
 
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const UserPreferences = require('../models/UserPreferences');
+const notificationService = require('./notificationService');
+
+test.beforeEach(() => {
+  test.mock.method(console, 'log', () => {});
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('offers new tickets to available technicians who cover the category', async () => {
+  const technician = new mongoose.Types.ObjectId();
+  const find = test.mock.method(User, 'find', () => ({ limit: async () => [{ _id: technician }] }));
+  test.mock.method(UserPreferences, 'filterRecipients', async (ids) => ids);
+  const create = test.mock.method(notificationService, 'createNotification', async (data) => data);
+
+  const ticket = { _id: new mongoose.Types.ObjectId(), ticketId: 'BU-2026-0001', title: 'No Wi-Fi in the library', category: 'network' };
+  await notificationService.createTicketNotifications(ticket, 'ticket_created');
+
+  // Support areas and availability live under professionalInfo on User
+  assert.deepEqual(find.mock.calls[0].arguments[0], {
+    role: 'technician',
+    isActive: true,
+    'professionalInfo.supportAreas': 'network',
+    'professionalInfo.availabilityStatus': 'available'
+  });
+  assert.deepEqual(create.mock.calls.map(call => call.arguments[0].userId), [technician]);
+});
@@ -0,0 +1,258 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Session Service - Refresh token rotation and session management
+ *
+ * Every login opens a Session. Refresh tokens carry the session id and are
+ * single-use: each refresh issues a new token and stores only its hash, so a
+ * copied token stops working after the next refresh - and using it then
+ * revokes the session for both the thief and the owner.
+ *
+ * @version 1.0.0
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+const Session = require('../models/Session');
+const auditService = require('./auditService');
+const socketService = require('./socketService');
+const { AppError } = require('../middleware/errorHandler');
+const authConfig = require('../config/auth.config');
+
+const JWT_SECRET = authConfig.jwtSecret;
+const JWT_REFRESH_EXPIRE = process.env.JWT_REFRESH_EXPIRE || '30d';
+
+// A tab refreshing a moment after another tab already did is not token theft
+const ROTATION_GRACE_SECONDS = parseInt(process.env.REFRESH_ROTATION_GRACE_SECONDS) || 10;
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+class SessionService {
+  /**
+   * Open a session for a user who just authenticated
+   * Returns { session, refreshToken }
+   */
+  async createSession(user, req, { rememberMe = false } = {}) {
+    const context = auditService.getRequestContext(req);
+    const expiresAt = new Date(Date.now() + this.getRefreshLifetimeMs());
+
+    const session = new Session({
+      userId: user._id,
+      tokenHash: 'pending',
+      device: this.describeDevice(context.userAgent),
+      userAgent: context.userAgent,
+      ipAddress: context.ipAddress,
+      lastIpAddress: context.ipAddress,
+      rememberMe,
+      expiresAt
+    });
+
+    const refreshToken = this.signRefreshToken(session);
+    session.tokenHash = this.hashToken(refreshToken);
+    await session.save();
+
+    return { session, refreshToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new one
+   * Returns { session, refreshToken }; throws AppError when the token may not be used
+   */
+  async rotate(refreshToken, req) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, JWT_SECRET);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AppError('Refresh token expired. Please login again.', 401, 'REFRESH_TOKEN_EXPIRED');
+      }
+      throw this.invalidToken();
+    }
+
+    if (decoded.type !== 'refresh' || !decoded.sid) {
+      throw this.invalidToken();
+    }
+
+    const session = await Session.findById(decoded.sid);
+
+    if (!session || session.userId.toString() !== decoded.userId.toString()) {
+      throw this.invalidToken();
+    }
+
+    if (!session.isActive()) {
+      throw new AppError('This session has been signed out. Please login again.', 401, 'SESSION_REVOKED');
+    }
+
+    const presentedHash = this.hashToken(refreshToken);
+
+    if (presentedHash !== session.tokenHash) {
+      if (this.isRotationRace(session, presentedHash)) {
+        throw new AppError('Token was already refreshed', 409, 'TOKEN_ALREADY_ROTATED');
+      }
+
+      await this.handleReuse(session, req);
+      throw new AppError('Refresh token reuse detected. Please login again.', 401, 'TOKEN_REUSE_DETECTED');
+    }
+
+    const context = auditService.getRequestContext(req);
+    const nextToken = this.signRefreshToken(session);
+    const now = new Date();
+
+    // Conditional on the presented token so two concurrent refreshes cannot both win
+    const updated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+      {
+        $set: {
+          tokenHash: this.hashToken(nextToken),
+          previousTokenHash: presentedHash,
+          rotatedAt: now,
+          lastUsedAt: now,
+          lastIpAddress: context.ipAddress || session.lastIpAddress
+        },
+        $inc: { generation: 1 }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new AppError('Token was already refreshed', 409, 'TOKEN_ALREADY_ROTATED');
+    }
+
+    return { session: updated, refreshToken: nextToken };
+  }
+
+  /**
+   * A replayed token: revoke the session so neither copy can be refreshed again
+   */
+  async handleReuse(session, req) {
+    await this.revokeSession(session, 'token_reuse');
+
+    console.warn(`🚨 Refresh token reuse on session ${session._id} (user ${session.userId})`);
+
+    await auditService.log({
+      userId: session.userId,
+      action: 'REFRESH_TOKEN_REUSE',
+      entityType: 'Session',
+      entityId: session._id,
+      severity: 'critical',
+      isSecurityEvent: true,
+      details: {
+        generation: session.generation,
+        device: session.device,
+        sessionIpAddress: session.lastIpAddress
+      }
+    }, req);
+  }
+
+  /**
+   * Revoke one session (a document or an id) and drop its live sockets
+   */
+  async revokeSession(session, reason) {
+    const sessionId = session._id || session;
+
+    const revoked = await Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+
+    if (revoked) {
+      socketService.disconnectSession(revoked._id.toString());
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Revoke every active session of a user, optionally keeping one (the caller's)
+   * Returns the number revoked
+   */
+  async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    const sessions = await Session.findActiveForUser(userId).select('_id');
+    const targets = sessions.filter(session =>
+      !exceptSessionId || session._id.toString() !== exceptSessionId.toString());
+
+    for (const session of targets) {
+      await this.revokeSession(session, reason);
+    }
+
+    return targets.length;
+  }
+
+  /**
+   * Session id carried by a refresh token, without verifying it (for logout)
+   */
+  getSessionId(refreshToken) {
+    const decoded = refreshToken ? jwt.decode(refreshToken) : null;
+    return decoded?.type === 'refresh' ? decoded.sid || null : null;
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  signRefreshToken(session) {
+    return jwt.sign(
+      {
+        userId: session.userId.toString(),
+        type: 'refresh',
+        sid: session._id.toString(),
+        jti: crypto.randomBytes(16).toString('hex'),
+        // Rotation never extends the session past its original expiry
+        exp: Math.floor(session.expiresAt.getTime() / 1000)
+      },
+      JWT_SECRET
+    );
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  isRotationRace(session, presentedHash) {
+    return presentedHash === session.previousTokenHash &&
+      session.rotatedAt &&
+      Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_SECONDS * 1000;
+  }
+
+  invalidToken() {
+    return new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+  }
+
+  getRefreshLifetimeMs() {
+    const now = Math.floor(Date.now() / 1000);
+    const { exp } = jwt.decode(jwt.sign({}, JWT_SECRET, { expiresIn: JWT_REFRESH_EXPIRE }));
+    return (exp - now) * 1000;
+  }
+
+  /**
+   * "Chrome on Windows" from a user agent string
+   */
+  describeDevice(userAgent = '') {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+    if (browser && platform) return `${browser} on ${platform}`;
+    return browser || platform || userAgent.split(/[\s/]/)[0] || 'Unknown device';
+  }
+}
+
+// Export singleton instance
+module.exports = new SessionService();
+module.exports.SessionService = SessionService;
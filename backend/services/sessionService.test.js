@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Session = require('../models/Session');
+const auditService = require('./auditService');
+const socketService = require('./socketService');
+const sessionService = require('./sessionService');
+
+const req = { ip: '10.0.0.5', headers: { 'user-agent': 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0 Safari/537.36' } };
+const user = { _id: new mongoose.Types.ObjectId() };
+
+// Sessions live in memory; findOneAndUpdate understands the filters the service uses
+let store;
+
+test.beforeEach(() => {
+  store = new Map();
+
+  test.mock.method(Session.prototype, 'save', async function() {
+    store.set(this._id.toString(), this);
+    return this;
+  });
+  test.mock.method(Session, 'findById', async (id) => store.get(id.toString()) || null);
+  test.mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = store.get(filter._id.toString());
+    if (!session) return null;
+    if ('revokedAt' in filter && session.revokedAt) return null;
+    if (filter.tokenHash && session.tokenHash !== filter.tokenHash) return null;
+
+    session.set(update.$set);
+    if (update.$inc) session.generation += update.$inc.generation;
+    return session;
+  });
+  test.mock.method(auditService, 'log', async () => null);
+  test.mock.method(socketService, 'disconnectSession', () => 0);
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('opens a session storing only the refresh token hash', async () => {
+  const { session, refreshToken } = await sessionService.createSession(user, req);
+
+  assert.equal(session.device, 'Chrome on Windows');
+  assert.equal(session.tokenHash, sessionService.hashToken(refreshToken));
+  assert.notEqual(session.tokenHash, refreshToken);
+  assert.equal(sessionService.getSessionId(refreshToken), session._id.toString());
+});
+
+test('rotates the refresh token on every use', async () => {
+  const { refreshToken } = await sessionService.createSession(user, req);
+
+  const first = await sessionService.rotate(refreshToken, req);
+  assert.notEqual(first.refreshToken, refreshToken);
+  assert.equal(first.session.generation, 1);
+  assert.equal(first.session.previousTokenHash, sessionService.hashToken(refreshToken));
+
+  const second = await sessionService.rotate(first.refreshToken, req);
+  assert.equal(second.session.generation, 2);
+});
+
+test('treats a quick second refresh with the old token as a race', async () => {
+  const { refreshToken } = await sessionService.createSession(user, req);
+  const { session } = await sessionService.rotate(refreshToken, req);
+
+  await assert.rejects(sessionService.rotate(refreshToken, req), { errorCode: 'TOKEN_ALREADY_ROTATED', statusCode: 409 });
+  assert.ok(!session.revokedAt);
+});
+
+test('revokes the session when an old token is replayed', async () => {
+  const { refreshToken } = await sessionService.createSession(user, req);
+  const { session, refreshToken: current } = await sessionService.rotate(refreshToken, req);
+
+  // Outside the grace window a replay means the token was copied
+  session.rotatedAt = new Date(Date.now() - 60 * 1000);
+
+  await assert.rejects(sessionService.rotate(refreshToken, req), { errorCode: 'TOKEN_REUSE_DETECTED', statusCode: 401 });
+  assert.equal(session.revokedReason, 'token_reuse');
+  assert.equal(auditService.log.mock.calls[0].arguments[0].action, 'REFRESH_TOKEN_REUSE');
+
+  // The legitimate holder is signed out too
+  await assert.rejects(sessionService.rotate(current, req), { errorCode: 'SESSION_REVOKED' });
+});
+
+test('rejects tokens that are not refresh tokens', async () => {
+  await assert.rejects(sessionService.rotate('not-a-jwt', req), { errorCode: 'INVALID_REFRESH_TOKEN' });
+});
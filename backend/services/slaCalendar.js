@@ -0,0 +1,219 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * SLA Calendar - Business hours and holiday aware time arithmetic
+ *
+ * @version 1.0.0
+ */
+
+const slaConfig = require('../config/sla.config');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Upper bound on days walked when adding business time (guards misconfigured calendars)
+const MAX_DAYS_SCAN = 3660;
+
+class SLACalendar {
+  constructor(config = slaConfig) {
+    this.config = config;
+    this.formatters = new Map();
+  }
+
+  /**
+   * Resolve the calendar for a campus, optionally overriding the timezone
+   * (unknown timezone names fall back to the campus timezone)
+   */
+  getCalendar(campus, timezone) {
+    const name = this.config.calendars[campus] ? campus : this.config.defaultCalendar;
+    const calendar = this.config.calendars[name];
+
+    return {
+      name,
+      timezone: (this.isValidTimezone(timezone) && timezone) || calendar.timezone || this.config.defaultTimezone,
+      workingHours: calendar.workingHours || {}
+    };
+  }
+
+  /**
+   * Check that a timezone is a name Intl understands, e.g. "Africa/Kampala"
+   */
+  isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+
+    try {
+      this.getOffset(new Date(), timezone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Add business minutes to a start date
+   */
+  addBusinessMinutes(start, minutes, campus, timezone) {
+    const startDate = new Date(start);
+    if (!minutes || minutes <= 0) return startDate;
+
+    const calendar = this.getCalendar(campus, timezone);
+    let remaining = minutes * MINUTE;
+    let cursor = this.toLocal(startDate, calendar.timezone);
+
+    for (let day = 0; day < MAX_DAYS_SCAN; day++) {
+      const dayStart = Math.floor(cursor / DAY) * DAY;
+
+      for (const [windowStart, windowEnd] of this.getWindows(dayStart, calendar)) {
+        if (windowEnd <= cursor) continue;
+
+        const from = Math.max(windowStart, cursor);
+        const available = windowEnd - from;
+
+        if (available >= remaining) {
+          return this.toUtc(from + remaining, calendar.timezone);
+        }
+
+        remaining -= available;
+        cursor = windowEnd;
+      }
+
+      cursor = dayStart + DAY;
+    }
+
+    // No working time configured at all - fall back to wall-clock time
+    return new Date(startDate.getTime() + minutes * MINUTE);
+  }
+
+  /**
+   * Business minutes between two dates (negative when end is before start)
+   */
+  businessMinutesBetween(start, end, campus, timezone) {
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+
+    if (endDate < startDate) {
+      return -this.businessMinutesBetween(endDate, startDate, campus, timezone);
+    }
+
+    const calendar = this.getCalendar(campus, timezone);
+    const startLocal = this.toLocal(startDate, calendar.timezone);
+    const endLocal = this.toLocal(endDate, calendar.timezone);
+    let total = 0;
+
+    for (let dayStart = Math.floor(startLocal / DAY) * DAY; dayStart < endLocal; dayStart += DAY) {
+      for (const [windowStart, windowEnd] of this.getWindows(dayStart, calendar)) {
+        const from = Math.max(windowStart, startLocal);
+        const to = Math.min(windowEnd, endLocal);
+        if (to > from) total += to - from;
+      }
+    }
+
+    return Math.round(total / MINUTE);
+  }
+
+  /**
+   * Check whether a moment falls inside working hours
+   */
+  isWorkingTime(date, campus, timezone) {
+    const calendar = this.getCalendar(campus, timezone);
+    const local = this.toLocal(new Date(date), calendar.timezone);
+    const dayStart = Math.floor(local / DAY) * DAY;
+
+    return this.getWindows(dayStart, calendar)
+      .some(([windowStart, windowEnd]) => local >= windowStart && local < windowEnd);
+  }
+
+  /**
+   * Check whether a local calendar day is a holiday or term break
+   */
+  isHoliday(dayStart, calendarName) {
+    const isoDate = new Date(dayStart).toISOString().slice(0, 10);
+    const monthDay = isoDate.slice(5);
+
+    if (this.config.recurringHolidays.some(holiday => holiday.date === monthDay)) {
+      return true;
+    }
+
+    return this.config.holidays.some(holiday => {
+      if (holiday.campus && holiday.campus !== calendarName) return false;
+      const from = holiday.from || holiday.date;
+      const to = holiday.to || from;
+      return from && isoDate >= from && isoDate <= to;
+    });
+  }
+
+  /**
+   * Working windows for a local day as [start, end] pairs in local milliseconds
+   */
+  getWindows(dayStart, calendar) {
+    if (this.isHoliday(dayStart, calendar.name)) return [];
+
+    const weekday = new Date(dayStart).getUTCDay();
+    const windows = calendar.workingHours[weekday] || [];
+
+    return windows.map(([from, to]) => [
+      dayStart + this.parseTime(from),
+      dayStart + this.parseTime(to)
+    ]);
+  }
+
+  /**
+   * Convert "HH:mm" to milliseconds after midnight
+   */
+  parseTime(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    return (hours * 60 + (minutes || 0)) * MINUTE;
+  }
+
+  /**
+   * Timezone offset in minutes for an instant
+   */
+  getOffset(date, timezone) {
+    if (!this.formatters.has(timezone)) {
+      this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      }));
+    }
+
+    const parts = {};
+    for (const part of this.formatters.get(timezone).formatToParts(date)) {
+      parts[part.type] = part.value;
+    }
+
+    const asUtc = Date.UTC(
+      Number(parts.year),
+      Number(parts.month) - 1,
+      Number(parts.day),
+      Number(parts.hour),
+      Number(parts.minute),
+      Number(parts.second)
+    );
+
+    return Math.round((asUtc - date.getTime()) / MINUTE);
+  }
+
+  /**
+   * Instant -> wall-clock milliseconds in the calendar timezone
+   */
+  toLocal(date, timezone) {
+    return date.getTime() + this.getOffset(date, timezone) * MINUTE;
+  }
+
+  /**
+   * Wall-clock milliseconds in the calendar timezone -> instant
+   */
+  toUtc(localMs, timezone) {
+    const guess = new Date(localMs - this.getOffset(new Date(localMs), timezone) * MINUTE);
+    return new Date(localMs - this.getOffset(guess, timezone) * MINUTE);
+  }
+}
+
+// Export singleton instance
+module.exports = new SLACalendar();
+module.exports.SLACalendar = SLACalendar;
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SLACalendar } = require('./slaCalendar');
+
+const WEEKDAYS = [['08:00', '13:00'], ['14:00', '17:00']];
+
+const calendar = new SLACalendar({
+  defaultTimezone: 'Africa/Kampala',
+  defaultCalendar: 'BU',
+  calendars: {
+    BU: {
+      timezone: 'Africa/Kampala',
+      workingHours: { 1: WEEKDAYS, 2: WEEKDAYS, 3: WEEKDAYS, 4: WEEKDAYS, 5: WEEKDAYS }
+    },
+    MA: {
+      timezone: 'Africa/Kampala',
+      workingHours: { 1: WEEKDAYS, 2: WEEKDAYS, 3: WEEKDAYS, 4: WEEKDAYS, 5: WEEKDAYS, 6: [['09:00', '13:00']] }
+    }
+  },
+  recurringHolidays: [{ date: '10-09', name: 'Independence Day' }],
+  holidays: [{ from: '2026-12-14', to: '2026-12-18', name: 'Term break', campus: 'MA' }]
+});
+
+// Kampala is UTC+3 all year, so 08:30 local is 05:30Z
+const at = (iso) => new Date(iso);
+
+test('adds minutes inside a working window', () => {
+  const due = calendar.addBusinessMinutes(at('2026-10-19T05:30:00Z'), 60, 'BU');
+  assert.equal(due.toISOString(), '2026-10-19T06:30:00.000Z');
+});
+
+test('skips the lunch break', () => {
+  // Monday 12:30 local: 30 minutes before lunch, the rest after 14:00
+  const due = calendar.addBusinessMinutes(at('2026-10-19T09:30:00Z'), 60, 'BU');
+  assert.equal(due.toISOString(), '2026-10-19T11:30:00.000Z');
+});
+
+test('starts counting at opening time when created out of hours', () => {
+  // Monday 06:00 local
+  const due = calendar.addBusinessMinutes(at('2026-10-19T03:00:00Z'), 30, 'BU');
+  assert.equal(due.toISOString(), '2026-10-19T05:30:00.000Z');
+});
+
+test('carries over the weekend', () => {
+  // Friday 16:30 local + 1h = Monday 08:30 local
+  const due = calendar.addBusinessMinutes(at('2026-10-23T13:30:00Z'), 60, 'BU');
+  assert.equal(due.toISOString(), '2026-10-26T05:30:00.000Z');
+});
+
+test('skips recurring holidays', () => {
+  // Thursday 8 Oct 16:00 local + 2h: 1h on Thursday, Friday 9 Oct is Independence Day
+  const due = calendar.addBusinessMinutes(at('2026-10-08T13:00:00Z'), 120, 'BU');
+  assert.equal(due.toISOString(), '2026-10-12T06:00:00.000Z');
+});
+
+test('applies campus-specific hours and term breaks', () => {
+  // Kampala Campus works Saturday mornings
+  const saturday = calendar.addBusinessMinutes(at('2026-10-23T13:30:00Z'), 60, 'MA');
+  assert.equal(saturday.toISOString(), '2026-10-24T06:30:00.000Z');
+
+  // ...but not during its own term break, which Main Campus does not observe
+  assert.equal(calendar.isWorkingTime(at('2026-12-15T07:00:00Z'), 'MA'), false);
+  assert.equal(calendar.isWorkingTime(at('2026-12-15T07:00:00Z'), 'BU'), true);
+});
+
+test('counts business minutes between two dates', () => {
+  // Friday 16:00 local -> Monday 09:00 local
+  assert.equal(calendar.businessMinutesBetween(at('2026-10-23T13:00:00Z'), at('2026-10-26T06:00:00Z')), 120);
+  assert.equal(calendar.businessMinutesBetween(at('2026-10-26T06:00:00Z'), at('2026-10-23T13:00:00Z')), -120);
+});
+
+test('businessMinutesBetween is the inverse of addBusinessMinutes', () => {
+  const start = at('2026-10-21T10:15:00Z');
+  const due = calendar.addBusinessMinutes(start, 1440, 'BU');
+  assert.equal(calendar.businessMinutesBetween(start, due, 'BU'), 1440);
+});
+
+test('reads working hours in the requested timezone', () => {
+  // 05:30Z is 06:30 in London (BST); the day starts at 08:00 London = 07:00Z
+  const due = calendar.addBusinessMinutes(at('2026-10-19T05:30:00Z'), 60, 'BU', 'Europe/London');
+  assert.equal(due.toISOString(), '2026-10-19T08:00:00.000Z');
+});
+
+test('falls back to the campus timezone for unknown timezones', () => {
+  assert.equal(calendar.getCalendar('BU', 'Not/A_Zone').timezone, 'Africa/Kampala');
+  assert.equal(calendar.getCalendar('BU', 'Europe/London').timezone, 'Europe/London');
+  assert.equal(calendar.getCalendar('Nowhere').name, 'BU');
+});
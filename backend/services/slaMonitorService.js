@@ -0,0 +1,315 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * SLA Monitor Service - Background breach detection and escalation
+ *
+ * Periodically scans open tickets, flips SLA breach flags, sends warning
+ * notifications and escalates tickets that stay breached too long.
+ *
+ * @version 1.0.0
+ */
+
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const slaService = require('./slaService');
+const notificationService = require('./notificationService');
+const slaConfig = require('../config/sla.config');
+const { ACTIVE_STATUSES } = require('../config/ticket.config');
+
+const MAX_ESCALATION_LEVEL = 3;
+
+class SLAMonitorService {
+  constructor(config = slaConfig.monitor) {
+    this.config = config;
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+    this.lastResult = null;
+  }
+
+  /**
+   * Start the periodic scan
+   */
+  start() {
+    if (this.timer || !this.config.enabled) return this;
+
+    const intervalMs = this.config.intervalMinutes * 60 * 1000;
+    this.timer = setInterval(() => this.runOnce(), intervalMs);
+
+    // Never keep the process alive just for the monitor
+    if (this.timer.unref) this.timer.unref();
+
+    console.log(`⏱️ SLA monitor started (every ${this.config.intervalMinutes} min)`);
+    return this;
+  }
+
+  /**
+   * Stop the periodic scan
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('⏹️ SLA monitor stopped');
+    }
+  }
+
+  /**
+   * Run a single scan (skipped if the previous one is still running)
+   */
+  async runOnce() {
+    if (this.running) {
+      return { skipped: true };
+    }
+
+    this.running = true;
+    const result = { breached: 0, warned: 0, escalated: 0, errors: 0 };
+
+    try {
+      await slaService.getActivePolicy();
+
+      const overdue = await Ticket.getOverdue();
+      for (const ticket of overdue) {
+        await this.processTicket(() => this.handleOverdue(ticket, result), ticket, result);
+      }
+
+      const approaching = await this.findApproaching();
+      for (const ticket of approaching) {
+        await this.processTicket(() => this.handleWarnings(ticket, result), ticket, result);
+      }
+    } catch (error) {
+      result.errors += 1;
+      console.error('❌ SLA monitor scan failed:', error.message);
+    } finally {
+      this.running = false;
+      this.lastRun = new Date();
+      this.lastResult = result;
+    }
+
+    return result;
+  }
+
+  /**
+   * Run a per-ticket handler, isolating failures
+   */
+  async processTicket(handler, ticket, result) {
+    try {
+      await handler();
+    } catch (error) {
+      result.errors += 1;
+      console.error(`❌ SLA monitor failed on ${ticket.ticketId}:`, error.message);
+    }
+  }
+
+  /**
+   * Open tickets whose deadlines fall inside the warning horizon
+   */
+  findApproaching() {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + this.config.warningHorizonHours * 60 * 60 * 1000);
+
+    return Ticket.find({
+      status: { $in: ACTIVE_STATUSES },
+      isDeleted: { $ne: true },
+      'sla.isPaused': { $ne: true },
+      $or: [
+        { 'sla.responseTime.deadline': { $gt: now, $lte: horizon }, 'sla.responseTime.actual': null },
+        { 'sla.resolutionTime.deadline': { $gt: now, $lte: horizon }, resolvedAt: null }
+      ]
+    });
+  }
+
+  /**
+   * Flip breach flags and escalate long-running breaches
+   */
+  async handleOverdue(ticket, result) {
+    if (!this.isMonitored(ticket)) return;
+
+    const before = {
+      response: ticket.sla.responseTime.breached,
+      resolution: ticket.sla.resolutionTime.breached
+    };
+
+    slaService.updateBreachFlags(ticket);
+
+    const newlyBreached = ['response', 'resolution']
+      .filter(clock => !before[clock] && ticket.sla[`${clock}Time`].breached);
+
+    for (const clock of newlyBreached) {
+      this.recordAlert(ticket, clock, 'breached');
+      await this.notify(ticket, {
+        title: `SLA Breached: ${ticket.ticketId}`,
+        message: `${this.capitalize(clock)} SLA for "${ticket.title}" has been breached`,
+        type: 'sla_alert',
+        priority: 'critical',
+        metadata: { ticketNumber: ticket.ticketId, clock, level: 'breached' }
+      });
+      await this.audit(ticket, 'SLA_BREACHED', 'error', { clock });
+      result.breached += 1;
+    }
+
+    if (newlyBreached.length > 0) {
+      await ticket.save();
+    }
+
+    await this.escalateIfDue(ticket, result);
+  }
+
+  /**
+   * Escalate once per `escalateAfterMinutes` of breach, up to the maximum level
+   */
+  async escalateIfDue(ticket, result) {
+    if (!this.isMonitored(ticket)) return;
+
+    const level = ticket.escalation?.level || 0;
+    if (level >= MAX_ESCALATION_LEVEL) return;
+
+    const { breaches } = slaService.checkSLABreach(ticket);
+    if (breaches.length === 0) return;
+
+    const delay = Math.max(...breaches.map(breach => breach.delay));
+    if (delay < this.config.escalateAfterMinutes * (level + 1)) return;
+
+    const reason = `Automatic escalation: SLA breached for ${slaService.formatTime(delay)}`;
+    await ticket.escalate(null, reason);
+
+    await this.notify(ticket, {
+      title: `Ticket Escalated: ${ticket.ticketId}`,
+      message: `${ticket.ticketId} escalated to level ${ticket.escalation.level} (${ticket.priority})`,
+      type: 'sla_escalation',
+      priority: 'critical',
+      metadata: {
+        ticketNumber: ticket.ticketId,
+        level: ticket.escalation.level,
+        delay
+      }
+    }, { includeAdmins: true });
+
+    await this.audit(ticket, 'SLA_AUTO_ESCALATED', 'warning', {
+      level: ticket.escalation.level,
+      priority: ticket.priority,
+      delay,
+      reason
+    });
+
+    result.escalated += 1;
+  }
+
+  /**
+   * Send warning/critical notifications at calculateTimeRemaining() thresholds
+   */
+  async handleWarnings(ticket, result) {
+    if (!this.isMonitored(ticket)) return;
+
+    const { warnings } = slaService.calculateTimeRemaining(ticket);
+    let changed = false;
+
+    for (const warning of warnings) {
+      if (this.hasAlert(ticket, warning.clock, warning.type)) continue;
+      if (ticket.sla[`${warning.clock}Time`]?.breached) continue;
+
+      this.recordAlert(ticket, warning.clock, warning.type);
+      changed = true;
+
+      await this.notify(ticket, {
+        title: `SLA ${this.capitalize(warning.type)}: ${ticket.ticketId}`,
+        message: warning.message,
+        type: 'sla_alert',
+        priority: warning.type === 'critical' ? 'high' : 'medium',
+        metadata: { ticketNumber: ticket.ticketId, clock: warning.clock, level: warning.type }
+      });
+      await this.audit(ticket, 'SLA_WARNING', 'warning', {
+        clock: warning.clock,
+        level: warning.type,
+        message: warning.message
+      });
+
+      result.warned += 1;
+    }
+
+    if (changed) {
+      await ticket.save();
+    }
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Tickets waiting on the requester (clock paused) or no longer active raise no alerts,
+   * even if a scan query lets them through
+   */
+  isMonitored(ticket) {
+    return ACTIVE_STATUSES.includes(ticket.status) && !ticket.sla?.isPaused;
+  }
+
+  hasAlert(ticket, clock, level) {
+    return (ticket.sla.alerts || []).some(alert => alert.clock === clock && alert.level === level);
+  }
+
+  recordAlert(ticket, clock, level) {
+    ticket.sla.alerts.push({ clock, level, sentAt: new Date() });
+  }
+
+  /**
+   * Notify the assignee, or all admins when the ticket is unassigned
+   */
+  async notify(ticket, notification, options = {}) {
+    const recipients = new Set();
+    const assignee = ticket.assignedTo?._id || ticket.assignedTo;
+
+    if (assignee) {
+      recipients.add(assignee.toString());
+    }
+
+    if (!assignee || options.includeAdmins) {
+      const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+      admins.forEach(admin => recipients.add(admin._id.toString()));
+    }
+
+    await Promise.allSettled([...recipients].map(userId =>
+      notificationService.createNotification({
+        ...notification,
+        userId,
+        relatedTo: ticket._id
+      })
+    ));
+  }
+
+  audit(ticket, action, severity, details = {}) {
+    return AuditLog.append({
+      action,
+      entityType: 'Ticket',
+      entityId: ticket._id.toString(),
+      severity,
+      isSystemEvent: true,
+      details: {
+        ticketNumber: ticket.ticketId,
+        priority: ticket.priority,
+        ...details
+      }
+    }).catch(error => {
+      console.error('❌ Failed to write SLA audit log:', error.message);
+    });
+  }
+
+  capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+  }
+
+  /**
+   * Get service health
+   */
+  getHealthStatus() {
+    return {
+      status: this.timer ? 'running' : 'stopped',
+      intervalMinutes: this.config.intervalMinutes,
+      lastRun: this.lastRun,
+      lastResult: this.lastResult
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SLAMonitorService();
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { ACTIVE_STATUSES } = require('../config/ticket.config');
+const slaService = require('./slaService');
+const notificationService = require('./notificationService');
+const slaMonitor = require('./slaMonitorService');
+
+// Capture the filters the monitor queries with; chained calls return the chain
+const captureFind = () => {
+  const filters = [];
+  test.mock.method(Ticket, 'find', (filter) => {
+    filters.push(filter);
+    const chain = Promise.resolve([]);
+    chain.populate = () => chain;
+    chain.sort = () => chain;
+    return chain;
+  });
+  return filters;
+};
+
+test.beforeEach(() => {
+  test.mock.method(slaService, 'getActivePolicy', async () => null);
+});
+
+test.afterEach(() => {
+  slaMonitor.stop();
+  test.mock.restoreAll();
+});
+
+test('scans overdue and approaching tickets with the same statuses', async () => {
+  const filters = captureFind();
+
+  const result = await slaMonitor.runOnce();
+
+  assert.equal(result.errors, 0);
+  assert.equal(filters.length, 2);
+  for (const filter of filters) {
+    assert.deepEqual(filter.status, { $in: ACTIVE_STATUSES });
+  }
+});
+
+// Long overdue on both clocks (and due soon, for the warning scan)
+const overdueTicket = (fields = {}) => {
+  const days = count => new Date(Date.now() + count * 24 * 60 * 60 * 1000);
+  const ticket = new Ticket({
+    ticketId: 'BU-2026-0042',
+    title: 'Lab printer offline',
+    priority: 'high',
+    campus: 'BU',
+    createdAt: days(-14),
+    assignedTo: new mongoose.Types.ObjectId(),
+    ...fields
+  });
+  ticket.sla.calendar = 'BU';
+  ticket.sla.responseTime.deadline = days(-13);
+  ticket.sla.resolutionTime.deadline = days(-12);
+  return ticket;
+};
+
+// Feed tickets straight to each scan, as if its query had let them through
+const scan = async (ticket) => {
+  test.mock.method(Ticket, 'getOverdue', async () => [ticket]);
+  test.mock.method(Ticket, 'find', async () => [ticket]);
+  test.mock.method(Ticket.prototype, 'save', async function() { return this; });
+  const escalate = test.mock.method(Ticket.prototype, 'escalate', async function() {
+    this.escalation.level += 1;
+    return this;
+  });
+  const notify = test.mock.method(notificationService, 'createNotification', async () => ({ success: true }));
+  const audit = test.mock.method(AuditLog, 'append', async () => ({}));
+  test.mock.method(User, 'find', () => ({ select: async () => [] }));
+  test.mock.method(console, 'error', () => {});
+
+  return { result: await slaMonitor.runOnce(), escalate, notify, audit };
+};
+
+test('raises no alert or escalation for tickets waiting on the requester', async () => {
+  const ticket = overdueTicket({ status: 'pending' });
+  ticket.sla.isPaused = true;
+  ticket.sla.pausedAt = new Date(Date.now() - 13.5 * 24 * 60 * 60 * 1000);
+
+  const { result, escalate, notify, audit } = await scan(ticket);
+
+  // The escalation path on its own too
+  await slaMonitor.escalateIfDue(ticket, result);
+
+  assert.deepEqual(result, { breached: 0, warned: 0, escalated: 0, errors: 0 });
+  assert.equal(escalate.mock.callCount(), 0);
+  assert.equal(notify.mock.callCount(), 0);
+  assert.equal(audit.mock.callCount(), 0);
+  assert.equal(ticket.sla.responseTime.breached, false);
+  assert.deepEqual(ticket.sla.alerts, []);
+});
+
+test('alerts on and escalates the same ticket while it is being worked', async () => {
+  const ticket = overdueTicket({ status: 'in-progress' });
+
+  const { result, escalate, notify } = await scan(ticket);
+
+  assert.equal(result.breached, 2);
+  assert.equal(result.escalated, 1);
+  assert.equal(escalate.mock.callCount(), 1);
+  assert.ok(notify.mock.callCount() > 0);
+});
+
+test('starts once and stops cleanly', () => {
+  slaMonitor.start();
+  const { timer } = slaMonitor;
+
+  assert.ok(timer);
+  assert.equal(slaMonitor.start().timer, timer);
+  assert.equal(slaMonitor.getHealthStatus().status, 'running');
+
+  slaMonitor.stop();
+  assert.equal(slaMonitor.getHealthStatus().status, 'stopped');
+});
+
+test('stays off when disabled', () => {
+  const { config } = slaMonitor;
+  slaMonitor.config = { ...config, enabled: false };
+
+  try {
+    slaMonitor.start();
+    assert.equal(slaMonitor.timer, null);
+  } finally {
+    slaMonitor.config = config;
+  }
+});
@@ -2,78 +2,220 @@
  * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
  * SLA Service - Production Ready
  * 
- * @version 1.0.0
+ * @version 1.2.0 - Targets read from the active SLA policy
  */
 
+const slaCalendar = require('./slaCalendar');
+const SLAPolicy = require('../models/SLAPolicy');
+const { FINISHED_STATUSES } = require('../config/ticket.config');
+
+// How long the active policy is cached before re-reading the database
+const POLICY_CACHE_TTL = 60 * 1000;
+
 class SLAService {
   constructor() {
-    // Define SLA targets in minutes
+    // Built-in SLA targets in business minutes, used until a policy is configured
     this.slaTargets = {
-      response: {
-        Critical: 30,    // 30 minutes
-        High: 60,        // 1 hour
-        Medium: 240,     // 4 hours
-        Low: 480         // 8 hours
-      },
-      resolution: {
-        Critical: 240,   // 4 hours
-        High: 480,       // 8 hours
-        Medium: 1440,    // 24 hours
-        Low: 2880        // 48 hours
-      }
+      response: {},
+      resolution: {}
     };
 
+    Object.entries(SLAPolicy.DEFAULT_TARGETS).forEach(([priority, targets]) => {
+      this.slaTargets.response[priority] = targets.responseTime;
+      this.slaTargets.resolution[priority] = targets.resolutionTime;
+    });
+
+    this.policyCache = { policy: null, loadedAt: 0 };
+    this.calendar = slaCalendar;
+
     console.log('✅ SLA Service initialized');
   }
 
   /**
-   * Calculate SLA deadlines
+   * Get the active SLA policy (cached)
+   */
+  async getActivePolicy() {
+    const now = Date.now();
+
+    if (now - this.policyCache.loadedAt < POLICY_CACHE_TTL) {
+      return this.policyCache.policy;
+    }
+
+    try {
+      const policy = await SLAPolicy.getActive();
+      this.policyCache = { policy, loadedAt: now };
+    } catch (error) {
+      console.error('❌ Failed to load SLA policy:', error.message);
+    }
+
+    return this.policyCache.policy;
+  }
+
+  /**
+   * Drop the cached policy (call after policies change)
+   */
+  invalidatePolicyCache() {
+    this.policyCache = { policy: null, loadedAt: 0 };
+  }
+
+  /**
+   * Get targets for a priority from the active policy, honoring category/department overrides
+   */
+  async getTargets(priority, context = {}) {
+    await this.getActivePolicy();
+    return this.getCachedTargets(priority, context);
+  }
+
+  /**
+   * Get targets without touching the database (uses the last loaded policy)
    */
-  calculateDeadlines(priority, createdAt = new Date()) {
-    const responseTime = this.slaTargets.response[priority] || this.slaTargets.response.Medium;
-    const resolutionTime = this.slaTargets.resolution[priority] || this.slaTargets.resolution.Medium;
+  getCachedTargets(priority, context = {}) {
+    const { policy } = this.policyCache;
+
+    if (policy) {
+      return policy.getTargets(priority, context);
+    }
+
+    return {
+      responseTime: this.slaTargets.response[priority] || this.slaTargets.response.medium,
+      resolutionTime: this.slaTargets.resolution[priority] || this.slaTargets.resolution.medium,
+      policyId: null,
+      policyName: 'Default'
+    };
+  }
+
+  /**
+   * Calculate SLA deadlines (targets are business minutes on the campus calendar).
+   * context.timezone is the requester's timezone (User.preferences.timezone) and
+   * overrides the campus default.
+   */
+  async calculateDeadlines(priority, createdAt = new Date(), campus, context = {}) {
+    const { responseTime, resolutionTime, policyId } = await this.getTargets(priority, context);
 
     const createdDate = new Date(createdAt);
+    const calendar = this.calendar.getCalendar(campus, context.timezone);
 
     return {
-      responseDeadline: new Date(createdDate.getTime() + (responseTime * 60 * 1000)),
-      resolutionDeadline: new Date(createdDate.getTime() + (resolutionTime * 60 * 1000)),
+      responseDeadline: this.addBusinessMinutes(createdDate, responseTime, calendar.name, calendar.timezone),
+      resolutionDeadline: this.addBusinessMinutes(createdDate, resolutionTime, calendar.name, calendar.timezone),
       responseTime,
-      resolutionTime
+      resolutionTime,
+      policyId,
+      calendar: calendar.name,
+      timezone: calendar.timezone
     };
   }
 
+  /**
+   * Add business minutes using the campus calendar
+   */
+  addBusinessMinutes(start, minutes, campus, timezone) {
+    return this.calendar.addBusinessMinutes(start, minutes, campus, timezone);
+  }
+
+  /**
+   * Business minutes elapsed between two dates on the campus calendar
+   */
+  calculateBusinessMinutes(start, end = new Date(), campus, timezone) {
+    return this.calendar.businessMinutesBetween(start, end, campus, timezone);
+  }
+
+  /**
+   * Business minutes a ticket's resolution clock has run (excludes Pending pauses)
+   */
+  calculateResolutionMinutes(ticket, end = new Date()) {
+    const campus = this.getTicketCampus(ticket);
+    const timezone = this.getTicketTimezone(ticket);
+    let paused = ticket.sla?.totalPausedMinutes || 0;
+
+    // Include a pause that is still open at `end`
+    if (ticket.sla?.isPaused && ticket.sla.pausedAt && new Date(ticket.sla.pausedAt) < new Date(end)) {
+      paused += this.calculateBusinessMinutes(ticket.sla.pausedAt, end, campus, timezone);
+    }
+
+    return Math.max(0, this.calculateBusinessMinutes(ticket.createdAt, end, campus, timezone) - paused);
+  }
+
+  /**
+   * Business minutes until the first response (same pause-adjusted clock as resolution)
+   */
+  calculateResponseMinutes(ticket, respondedAt) {
+    return this.calculateResolutionMinutes(ticket, respondedAt);
+  }
+
+  /**
+   * When support staff first responded (null if not yet)
+   */
+  getFirstResponseAt(ticket) {
+    return ticket.firstResponseAt ? new Date(ticket.firstResponseAt) : null;
+  }
+
+  /**
+   * Moment the resolution clock currently reads (frozen while paused)
+   */
+  getResolutionClock(ticket, now = new Date()) {
+    return ticket.sla?.isPaused && ticket.sla.pausedAt ? new Date(ticket.sla.pausedAt) : now;
+  }
+
+  /**
+   * Get the campus a ticket's SLA clock runs on
+   */
+  getTicketCampus(ticket) {
+    return ticket.sla?.calendar || ticket.campus;
+  }
+
+  /**
+   * Get the timezone a ticket's SLA clock runs in (fixed when the ticket is created)
+   */
+  getTicketTimezone(ticket) {
+    return ticket.sla?.timezone;
+  }
+
+  /**
+   * Get a ticket's SLA deadline ('response' or 'resolution')
+   */
+  getDeadline(ticket, type) {
+    if (!ticket.sla) return null;
+
+    const deadline = ticket.sla[`${type}Time`]?.deadline || ticket.sla[`${type}Deadline`];
+    return deadline ? new Date(deadline) : null;
+  }
+
   /**
    * Check if SLA is breached
    */
   checkSLABreach(ticket) {
     const now = new Date();
     const breaches = [];
+    const campus = this.getTicketCampus(ticket);
+    const timezone = this.getTicketTimezone(ticket);
 
     // Check response deadline
-    if (ticket.sla && ticket.sla.responseDeadline) {
-      const responseDeadline = new Date(ticket.sla.responseDeadline);
-      if (now > responseDeadline && (!ticket.firstResponseTime || new Date(ticket.firstResponseTime) > responseDeadline)) {
+    const responseDeadline = this.getDeadline(ticket, 'response');
+    const responseClock = this.getFirstResponseAt(ticket) || now;
+    if (responseDeadline) {
+      if (responseClock > responseDeadline) {
         breaches.push({
           type: 'response',
           deadline: responseDeadline,
-          breachedAt: now,
-          targetTime: this.slaTargets.response[ticket.priority] || this.slaTargets.response.Medium,
-          delay: Math.round((now - responseDeadline) / (1000 * 60))
+          breachedAt: responseClock,
+          targetTime: ticket.sla.responseTime?.target || this.getCachedTargets(ticket.priority).responseTime,
+          delay: this.calculateBusinessMinutes(responseDeadline, responseClock, campus, timezone)
         });
       }
     }
 
-    // Check resolution deadline
-    if (ticket.sla && ticket.sla.resolutionDeadline) {
-      const resolutionDeadline = new Date(ticket.sla.resolutionDeadline);
-      if (now > resolutionDeadline && ticket.status !== 'Resolved' && ticket.status !== 'Closed') {
+    // Check resolution deadline (clock is frozen while the ticket is Pending)
+    const resolutionDeadline = this.getDeadline(ticket, 'resolution');
+    const resolutionClock = this.getResolutionClock(ticket, now);
+    if (resolutionDeadline) {
+      if (resolutionClock > resolutionDeadline && !FINISHED_STATUSES.includes(ticket.status)) {
         breaches.push({
           type: 'resolution',
           deadline: resolutionDeadline,
-          breachedAt: now,
-          targetTime: this.slaTargets.resolution[ticket.priority] || this.slaTargets.resolution.Medium,
-          delay: Math.round((now - resolutionDeadline) / (1000 * 60))
+          breachedAt: resolutionClock,
+          targetTime: ticket.sla.resolutionTime?.target || this.getCachedTargets(ticket.priority).resolutionTime,
+          delay: this.calculateBusinessMinutes(resolutionDeadline, resolutionClock, campus, timezone)
         });
       }
     }
@@ -85,17 +227,48 @@ class SLAService {
   }
 
   /**
-   * Calculate time remaining
+   * Set breach flags on a ticket from its deadlines and business-minute actuals
+   */
+  updateBreachFlags(ticket, at = new Date()) {
+    if (!ticket.sla) return ticket;
+
+    const { responseTime, resolutionTime } = ticket.sla;
+
+    if (responseTime) {
+      if (responseTime.actual != null && responseTime.target) {
+        responseTime.breached = responseTime.actual > responseTime.target;
+      } else if (responseTime.deadline && at > responseTime.deadline) {
+        responseTime.breached = true;
+      }
+    }
+
+    if (resolutionTime) {
+      const { resolvedAt } = ticket;
+      if (resolvedAt && resolutionTime.target) {
+        resolutionTime.actual = this.calculateResolutionMinutes(ticket, resolvedAt);
+        resolutionTime.breached = resolutionTime.actual > resolutionTime.target;
+      } else if (resolutionTime.deadline && this.getResolutionClock(ticket, at) > resolutionTime.deadline) {
+        resolutionTime.breached = true;
+      }
+    }
+
+    return ticket;
+  }
+
+  /**
+   * Calculate time remaining (in business minutes)
    */
   calculateTimeRemaining(ticket) {
     const now = new Date();
     const remaining = {};
     const warnings = [];
+    const campus = this.getTicketCampus(ticket);
+    const timezone = this.getTicketTimezone(ticket);
 
     // Check response time
-    if (ticket.sla && ticket.sla.responseDeadline && !ticket.firstResponseTime) {
-      const responseDeadline = new Date(ticket.sla.responseDeadline);
-      const minutesRemaining = Math.round((responseDeadline - now) / (1000 * 60));
+    const responseDeadline = this.getDeadline(ticket, 'response');
+    if (responseDeadline && !this.getFirstResponseAt(ticket)) {
+      const minutesRemaining = this.calculateBusinessMinutes(now, responseDeadline, campus, timezone);
       
       remaining.response = {
         minutes: minutesRemaining,
@@ -105,34 +278,43 @@ class SLAService {
       if (minutesRemaining < 60) {
         warnings.push({
           type: 'critical',
+          clock: 'response',
           message: `Response SLA critical: ${minutesRemaining} minutes remaining`
         });
       } else if (minutesRemaining < 120) {
         warnings.push({
           type: 'warning',
+          clock: 'response',
           message: `Response SLA warning: ${minutesRemaining} minutes remaining`
         });
       }
     }
 
     // Check resolution time
-    if (ticket.sla && ticket.sla.resolutionDeadline && ticket.status !== 'Resolved' && ticket.status !== 'Closed') {
-      const resolutionDeadline = new Date(ticket.sla.resolutionDeadline);
-      const minutesRemaining = Math.round((resolutionDeadline - now) / (1000 * 60));
+    const resolutionDeadline = this.getDeadline(ticket, 'resolution');
+    if (resolutionDeadline && !FINISHED_STATUSES.includes(ticket.status)) {
+      const paused = Boolean(ticket.sla?.isPaused);
+      const minutesRemaining = this.calculateBusinessMinutes(
+        this.getResolutionClock(ticket, now), resolutionDeadline, campus, timezone
+      );
       
       remaining.resolution = {
         minutes: minutesRemaining,
-        deadline: resolutionDeadline
+        deadline: resolutionDeadline,
+        paused
       };
 
-      if (minutesRemaining < 120) {
+      // No warnings while the clock is stopped
+      if (!paused && minutesRemaining < 120) {
         warnings.push({
           type: 'critical',
+          clock: 'resolution',
           message: `Resolution SLA critical: ${minutesRemaining} minutes remaining`
         });
-      } else if (minutesRemaining < 240) {
+      } else if (!paused && minutesRemaining < 240) {
         warnings.push({
           type: 'warning',
+          clock: 'resolution',
           message: `Resolution SLA warning: ${minutesRemaining} minutes remaining`
         });
       }
@@ -148,9 +330,8 @@ class SLAService {
   /**
    * Get SLA requirements
    */
-  getSLARequirements(priority) {
-    const responseTime = this.slaTargets.response[priority];
-    const resolutionTime = this.slaTargets.resolution[priority];
+  getSLARequirements(priority, context = {}) {
+    const { responseTime, resolutionTime } = this.getCachedTargets(priority, context);
 
     return `Response: ${this.formatTime(responseTime)} | Resolution: ${this.formatTime(resolutionTime)}`;
   }
@@ -178,4 +359,4 @@ class SLAService {
 }
 
 // Export singleton instance
-module.exports = new SLAService();
\ No newline at end of file
+module.exports = new SLAService();
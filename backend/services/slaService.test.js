@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const slaService = require('./slaService');
+
+// Use the built-in targets without reading a policy from the database
+test.beforeEach(() => {
+  slaService.policyCache = { policy: null, loadedAt: Date.now() };
+});
+
+test('calculates deadlines in the requester timezone', async () => {
+  // Monday 05:30Z: 08:30 in Kampala, 06:30 in London
+  const createdAt = new Date('2026-10-19T05:30:00Z');
+
+  const kampala = await slaService.calculateDeadlines('high', createdAt, 'BU');
+  assert.equal(kampala.timezone, 'Africa/Kampala');
+  assert.equal(kampala.responseDeadline.toISOString(), '2026-10-19T06:30:00.000Z');
+
+  const london = await slaService.calculateDeadlines('high', createdAt, 'BU', {
+    timezone: 'Europe/London'
+  });
+  assert.equal(london.timezone, 'Europe/London');
+  assert.equal(london.responseDeadline.toISOString(), '2026-10-19T08:00:00.000Z');
+});
+
+test('measures ticket clocks in the ticket timezone', () => {
+  const ticket = {
+    createdAt: new Date('2026-10-19T05:30:00Z'),
+    sla: { calendar: 'BU', timezone: 'Europe/London' }
+  };
+
+  // London opens at 07:00Z, so two hours have elapsed by 09:00Z
+  assert.equal(slaService.calculateResolutionMinutes(ticket, new Date('2026-10-19T09:00:00Z')), 120);
+
+  delete ticket.sla.timezone;
+  assert.equal(slaService.calculateResolutionMinutes(ticket, new Date('2026-10-19T09:00:00Z')), 210);
+});
+
+test('excludes paused business time from the resolution clock', () => {
+  const ticket = {
+    createdAt: new Date('2026-10-19T05:00:00Z'),
+    sla: {
+      calendar: 'BU',
+      timezone: 'Africa/Kampala',
+      totalPausedMinutes: 30,
+      isPaused: true,
+      pausedAt: new Date('2026-10-19T07:00:00Z')
+    }
+  };
+
+  // 08:00-10:00 local elapsed, paused since 10:00, 30 earlier paused minutes
+  assert.equal(slaService.calculateResolutionMinutes(ticket, new Date('2026-10-19T08:00:00Z')), 90);
+});
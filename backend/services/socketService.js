@@ -0,0 +1,295 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Socket Service - Real-time ticket and notification events
+ *
+ * Authenticates Socket.IO connections with the same JWT as the REST API,
+ * keeps NotificationService's online users in sync and pushes ticket
+ * status, assignment and comment events to the ticket's participants.
+ *
+ * @version 1.0.0
+ */
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+
+const Session = require('../models/Session');
+const TokenUtils = require('../utils/token.utils');
+const notificationService = require('./notificationService');
+
+const STAFF_ROLES = ['admin', 'technician'];
+
+const TICKET_EVENTS = {
+  STATUS: 'ticket:status',
+  ASSIGNED: 'ticket:assigned',
+  COMMENT: 'ticket:comment'
+};
+
+class SocketService {
+  constructor() {
+    this.io = null;
+    this.jwtSecret = null;
+    this.connections = new Map();
+  }
+
+  /**
+   * Attach Socket.IO to the HTTP server (options: jwtSecret, corsOrigin)
+   */
+  attach(server, options = {}) {
+    if (this.io) return this.io;
+
+    this.jwtSecret = options.jwtSecret || process.env.JWT_SECRET;
+    this.io = new Server(server, {
+      cors: {
+        origin: options.corsOrigin || process.env.FRONTEND_URL || 'http://localhost:3000',
+        credentials: true
+      }
+    });
+
+    this.io.use((socket, next) => this.authenticate(socket, next));
+    this.io.on('connection', socket => this.handleConnection(socket));
+
+    // NotificationService emits through the global instance
+    global.io = this.io;
+
+    console.log('🔌 Socket.IO real-time channel ready');
+    return this.io;
+  }
+
+  /**
+   * Close every connection and stop accepting new ones
+   */
+  close() {
+    if (!this.io) return;
+
+    this.io.close();
+    this.io = null;
+    global.io = null;
+    this.connections.clear();
+    console.log('⏹️ Socket.IO closed');
+  }
+
+  /**
+   * Handshake middleware: token from auth payload, cookie or headers
+   */
+  async authenticate(socket, next) {
+    try {
+      const { handshake } = socket;
+      const token = handshake.auth?.token || TokenUtils.extractToken({
+        cookies: this.parseCookies(handshake.headers.cookie),
+        headers: handshake.headers
+      });
+
+      if (!token) {
+        return next(new Error('AUTH_REQUIRED'));
+      }
+
+      const decoded = jwt.verify(token, this.jwtSecret);
+
+      // Refresh tokens may not open a socket
+      if (!decoded.userId || (decoded.type && decoded.type !== 'access')) {
+        return next(new Error('INVALID_TOKEN'));
+      }
+
+      // Whichever User model the host app registered
+      const user = await mongoose.model('User')
+        .findById(decoded.userId)
+        .select('email role isActive status');
+
+      if (!user || user.isActive === false || (user.status && user.status !== 'active')) {
+        return next(new Error('ACCOUNT_INACTIVE'));
+      }
+
+      if (decoded.sid && !(await Session.isActiveSession(decoded.sid))) {
+        return next(new Error('SESSION_REVOKED'));
+      }
+
+      socket.data.user = {
+        id: user._id.toString(),
+        email: user.email,
+        role: user.role
+      };
+      socket.data.sessionId = decoded.sid || null;
+
+      next();
+    } catch (error) {
+      next(new Error(error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'));
+    }
+  }
+
+  /**
+   * Join the user's room and track them as online
+   */
+  async handleConnection(socket) {
+    const { id, email, role } = socket.data.user;
+    const count = (this.connections.get(id) || 0) + 1;
+
+    this.connections.set(id, count);
+    socket.join(notificationService.getUserRoom(id));
+    if (socket.data.sessionId) socket.join(this.getSessionRoom(socket.data.sessionId));
+
+    socket.on('disconnect', () => this.handleDisconnect(socket));
+
+    if (count === 1) {
+      await notificationService.registerUser(id, socket.id, { email, role });
+
+      // Disconnected while registering
+      if (!this.connections.has(id)) {
+        notificationService.unregisterUser(id);
+      }
+    }
+  }
+
+  /**
+   * Mark the user offline when their last connection closes
+   */
+  handleDisconnect(socket) {
+    const { id } = socket.data.user;
+    const count = (this.connections.get(id) || 1) - 1;
+
+    if (count > 0) {
+      this.connections.set(id, count);
+      return;
+    }
+
+    this.connections.delete(id);
+    notificationService.unregisterUser(id);
+  }
+
+  /**
+   * Drop the live connections of a revoked session
+   */
+  disconnectSession(sessionId) {
+    if (!this.io) return;
+    this.io.in(this.getSessionRoom(sessionId)).disconnectSockets(true);
+  }
+
+  getSessionRoom(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  // ============================================
+  // TICKET EVENTS
+  // ============================================
+
+  /**
+   * Ticket status changed
+   */
+  ticketStatusChanged(ticket, previousStatus, changedBy) {
+    return this.emitTicketEvent(ticket, TICKET_EVENTS.STATUS, {
+      previousStatus,
+      changedBy: this.toId(changedBy)
+    });
+  }
+
+  /**
+   * Ticket assigned, reassigned or unassigned (the previous assignee is told too)
+   */
+  ticketAssigned(ticket, previousAssignee, assignedBy) {
+    return this.emitTicketEvent(ticket, TICKET_EVENTS.ASSIGNED, {
+      previousAssignee: this.toId(previousAssignee),
+      assignedBy: this.toId(assignedBy)
+    }, { recipients: [previousAssignee] });
+  }
+
+  /**
+   * Comment added; internal comments only reach support staff
+   */
+  commentAdded(ticket, comment, isInternal = false) {
+    return this.emitTicketEvent(ticket, TICKET_EVENTS.COMMENT, {
+      commentId: this.toId(comment),
+      author: this.toId(comment.author || comment.user),
+      isInternal
+    }, { staffOnly: isInternal });
+  }
+
+  /**
+   * Emit an event to a ticket's participants
+   */
+  async emitTicketEvent(ticket, event, data = {}, options = {}) {
+    if (!this.io || !ticket) return;
+
+    try {
+      const rooms = this.getParticipants(ticket, options.recipients)
+        .map(userId => notificationService.getUserRoom(userId));
+
+      if (rooms.length === 0) return;
+
+      const payload = {
+        ticketId: ticket._id.toString(),
+        ticketNumber: ticket.ticketId,
+        status: ticket.status,
+        assignedTo: this.toId(ticket.assignedTo),
+        ...data,
+        timestamp: new Date().toISOString()
+      };
+
+      if (!options.staffOnly) {
+        this.io.to(rooms).emit(event, payload);
+        return;
+      }
+
+      const sockets = await this.io.in(rooms).fetchSockets();
+      sockets
+        .filter(socket => STAFF_ROLES.includes(socket.data.user.role))
+        .forEach(socket => socket.emit(event, payload));
+    } catch (error) {
+      console.error(`❌ Failed to emit ${event}:`, error.message);
+    }
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Creator, assignee and commenters of a ticket (plus any extra recipients)
+   */
+  getParticipants(ticket, recipients = []) {
+    const commenters = (ticket.comments || []).map(comment => comment.author || comment.user);
+    const ids = [ticket.createdBy, ticket.assignedTo, ...commenters, ...recipients]
+      .map(participant => this.toId(participant))
+      .filter(Boolean);
+
+    return [...new Set(ids)];
+  }
+
+  /**
+   * String id of an ObjectId or populated document
+   */
+  toId(value) {
+    if (!value) return null;
+    return (value._id || value).toString();
+  }
+
+  parseCookies(header = '') {
+    return header.split(';').reduce((cookies, pair) => {
+      const index = pair.indexOf('=');
+      if (index > 0) {
+        const value = pair.slice(index + 1).trim();
+        try {
+          cookies[pair.slice(0, index).trim()] = decodeURIComponent(value);
+        } catch (error) {
+          cookies[pair.slice(0, index).trim()] = value;
+        }
+      }
+      return cookies;
+    }, {});
+  }
+
+  /**
+   * Get service health
+   */
+  getHealthStatus() {
+    return {
+      status: this.io ? 'running' : 'stopped',
+      connectedUsers: this.connections.size,
+      connections: [...this.connections.values()].reduce((total, count) => total + count, 0)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SocketService();
+module.exports.SocketService = SocketService;
+module.exports.TICKET_EVENTS = TICKET_EVENTS;
@@ -0,0 +1,117 @@
+/**
+ * BUGEMA UNIVERSITY IT SUPPORT SYSTEM
+ * Ticket Number Service - Race-free ticket numbering
+ *
+ * Numbers come from an atomic counter per prefix and period, so concurrent
+ * submissions never collide and numbers are never reused after deletes.
+ *
+ * @version 1.0.0
+ */
+
+const Counter = require('../models/Counter');
+const ticketNumberConfig = require('../config/ticketNumber.config');
+
+class TicketNumberService {
+  constructor(config = ticketNumberConfig) {
+    this.config = config;
+    this.formatter = null;
+  }
+
+  /**
+   * Generate the next ticket number for a ticket ({ category, campus, location })
+   */
+  async generate(ticket = {}, date = new Date()) {
+    const prefix = this.getPrefix(ticket);
+    const period = this.getPeriod(date);
+    const sequence = await Counter.next(this.getCounterName(prefix, period));
+
+    return this.format(prefix, period, sequence);
+  }
+
+  /**
+   * Prefix for a ticket from the category/campus maps
+   */
+  getPrefix(ticket = {}) {
+    const values = {
+      category: ticket.category,
+      campus: ticket.campus
+    };
+
+    for (const key of this.config.precedence) {
+      const prefix = this.lookup(this.config.prefixes[key], values[key]);
+      if (prefix) return prefix.toUpperCase();
+    }
+
+    return this.config.defaultPrefix;
+  }
+
+  /**
+   * Period part of the number ('' when the sequence never resets)
+   */
+  getPeriod(date = new Date()) {
+    const [year, month, day] = this.getLocalDate(date);
+
+    switch (this.config.resetPeriod) {
+      case 'none':
+        return '';
+      case 'year':
+        return year;
+      case 'month':
+        return `${year}${month}`;
+      default:
+        return `${year}${month}${day}`;
+    }
+  }
+
+  getCounterName(prefix, period) {
+    return `ticket:${prefix}:${period || 'all'}`;
+  }
+
+  format(prefix, period, sequence) {
+    const number = String(sequence).padStart(this.config.padding, '0');
+    return [prefix, period, number].filter(Boolean).join('-');
+  }
+
+  /**
+   * Pattern matching any ticket number this service can produce
+   */
+  getPattern() {
+    return /\b([A-Z][A-Z0-9]{1,9}-(?:\d{4,8}-)?\d{4,})\b/;
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  lookup(map = {}, value) {
+    if (!value) return null;
+
+    const match = Object.keys(map).find(key => key.toLowerCase() === String(value).toLowerCase());
+    return match ? map[match] : null;
+  }
+
+  /**
+   * [YYYY, MM, DD] in the configured timezone
+   */
+  getLocalDate(date) {
+    if (!this.formatter) {
+      this.formatter = new Intl.DateTimeFormat('en-CA', {
+        timeZone: this.config.timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+      });
+    }
+
+    const parts = {};
+    for (const part of this.formatter.formatToParts(date)) {
+      parts[part.type] = part.value;
+    }
+
+    return [parts.year, parts.month, parts.day];
+  }
+}
+
+// Export singleton instance
+module.exports = new TicketNumberService();
+module.exports.TicketNumberService = TicketNumberService;
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Counter = require('../models/Counter');
+const ticketNumberConfig = require('../config/ticketNumber.config');
+const { TicketNumberService } = require('./ticketNumberService');
+
+const service = (overrides = {}) => new TicketNumberService({ ...ticketNumberConfig, ...overrides });
+
+// Counters live in memory; each update yields first so concurrent calls interleave
+let counters;
+
+test.beforeEach(() => {
+  counters = new Map();
+
+  test.mock.method(Counter, 'findOneAndUpdate', async (filter, update, options) => {
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(options.upsert, true);
+
+    const seq = (counters.get(filter._id) || 0) + update.$inc.seq;
+    counters.set(filter._id, seq);
+    return { _id: filter._id, seq };
+  });
+});
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+});
+
+test('hands out unique, consecutive numbers to concurrent tickets', async () => {
+  const date = new Date('2026-10-19T08:00:00Z');
+  const numbers = await Promise.all(Array.from({ length: 20 }, () => service().generate({}, date)));
+
+  assert.equal(new Set(numbers).size, 20);
+  assert.deepEqual(numbers.slice().sort(), Array.from({ length: 20 }, (_, index) =>
+    `TKT-20261019-${String(index + 1).padStart(4, '0')}`));
+  assert.equal(counters.get('ticket:TKT:20261019'), 20);
+});
+
+test('keeps a sequence per prefix and restarts it each period', async () => {
+  const numbers = service({ prefixes: { category: { network: 'NET' }, campus: { MA: 'KLA' } } });
+  const monday = new Date('2026-10-19T08:00:00Z');
+
+  assert.equal(await numbers.generate({ category: 'network', campus: 'MA' }, monday), 'NET-20261019-0001');
+  assert.equal(await numbers.generate({ category: 'hardware', campus: 'ma' }, monday), 'KLA-20261019-0001');
+  assert.equal(await numbers.generate({ category: 'network' }, monday), 'NET-20261019-0002');
+  assert.equal(await numbers.generate({ category: 'network' }, new Date('2026-10-20T08:00:00Z')), 'NET-20261020-0001');
+});
+
+test('dates numbers on the campus clock', () => {
+  // 22:30 UTC is already the next day in Kampala
+  assert.equal(service().getPeriod(new Date('2026-10-19T22:30:00Z')), '20261020');
+  assert.equal(service({ resetPeriod: 'month' }).getPeriod(new Date('2026-10-19T08:00:00Z')), '202610');
+  assert.equal(service({ resetPeriod: 'none' }).getPeriod(new Date('2026-10-19T08:00:00Z')), '');
+});
+
+test('recognises the numbers it produces', async () => {
+  const numbers = service({ resetPeriod: 'none' });
+  const number = await numbers.generate({});
+
+  assert.equal(number, 'TKT-0001');
+  assert.equal(numbers.getPattern().exec(`Re: [${number}] Printer`)[1], number);
+  assert.equal(numbers.getPattern().exec('[TKT-20261019-0042]')[1], 'TKT-20261019-0042');
+});
@@ -0,0 +1,284 @@
+/**
+ * PDF Document Writer
+ *
+ * A small PDF 1.4 generator for printable reports. Pages are drawn with text,
+ * lines and filled rectangles using the standard Helvetica fonts (no font
+ * embedding), so output is limited to the Windows-1252 character set;
+ * anything outside it prints as "?".
+ *
+ * Coordinates are in points from the top-left corner of the page.
+ */
+const zlib = require('zlib');
+
+const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  LETTER: [612, 792]
+};
+
+const FONTS = {
+  regular: { key: 'F1', name: 'Helvetica' },
+  bold: { key: 'F2', name: 'Helvetica-Bold' }
+};
+
+// Helvetica advance widths (1/1000 em) for characters 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const DEFAULT_WIDTH = 556;
+const BOLD_WIDTH_FACTOR = 1.06;
+
+// Windows-1252 code points in 0x80-0x9F that differ from Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+  'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91,
+  '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98,
+  '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+class PdfDocument {
+  /**
+   * @param {Object} options
+   * @param {string} [options.size='A4'] - A4 or LETTER
+   * @param {boolean} [options.landscape=false]
+   * @param {number} [options.margin=36]
+   * @param {string} [options.title]
+   * @param {string} [options.author]
+   */
+  constructor({ size = 'A4', landscape = false, margin = 36, title = '', author = '' } = {}) {
+    const [width, height] = PAGE_SIZES[size.toUpperCase()] || PAGE_SIZES.A4;
+
+    this.width = landscape ? height : width;
+    this.height = landscape ? width : height;
+    this.margin = margin;
+    this.title = title;
+    this.author = author;
+    this.pages = [];
+    this.current = null;
+
+    this.addPage();
+  }
+
+  get pageCount() {
+    return this.pages.length;
+  }
+
+  /**
+   * Start a new page and make it current
+   */
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this;
+  }
+
+  /**
+   * Draw on an earlier page (e.g. to add "Page x of y" footers at the end)
+   */
+  switchToPage(index) {
+    if (!this.pages[index]) {
+      throw new RangeError(`Page ${index} does not exist`);
+    }
+    this.current = this.pages[index];
+    return this;
+  }
+
+  /**
+   * Write one line of text; y is the top of the line
+   * Options: size, bold, color, align ('left' | 'right' | 'center') with width
+   */
+  text(value, x, y, { size = 10, bold = false, color = '#000000', align = 'left', width = null } = {}) {
+    const text = String(value ?? '').replace(/\s+/g, ' ');
+    if (!text) return this;
+
+    let left = x;
+    if (width && align !== 'left') {
+      const free = width - this.widthOfString(text, size, bold);
+      left = x + (align === 'right' ? free : free / 2);
+    }
+
+    const font = bold ? FONTS.bold : FONTS.regular;
+    const baseline = this.height - y - size * 0.8;
+
+    this.current.push(
+      `q ${this.color(color)} rg BT /${font.key} ${size} Tf ${this.num(left)} ${this.num(baseline)} Td (${PdfDocument.encodeText(text)}) Tj ET Q`
+    );
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { color = '#000000', width = 0.5 } = {}) {
+    this.current.push(
+      `q ${this.color(color)} RG ${this.num(width)} w ${this.num(x1)} ${this.num(this.height - y1)} m ${this.num(x2)} ${this.num(this.height - y2)} l S Q`
+    );
+    return this;
+  }
+
+  rect(x, y, width, height, { fill = null, stroke = null, lineWidth = 0.5 } = {}) {
+    const box = `${this.num(x)} ${this.num(this.height - y - height)} ${this.num(width)} ${this.num(height)} re`;
+    const ops = ['q'];
+
+    if (fill) ops.push(`${this.color(fill)} rg`);
+    if (stroke) ops.push(`${this.color(stroke)} RG ${this.num(lineWidth)} w`);
+    ops.push(box, fill && stroke ? 'B' : fill ? 'f' : 'S', 'Q');
+
+    this.current.push(ops.join(' '));
+    return this;
+  }
+
+  /**
+   * Width of a string in points
+   */
+  widthOfString(value, size = 10, bold = false) {
+    const units = PdfDocument.toWinAnsi(String(value ?? '')).reduce((sum, code) =>
+      sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : DEFAULT_WIDTH), 0);
+
+    return (units / 1000) * size * (bold ? BOLD_WIDTH_FACTOR : 1);
+  }
+
+  /**
+   * Shorten a string with an ellipsis so it fits the given width
+   */
+  truncate(value, width, size = 10, bold = false) {
+    const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+    if (this.widthOfString(text, size, bold) <= width) return text;
+
+    let end = text.length;
+    while (end > 0 && this.widthOfString(`${text.slice(0, end)}…`, size, bold) > width) {
+      end--;
+    }
+    return end > 0 ? `${text.slice(0, end).trimEnd()}…` : '';
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const pageIds = this.pages.map((_, index) => 6 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${this.pages.length} >>`;
+    objects[3] = this.fontObject(FONTS.regular);
+    objects[4] = this.fontObject(FONTS.bold);
+    objects[5] = this.infoObject();
+
+    this.pages.forEach((operations, index) => {
+      const pageId = pageIds[index];
+      const content = zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'));
+
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.num(this.width)} ${this.num(this.height)}] ` +
+        `/Resources << /Font << /${FONTS.regular.key} 3 0 R /${FONTS.bold.key} 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+      objects[pageId + 1] = Buffer.concat([
+        Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        content,
+        Buffer.from('\nendstream', 'latin1')
+      ]);
+    });
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+
+    for (let id = 1; id < objects.length; id++) {
+      const body = Buffer.isBuffer(objects[id]) ? objects[id] : Buffer.from(objects[id], 'latin1');
+      const chunk = Buffer.concat([
+        Buffer.from(`${id} 0 obj\n`, 'latin1'),
+        body,
+        Buffer.from('\nendobj\n', 'latin1')
+      ]);
+
+      offsets[id] = length;
+      chunks.push(chunk);
+      length += chunk.length;
+    }
+
+    const xref = [
+      'xref',
+      `0 ${objects.length}`,
+      '0000000000 65535 f ',
+      ...offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF',
+      ''
+    ].join('\n');
+
+    chunks.push(Buffer.from(xref, 'latin1'));
+    return Buffer.concat(chunks);
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  fontObject({ name }) {
+    return `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`;
+  }
+
+  infoObject() {
+    const now = new Date();
+    const stamp = [
+      now.getUTCFullYear(),
+      now.getUTCMonth() + 1,
+      now.getUTCDate(),
+      now.getUTCHours(),
+      now.getUTCMinutes(),
+      now.getUTCSeconds()
+    ].map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0')).join('');
+
+    const entries = [`/Producer (${PdfDocument.encodeText('Bugema University IT Support System')})`, `/CreationDate (D:${stamp}Z)`];
+    if (this.title) entries.push(`/Title (${PdfDocument.encodeText(this.title)})`);
+    if (this.author) entries.push(`/Author (${PdfDocument.encodeText(this.author)})`);
+
+    return `<< ${entries.join(' ')} >>`;
+  }
+
+  /**
+   * "#1f4e79" -> "0.122 0.306 0.475"
+   */
+  color(hex) {
+    const value = String(hex).replace('#', '');
+    const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value.padEnd(6, '0');
+
+    return [0, 2, 4]
+      .map(offset => this.num(parseInt(full.slice(offset, offset + 2), 16) / 255 || 0))
+      .join(' ');
+  }
+
+  num(value) {
+    return Number(value.toFixed(3)).toString();
+  }
+
+  /**
+   * Windows-1252 byte values for a string (unsupported characters become "?")
+   */
+  static toWinAnsi(text) {
+    return Array.from(text, char => {
+      if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char];
+
+      const code = char.codePointAt(0);
+      if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) return code;
+      return 0x3f;
+    });
+  }
+
+  /**
+   * Text as the body of a PDF literal string, kept to printable ASCII
+   */
+  static encodeText(text) {
+    return this.toWinAnsi(text).map(code => {
+      if (code === 0x28 || code === 0x29 || code === 0x5c) return `\\${String.fromCharCode(code)}`;
+      if (code < 32 || code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+      return String.fromCharCode(code);
+    }).join('');
+  }
+}
+
+module.exports = PdfDocument;
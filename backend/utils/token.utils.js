@@ -48,6 +48,49 @@ class TokenUtils {
     return hashedPlainToken === hashedToken;
   }
 
+  /**
+   * Extract an access token from a request (or a request-like object with
+   * cookies and headers, e.g. a Socket.IO handshake)
+   */
+  static extractToken(req) {
+    // 1. Check HTTP-only cookie (primary for web apps)
+    if (req.cookies?.accessToken) {
+      return req.cookies.accessToken;
+    }
+
+    // 2. Check Authorization header (for API clients)
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      return authHeader.replace('Bearer ', '');
+    }
+
+    // 3. Check x-access-token header
+    if (req.headers['x-access-token']) {
+      return req.headers['x-access-token'];
+    }
+
+    return null;
+  }
+
+  /**
+   * Token for a ticket's public status link (HMAC of the ticket number, so it
+   * needs no storage and cannot be forged for another ticket)
+   */
+  static createTicketStatusToken(ticketNumber, secret) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`ticket-status:${String(ticketNumber).trim().toUpperCase()}`)
+      .digest('base64url');
+  }
+
+  static verifyTicketStatusToken(ticketNumber, token, secret) {
+    if (typeof token !== 'string' || !token) return false;
+
+    const expected = Buffer.from(this.createTicketStatusToken(ticketNumber, secret));
+    const actual = Buffer.from(token);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
   static isValidTokenFormat(token) {
     return typeof token === 'string' && 
            token.length >= 32 && 
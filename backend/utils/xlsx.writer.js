@@ -0,0 +1,338 @@
+/**
+ * XLSX Workbook Writer
+ *
+ * Builds Office Open XML spreadsheets (.xlsx) without external dependencies:
+ * the worksheet XML is generated here and packed into a ZIP container using
+ * zlib for compression. Strings are written inline, dates as real Excel dates.
+ */
+const zlib = require('zlib');
+
+const EXCEL_EPOCH_OFFSET = 25569; // Days between 1899-12-30 and 1970-01-01
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MAX_CELL_LENGTH = 32767;
+
+// Text starting with one of these is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Style indexes in styles.xml (cellXfs)
+const STYLE = {
+  DEFAULT: 0,
+  HEADER: 1,
+  DATE: 2
+};
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+class XlsxWriter {
+  /**
+   * Build a workbook
+   * @param {Array<{name: string, columns: Array<{header: string, width?: number}>, rows: Array<Array>}>} sheets
+   * @returns {Buffer}
+   */
+  static build(sheets) {
+    const names = this.uniqueSheetNames(sheets.map(sheet => sheet.name));
+
+    const files = [
+      { name: '[Content_Types].xml', data: this.contentTypes(sheets.length) },
+      { name: '_rels/.rels', data: this.rootRels() },
+      { name: 'xl/workbook.xml', data: this.workbook(names) },
+      { name: 'xl/_rels/workbook.xml.rels', data: this.workbookRels(sheets.length) },
+      { name: 'xl/styles.xml', data: this.styles() },
+      ...sheets.map((sheet, index) => ({
+        name: `xl/worksheets/sheet${index + 1}.xml`,
+        data: this.worksheet(sheet)
+      }))
+    ];
+
+    return this.zip(files);
+  }
+
+  // ============================================
+  // WORKBOOK PARTS
+  // ============================================
+
+  static contentTypes(sheetCount) {
+    const sheets = Array.from({ length: sheetCount }, (_, index) =>
+      `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheets +
+      '</Types>';
+  }
+
+  static rootRels() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>';
+  }
+
+  static workbook(names) {
+    const sheets = names.map((name, index) =>
+      `<sheet name="${this.escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+    ).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets>${sheets}</sheets>` +
+      '</workbook>';
+  }
+
+  static workbookRels(sheetCount) {
+    const sheets = Array.from({ length: sheetCount }, (_, index) =>
+      `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+    ).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheets +
+      `<Relationship Id="rId${sheetCount + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+      '</Relationships>';
+  }
+
+  static styles() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>' +
+      '<fonts count="2">' +
+      '<font><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+      '<font><b/><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+      '</fonts>' +
+      '<fills count="3">' +
+      '<fill><patternFill patternType="none"/></fill>' +
+      '<fill><patternFill patternType="gray125"/></fill>' +
+      '<fill><patternFill patternType="solid"><fgColor rgb="FFD9E1F2"/><bgColor indexed="64"/></patternFill></fill>' +
+      '</fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="3">' +
+      '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>' +
+      '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '</cellXfs>' +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+      '</styleSheet>';
+  }
+
+  /**
+   * Worksheet with a bold, frozen header row followed by the data rows
+   */
+  static worksheet({ columns, rows }) {
+    const lastColumn = this.columnName(Math.max(columns.length - 1, 0));
+    const lastRow = rows.length + 1;
+
+    const cols = columns.map((column, index) =>
+      `<col min="${index + 1}" max="${index + 1}" width="${column.width || 15}" customWidth="1"/>`
+    ).join('');
+
+    const header = this.row(1, columns.map(column => column.header), STYLE.HEADER);
+    const body = rows.map((values, index) => this.row(index + 2, values)).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      `<dimension ref="A1:${lastColumn}${lastRow}"/>` +
+      '<sheetViews><sheetView workbookViewId="0">' +
+      '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+      '</sheetView></sheetViews>' +
+      '<sheetFormatPr defaultRowHeight="15"/>' +
+      (cols ? `<cols>${cols}</cols>` : '') +
+      `<sheetData>${header}${body}</sheetData>` +
+      '</worksheet>';
+  }
+
+  static row(rowNumber, values, style = null) {
+    const cells = values
+      .map((value, index) => this.cell(`${this.columnName(index)}${rowNumber}`, value, style))
+      .join('');
+
+    return `<row r="${rowNumber}">${cells}</row>`;
+  }
+
+  /**
+   * One cell: numbers and dates stay numeric, everything else is an inline string
+   */
+  static cell(ref, value, style) {
+    if (value === null || value === undefined || value === '') {
+      return style !== null ? `<c r="${ref}" s="${style}"/>` : '';
+    }
+
+    if (value instanceof Date) {
+      if (isNaN(value.getTime())) return '';
+      const serial = value.getTime() / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+      return `<c r="${ref}" s="${style ?? STYLE.DATE}"><v>${serial}</v></c>`;
+    }
+
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c r="${ref}" s="${style ?? STYLE.DEFAULT}"><v>${value}</v></c>`;
+    }
+
+    if (typeof value === 'boolean') {
+      return `<c r="${ref}" s="${style ?? STYLE.DEFAULT}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+
+    const text = this.escapeXml(this.escapeFormula(String(value)).slice(0, MAX_CELL_LENGTH));
+    return `<c r="${ref}" s="${style ?? STYLE.DEFAULT}" t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * 0 -> A, 25 -> Z, 26 -> AA
+   */
+  static columnName(index) {
+    let name = '';
+    let n = index + 1;
+    while (n > 0) {
+      const remainder = (n - 1) % 26;
+      name = String.fromCharCode(65 + remainder) + name;
+      n = Math.floor((n - 1) / 26);
+    }
+    return name;
+  }
+
+  /**
+   * Excel sheet names: max 31 characters, no []:*?/\ and unique per workbook
+   */
+  static uniqueSheetNames(names) {
+    const used = new Set();
+
+    return names.map((raw, index) => {
+      const base = String(raw || `Sheet${index + 1}`).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || `Sheet${index + 1}`;
+      let name = base;
+      let suffix = 2;
+
+      while (used.has(name.toLowerCase())) {
+        const tag = ` (${suffix++})`;
+        name = base.slice(0, 31 - tag.length) + tag;
+      }
+
+      used.add(name.toLowerCase());
+      return name;
+    });
+  }
+
+  /**
+   * Escape XML special characters and drop characters XML 1.0 cannot carry
+   */
+  /**
+   * Keep user text (a ticket titled "=HYPERLINK(...)") from running as a formula
+   */
+  static escapeFormula(text) {
+    return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+  }
+
+  static escapeXml(value) {
+    return String(value)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  static crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+      crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * MS-DOS date and time fields used by ZIP headers
+   */
+  static dosDateTime(date = new Date()) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * Pack files into a deflated ZIP archive
+   */
+  static zip(files) {
+    const { time, date } = this.dosDateTime();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = Buffer.from(file.name, 'utf8');
+      const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+      const compressed = zlib.deflateRawSync(data);
+      const crc = this.crc32(data);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4); // Version needed to extract
+      local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+      local.writeUInt16LE(8, 8); // Deflate
+      local.writeUInt16LE(time, 10);
+      local.writeUInt16LE(date, 12);
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(compressed.length, 18);
+      local.writeUInt32LE(data.length, 22);
+      local.writeUInt16LE(name.length, 26);
+      local.writeUInt16LE(0, 28);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(20, 4); // Version made by
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(0x0800, 8);
+      central.writeUInt16LE(8, 10);
+      central.writeUInt16LE(time, 12);
+      central.writeUInt16LE(date, 14);
+      central.writeUInt32LE(crc, 16);
+      central.writeUInt32LE(compressed.length, 20);
+      central.writeUInt32LE(data.length, 24);
+      central.writeUInt16LE(name.length, 28);
+      central.writeUInt16LE(0, 30); // Extra field length
+      central.writeUInt16LE(0, 32); // Comment length
+      central.writeUInt16LE(0, 34); // Disk number
+      central.writeUInt16LE(0, 36); // Internal attributes
+      central.writeUInt32LE(0, 38); // External attributes
+      central.writeUInt32LE(offset, 42);
+
+      localParts.push(local, name, compressed);
+      centralParts.push(central, name);
+      offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(0, 4);
+    end.writeUInt16LE(0, 6);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    end.writeUInt16LE(0, 20);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+  }
+}
+
+module.exports = XlsxWriter;
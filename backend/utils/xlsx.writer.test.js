@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const XlsxWriter = require('./xlsx.writer');
+
+test('writes text that looks like a formula as plain text', () => {
+  for (const text of ['=HYPERLINK("http://evil")', '+1+1', '-2+3', '@SUM(A1)', '\t=1']) {
+    const cell = XlsxWriter.cell('A2', text, null);
+    assert.match(cell, /t="inlineStr"/);
+    assert.ok(cell.includes(`<t xml:space="preserve">'`), `${JSON.stringify(text)} is prefixed`);
+  }
+
+  assert.equal(XlsxWriter.escapeFormula('Printer jam'), 'Printer jam');
+});
+
+test('keeps numbers and dates numeric', () => {
+  assert.equal(XlsxWriter.cell('A2', -5, null), '<c r="A2" s="0"><v>-5</v></c>');
+  assert.equal(XlsxWriter.cell('B2', new Date('1970-01-02T00:00:00Z'), null), '<c r="B2" s="2"><v>25570</v></c>');
+});
+
+test('builds a zip package with one worksheet per sheet', () => {
+  const buffer = XlsxWriter.build([
+    { name: 'Tickets', columns: [{ header: 'Title' }], rows: [['=1+1']] },
+    { name: 'Tickets', columns: [{ header: 'Title' }], rows: [] }
+  ]);
+
+  assert.equal(buffer.subarray(0, 2).toString(), 'PK');
+  assert.ok(buffer.includes('xl/worksheets/sheet2.xml'));
+  assert.deepEqual(XlsxWriter.uniqueSheetNames(['Tickets', 'tickets']), ['Tickets', 'tickets (2)']);
+});
@@ -1,5 +1,5 @@
 // src/App.js - FINAL PRODUCTION READY VERSION
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { ToastContainer } from 'react-toastify';
@@ -19,7 +19,6 @@ import MaintenanceBanner from './components/MaintenanceBanner';
 
 // Services
 import { authService } from './services/authService';
-import { apiService } from './services/api';
 
 // Pages (REAL PAGES - NO MOCK)
 import Login from './pages/Login';
@@ -27,6 +26,7 @@ import Register from './pages/Register';
 import EmailVerification from './pages/EmailVerification';
 import ForgotPassword from './pages/ForgotPassword';
 import ResetPassword from './pages/ResetPassword';
+import TicketStatus from './pages/TicketStatus';
 import StaffDashboard from './pages/StaffDashboard';
 import AdminDashboard from './pages/AdminDashboard';
 import TechnicianDashboard from './pages/TechnicianDashboard';
@@ -34,6 +34,9 @@ import StudentDashboard from './pages/StudentDashboard';
 import RoleBasedDashboard from './pages/RoleBasedDashboard';
 import Tickets from './pages/Tickets';
 import TicketDetail from './pages/TicketDetail';
+import KnowledgeBase from './pages/KnowledgeBase';
+import KnowledgeArticle from './pages/KnowledgeArticle';
+import ArticleEditor from './pages/ArticleEditor';
 import CreateTicket from './pages/CreateTicket';
 import Reports from './pages/Reports';
 import Profile from './pages/Profile';
@@ -71,6 +74,13 @@ function App() {
   const [maintenanceMode, setMaintenanceMode] = useState(false);
   const [initializationError, setInitializationError] = useState(null);
 
+  // Error reports from the mount effect need the latest status, not the first one
+  const backendStatusRef = useRef(backendStatus);
+
+  useEffect(() => {
+    backendStatusRef.current = backendStatus;
+  }, [backendStatus]);
+
   useEffect(() => {
     const initializeApp = async () => {
       try {
@@ -163,7 +173,7 @@ function App() {
         stack: error.stack,
         timestamp: new Date().toISOString(),
         url: window.location.href,
-        backendStatus
+        backendStatus: backendStatusRef.current
       };
       
       // Send to error logging service
@@ -332,6 +342,7 @@ function App() {
                   <Route path="/verify-email/:token" element={<EmailVerification />} />
                   <Route path="/forgot-password" element={<ForgotPassword />} />
                   <Route path="/reset-password/:token" element={<ResetPassword />} />
+                  <Route path="/status/:ticketNumber?" element={<TicketStatus />} />
                   <Route path="/maintenance" element={
                     <div style={{ padding: '40px', textAlign: 'center' }}>
                       <h1>System Maintenance</h1>
@@ -353,6 +364,12 @@ function App() {
                     <Route path="/tickets/:id" element={<TicketDetail />} />
                     <Route path="/tickets" element={<Tickets />} />
                     
+                    {/* Knowledge Base */}
+                    <Route path="/knowledge-base" element={<KnowledgeBase />} />
+                    <Route path="/knowledge-base/new" element={<ArticleEditor />} />
+                    <Route path="/knowledge-base/:id" element={<KnowledgeArticle />} />
+                    <Route path="/knowledge-base/:id/edit" element={<ArticleEditor />} />
+                    
                     {/* Reports & Analytics */}
                     <Route path="/reports" element={<Reports />} />
                     
@@ -0,0 +1,453 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import adminService from '../../services/adminService';
+
+const EMPTY_FILTERS = {
+  user: '',
+  action: '',
+  entityType: '',
+  entityId: '',
+  severity: '',
+  securityOnly: false,
+  from: '',
+  to: ''
+};
+
+const TREND_DAYS = 30;
+
+/**
+ * Only the filters that are set, in the shape the audit log API expects
+ */
+const toParams = (filters, page) => {
+  const params = { page };
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (key === 'securityOnly') {
+      if (value) params.securityOnly = 'true';
+    } else if (value) {
+      params[key] = value;
+    }
+  });
+
+  return params;
+};
+
+const formatTime = (value) => new Date(value).toLocaleString();
+
+const AuditLogs = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [logs, setLogs] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 });
+  const [stats, setStats] = useState(null);
+  const [options, setOptions] = useState({ actions: [], entityTypes: [], severities: [] });
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+  const [verification, setVerification] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadLogs = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await adminService.getAuditLogs(toParams(appliedFilters, page));
+      setLogs(response.data?.logs || []);
+      setPagination(response.data?.pagination || { total: 0, totalPages: 0 });
+    } catch (err) {
+      console.error('Audit log fetch failed:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters, page]);
+
+  const loadStats = useCallback(async () => {
+    try {
+      const [statsResponse, optionsResponse] = await Promise.all([
+        adminService.getAuditStats(TREND_DAYS),
+        adminService.getAuditFilterOptions()
+      ]);
+      setStats(statsResponse.data);
+      setOptions(optionsResponse.data);
+    } catch (err) {
+      console.error('Audit statistics fetch failed:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLogs();
+  }, [loadLogs]);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  const handleFilterChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFilters(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  const handleRefresh = () => {
+    loadLogs();
+    loadStats();
+  };
+
+  /**
+   * Downloads the logs matching the applied filters as CSV
+   */
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const params = toParams(appliedFilters, 1);
+      delete params.page;
+      const blob = await adminService.exportAuditLogs(params);
+
+      const url = window.URL.createObjectURL(new Blob([blob], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit_logs_${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Audit log export failed:', err);
+      alert('Error exporting audit logs: ' + err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  /**
+   * Walks the hash chain (and archive files) and shows the first broken link
+   */
+  const handleVerify = async () => {
+    try {
+      setVerifying(true);
+      const response = await adminService.verifyAuditChain(true);
+      setVerification(response.data);
+    } catch (err) {
+      console.error('Audit chain verification failed:', err);
+      alert('Error verifying audit chain: ' + err.message);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const trendPeak = Math.max(1, ...(stats?.trend || []).map(day => day.count));
+  const hasFilters = JSON.stringify(appliedFilters) !== JSON.stringify(EMPTY_FILTERS);
+
+  return (
+    <div className="user-management audit-logs">
+      {/* Header section with title and action buttons */}
+      <div className="section-header">
+        <div className="header-title">
+          <h2>Audit Logs</h2>
+          <p className="subtitle">
+            Who changed what, when and from where
+          </p>
+        </div>
+        <div className="header-actions">
+          <button
+            className="btn-primary"
+            onClick={handleExport}
+            disabled={exporting || pagination.total === 0}
+          >
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+          <button
+            className="btn-secondary"
+            onClick={handleVerify}
+            disabled={verifying}
+          >
+            {verifying ? 'Verifying...' : 'Verify Integrity'}
+          </button>
+          <button
+            className="btn-secondary"
+            onClick={handleRefresh}
+            disabled={loading}
+          >
+            Refresh Data
+          </button>
+        </div>
+      </div>
+
+      {/* Hash chain verification result */}
+      {verification && (
+        <div className={`audit-verification ${verification.valid ? 'valid' : 'broken'}`}>
+          {verification.valid ? (
+            <p>
+              ✅ Audit trail intact: {verification.checked} records checked
+              {verification.anchors > 0 && `, ${verification.anchors} archives anchored`}
+              {verification.head && ` (head #${verification.head.sequence})`}
+            </p>
+          ) : verification.brokenAt ? (
+            <p>
+              ❌ Audit trail broken at record #{verification.brokenAt.sequence}
+              {verification.brokenAt.archive && ` in archive ${verification.brokenAt.archive}`}
+              {' '}({verification.brokenAt.reason.replace(/_/g, ' ')}) after {verification.checked} valid records
+            </p>
+          ) : (
+            <p>❌ Audit trail records are intact but an archive file failed verification</p>
+          )}
+          {(verification.archives || []).filter(archive => !archive.valid).map(archive => (
+            <p key={archive.file}>
+              ❌ Archive {archive.file}: {archive.reason.replace(/_/g, ' ')}
+            </p>
+          ))}
+          {verification.unchained > 0 && (
+            <p className="audit-verification-note">
+              {verification.unchained} older records predate the hash chain and are not covered.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Activity summary and daily trend */}
+      {stats && (
+        <>
+          <div className="stats-summary">
+            <div className="stat-item">
+              <span className="stat-value">{stats.summary.total}</span>
+              <span className="stat-label">Events ({stats.days} days)</span>
+            </div>
+            <div className="stat-item">
+              <span className="stat-value">{stats.summary.securityEvents}</span>
+              <span className="stat-label">Security Events</span>
+            </div>
+            <div className="stat-item">
+              <span className="stat-value">{stats.summary.failedLogins}</span>
+              <span className="stat-label">Failed Logins</span>
+            </div>
+            <div className="stat-item">
+              <span className="stat-value">{stats.summary.uniqueUsers}</span>
+              <span className="stat-label">Active Users</span>
+            </div>
+          </div>
+
+          {stats.trend.length > 0 && (
+            <div className="audit-trend">
+              <h4>Daily Activity</h4>
+              <div className="audit-trend-bars">
+                {stats.trend.map(day => (
+                  <div
+                    key={day.date}
+                    className="audit-trend-bar"
+                    title={`${day.date}: ${day.count} events, ${day.uniqueUsers} users, ` +
+                      `${day.severityBreakdown.warning + day.severityBreakdown.error + day.severityBreakdown.critical} warnings or worse`}
+                  >
+                    <div
+                      className={`audit-trend-fill ${day.severityBreakdown.critical || day.severityBreakdown.error ? 'alert' : ''}`}
+                      style={{ height: `${Math.max(4, (day.count / trendPeak) * 100)}%` }}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Search and filter controls */}
+      <form className="controls-section audit-filters" onSubmit={handleApplyFilters}>
+        <input
+          type="text"
+          name="user"
+          placeholder="User email, username or ID"
+          value={filters.user}
+          onChange={handleFilterChange}
+          className="search-input"
+        />
+        <select name="action" value={filters.action} onChange={handleFilterChange} className="filter-select">
+          <option value="">All Actions</option>
+          {options.actions.map(action => (
+            <option key={action} value={action}>{action}</option>
+          ))}
+        </select>
+        <select name="entityType" value={filters.entityType} onChange={handleFilterChange} className="filter-select">
+          <option value="">All Entities</option>
+          {options.entityTypes.map(entityType => (
+            <option key={entityType} value={entityType}>{entityType}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          name="entityId"
+          placeholder="Entity ID"
+          value={filters.entityId}
+          onChange={handleFilterChange}
+          className="search-input"
+        />
+        <select name="severity" value={filters.severity} onChange={handleFilterChange} className="filter-select">
+          <option value="">All Severities</option>
+          {options.severities.map(severity => (
+            <option key={severity} value={severity}>{severity}</option>
+          ))}
+        </select>
+        <label className="audit-date">
+          From
+          <input type="date" name="from" value={filters.from} onChange={handleFilterChange} className="filter-select" />
+        </label>
+        <label className="audit-date">
+          To
+          <input type="date" name="to" value={filters.to} onChange={handleFilterChange} className="filter-select" />
+        </label>
+        <label className="audit-checkbox">
+          <input
+            type="checkbox"
+            name="securityOnly"
+            checked={filters.securityOnly}
+            onChange={handleFilterChange}
+          />
+          Security events only
+        </label>
+        <div className="audit-filter-actions">
+          <button type="submit" className="btn-primary">Apply</button>
+          <button type="button" className="btn-secondary" onClick={handleClearFilters}>Clear</button>
+        </div>
+      </form>
+
+      {error ? (
+        <div className="error-container">
+          <div className="error-icon">⚠️</div>
+          <h3>Data Loading Error</h3>
+          <p>Unable to load audit logs: {error}</p>
+          <button onClick={loadLogs} className="btn-primary">
+            Retry
+          </button>
+        </div>
+      ) : (
+        <div className="users-table-container">
+          <div className="users-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>User</th>
+                  <th>Action</th>
+                  <th>Entity</th>
+                  <th>Severity</th>
+                  <th>IP Address</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="6" className="empty-state">
+                      <div className="loading-spinner"></div>
+                      <p>Loading audit logs...</p>
+                    </td>
+                  </tr>
+                ) : logs.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="empty-state">
+                      <div className="empty-icon">📜</div>
+                      <h3>No Audit Logs Found</h3>
+                      <p>
+                        {hasFilters
+                          ? 'No audit logs match your current filters'
+                          : 'Nothing has been recorded yet'
+                        }
+                      </p>
+                    </td>
+                  </tr>
+                ) : (
+                  logs.map(log => (
+                    <React.Fragment key={log.id}>
+                      <tr
+                        className={`user-row audit-row ${log.isSecurityEvent ? 'security' : ''}`}
+                        onClick={() => setExpandedId(expandedId === log.id ? null : log.id)}
+                      >
+                        <td>{formatTime(log.createdAt)}</td>
+                        <td>
+                          {log.user ? (
+                            <>
+                              <strong>{log.user.name}</strong>
+                              <div className="user-email">{log.user.email}</div>
+                            </>
+                          ) : (
+                            <span className="audit-system">{log.isSystemEvent ? 'System' : 'Unknown'}</span>
+                          )}
+                        </td>
+                        <td>
+                          <code>{log.action}</code>
+                          {log.isSecurityEvent && <span className="audit-security-tag">Security</span>}
+                        </td>
+                        <td>
+                          {log.entityType}
+                          <div className="user-id">{log.entityId}</div>
+                        </td>
+                        <td>
+                          <span className={`severity-badge ${log.severity}`}>{log.severity}</span>
+                        </td>
+                        <td>{log.ipAddress || '—'}</td>
+                      </tr>
+                      {expandedId === log.id && (
+                        <tr className="audit-details-row">
+                          <td colSpan="6">
+                            {log.userAgent && <p><strong>User agent:</strong> {log.userAgent}</p>}
+                            <pre>{JSON.stringify(log.details, null, 2)}</pre>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Pagination controls */}
+      {pagination.total > 0 && (
+        <div className="pagination-section">
+          <div className="pagination-info">
+            <span>
+              Displaying {logs.length} of {pagination.total} audit log entries
+            </span>
+            {pagination.totalPages > 1 && (
+              <span className="page-info">
+                Page {pagination.page} of {pagination.totalPages}
+              </span>
+            )}
+          </div>
+          {pagination.totalPages > 1 && (
+            <div className="pagination-controls">
+              <button
+                disabled={page <= 1}
+                onClick={() => setPage(page - 1)}
+                className="pagination-btn"
+              >
+                Previous
+              </button>
+              <button
+                disabled={page >= pagination.totalPages}
+                onClick={() => setPage(page + 1)}
+                className="pagination-btn"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogs;
@@ -1,21 +1,272 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import ticketService from '../../services/ticketService';
+import BulkActionBar, { TICKET_STATUSES, TICKET_PRIORITIES } from '../BulkActionBar';
+
+const EMPTY_FILTERS = {
+  search: '',
+  status: '',
+  priority: ''
+};
+
+const PAGE_SIZE = 25;
+
+const getTicketKey = (ticket) => String(ticket.id || ticket._id);
+
+const getAssigneeName = (assignedTo) => {
+  if (!assignedTo) return null;
+  return assignedTo.name || [assignedTo.firstName, assignedTo.lastName].filter(Boolean).join(' ') || assignedTo.email;
+};
 
 const TicketManagement = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [tickets, setTickets] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 });
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadTickets = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await ticketService.getTickets({ ...appliedFilters, page, limit: PAGE_SIZE });
+      const ticketsData = response.data?.tickets || [];
+
+      setTickets(ticketsData);
+      setPagination(response.data?.pagination || { total: 0, totalPages: 0 });
+
+      // Keep only selections that are still on this page
+      const visibleIds = ticketsData.map(getTicketKey);
+      setSelectedIds(ids => ids.filter(id => visibleIds.includes(id)));
+    } catch (err) {
+      console.error('Ticket list fetch failed:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters, page]);
+
+  useEffect(() => {
+    loadTickets();
+  }, [loadTickets]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  const toggleSelected = (ticketId) => {
+    setSelectedIds(ids => ids.includes(ticketId)
+      ? ids.filter(id => id !== ticketId)
+      : [...ids, ticketId]);
+  };
+
+  const allSelected = tickets.length > 0 && tickets.every(ticket => selectedIds.includes(getTicketKey(ticket)));
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? [] : tickets.map(getTicketKey));
+  };
+
+  // Tickets that failed stay selected so the action can be retried
+  const handleBulkComplete = (result) => {
+    const failed = (result?.results || []).filter(item => !item.success).map(item => String(item.ticketId));
+    setSelectedIds(failed);
+    loadTickets();
+  };
+
+  const hasFilters = JSON.stringify(appliedFilters) !== JSON.stringify(EMPTY_FILTERS);
+
   return (
-    <div className="ticket-management">
-      <h2>Ticket Management</h2>
-      <p>Ticket management features coming soon.</p>
-      <div style={{ padding: '20px', background: '#f5f5f5', borderRadius: '5px' }}>
-        <h4>Coming Soon Features:</h4>
-        <ul>
-          <li>View all tickets</li>
-          <li>Assign tickets to technicians</li>
-          <li>Update ticket status</li>
-          <li>Bulk operations</li>
-        </ul>
+    <div className="user-management ticket-management">
+      {/* Header section with title and action buttons */}
+      <div className="section-header">
+        <div className="header-title">
+          <h2>Ticket Management</h2>
+          <p className="subtitle">
+            Review tickets and update many at once
+          </p>
+        </div>
+        <div className="header-actions">
+          <button
+            className="btn-secondary"
+            onClick={loadTickets}
+            disabled={loading}
+          >
+            Refresh Data
+          </button>
+        </div>
       </div>
+
+      {/* Search and filter controls */}
+      <form className="controls-section audit-filters" onSubmit={handleApplyFilters}>
+        <input
+          type="text"
+          name="search"
+          placeholder="Search title, description or ticket number"
+          value={filters.search}
+          onChange={handleFilterChange}
+          className="search-input"
+        />
+        <select name="status" value={filters.status} onChange={handleFilterChange} className="filter-select">
+          <option value="">All Statuses</option>
+          {Object.entries(TICKET_STATUSES).map(([status, label]) => (
+            <option key={status} value={status}>{label}</option>
+          ))}
+        </select>
+        <select name="priority" value={filters.priority} onChange={handleFilterChange} className="filter-select">
+          <option value="">All Priorities</option>
+          {Object.entries(TICKET_PRIORITIES).map(([priority, label]) => (
+            <option key={priority} value={priority}>{label}</option>
+          ))}
+        </select>
+        <div className="audit-filter-actions">
+          <button type="submit" className="btn-primary">Apply</button>
+          <button type="button" className="btn-secondary" onClick={handleClearFilters}>Clear</button>
+        </div>
+      </form>
+
+      {/* Bulk actions for the selected tickets */}
+      <BulkActionBar
+        selectedIds={selectedIds}
+        onComplete={handleBulkComplete}
+        onClear={() => setSelectedIds([])}
+        canDelete
+      />
+
+      {error ? (
+        <div className="error-container">
+          <div className="error-icon">⚠️</div>
+          <h3>Data Loading Error</h3>
+          <p>Unable to load tickets: {error}</p>
+          <button onClick={loadTickets} className="btn-primary">
+            Retry
+          </button>
+        </div>
+      ) : (
+        <div className="users-table-container">
+          <div className="users-table">
+            <table>
+              <thead>
+                <tr>
+                  <th className="ticket-select-cell">
+                    <input
+                      type="checkbox"
+                      checked={allSelected}
+                      onChange={toggleSelectAll}
+                      disabled={loading || tickets.length === 0}
+                      aria-label="Select all tickets on this page"
+                    />
+                  </th>
+                  <th>Ticket</th>
+                  <th>Status</th>
+                  <th>Priority</th>
+                  <th>Assigned To</th>
+                  <th>Created</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="6" className="empty-state">
+                      <div className="loading-spinner"></div>
+                      <p>Loading tickets...</p>
+                    </td>
+                  </tr>
+                ) : tickets.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="empty-state">
+                      <div className="empty-icon">🎫</div>
+                      <h3>No Tickets Found</h3>
+                      <p>
+                        {hasFilters
+                          ? 'No tickets match your current filters'
+                          : 'No tickets have been submitted yet'
+                        }
+                      </p>
+                    </td>
+                  </tr>
+                ) : (
+                  tickets.map(ticket => {
+                    const ticketKey = getTicketKey(ticket);
+                    const assignee = getAssigneeName(ticket.assignedTo);
+
+                    return (
+                      <tr key={ticketKey} className={`user-row ${selectedIds.includes(ticketKey) ? 'selected' : ''}`}>
+                        <td className="ticket-select-cell">
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.includes(ticketKey)}
+                            onChange={() => toggleSelected(ticketKey)}
+                            aria-label={`Select ticket ${ticket.ticketId || ticketKey}`}
+                          />
+                        </td>
+                        <td>
+                          <strong>{ticket.title}</strong>
+                          <div className="user-id">{ticket.ticketId || ticketKey}</div>
+                        </td>
+                        <td>{TICKET_STATUSES[ticket.status] || ticket.status}</td>
+                        <td>{TICKET_PRIORITIES[ticket.priority] || ticket.priority}</td>
+                        <td>{assignee || <span className="audit-system">Unassigned</span>}</td>
+                        <td>{new Date(ticket.createdAt).toLocaleDateString()}</td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Pagination controls */}
+      {pagination.total > 0 && (
+        <div className="pagination-section">
+          <div className="pagination-info">
+            <span>
+              Displaying {tickets.length} of {pagination.total} tickets
+            </span>
+            {pagination.totalPages > 1 && (
+              <span className="page-info">
+                Page {pagination.page} of {pagination.totalPages}
+              </span>
+            )}
+          </div>
+          {pagination.totalPages > 1 && (
+            <div className="pagination-controls">
+              <button
+                disabled={page <= 1}
+                onClick={() => setPage(page - 1)}
+                className="pagination-btn"
+              >
+                Previous
+              </button>
+              <button
+                disabled={page >= pagination.totalPages}
+                onClick={() => setPage(page + 1)}
+                className="pagination-btn"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
 
-export default TicketManagement;
\ No newline at end of file
+export default TicketManagement;
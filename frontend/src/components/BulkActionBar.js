@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import ticketService from '../services/ticketService';
+import '../styles/BulkActionBar.css';
+
+// Stored values (as the API expects them) and their labels
+export const TICKET_STATUSES = {
+  open: 'Open',
+  assigned: 'Assigned',
+  'in-progress': 'In Progress',
+  pending: 'Pending',
+  resolved: 'Resolved',
+  closed: 'Closed',
+  reopened: 'Reopened',
+  cancelled: 'Cancelled'
+};
+export const TICKET_PRIORITIES = { low: 'Low', medium: 'Medium', high: 'High', critical: 'Critical' };
+
+const ACTIONS = [
+  { value: 'status', label: 'Change status' },
+  { value: 'assign', label: 'Assign' },
+  { value: 'priority', label: 'Change priority' },
+  { value: 'tags', label: 'Edit tags' },
+  { value: 'close', label: 'Close' },
+  { value: 'delete', label: 'Delete', adminOnly: true }
+];
+
+const UNASSIGN = 'unassign';
+
+const splitTags = (value) => value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+/**
+ * Action bar for the tickets selected in a list. Runs one bulk request and
+ * shows which tickets failed and why; onComplete receives the API result.
+ */
+const BulkActionBar = ({ selectedIds, onComplete, onClear, canDelete = false }) => {
+  const [action, setAction] = useState('');
+  const [value, setValue] = useState('');
+  const [tagsToAdd, setTagsToAdd] = useState('');
+  const [tagsToRemove, setTagsToRemove] = useState('');
+  const [notes, setNotes] = useState('');
+  const [technicians, setTechnicians] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Technicians are only needed once someone picks "Assign"
+  useEffect(() => {
+    if (action !== 'assign' || technicians.length > 0) return;
+
+    const loadTechnicians = async () => {
+      try {
+        const response = await ticketService.getAvailableTechnicians();
+        setTechnicians(response.data || []);
+      } catch (err) {
+        console.error('Technician list fetch failed:', err);
+      }
+    };
+
+    loadTechnicians();
+  }, [action, technicians.length]);
+
+  const handleActionChange = (e) => {
+    setAction(e.target.value);
+    setValue('');
+    setError(null);
+  };
+
+  const isReady = () => {
+    if (!action || selectedIds.length === 0) return false;
+    if (['status', 'assign', 'priority'].includes(action)) return value !== '';
+    if (action === 'tags') return splitTags(tagsToAdd).length > 0 || splitTags(tagsToRemove).length > 0;
+    return true;
+  };
+
+  const runAction = (ids) => {
+    switch (action) {
+      case 'status':
+        return ticketService.bulkUpdateStatus(ids, value, notes);
+      case 'assign':
+        return ticketService.bulkAssignTickets(ids, value === UNASSIGN ? null : value, notes);
+      case 'priority':
+        return ticketService.bulkUpdatePriority(ids, value, notes);
+      case 'tags':
+        return ticketService.bulkUpdateTags(ids, { add: splitTags(tagsToAdd), remove: splitTags(tagsToRemove) }, notes);
+      case 'close':
+        return ticketService.bulkCloseTickets(ids, notes);
+      case 'delete':
+        return ticketService.bulkDeleteTickets(ids, notes);
+      default:
+        return Promise.reject(new Error(`Unknown action: ${action}`));
+    }
+  };
+
+  const handleApply = async () => {
+    if (action === 'delete' &&
+      !window.confirm(`Delete ${selectedIds.length} ticket(s)? They will be hidden from every list.`)) {
+      return;
+    }
+
+    try {
+      setRunning(true);
+      setError(null);
+      setResult(null);
+
+      const response = await runAction(selectedIds);
+      setResult(response.data);
+      setAction('');
+      setValue('');
+      setTagsToAdd('');
+      setTagsToRemove('');
+      setNotes('');
+
+      if (onComplete) onComplete(response.data);
+    } catch (err) {
+      console.error('Bulk ticket update failed:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const failures = (result?.results || []).filter(item => !item.success);
+
+  if (selectedIds.length === 0 && !result) return null;
+
+  return (
+    <div className="bulk-action-bar">
+      {selectedIds.length > 0 && (
+        <div className="bulk-controls">
+          <span className="bulk-count">{selectedIds.length} selected</span>
+
+          <select value={action} onChange={handleActionChange} className="bulk-select" disabled={running}>
+            <option value="">Choose an action...</option>
+            {ACTIONS.filter(option => canDelete || !option.adminOnly).map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+
+          {action === 'status' && (
+            <select value={value} onChange={(e) => setValue(e.target.value)} className="bulk-select" disabled={running}>
+              <option value="">New status...</option>
+              {Object.entries(TICKET_STATUSES).map(([status, label]) => <option key={status} value={status}>{label}</option>)}
+            </select>
+          )}
+
+          {action === 'priority' && (
+            <select value={value} onChange={(e) => setValue(e.target.value)} className="bulk-select" disabled={running}>
+              <option value="">New priority...</option>
+              {Object.entries(TICKET_PRIORITIES).map(([priority, label]) => <option key={priority} value={priority}>{label}</option>)}
+            </select>
+          )}
+
+          {action === 'assign' && (
+            <select value={value} onChange={(e) => setValue(e.target.value)} className="bulk-select" disabled={running}>
+              <option value="">Assign to...</option>
+              <option value={UNASSIGN}>Nobody (unassign)</option>
+              {technicians.map(technician => (
+                <option key={technician._id} value={technician._id}>
+                  {technician.name} ({technician.workload} open)
+                </option>
+              ))}
+            </select>
+          )}
+
+          {action === 'tags' && (
+            <>
+              <input
+                type="text"
+                value={tagsToAdd}
+                onChange={(e) => setTagsToAdd(e.target.value)}
+                placeholder="Add tags (comma separated)"
+                className="bulk-input"
+                disabled={running}
+              />
+              <input
+                type="text"
+                value={tagsToRemove}
+                onChange={(e) => setTagsToRemove(e.target.value)}
+                placeholder="Remove tags"
+                className="bulk-input"
+                disabled={running}
+              />
+            </>
+          )}
+
+          {action && (
+            <input
+              type="text"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Reason (optional)"
+              className="bulk-input"
+              disabled={running}
+            />
+          )}
+
+          <button
+            className={action === 'delete' ? 'bulk-btn danger' : 'bulk-btn primary'}
+            onClick={handleApply}
+            disabled={running || !isReady()}
+          >
+            {running ? 'Applying...' : 'Apply'}
+          </button>
+          <button className="bulk-btn" onClick={onClear} disabled={running}>
+            Clear selection
+          </button>
+        </div>
+      )}
+
+      {error && <p className="bulk-error">⚠️ {error}</p>}
+
+      {result && (
+        <div className={`bulk-result ${failures.length > 0 ? 'partial' : 'complete'}`}>
+          <div className="bulk-result-header">
+            <span>
+              {failures.length > 0 ? '⚠️' : '✅'} {result.summary.succeeded} of {result.summary.requested} tickets updated
+            </span>
+            <button className="bulk-dismiss" onClick={() => setResult(null)} aria-label="Dismiss">✕</button>
+          </div>
+          {failures.length > 0 && (
+            <ul className="bulk-failures">
+              {failures.map(item => (
+                <li key={item.ticketId}>
+                  <strong>{item.ticketNumber || item.ticketId}</strong>: {item.reason}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionBar;
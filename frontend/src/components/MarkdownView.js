@@ -0,0 +1,134 @@
+import React from 'react';
+
+// Only these link targets are rendered as links; anything else stays text
+const SAFE_URL = /^(https?:\/\/|mailto:|\/)/i;
+
+const INLINE_PATTERN = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*]+\*|_[^_]+_)|(\[[^\]]+\]\([^)\s]+\))/;
+
+/**
+ * Inline Markdown: `code`, **bold**, *italic* / _italic_ and [links](url)
+ */
+const renderInline = (text, keyPrefix) => {
+  const parts = [];
+  let rest = text;
+  let index = 0;
+
+  while (rest) {
+    const match = rest.match(INLINE_PATTERN);
+    if (!match) {
+      parts.push(rest);
+      break;
+    }
+
+    if (match.index > 0) parts.push(rest.slice(0, match.index));
+
+    const token = match[0];
+    const key = `${keyPrefix}-${index++}`;
+
+    if (match[1]) {
+      parts.push(<code key={key}>{token.slice(1, -1)}</code>);
+    } else if (match[2]) {
+      parts.push(<strong key={key}>{renderInline(token.slice(2, -2), key)}</strong>);
+    } else if (match[3]) {
+      parts.push(<em key={key}>{renderInline(token.slice(1, -1), key)}</em>);
+    } else {
+      const [, label, url] = token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+      parts.push(SAFE_URL.test(url)
+        ? <a key={key} href={url} target="_blank" rel="noopener noreferrer">{label}</a>
+        : label);
+    }
+
+    rest = rest.slice(match.index + token.length);
+  }
+
+  return parts;
+};
+
+/**
+ * Split Markdown into blocks: headings, fenced code, lists, quotes,
+ * rules and paragraphs
+ */
+const parseBlocks = (markdown) => {
+  const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+    } else if (line.startsWith('```')) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].startsWith('```')) code.push(lines[i++]);
+      i++;
+      blocks.push({ type: 'code', text: code.join('\n') });
+    } else if (/^#{1,4}\s/.test(line)) {
+      const [, hashes, text] = line.match(/^(#{1,4})\s+(.*)$/);
+      blocks.push({ type: 'heading', level: hashes.length, text });
+      i++;
+    } else if (/^(-{3,}|\*{3,})\s*$/.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+    } else if (/^\s*([-*+]|\d+\.)\s+/.test(line)) {
+      const ordered = /^\s*\d+\./.test(line);
+      const items = [];
+      while (i < lines.length && /^\s*([-*+]|\d+\.)\s+/.test(lines[i])) {
+        items.push(lines[i++].replace(/^\s*([-*+]|\d+\.)\s+/, ''));
+      }
+      blocks.push({ type: 'list', ordered, items });
+    } else if (line.startsWith('>')) {
+      const quote = [];
+      while (i < lines.length && lines[i].startsWith('>')) quote.push(lines[i++].replace(/^>\s?/, ''));
+      blocks.push({ type: 'quote', text: quote.join(' ') });
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && !/^(```|#{1,4}\s|>|\s*([-*+]|\d+\.)\s+)/.test(lines[i])) {
+        paragraph.push(lines[i++].trim());
+      }
+      blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+    }
+  }
+
+  return blocks;
+};
+
+/**
+ * Renders article Markdown as React elements. No HTML from the source is
+ * ever injected, so article bodies cannot carry scripts.
+ */
+const MarkdownView = ({ source, className = 'markdown-body' }) => (
+  <div className={className}>
+    {parseBlocks(source).map((block, index) => {
+      const key = `block-${index}`;
+
+      switch (block.type) {
+        case 'heading': {
+          const Heading = `h${block.level + 1}`;
+          return <Heading key={key}>{renderInline(block.text, key)}</Heading>;
+        }
+        case 'code':
+          return <pre key={key}><code>{block.text}</code></pre>;
+        case 'list': {
+          const List = block.ordered ? 'ol' : 'ul';
+          return (
+            <List key={key}>
+              {block.items.map((item, itemIndex) => (
+                <li key={itemIndex}>{renderInline(item, `${key}-${itemIndex}`)}</li>
+              ))}
+            </List>
+          );
+        }
+        case 'quote':
+          return <blockquote key={key}>{renderInline(block.text, key)}</blockquote>;
+        case 'rule':
+          return <hr key={key} />;
+        default:
+          return <p key={key}>{renderInline(block.text, key)}</p>;
+      }
+    })}
+  </div>
+);
+
+export default MarkdownView;
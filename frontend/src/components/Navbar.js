@@ -1,10 +1,84 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import notificationService from '../services/notificationService';
+import socketService from '../services/socketService';
+
+const NOTIFICATION_POLL_MS = 60000;
 
 const Navbar = () => {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [notifications, setNotifications] = useState([]);
+  const [showNotifications, setShowNotifications] = useState(false);
+
+  const fetchUnreadCount = useCallback(async () => {
+    try {
+      const response = await notificationService.getUnreadCount();
+      setUnreadCount(response.data?.unreadCount || 0);
+    } catch (error) {
+      console.error('Error fetching unread notifications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!user) return undefined;
+
+    fetchUnreadCount();
+    const interval = setInterval(fetchUnreadCount, NOTIFICATION_POLL_MS);
+    const unsubscribe = socketService.subscribe(['notification:new'], (payload) => {
+      setUnreadCount(payload.unreadCount || 0);
+    });
+
+    return () => {
+      clearInterval(interval);
+      unsubscribe();
+    };
+  }, [user, fetchUnreadCount]);
+
+  const toggleNotifications = async () => {
+    const opening = !showNotifications;
+    setShowNotifications(opening);
+    if (!opening) return;
+
+    try {
+      const response = await notificationService.getNotifications({ limit: 8 });
+      setNotifications(response.data?.notifications || []);
+      setUnreadCount(response.data?.unreadCount || 0);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  };
+
+  const handleNotificationClick = async (notification) => {
+    try {
+      if (!notification.read) {
+        const response = await notificationService.markAsRead(notification._id);
+        setUnreadCount(response.data?.unreadCount || 0);
+        setNotifications(prev => prev.map(item =>
+          item._id === notification._id ? { ...item, read: true } : item
+        ));
+      }
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+    }
+
+    if (notification.relatedModel === 'Ticket' && notification.relatedTo) {
+      setShowNotifications(false);
+      navigate(`/tickets/${notification.relatedTo}`);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationService.markAllAsRead();
+      setUnreadCount(0);
+      setNotifications(prev => prev.map(item => ({ ...item, read: true })));
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  };
 
   const handleLogout = () => {
     logout();
@@ -39,6 +113,117 @@ const Navbar = () => {
       <div style={{ display: 'flex', alignItems: 'center', gap: '20px' }}>
         {user ? (
           <>
+            <Link to="/knowledge-base" style={{
+              color: 'white',
+              textDecoration: 'none',
+              fontSize: '14px'
+            }}>
+              📚 Knowledge Base
+            </Link>
+
+            <div style={{ position: 'relative' }}>
+              <button
+                onClick={toggleNotifications}
+                aria-label={`Notifications (${unreadCount} unread)`}
+                style={{
+                  background: 'transparent',
+                  border: 'none',
+                  color: 'white',
+                  fontSize: '20px',
+                  cursor: 'pointer',
+                  position: 'relative',
+                  padding: '4px'
+                }}
+              >
+                🔔
+                {unreadCount > 0 && (
+                  <span style={{
+                    position: 'absolute',
+                    top: '-4px',
+                    right: '-6px',
+                    background: '#e53e3e',
+                    color: 'white',
+                    borderRadius: '10px',
+                    padding: '1px 6px',
+                    fontSize: '11px',
+                    fontWeight: 'bold'
+                  }}>
+                    {unreadCount > 99 ? '99+' : unreadCount}
+                  </span>
+                )}
+              </button>
+
+              {showNotifications && (
+                <div style={{
+                  position: 'absolute',
+                  right: 0,
+                  top: '40px',
+                  width: '320px',
+                  background: 'white',
+                  color: '#2d3748',
+                  borderRadius: '8px',
+                  boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
+                  zIndex: 1000,
+                  overflow: 'hidden'
+                }}>
+                  <div style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    padding: '10px 15px',
+                    borderBottom: '1px solid #e2e8f0'
+                  }}>
+                    <strong style={{ fontSize: '14px' }}>Notifications</strong>
+                    {unreadCount > 0 && (
+                      <button
+                        onClick={handleMarkAllRead}
+                        style={{
+                          background: 'none',
+                          border: 'none',
+                          color: '#667eea',
+                          cursor: 'pointer',
+                          fontSize: '12px'
+                        }}
+                      >
+                        Mark all read
+                      </button>
+                    )}
+                  </div>
+
+                  {notifications.length === 0 ? (
+                    <div style={{ padding: '20px', textAlign: 'center', fontSize: '13px', color: '#718096' }}>
+                      No notifications
+                    </div>
+                  ) : (
+                    <div style={{ maxHeight: '360px', overflowY: 'auto' }}>
+                      {notifications.map(notification => (
+                        <div
+                          key={notification._id}
+                          onClick={() => handleNotificationClick(notification)}
+                          style={{
+                            padding: '10px 15px',
+                            borderBottom: '1px solid #edf2f7',
+                            cursor: 'pointer',
+                            background: notification.read ? 'white' : '#ebf4ff'
+                          }}
+                        >
+                          <div style={{ fontSize: '13px', fontWeight: notification.read ? 'normal' : 'bold' }}>
+                            {notification.title}
+                          </div>
+                          <div style={{ fontSize: '12px', color: '#4a5568', marginTop: '2px' }}>
+                            {notification.message}
+                          </div>
+                          <div style={{ fontSize: '11px', color: '#a0aec0', marginTop: '4px' }}>
+                            {notification.timeAgo}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+
             <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
               <div style={{
                 width: '32px',
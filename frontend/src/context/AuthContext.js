@@ -2,6 +2,7 @@
 import React, { createContext, useState, useContext, useEffect, useCallback, useRef, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { authService } from '../services/authService';
+import socketService from '../services/socketService';
 
 /**
  * Enterprise Auth Context v5.3.0 - COMPLETE PRODUCTION FIX
@@ -125,6 +126,8 @@ export const AuthProvider = ({ children }) => {
   const isMountedRef = useRef(true);
   const performanceMonitor = useMemo(() => createPerformanceMonitor(), []);
   const stateRef = useRef(state);
+  // logout is declared below the callbacks that sign the user out
+  const logoutRef = useRef(null);
 
   useEffect(() => {
     stateRef.current = state;
@@ -224,13 +227,13 @@ export const AuthProvider = ({ children }) => {
     
     sessionCheckRef.current = setInterval(() => {
       if (expiresAt && Date.now() > expiresAt) {
-        logout('session_expired');
+        logoutRef.current('session_expired');
       }
     }, 60 * 1000);
 
     const trackActivity = () => {
       if (activityTimerRef.current) clearTimeout(activityTimerRef.current);
-      activityTimerRef.current = setTimeout(() => logout('inactivity'), 30 * 60 * 1000);
+      activityTimerRef.current = setTimeout(() => logoutRef.current('inactivity'), 30 * 60 * 1000);
     };
 
     ['mousemove', 'keydown', 'click', 'scroll'].forEach(event => {
@@ -253,7 +256,7 @@ export const AuthProvider = ({ children }) => {
       }
 
       if (Date.now() > session.expiresAt) {
-        await logout('session_expired');
+        await logoutRef.current('session_expired');
         return;
       }
 
@@ -284,7 +287,7 @@ export const AuthProvider = ({ children }) => {
       logSecurityEvent('initialization_failed', { error: error.message });
       setAuthState({ error: 'Failed to initialize authentication', loading: false });
     }
-  }, [setAuthState, scheduleTokenRefresh, performanceMonitor, logSecurityEvent]);
+  }, [setAuthState, scheduleTokenRefresh, startSessionMonitoring, performanceMonitor, logSecurityEvent]);
 
   const login = useCallback(async (email, password, rememberMe = false) => {
     try {
@@ -320,7 +323,7 @@ export const AuthProvider = ({ children }) => {
       setAuthState({ error: error.message || 'Login failed', loading: false });
       throw error;
     }
-  }, [setAuthState, scheduleTokenRefresh, performanceMonitor, logSecurityEvent]);
+  }, [setAuthState, scheduleTokenRefresh, startSessionMonitoring, performanceMonitor, logSecurityEvent]);
 
   const register = useCallback(async (userData) => {
     try {
@@ -364,11 +367,10 @@ export const AuthProvider = ({ children }) => {
       setAuthState({ error: error.message || 'Registration failed', loading: false });
       throw error;
     }
-  }, [setAuthState, scheduleTokenRefresh, performanceMonitor, logSecurityEvent]);
+  }, [setAuthState, scheduleTokenRefresh, startSessionMonitoring, performanceMonitor, logSecurityEvent]);
 
   const logout = useCallback(async (reason = 'user_action') => {
     const currentUser = stateRef.current.user;
-    const currentSession = stateRef.current.session;
     
     try {
       logSecurityEvent('logout', { reason, userId: currentUser?.id });
@@ -377,6 +379,7 @@ export const AuthProvider = ({ children }) => {
       logSecurityEvent('logout_error', { error: error.message, reason });
     } finally {
       clearTimers();
+      socketService.disconnect();
       setAuthState({
         user: null,
         session: null,
@@ -389,6 +392,10 @@ export const AuthProvider = ({ children }) => {
     }
   }, [clearTimers, setAuthState, logSecurityEvent]);
 
+  useEffect(() => {
+    logoutRef.current = logout;
+  }, [logout]);
+
   const checkUsername = useCallback(async (username) => {
     try {
       const response = await authService.checkUsername(username);
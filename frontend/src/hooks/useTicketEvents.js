@@ -0,0 +1,26 @@
+// frontend/src/hooks/useTicketEvents.js
+import { useEffect, useRef } from 'react';
+import socketService, { TICKET_EVENTS } from '../services/socketService';
+
+/**
+ * Calls handler(payload, event) when a ticket the user takes part in changes.
+ * Pass ticketId (id or ticket number) to only hear about one ticket.
+ */
+const useTicketEvents = (handler, { ticketId, enabled = true } = {}) => {
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    return socketService.subscribe(TICKET_EVENTS, (payload, event) => {
+      if (ticketId && ![payload.ticketId, payload.ticketNumber].includes(ticketId)) return;
+      handlerRef.current(payload, event);
+    });
+  }, [ticketId, enabled]);
+};
+
+export default useTicketEvents;
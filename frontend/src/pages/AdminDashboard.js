@@ -6,6 +6,7 @@ import StatCard from '../components/StatCard';
 import QuickActionCard from '../components/QuickActionCard';
 import UserManagement from '../components/Admin/UserManagement';
 import TicketManagement from '../components/Admin/TicketManagement';
+import AuditLogs from '../components/Admin/AuditLogs';
 import SystemAnalytics from '../components/Admin/SystemAnalytics';
 import SystemSettings from '../components/Admin/SystemSettings';
 import ticketService from '../services/ticketService';
@@ -28,10 +29,11 @@ const AdminDashboard = () => {
 
 const fetchDashboardData = async () => {
   try {
-    const [ticketsResponse, userStatsResponse, systemStatsResponse] = await Promise.all([
+    const [ticketsResponse, userStatsResponse, systemStatsResponse, slaResponse] = await Promise.all([
       ticketService.getTickets({ limit: 6, sortBy: 'updatedAt', sortOrder: 'desc' }),
       userService.getUserStats(),
-      userService.getSystemStats()
+      userService.getSystemStats(),
+      ticketService.getSLAMetrics({ timeframe: 'month' }).catch(() => null)
     ]);
 
     console.log('Tickets Response:', ticketsResponse); // DEBUG
@@ -48,9 +50,16 @@ const fetchDashboardData = async () => {
     // Extract data from nested structure
     setUserStats(userStatsResponse?.data || {});
     setSystemStats(systemStatsResponse?.data || {});
+    // First response time is tracked in business minutes
+    const slaSummary = slaResponse?.data?.summary;
+
     setDashboardData({
       ...(userStatsResponse?.data || {}),
-      ...(systemStatsResponse?.data || {})
+      ...(systemStatsResponse?.data || {}),
+      ...(slaSummary && slaSummary.responded > 0 && {
+        avgResponseTime: Math.round((slaSummary.avgResponseMinutes / 60) * 10) / 10,
+        slaCompliance: slaSummary.responseCompliance
+      })
     });
   } catch (error) {
     console.error('Error fetching dashboard data:', error);
@@ -122,6 +131,7 @@ const fetchDashboardData = async () => {
     { id: 'overview', label: 'System Overview', icon: '📊' },
     { id: 'users', label: 'User Management', icon: '👥' },
     { id: 'tickets', label: 'Ticket Management', icon: '🎫' },
+    { id: 'audit', label: 'Audit Logs', icon: '📜' },
     { id: 'analytics', label: 'Analytics & Reports', icon: '📈' },
     { id: 'settings', label: 'System Settings', icon: '⚙️' }
   ];
@@ -144,6 +154,8 @@ const fetchDashboardData = async () => {
         return <UserManagement />;
       case 'tickets':
         return <TicketManagement />;
+      case 'audit':
+        return <AuditLogs />;
       case 'analytics':
         return <SystemAnalytics />;
       case 'settings':
@@ -163,7 +175,7 @@ const fetchDashboardData = async () => {
             <strong>System Status: Operational</strong>
             <span>All systems running normally • Uptime: {systemStats.systemUptime || '99.9%'}</span>
           </div>
-          <button className="btn-health">
+          <button className="btn-health" onClick={() => setActiveTab('audit')}>
             View System Logs
           </button>
         </div>
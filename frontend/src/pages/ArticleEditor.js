@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom';
+import Navbar from '../components/Navbar';
+import LoadingSpinner from '../components/LoadingSpinner';
+import MarkdownView from '../components/MarkdownView';
+import knowledgeBaseService, { ARTICLE_CATEGORIES } from '../services/knowledgeBaseService';
+import '../styles/KnowledgeBase.css';
+
+const EMPTY_FORM = {
+  title: '',
+  body: '',
+  category: 'other',
+  tags: '',
+  visibility: 'internal',
+  changeNote: ''
+};
+
+const splitTags = (value) => value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+/**
+ * Knowledge Base Article Editor
+ *
+ * Creates an article (optionally prefilled from a resolved ticket via
+ * location.state.draft) or edits an existing one. Saving an edit keeps the
+ * previous content as a version, described by the change note.
+ */
+const ArticleEditor = () => {
+  const { id } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const isEditing = Boolean(id);
+  const { sourceTicket, ...draft } = location.state?.draft || {};
+
+  const [form, setForm] = useState(() => ({
+    ...EMPTY_FORM,
+    ...draft,
+    tags: (draft.tags || []).join(', ')
+  }));
+  const [loading, setLoading] = useState(isEditing);
+  const [saving, setSaving] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  useEffect(() => {
+    if (!isEditing) return;
+
+    const loadArticle = async () => {
+      try {
+        const response = await knowledgeBaseService.getArticle(id);
+        const { article } = response.data;
+        setForm({
+          title: article.title,
+          body: article.body,
+          category: article.category,
+          tags: article.tags.join(', '),
+          visibility: article.visibility,
+          changeNote: ''
+        });
+      } catch (err) {
+        console.error('Failed to load article:', err);
+        setError(err.data?.error || err.message || 'Failed to load article');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadArticle();
+  }, [id, isEditing]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setFieldErrors(prev => ({ ...prev, [name]: null }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const payload = {
+      title: form.title.trim(),
+      body: form.body,
+      category: form.category,
+      tags: splitTags(form.tags),
+      visibility: form.visibility
+    };
+
+    try {
+      setSaving(true);
+      setError('');
+      setFieldErrors({});
+
+      const response = isEditing
+        ? await knowledgeBaseService.updateArticle(id, { ...payload, changeNote: form.changeNote.trim() })
+        : await knowledgeBaseService.createArticle({ ...payload, sourceTicket: sourceTicket?.id });
+
+      const { article } = response.data;
+      navigate(`/knowledge-base/${article.slug || article._id}`);
+    } catch (err) {
+      console.error('Failed to save article:', err);
+      const errors = err.data?.errors || [];
+      setFieldErrors(errors.reduce((map, { field, message }) => ({ ...map, [field]: message }), {}));
+      setError(err.data?.error || err.message || 'Failed to save article');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <>
+        <Navbar />
+        <LoadingSpinner message="Loading article..." />
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Navbar />
+      <div className="kb-page">
+        <Link to={isEditing ? `/knowledge-base/${id}` : '/knowledge-base'} className="kb-back">
+          ← {isEditing ? 'Back to article' : 'Knowledge Base'}
+        </Link>
+
+        <form className="kb-editor" onSubmit={handleSubmit}>
+          <h1>{isEditing ? 'Edit Article' : 'New Article'}</h1>
+
+          {sourceTicket && (
+            <p className="kb-source">
+              Drafted from ticket <Link to={`/tickets/${sourceTicket.id}`}>{sourceTicket.label}</Link>.
+              Remove anything personal before publishing.
+            </p>
+          )}
+
+          {error && <div className="kb-error" role="alert">{error}</div>}
+
+          <label htmlFor="title">Title</label>
+          <input id="title" name="title" value={form.title} onChange={handleChange} maxLength={200} required />
+          {fieldErrors.title && <span className="kb-field-error">{fieldErrors.title}</span>}
+
+          <div className="kb-editor-row">
+            <div>
+              <label htmlFor="category">Category</label>
+              <select id="category" name="category" value={form.category} onChange={handleChange}>
+                {Object.entries(ARTICLE_CATEGORIES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="visibility">Visibility</label>
+              <select id="visibility" name="visibility" value={form.visibility} onChange={handleChange}>
+                <option value="internal">Internal (IT staff only)</option>
+                <option value="public">Public (everyone signed in)</option>
+              </select>
+            </div>
+          </div>
+
+          <label htmlFor="tags">Tags</label>
+          <input
+            id="tags"
+            name="tags"
+            value={form.tags}
+            onChange={handleChange}
+            placeholder="Comma separated, e.g. wifi, eduroam"
+          />
+          {fieldErrors.tags && <span className="kb-field-error">{fieldErrors.tags}</span>}
+
+          <div className="kb-editor-body-header">
+            <label htmlFor="body">Body (Markdown)</label>
+            <button type="button" className="kb-link-button" onClick={() => setShowPreview(!showPreview)}>
+              {showPreview ? 'Edit' : 'Preview'}
+            </button>
+          </div>
+          {showPreview ? (
+            <div className="kb-preview">
+              <MarkdownView source={form.body || '_Nothing to preview yet._'} />
+            </div>
+          ) : (
+            <textarea id="body" name="body" value={form.body} onChange={handleChange} rows={18} required />
+          )}
+          {fieldErrors.body && <span className="kb-field-error">{fieldErrors.body}</span>}
+
+          {isEditing && (
+            <>
+              <label htmlFor="changeNote">What changed?</label>
+              <input
+                id="changeNote"
+                name="changeNote"
+                value={form.changeNote}
+                onChange={handleChange}
+                maxLength={200}
+                placeholder="e.g. Updated steps for the new VPN client"
+              />
+            </>
+          )}
+
+          <div className="kb-editor-actions">
+            <button type="submit" className="kb-button" disabled={saving}>
+              {saving ? 'Saving...' : isEditing ? 'Save Changes' : 'Publish Article'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </>
+  );
+};
+
+export default ArticleEditor;
@@ -0,0 +1,264 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import Navbar from '../components/Navbar';
+import LoadingSpinner from '../components/LoadingSpinner';
+import MarkdownView from '../components/MarkdownView';
+import knowledgeBaseService from '../services/knowledgeBaseService';
+import '../styles/KnowledgeBase.css';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const personName = (person) => (person ? `${person.firstName} ${person.lastName}` : 'Unknown');
+
+/**
+ * Knowledge Base Article
+ *
+ * Shows one article with helpful/not helpful voting. Technicians and admins
+ * can edit or delete it and browse or restore earlier versions.
+ */
+const KnowledgeArticle = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const canManage = ['technician', 'admin'].includes(user?.role);
+
+  const [article, setArticle] = useState(null);
+  const [myVote, setMyVote] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [voting, setVoting] = useState(false);
+  const [versions, setVersions] = useState(null);
+  const [openVersion, setOpenVersion] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const loadArticle = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await knowledgeBaseService.getArticle(id);
+      setArticle(response.data.article);
+      setMyVote(response.data.myVote);
+    } catch (err) {
+      console.error('Failed to load article:', err);
+      setError(err.data?.error || err.message || 'Failed to load article');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    setVersions(null);
+    loadArticle();
+  }, [loadArticle]);
+
+  const handleVote = async (helpful) => {
+    try {
+      setVoting(true);
+      const response = await knowledgeBaseService.voteArticle(article._id, helpful);
+      setMyVote(response.data.myVote);
+      setArticle(prev => ({
+        ...prev,
+        helpfulCount: response.data.helpfulCount,
+        notHelpfulCount: response.data.notHelpfulCount
+      }));
+    } catch (err) {
+      console.error('Failed to record vote:', err);
+      setError(err.data?.error || 'Failed to record your vote');
+    } finally {
+      setVoting(false);
+    }
+  };
+
+  const toggleVersions = async () => {
+    if (versions) {
+      setVersions(null);
+      return;
+    }
+
+    try {
+      const response = await knowledgeBaseService.getVersions(article._id);
+      setVersions(response.data.versions);
+    } catch (err) {
+      console.error('Failed to load versions:', err);
+      setError(err.data?.error || 'Failed to load version history');
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore version ${version}? The current content is kept in the history.`)) return;
+
+    try {
+      setWorking(true);
+      await knowledgeBaseService.restoreVersion(article._id, version);
+      setVersions(null);
+      setOpenVersion(null);
+      await loadArticle();
+    } catch (err) {
+      console.error('Failed to restore version:', err);
+      setError(err.data?.error || 'Failed to restore version');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${article.title}"? This cannot be undone.`)) return;
+
+    try {
+      setWorking(true);
+      await knowledgeBaseService.deleteArticle(article._id);
+      navigate('/knowledge-base');
+    } catch (err) {
+      console.error('Failed to delete article:', err);
+      setError(err.data?.error || 'Failed to delete article');
+      setWorking(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <>
+        <Navbar />
+        <LoadingSpinner message="Loading article..." />
+      </>
+    );
+  }
+
+  if (!article) {
+    return (
+      <>
+        <Navbar />
+        <div className="kb-page">
+          <div className="kb-error" role="alert">{error || 'Article not found'}</div>
+          <Link to="/knowledge-base">← Back to Knowledge Base</Link>
+        </div>
+      </>
+    );
+  }
+
+  const source = article.sourceTicket;
+
+  return (
+    <>
+      <Navbar />
+      <div className="kb-page">
+        <Link to="/knowledge-base" className="kb-back">← Knowledge Base</Link>
+
+        {error && <div className="kb-error" role="alert">{error}</div>}
+
+        <article className="kb-article">
+          <div className="kb-card-meta">
+            <span className="kb-category">{article.category}</span>
+            {article.visibility === 'internal' && <span className="kb-internal">Internal</span>}
+          </div>
+          <h1>{article.title}</h1>
+          <p className="kb-article-meta">
+            By {personName(article.author)} · Version {article.version}, updated {formatDateTime(article.updatedAt)}
+            {article.lastEditedBy && ` by ${personName(article.lastEditedBy)}`} · {article.viewCount} views
+          </p>
+
+          {article.tags.length > 0 && (
+            <div className="kb-tags">
+              {article.tags.map(name => (
+                <Link key={name} to={`/knowledge-base?tag=${encodeURIComponent(name)}`} className="kb-tag">
+                  #{name}
+                </Link>
+              ))}
+            </div>
+          )}
+
+          <MarkdownView source={article.body} />
+
+          {canManage && source && (
+            <p className="kb-source">
+              Written from ticket{' '}
+              <Link to={`/tickets/${source._id}`}>{source.ticketId || source.title}</Link>
+            </p>
+          )}
+
+          <div className="kb-vote">
+            <span>Was this article helpful?</span>
+            <button
+              className={`kb-vote-button ${myVote === true ? 'selected' : ''}`}
+              onClick={() => handleVote(true)}
+              disabled={voting}
+              aria-pressed={myVote === true}
+            >
+              👍 Yes ({article.helpfulCount})
+            </button>
+            <button
+              className={`kb-vote-button ${myVote === false ? 'selected' : ''}`}
+              onClick={() => handleVote(false)}
+              disabled={voting}
+              aria-pressed={myVote === false}
+            >
+              👎 No ({article.notHelpfulCount})
+            </button>
+          </div>
+        </article>
+
+        {canManage && (
+          <div className="kb-manage">
+            <div className="kb-manage-actions">
+              <Link to={`/knowledge-base/${article._id}/edit`} className="kb-button">Edit</Link>
+              {article.versionCount > 0 && (
+                <button className="kb-button secondary" onClick={toggleVersions}>
+                  {versions ? 'Hide history' : `History (${article.versionCount})`}
+                </button>
+              )}
+              <button className="kb-button danger" onClick={handleDelete} disabled={working}>
+                Delete
+              </button>
+            </div>
+
+            {versions && (
+              <ul className="kb-versions">
+                <li className="kb-version current">
+                  <strong>Version {article.version}</strong> (current) · {formatDateTime(article.updatedAt)}
+                  {article.changeNote && <div className="kb-change-note">{article.changeNote}</div>}
+                </li>
+                {versions.map(entry => (
+                  <li key={entry.version} className="kb-version">
+                    <div className="kb-version-header">
+                      <span>
+                        <strong>Version {entry.version}</strong> · {personName(entry.editedBy)} · {formatDateTime(entry.editedAt)}
+                      </span>
+                      <span>
+                        <button
+                          className="kb-link-button"
+                          onClick={() => setOpenVersion(openVersion === entry.version ? null : entry.version)}
+                        >
+                          {openVersion === entry.version ? 'Hide' : 'View'}
+                        </button>
+                        <button
+                          className="kb-link-button"
+                          onClick={() => handleRestore(entry.version)}
+                          disabled={working}
+                        >
+                          Restore
+                        </button>
+                      </span>
+                    </div>
+                    {entry.changeNote && <div className="kb-change-note">{entry.changeNote}</div>}
+                    {openVersion === entry.version && (
+                      <div className="kb-version-preview">
+                        <h3>{entry.title}</h3>
+                        <p className="kb-article-meta">
+                          {entry.category} · {entry.visibility} · {entry.tags.map(name => `#${name}`).join(' ')}
+                        </p>
+                        <MarkdownView source={entry.body} />
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default KnowledgeArticle;
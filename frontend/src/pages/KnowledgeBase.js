@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import Navbar from '../components/Navbar';
+import LoadingSpinner from '../components/LoadingSpinner';
+import knowledgeBaseService from '../services/knowledgeBaseService';
+import '../styles/KnowledgeBase.css';
+
+const PAGE_SIZE = 12;
+
+const SORT_OPTIONS = [
+  { value: 'recent', label: 'Recently updated' },
+  { value: 'helpful', label: 'Most helpful' },
+  { value: 'views', label: 'Most viewed' },
+  { value: 'title', label: 'Title' }
+];
+
+/**
+ * Knowledge Base Browser
+ *
+ * Search and browse how-to articles. Filters live in the query string so
+ * a filtered list can be shared or bookmarked. Technicians and admins also
+ * see internal articles and can write new ones.
+ */
+const KnowledgeBase = () => {
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const canManage = ['technician', 'admin'].includes(user?.role);
+
+  const search = searchParams.get('search') || '';
+  const category = searchParams.get('category') || '';
+  const tag = searchParams.get('tag') || '';
+  const visibility = searchParams.get('visibility') || '';
+  const sort = searchParams.get('sort') || (search ? '' : 'recent');
+  const page = Number(searchParams.get('page')) || 1;
+
+  const [searchInput, setSearchInput] = useState(search);
+  const [articles, setArticles] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setSearchInput(search);
+  }, [search]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadArticles = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await knowledgeBaseService.getArticles({
+          search, category, tag, visibility, sort, page, limit: PAGE_SIZE
+        });
+        if (cancelled) return;
+        setArticles(response.data.articles);
+        setPagination(response.data.pagination);
+        setCategories(response.data.categories);
+      } catch (err) {
+        console.error('Failed to load articles:', err);
+        if (!cancelled) setError(err.data?.error || err.message || 'Failed to load articles');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadArticles();
+    return () => { cancelled = true; };
+  }, [search, category, tag, visibility, sort, page]);
+
+  // Any filter change starts again from the first page
+  const updateFilters = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value);
+      else next.delete(key);
+    });
+    if (!('page' in changes)) next.delete('page');
+    setSearchParams(next);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    // Search results are ranked by relevance unless a sort is picked
+    updateFilters({ search: searchInput.trim() });
+  };
+
+  const hasFilters = search || category || tag || visibility;
+
+  return (
+    <>
+      <Navbar />
+      <div className="kb-page">
+        <div className="kb-header">
+          <div>
+            <h1>Knowledge Base</h1>
+            <p className="kb-subtitle">Guides and known fixes from IT Support</p>
+          </div>
+          {canManage && (
+            <Link to="/knowledge-base/new" className="kb-button">+ New Article</Link>
+          )}
+        </div>
+
+        <form className="kb-search" onSubmit={handleSearch}>
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search articles, e.g. &quot;wifi password&quot;"
+            aria-label="Search articles"
+          />
+          <button type="submit" className="kb-button">Search</button>
+        </form>
+
+        <div className="kb-filters">
+          <select
+            value={category}
+            onChange={(e) => updateFilters({ category: e.target.value })}
+            aria-label="Filter by category"
+          >
+            <option value="">All categories</option>
+            {categories.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+
+          {canManage && (
+            <select
+              value={visibility}
+              onChange={(e) => updateFilters({ visibility: e.target.value })}
+              aria-label="Filter by visibility"
+            >
+              <option value="">Public and internal</option>
+              <option value="public">Public only</option>
+              <option value="internal">Internal only</option>
+            </select>
+          )}
+
+          <select
+            value={sort}
+            onChange={(e) => updateFilters({ sort: e.target.value })}
+            aria-label="Sort articles"
+          >
+            {search && <option value="">Best match</option>}
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+
+          {tag && (
+            <button type="button" className="kb-tag active" onClick={() => updateFilters({ tag: '' })}>
+              #{tag} ✕
+            </button>
+          )}
+
+          {hasFilters && (
+            <button type="button" className="kb-link-button" onClick={() => setSearchParams({})}>
+              Clear filters
+            </button>
+          )}
+        </div>
+
+        {error && <div className="kb-error" role="alert">{error}</div>}
+
+        {loading ? (
+          <LoadingSpinner message="Loading articles..." />
+        ) : articles.length === 0 ? (
+          <div className="kb-empty">
+            <p>{hasFilters ? 'No articles match your search.' : 'No articles have been written yet.'}</p>
+          </div>
+        ) : (
+          <div className="kb-list">
+            {articles.map(article => (
+              <article key={article._id} className="kb-card">
+                <div className="kb-card-meta">
+                  <span className="kb-category">{article.category}</span>
+                  {article.visibility === 'internal' && <span className="kb-internal">Internal</span>}
+                </div>
+                <h2>
+                  <Link to={`/knowledge-base/${article.slug || article._id}`}>{article.title}</Link>
+                </h2>
+                <p className="kb-excerpt">{article.excerpt}</p>
+                <div className="kb-card-footer">
+                  <div className="kb-tags">
+                    {article.tags.map(name => (
+                      <button
+                        key={name}
+                        type="button"
+                        className="kb-tag"
+                        onClick={() => updateFilters({ tag: name })}
+                      >
+                        #{name}
+                      </button>
+                    ))}
+                  </div>
+                  <span className="kb-stats">
+                    👍 {article.helpfulCount} · 👁️ {article.viewCount} · {new Date(article.updatedAt).toLocaleDateString()}
+                  </span>
+                </div>
+              </article>
+            ))}
+          </div>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="kb-pagination">
+            <button
+              className="kb-link-button"
+              disabled={page <= 1}
+              onClick={() => updateFilters({ page: String(page - 1) })}
+            >
+              ← Previous
+            </button>
+            <span>Page {page} of {pagination.totalPages}</span>
+            <button
+              className="kb-link-button"
+              disabled={page >= pagination.totalPages}
+              onClick={() => updateFilters({ page: String(page + 1) })}
+            >
+              Next →
+            </button>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default KnowledgeBase;
@@ -1,11 +1,14 @@
 // src/pages/Profile.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext';
+import { authService } from '../services/authService';
 import Navbar from '../components/Navbar';
 import '../styles/Profile.css';
 
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
 const Profile = () => {
-  const { user, updateProfile, changePassword } = useAuth();
+  const { user, updateProfile, changePassword, logout } = useAuth();
   const [formData, setFormData] = useState({
     firstName: '',
     lastName: '',
@@ -24,6 +27,9 @@ const Profile = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [activeTab, setActiveTab] = useState('profile');
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
+  const [revoking, setRevoking] = useState(null);
 
   useEffect(() => {
     if (user) {
@@ -39,6 +45,71 @@ const Profile = () => {
     }
   }, [user]);
 
+  const loadSessions = useCallback(async () => {
+    setSessionsLoading(true);
+    setError('');
+
+    try {
+      const response = await authService.getSessions();
+      setSessions(response.data?.sessions || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load sessions');
+    } finally {
+      setSessionsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'sessions') {
+      loadSessions();
+    }
+  }, [activeTab, loadSessions]);
+
+  const handleRevokeSession = async (session) => {
+    const prompt = session.current
+      ? 'Sign out of this device? You will need to log in again.'
+      : `Sign out ${session.device || 'this session'}?`;
+    if (!window.confirm(prompt)) return;
+
+    setRevoking(session.id);
+    setError('');
+    setSuccess('');
+
+    try {
+      await authService.revokeSession(session.id);
+
+      if (session.current) {
+        await logout('session_revoked');
+        return;
+      }
+
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+      setSuccess('Session signed out');
+    } catch (err) {
+      setError(err.message || 'Failed to sign out session');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeOtherSessions = async () => {
+    if (!window.confirm('Sign out of every other device?')) return;
+
+    setRevoking('others');
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await authService.revokeOtherSessions();
+      setSuccess(response.message || 'Other sessions signed out');
+      await loadSessions();
+    } catch (err) {
+      setError(err.message || 'Failed to sign out sessions');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
   const handleProfileUpdate = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -131,6 +202,12 @@ const Profile = () => {
           >
             Change Password
           </button>
+          <button
+            className={`tab-button ${activeTab === 'sessions' ? 'active' : ''}`}
+            onClick={() => setActiveTab('sessions')}
+          >
+            Active Sessions
+          </button>
           <button
             className={`tab-button ${activeTab === 'security' ? 'active' : ''}`}
             onClick={() => setActiveTab('security')}
@@ -318,6 +395,53 @@ const Profile = () => {
             </form>
           )}
 
+          {activeTab === 'sessions' && (
+            <div className="sessions-section">
+              <div className="sessions-header">
+                <div>
+                  <h3>Active Sessions</h3>
+                  <p>Devices currently signed in to your account</p>
+                </div>
+                <button
+                  className="btn-secondary"
+                  onClick={handleRevokeOtherSessions}
+                  disabled={revoking !== null || !sessions.some(session => !session.current)}
+                >
+                  {revoking === 'others' ? 'Signing out...' : 'Sign out other sessions'}
+                </button>
+              </div>
+
+              {sessionsLoading ? (
+                <p>Loading sessions...</p>
+              ) : sessions.length === 0 ? (
+                <p className="text-muted">No active sessions found</p>
+              ) : (
+                <ul className="session-list">
+                  {sessions.map(session => (
+                    <li key={session.id} className={`session-item ${session.current ? 'current' : ''}`}>
+                      <div className="session-info">
+                        <h4>
+                          {session.device || 'Unknown device'}
+                          {session.current && <span className="session-current">This device</span>}
+                        </h4>
+                        <p>IP address: {session.ipAddress || 'Unknown'}</p>
+                        <p>Signed in: {formatTime(session.createdAt)}</p>
+                        <p>Last active: {formatTime(session.lastUsedAt)}</p>
+                      </div>
+                      <button
+                        className="btn-secondary"
+                        onClick={() => handleRevokeSession(session)}
+                        disabled={revoking !== null}
+                      >
+                        {revoking === session.id ? 'Signing out...' : session.current ? 'Sign out' : 'Revoke'}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
           {activeTab === 'security' && (
             <div className="security-section">
               <h3>Security Settings</h3>
@@ -331,7 +455,9 @@ const Profile = () => {
               <div className="security-item">
                 <h4>Session Management</h4>
                 <p>View and manage your active sessions</p>
-                <button className="btn-secondary">View Sessions</button>
+                <button className="btn-secondary" onClick={() => setActiveTab('sessions')}>
+                  View Sessions
+                </button>
               </div>
 
               <div className="security-item">
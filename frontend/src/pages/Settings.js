@@ -1,18 +1,19 @@
 // src/pages/Settings.js
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useTheme } from '../context/ThemeContext';
 import Navbar from '../components/Navbar';
+import ticketService from '../services/ticketService';
 import '../styles/Settings.css';
 
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
 const Settings = () => {
   const { isDark, toggleTheme } = useTheme();
-  const [notifications, setNotifications] = useState({
-    email: true,
-    push: true,
-    ticketUpdates: true,
-    announcements: true,
-    newsletter: false
-  });
+  const [notifications, setNotifications] = useState({});
+  const [notificationEvents, setNotificationEvents] = useState([]);
+  const [emailFrequency, setEmailFrequency] = useState('immediate');
+  const [digest, setDigest] = useState({ frequency: 'daily', hour: 7, dayOfWeek: 1 });
   const [privacy, setPrivacy] = useState({
     profileVisibility: 'public',
     showOnlineStatus: true,
@@ -20,11 +21,51 @@ const Settings = () => {
   });
   const [loading, setLoading] = useState(false);
   const [saved, setSaved] = useState(false);
+  const [saveError, setSaveError] = useState('');
+
+  const applyPreferences = (preferences) => {
+    setNotifications(preferences.notifications || {});
+    setNotificationEvents(preferences.events || []);
+    setEmailFrequency(preferences.emailFrequency || 'immediate');
+    if (preferences.digest) {
+      setDigest({
+        frequency: preferences.digest.frequency,
+        hour: preferences.digest.hour,
+        dayOfWeek: preferences.digest.dayOfWeek
+      });
+    }
+  };
+
+  // Load notification preferences from the server
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const response = await ticketService.getNotificationPreferences();
+        if (response.success) {
+          applyPreferences(response.data.preferences);
+        }
+      } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+      }
+    };
 
-  const handleNotificationChange = (key) => {
+    fetchPreferences();
+  }, []);
+
+  const handleNotificationChange = (event, channel) => {
     setNotifications(prev => ({
       ...prev,
-      [key]: !prev[key]
+      [event]: {
+        ...prev[event],
+        [channel]: !prev[event]?.[channel]
+      }
+    }));
+  };
+
+  const handleDigestChange = (key, value) => {
+    setDigest(prev => ({
+      ...prev,
+      [key]: value
     }));
   };
 
@@ -37,27 +78,37 @@ const Settings = () => {
 
   const handleSave = async () => {
     setLoading(true);
+    setSaveError('');
     
-    // Simulate API call
-    setTimeout(() => {
-      localStorage.setItem('user_notifications', JSON.stringify(notifications));
+    try {
+      const response = await ticketService.updateNotificationPreferences({
+        notifications,
+        emailFrequency,
+        digest
+      });
+      if (response.success) {
+        applyPreferences(response.data.preferences);
+      }
+
       localStorage.setItem('user_privacy', JSON.stringify(privacy));
-      setLoading(false);
       setSaved(true);
       
       // Hide success message after 3 seconds
       setTimeout(() => setSaved(false), 3000);
-    }, 500);
+    } catch (error) {
+      console.error('Error saving notification preferences:', error);
+      setSaveError(error.message || 'Failed to save notification preferences');
+    } finally {
+      setLoading(false);
+    }
   };
 
   const handleReset = () => {
-    setNotifications({
-      email: true,
-      push: true,
-      ticketUpdates: true,
-      announcements: true,
-      newsletter: false
-    });
+    // Every event on every channel, emailed immediately
+    setNotifications(prev => Object.fromEntries(
+      Object.keys(prev).map(event => [event, { email: true, inApp: true }])
+    ));
+    setEmailFrequency('immediate');
     setPrivacy({
       profileVisibility: 'public',
       showOnlineStatus: true,
@@ -125,29 +176,83 @@ const Settings = () => {
               <p>Control how you receive updates</p>
             </div>
             <div className="settings-card-body">
-              {Object.entries(notifications).map(([key, value]) => (
+              <div className="setting-item">
+                <div className="setting-info">
+                  <h4>Email Frequency</h4>
+                  <p>Send emails as they happen, in a digest, or not at all</p>
+                </div>
+                <div className="setting-control">
+                  <select
+                    value={emailFrequency}
+                    onChange={(e) => setEmailFrequency(e.target.value)}
+                    className="privacy-select"
+                  >
+                    <option value="immediate">Immediately</option>
+                    <option value="digest">Digest</option>
+                    <option value="none">Never</option>
+                  </select>
+                </div>
+              </div>
+
+              {emailFrequency === 'digest' && (
+                <div className="setting-item">
+                  <div className="setting-info">
+                    <h4>Digest Schedule</h4>
+                    <p>When your summary email is sent (campus time)</p>
+                  </div>
+                  <div className="setting-control digest-schedule">
+                    <select
+                      value={digest.frequency}
+                      onChange={(e) => handleDigestChange('frequency', e.target.value)}
+                      className="privacy-select"
+                    >
+                      <option value="daily">Daily</option>
+                      <option value="weekly">Weekly</option>
+                    </select>
+                    {digest.frequency === 'weekly' && (
+                      <select
+                        value={digest.dayOfWeek}
+                        onChange={(e) => handleDigestChange('dayOfWeek', parseInt(e.target.value, 10))}
+                        className="privacy-select"
+                      >
+                        {WEEKDAYS.map((day, index) => (
+                          <option key={day} value={index}>{day}</option>
+                        ))}
+                      </select>
+                    )}
+                    <select
+                      value={digest.hour}
+                      onChange={(e) => handleDigestChange('hour', parseInt(e.target.value, 10))}
+                      className="privacy-select"
+                    >
+                      {HOURS.map(hour => (
+                        <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
+
+              {notificationEvents.map(({ key, label }) => (
                 <div key={key} className="setting-item">
                   <div className="setting-info">
-                    <h4>
-                      {key.charAt(0).toUpperCase() + key.slice(1).replace(/([A-Z])/g, ' $1')}
-                    </h4>
-                    <p>
-                      {key === 'email' && 'Receive email notifications'}
-                      {key === 'push' && 'Receive browser push notifications'}
-                      {key === 'ticketUpdates' && 'Get notified about ticket updates'}
-                      {key === 'announcements' && 'Receive system announcements'}
-                      {key === 'newsletter' && 'Subscribe to monthly newsletter'}
-                    </p>
+                    <h4>{label}</h4>
                   </div>
-                  <div className="setting-control">
-                    <label className="switch">
-                      <input
-                        type="checkbox"
-                        checked={value}
-                        onChange={() => handleNotificationChange(key)}
-                      />
-                      <span className="slider"></span>
-                    </label>
+                  <div className="setting-control channel-toggles">
+                    {[['email', 'Email'], ['inApp', 'In-app']].map(([channel, channelLabel]) => (
+                      <div key={channel} className="channel-toggle">
+                        <span>{channelLabel}</span>
+                        <label className="switch">
+                          <input
+                            type="checkbox"
+                            checked={!!notifications[key]?.[channel]}
+                            disabled={channel === 'email' && emailFrequency === 'none'}
+                            onChange={() => handleNotificationChange(key, channel)}
+                          />
+                          <span className="slider"></span>
+                        </label>
+                      </div>
+                    ))}
                   </div>
                 </div>
               ))}
@@ -270,6 +375,11 @@ const Settings = () => {
               Settings saved successfully!
             </div>
           )}
+          {saveError && (
+            <div className="save-error">
+              {saveError}
+            </div>
+          )}
           
           <div className="action-buttons">
             <button
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import Navbar from '../components/Navbar';
@@ -8,7 +8,113 @@ import ErrorBoundary from '../components/ErrorBoundary';
 import ticketService from '../services/ticketService';
 import userService from '../services/userService';
 import '../styles/Dashboard.css';
-import technicianService from '../services/technicianService';
+import useTicketEvents from '../hooks/useTicketEvents';
+
+/**
+ * Safe ticket fetching with fallback handling
+ */
+const fetchTicketsWithFallback = async (filters) => {
+  try {
+    const response = await ticketService.getTickets(filters);
+    
+    if (response && response.success) {
+      const tickets = response.data?.tickets || 
+                     response.tickets || 
+                     response.data?.data?.tickets || 
+                     response.data || 
+                     [];
+      
+      return Array.isArray(tickets) ? tickets : [];
+    }
+    
+    return [];
+  } catch (error) {
+    console.warn('Ticket fetch failed, using fallback:', error);
+    return [];
+  }
+};
+
+/**
+ * Sanitizes and validates ticket array
+ */
+const sanitizeTicketArray = (tickets) => {
+  if (!Array.isArray(tickets)) return [];
+  
+  return tickets
+    .filter(ticket => ticket && (ticket._id || ticket.id))
+    .map(ticket => ({
+      ...ticket,
+      // Ensure required fields exist
+      _id: ticket._id || ticket.id,
+      title: ticket.title || 'Untitled Ticket',
+      status: ticket.status || 'open',
+      urgency: ticket.urgency || 'medium',
+      issueType: ticket.issueType || 'other',
+      // Format dates for display
+      formattedCreatedAt: formatDateForDisplay(ticket.createdAt),
+      formattedUpdatedAt: formatDateForDisplay(ticket.updatedAt)
+    }));
+};
+
+/**
+ * Calculates tickets resolved today
+ */
+const calculateTodayResolved = (resolvedTickets) => {
+  const today = new Date().toDateString();
+  return resolvedTickets.filter(ticket => {
+    const resolvedDate = new Date(ticket.updatedAt || ticket.createdAt);
+    return resolvedDate.toDateString() === today;
+  }).length;
+};
+
+/**
+ * Calculates overdue tickets
+ */
+const calculateOverdueTickets = (tickets) => {
+  const now = new Date();
+  return tickets.filter(ticket => {
+    if (!ticket.createdAt) return false;
+    
+    const createdDate = new Date(ticket.createdAt);
+    const hoursSinceCreation = (now - createdDate) / (1000 * 60 * 60);
+    
+    // SLA thresholds based on urgency
+    const slaHours = {
+      critical: 4,
+      high: 24,
+      medium: 48,
+      low: 72
+    };
+    
+    const threshold = slaHours[ticket.urgency] || 48;
+    return hoursSinceCreation > threshold && ticket.status !== 'resolved';
+  }).length;
+};
+
+/**
+ * Formats date for display
+ */
+const formatDateForDisplay = (dateString) => {
+  if (!dateString) return 'N/A';
+  
+  const date = new Date(dateString);
+  const now = new Date();
+  const diffMs = now - date;
+  const diffHours = diffMs / (1000 * 60 * 60);
+  
+  if (diffHours < 1) {
+    return 'Just now';
+  } else if (diffHours < 24) {
+    return `${Math.floor(diffHours)} hours ago`;
+  } else {
+    return date.toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+};
 
 /**
  * TechnicianDashboard Component
@@ -30,7 +136,6 @@ import technicianService from '../services/technicianService';
 const TechnicianDashboard = () => {
   const { user, isAuthenticated } = useAuth();
   const navigate = useNavigate();
-  const refreshIntervalRef = useRef(null);
   
   // State management
   const [dashboardData, setDashboardData] = useState({
@@ -67,21 +172,66 @@ const TechnicianDashboard = () => {
     }
   }, [isAuthenticated, user, navigate]);
 
-  // Data fetching with cleanup
-  useEffect(() => {
-    if (isAuthenticated && user?.role === 'technician') {
-      fetchDashboardData();
-      
-      // Set up refresh interval (5 minutes for production)
-      refreshIntervalRef.current = setInterval(fetchDashboardData, 300000);
-      
-      return () => {
-        if (refreshIntervalRef.current) {
-          clearInterval(refreshIntervalRef.current);
-        }
-      };
-    }
-  }, [isAuthenticated, user]);
+  // Reload when one of the technician's tickets changes
+  useTicketEvents(() => {
+    fetchDashboardData();
+  }, { enabled: isAuthenticated && user?.role === 'technician' });
+
+  /**
+   * Processes and validates dashboard data
+   */
+  const processDashboardData = useCallback((stats, assigned, unassigned, resolved) => {
+    // Validate and sanitize ticket data
+    const sanitizedAssigned = sanitizeTicketArray(assigned);
+    const sanitizedUnassigned = sanitizeTicketArray(unassigned);
+    const sanitizedResolved = sanitizeTicketArray(resolved);
+    
+    // Extract urgent tickets
+    const urgent = [
+      ...sanitizedAssigned.filter(t => t.urgency === 'critical' || t.urgency === 'high'),
+      ...sanitizedUnassigned.filter(t => t.urgency === 'critical' || t.urgency === 'high')
+    ];
+
+    // Update state
+    setAssignedTickets(sanitizedAssigned);
+    setUnassignedTickets(sanitizedUnassigned);
+    setRecentlyResolved(sanitizedResolved);
+    setUrgentTickets(urgent);
+    
+    // Update dashboard statistics
+    setDashboardData(prev => ({
+      ...prev,
+      assignedTickets: sanitizedAssigned.length,
+      unassignedTickets: sanitizedUnassigned.length,
+      todayResolved: calculateTodayResolved(sanitizedResolved),
+      avgResolutionTime: stats.avgResolutionTime || 0,
+      slaMet: stats.slaMet || 0,
+      satisfactionRate: stats.satisfactionRate || 0,
+      urgentCount: urgent.length,
+      overdueCount: calculateOverdueTickets(sanitizedAssigned)
+    }));
+  }, []);
+
+  /**
+   * Handles dashboard errors with user-friendly messages
+   */
+  const handleDashboardError = useCallback((error) => {
+    const errorMap = {
+      'Network Error': 'Unable to connect to server. Please check your internet connection.',
+      'Request failed with status code 401': 'Session expired. Please log in again.',
+      'Request failed with status code 403': 'You do not have permission to view this dashboard.',
+      'Request failed with status code 500': 'Server error. Please try again later.'
+    };
+    
+    const errorMessage = errorMap[error.message] || 
+                        'Unable to load dashboard data. Please try again.';
+    
+    setError({
+      message: errorMessage,
+      type: 'dashboard',
+      retryable: true
+    });
+  }, []);
 
   /**
    * Fetches all dashboard data with error handling and performance tracking
@@ -143,144 +293,14 @@ const TechnicianDashboard = () => {
     } finally {
       setLoading(false);
     }
-  }, [user]);
+  }, [user, processDashboardData, handleDashboardError]);
 
-  /**
-   * Safe ticket fetching with fallback handling
-   */
-  const fetchTicketsWithFallback = async (filters) => {
-    try {
-      const response = await ticketService.getTickets(filters);
-      
-      if (response && response.success) {
-        const tickets = response.data?.tickets || 
-                       response.tickets || 
-                       response.data?.data?.tickets || 
-                       response.data || 
-                       [];
-        
-        return Array.isArray(tickets) ? tickets : [];
-      }
-      
-      return [];
-    } catch (error) {
-      console.warn('Ticket fetch failed, using fallback:', error);
-      return [];
+  // Initial data fetch
+  useEffect(() => {
+    if (isAuthenticated && user?.role === 'technician') {
+      fetchDashboardData();
     }
-  };
-
-  /**
-   * Processes and validates dashboard data
-   */
-  const processDashboardData = (stats, assigned, unassigned, resolved) => {
-    // Validate and sanitize ticket data
-    const sanitizedAssigned = sanitizeTicketArray(assigned);
-    const sanitizedUnassigned = sanitizeTicketArray(unassigned);
-    const sanitizedResolved = sanitizeTicketArray(resolved);
-    
-    // Extract urgent tickets
-    const urgent = [
-      ...sanitizedAssigned.filter(t => t.urgency === 'critical' || t.urgency === 'high'),
-      ...sanitizedUnassigned.filter(t => t.urgency === 'critical' || t.urgency === 'high')
-    ];
-
-    // Update state
-    setAssignedTickets(sanitizedAssigned);
-    setUnassignedTickets(sanitizedUnassigned);
-    setRecentlyResolved(sanitizedResolved);
-    setUrgentTickets(urgent);
-    
-    // Update dashboard statistics
-    setDashboardData(prev => ({
-      ...prev,
-      assignedTickets: sanitizedAssigned.length,
-      unassignedTickets: sanitizedUnassigned.length,
-      todayResolved: calculateTodayResolved(sanitizedResolved),
-      avgResolutionTime: stats.avgResolutionTime || 0,
-      slaMet: stats.slaMet || 0,
-      satisfactionRate: stats.satisfactionRate || 0,
-      urgentCount: urgent.length,
-      overdueCount: calculateOverdueTickets(sanitizedAssigned)
-    }));
-  };
-
-  /**
-   * Sanitizes and validates ticket array
-   */
-  const sanitizeTicketArray = (tickets) => {
-    if (!Array.isArray(tickets)) return [];
-    
-    return tickets
-      .filter(ticket => ticket && (ticket._id || ticket.id))
-      .map(ticket => ({
-        ...ticket,
-        // Ensure required fields exist
-        _id: ticket._id || ticket.id,
-        title: ticket.title || 'Untitled Ticket',
-        status: ticket.status || 'open',
-        urgency: ticket.urgency || 'medium',
-        issueType: ticket.issueType || 'other',
-        // Format dates for display
-        formattedCreatedAt: formatDateForDisplay(ticket.createdAt),
-        formattedUpdatedAt: formatDateForDisplay(ticket.updatedAt)
-      }));
-  };
-
-  /**
-   * Calculates tickets resolved today
-   */
-  const calculateTodayResolved = (resolvedTickets) => {
-    const today = new Date().toDateString();
-    return resolvedTickets.filter(ticket => {
-      const resolvedDate = new Date(ticket.updatedAt || ticket.createdAt);
-      return resolvedDate.toDateString() === today;
-    }).length;
-  };
-
-  /**
-   * Calculates overdue tickets
-   */
-  const calculateOverdueTickets = (tickets) => {
-    const now = new Date();
-    return tickets.filter(ticket => {
-      if (!ticket.createdAt) return false;
-      
-      const createdDate = new Date(ticket.createdAt);
-      const hoursSinceCreation = (now - createdDate) / (1000 * 60 * 60);
-      
-      // SLA thresholds based on urgency
-      const slaHours = {
-        critical: 4,
-        high: 24,
-        medium: 48,
-        low: 72
-      };
-      
-      const threshold = slaHours[ticket.urgency] || 48;
-      return hoursSinceCreation > threshold && ticket.status !== 'resolved';
-    }).length;
-  };
-
-  /**
-   * Handles dashboard errors with user-friendly messages
-   */
-  const handleDashboardError = (error) => {
-    const errorMap = {
-      'Network Error': 'Unable to connect to server. Please check your internet connection.',
-      'Request failed with status code 401': 'Session expired. Please log in again.',
-      'Request failed with status code 403': 'You do not have permission to view this dashboard.',
-      'Request failed with status code 500': 'Server error. Please try again later.'
-    };
-    
-    const errorMessage = errorMap[error.message] || 
-                        'Unable to load dashboard data. Please try again.';
-    
-    setError({
-      message: errorMessage,
-      type: 'dashboard',
-      retryable: true
-    });
-  };
+  }, [isAuthenticated, user, fetchDashboardData]);
 
   /**
    * Handles manual refresh
@@ -312,31 +332,6 @@ const TechnicianDashboard = () => {
     }
   };
 
-  /**
-   * Formats date for display
-   */
-  const formatDateForDisplay = (dateString) => {
-    if (!dateString) return 'N/A';
-    
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffMs = now - date;
-    const diffHours = diffMs / (1000 * 60 * 60);
-    
-    if (diffHours < 1) {
-      return 'Just now';
-    } else if (diffHours < 24) {
-      return `${Math.floor(diffHours)} hours ago`;
-    } else {
-      return date.toLocaleDateString('en-US', {
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-      });
-    }
-  };
-
   /**
    * Quick actions configuration
    */
@@ -457,16 +452,6 @@ const TechnicianDashboard = () => {
             </div>
             
             <div className="header-actions">
-              <button
-                onClick={handleManualRefresh}
-                className="btn btn-secondary btn-icon"
-                disabled={loading}
-                aria-label="Refresh dashboard"
-              >
-                <span className="icon">🔄</span>
-                Refresh
-              </button>
-              
               <Link to="/tickets" className="btn btn-primary">
                 View All Tickets
               </Link>
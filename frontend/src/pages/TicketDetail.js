@@ -10,7 +10,8 @@ import Navbar from '../components/Navbar';
 import LoadingSpinner from '../components/LoadingSpinner';
 import ErrorBoundary from '../components/ErrorBoundary';
 import ticketService from '../services/ticketService';
-import userService from '../services/userService';
+import useTicketEvents from '../hooks/useTicketEvents';
+import { ARTICLE_CATEGORIES } from '../services/knowledgeBaseService';
 import '../styles/TicketDetail.css';
 
 const TicketDetail = () => {
@@ -34,10 +35,10 @@ const TicketDetail = () => {
   const [attachments, setAttachments] = useState([]);
   const [uploadingAttachment, setUploadingAttachment] = useState(false);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [updatingWatch, setUpdatingWatch] = useState(false);
   
   // Refs
   const fileInputRef = useRef(null);
-  const refreshIntervalRef = useRef(null);
   const abortControllerRef = useRef(null);
 
   /**
@@ -74,6 +75,12 @@ const TicketDetail = () => {
     return isOwner || isAssigned || isAdminOrTech;
   }, [ticket, user]);
 
+  // Watchers (CC list) are populated users
+  const watcherCount = ticket?.watchers?.length || 0;
+  const isWatching = (ticket?.watchers || []).some(watcher =>
+    (watcher.user?._id || watcher.user) === (user?._id || user?.id)
+  );
+
   /**
    * Fetches ticket data with comprehensive error handling
    */
@@ -216,7 +223,7 @@ const TicketDetail = () => {
       setLoading(false);
       abortControllerRef.current = null;
     }
-  }, [id, isValidTicketId, user?.role, navigate, logout]);
+  }, [id, isValidTicketId, user?._id, user?.id, user?.role, navigate, logout]);
 
   /**
    * Handles adding a new comment
@@ -374,6 +381,81 @@ const TicketDetail = () => {
     }
   };
 
+  /**
+   * Opens the article editor prefilled with the problem and how it was fixed
+   */
+  const handleCreateArticle = () => {
+    const resolution = ticket.resolution || {};
+    const fix = resolution.summary;
+    const category = ARTICLE_CATEGORIES[ticket.category] ? ticket.category : 'other';
+
+    const sections = [
+      '## Problem',
+      ticket.description || ticket.title,
+      '## Solution',
+      [fix, resolution.details].filter(Boolean).join('\n\n') || '_Describe the fix here._'
+    ];
+
+    if (resolution.solutionSteps?.length) {
+      sections.push('## Steps', resolution.solutionSteps.map((step, index) => `${index + 1}. ${step}`).join('\n'));
+    }
+    if (resolution.rootCause) {
+      sections.push('## Cause', resolution.rootCause);
+    }
+
+    navigate('/knowledge-base/new', {
+      state: {
+        draft: {
+          title: ticket.title,
+          body: sections.join('\n\n'),
+          category,
+          tags: ticket.tags || [],
+          sourceTicket: {
+            id: ticket._id,
+            label: ticket.ticketId || ticket.title
+          }
+        }
+      }
+    });
+  };
+
+  /**
+   * Follows or unfollows the ticket (watchers get public comments and status changes)
+   */
+  const handleToggleWatch = async () => {
+    if (!ticket || updatingWatch) return;
+    
+    const currentUserId = user?._id || user?.id;
+    const watching = isWatching;
+    
+    try {
+      setUpdatingWatch(true);
+      
+      const response = watching
+        ? await ticketService.unwatchTicket(ticket._id)
+        : await ticketService.watchTicket(ticket._id);
+      
+      if (response?.success) {
+        setTicket(prev => ({
+          ...prev,
+          watchers: watching
+            ? (prev.watchers || []).filter(watcher => (watcher.user?._id || watcher.user) !== currentUserId)
+            : [...(prev.watchers || []), { user: { _id: currentUserId, firstName: user?.firstName, lastName: user?.lastName } }]
+        }));
+      }
+      
+    } catch (error) {
+      console.error('❌ [WATCH ERROR]:', error);
+      setError({
+        message: watching ? 'Failed to stop watching ticket.' : 'Failed to watch ticket.',
+        type: 'watch',
+        retryable: false
+      });
+    } finally {
+      setUpdatingWatch(false);
+    }
+  };
+
   /**
    * Handles file attachment upload
    */
@@ -517,20 +599,10 @@ const TicketDetail = () => {
     fetchTicketData();
   };
 
-  // Set up auto-refresh for ticket updates
-  useEffect(() => {
-    if (ticket && ['open', 'in-progress', 'pending'].includes(ticket.status)) {
-      refreshIntervalRef.current = setInterval(() => {
-        fetchTicketData();
-      }, 30000); // Refresh every 30 seconds for active tickets
-    }
-    
-    return () => {
-      if (refreshIntervalRef.current) {
-        clearInterval(refreshIntervalRef.current);
-      }
-    };
-  }, [ticket, fetchTicketData]);
+  // Reload when the ticket changes status, assignee or gets a comment
+  useTicketEvents(() => {
+    fetchTicketData();
+  }, { ticketId: id, enabled: isAuthenticated && isValidTicketId(id) });
 
   // Initial data fetch
   useEffect(() => {
@@ -564,9 +636,6 @@ const TicketDetail = () => {
       if (abortControllerRef.current) {
         abortControllerRef.current.abort();
       }
-      if (refreshIntervalRef.current) {
-        clearInterval(refreshIntervalRef.current);
-      }
     };
   }, [id, isAuthenticated, navigate, isValidTicketId, fetchTicketData]);
 
@@ -786,6 +855,28 @@ const TicketDetail = () => {
                 )}
                 
                 <div className="action-group">
+                  {['admin', 'technician'].includes(user?.role) &&
+                   ['resolved', 'closed'].includes(String(ticket.status).toLowerCase()) && (
+                    <button
+                      className="action-btn kb-article-btn"
+                      onClick={handleCreateArticle}
+                      title="Turn this fix into a knowledge base article"
+                    >
+                      📚 Create article from resolution
+                    </button>
+                  )}
+                  
+                  <button 
+                    className={`action-btn watch-btn ${isWatching ? 'watching' : ''}`}
+                    onClick={handleToggleWatch}
+                    disabled={updatingWatch}
+                    aria-pressed={isWatching}
+                    title={watcherCount > 0 ? `${watcherCount} watching` : 'Get public updates on this ticket'}
+                  >
+                    {isWatching ? '👁️ Watching' : '👁️ Watch'}
+                    {watcherCount > 0 && <span className="watch-count">{watcherCount}</span>}
+                  </button>
+                  
                   <button 
                     onClick={() => navigate('/tickets')} 
                     className="btn btn-secondary"
@@ -1111,16 +1202,6 @@ const TicketDetail = () => {
                   </span>
                 )}
               </div>
-              
-              <div className="footer-actions">
-                <button 
-                  onClick={fetchTicketData} 
-                  className="btn btn-text"
-                  aria-label="Refresh ticket data"
-                >
-                  ↻ Refresh
-                </button>
-              </div>
             </div>
           </footer>
         </div>
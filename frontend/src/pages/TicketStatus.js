@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import Navbar from '../components/Navbar';
+import ticketService from '../services/ticketService';
+import '../styles/TicketStatus.css';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const statusClass = (status) => `status-pill status-${String(status).toLowerCase().replace(/\s+/g, '-')}`;
+
+/**
+ * Public Ticket Status Page
+ *
+ * Lets requesters check a ticket without logging in. The link in ticket
+ * emails carries a signed token; otherwise the ticket number and the email
+ * address the ticket was submitted with are required.
+ */
+const TicketStatus = () => {
+  const { ticketNumber: routeNumber } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const token = searchParams.get('token');
+
+  const [ticketNumber, setTicketNumber] = useState(routeNumber || '');
+  const [email, setEmail] = useState('');
+  const [ticket, setTicket] = useState(null);
+  const [supportContact, setSupportContact] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const lookup = useCallback(async (number, credentials) => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await ticketService.getPublicStatus(number, credentials);
+      setTicket(response.data);
+      setSupportContact(response.supportContact);
+    } catch (err) {
+      console.error('Ticket status lookup failed:', err);
+      setTicket(null);
+      setError(err.data?.error || err.message || 'Unable to look up this ticket');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Links from ticket emails open straight to the status
+  useEffect(() => {
+    if (routeNumber && token) {
+      lookup(routeNumber, { token });
+    }
+  }, [routeNumber, token, lookup]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const number = ticketNumber.trim().toUpperCase();
+
+    if (!number || !email.trim()) {
+      setError('Enter both the ticket number and your email address');
+      return;
+    }
+
+    // Keep the ticket number in the address bar, never the email
+    if (number !== routeNumber) {
+      navigate(`/status/${encodeURIComponent(number)}`, { replace: true });
+    }
+    lookup(number, { email: email.trim() });
+  };
+
+  const handleNewLookup = () => {
+    setTicket(null);
+    setError('');
+    navigate('/status', { replace: true });
+  };
+
+  const eta = ticket?.eta;
+
+  return (
+    <>
+      <Navbar />
+      <div className="ticket-status-page">
+        {!ticket ? (
+          <div className="status-lookup">
+            <h2>Check Ticket Status</h2>
+            <p className="status-subtitle">
+              Enter your ticket number and the email address you submitted it with.
+            </p>
+
+            {error && <div className="status-error" role="alert">{error}</div>}
+
+            {loading && token ? (
+              <p className="status-loading">Loading ticket status...</p>
+            ) : (
+              <form onSubmit={handleSubmit} className="status-form">
+                <label htmlFor="ticketNumber">Ticket number</label>
+                <input
+                  id="ticketNumber"
+                  type="text"
+                  value={ticketNumber}
+                  onChange={(e) => setTicketNumber(e.target.value)}
+                  placeholder="e.g. TKT-20260119-0001"
+                  disabled={loading}
+                />
+
+                <label htmlFor="email">Email address</label>
+                <input
+                  id="email"
+                  type="email"
+                  autoComplete="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="you@bugema.ac.ug"
+                  disabled={loading}
+                />
+
+                <button type="submit" className="status-button" disabled={loading}>
+                  {loading ? 'Checking...' : 'Check Status'}
+                </button>
+              </form>
+            )}
+
+            <p className="status-footer">
+              Have an account? <Link to="/login">Sign in</Link> to see all your tickets.
+            </p>
+          </div>
+        ) : (
+          <div className="status-card">
+            <div className="status-header">
+              <div>
+                <span className="status-number">{ticket.ticketNumber}</span>
+                <h2>{ticket.title}</h2>
+                <p className="status-meta">
+                  {ticket.category} · {ticket.priority} priority · Submitted {formatDateTime(ticket.createdAt)}
+                </p>
+              </div>
+              <span className={statusClass(ticket.status)}>{ticket.status}</span>
+            </div>
+
+            {/* When to expect progress */}
+            <div className="status-section">
+              <h3>What happens next</h3>
+              {eta?.finished ? (
+                <p>
+                  This ticket is {ticket.status.toLowerCase()}
+                  {ticket.resolvedAt && ` (resolved ${formatDateTime(ticket.resolvedAt)})`}.
+                </p>
+              ) : (
+                <ul className="status-eta">
+                  <li>
+                    {ticket.assignedTo
+                      ? `${ticket.assignedTo.firstName} from IT Support is working on it.`
+                      : 'Waiting for a technician to pick it up.'}
+                  </li>
+                  {eta?.respondedAt ? (
+                    <li>First response: {formatDateTime(eta.respondedAt)}</li>
+                  ) : eta?.responseExpectedBy && (
+                    <li>Expect a first response by {formatDateTime(eta.responseExpectedBy)}</li>
+                  )}
+                  {eta?.isOnHold ? (
+                    <li className="eta-hold">
+                      On hold while we wait for information
+                      {eta.resolutionRemaining && ` (${eta.resolutionRemaining} left once work resumes)`}
+                    </li>
+                  ) : eta?.isOverdue ? (
+                    <li className="eta-overdue">
+                      Taking longer than planned (target was {formatDateTime(eta.resolutionExpectedBy)}).
+                    </li>
+                  ) : eta?.resolutionExpectedBy && (
+                    <li>Expected resolution by {formatDateTime(eta.resolutionExpectedBy)}</li>
+                  )}
+                </ul>
+              )}
+            </div>
+
+            {ticket.timeline.length > 0 && (
+              <div className="status-section">
+                <h3>History</h3>
+                <ol className="status-timeline">
+                  {ticket.timeline.map((entry, index) => (
+                    <li key={`${entry.status}-${index}`}>
+                      <span className={statusClass(entry.status)}>{entry.status}</span>
+                      <span className="timeline-date">{formatDateTime(entry.date)}</span>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+
+            <div className="status-section">
+              <h3>Messages</h3>
+              {ticket.comments.length === 0 ? (
+                <p className="status-muted">No messages yet.</p>
+              ) : (
+                <ul className="status-comments">
+                  {ticket.comments.map((comment, index) => (
+                    <li key={index}>
+                      <div className="comment-meta">
+                        <strong>{comment.author}</strong>
+                        <span>{formatDateTime(comment.createdAt)}</span>
+                      </div>
+                      <p>{comment.content}</p>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {supportContact && (
+              <div className="status-section status-contact">
+                Need help? {supportContact.email} · {supportContact.phone} · {supportContact.hours}
+              </div>
+            )}
+
+            <button className="status-button secondary" onClick={handleNewLookup}>
+              Check another ticket
+            </button>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default TicketStatus;
@@ -4,6 +4,8 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import Navbar from '../components/Navbar';
 import api from '../services/api';
+import useTicketEvents from '../hooks/useTicketEvents';
+import BulkActionBar from '../components/BulkActionBar';
 import '../styles/Tickets.css'; // We'll create this CSS file
 
 const Tickets = () => {
@@ -15,6 +17,14 @@ const Tickets = () => {
   const [error, setError] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
+  const [groupFilter, setGroupFilter] = useState('all');
+  const [unassignedOnly, setUnassignedOnly] = useState(false);
+  const [supportGroups, setSupportGroups] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const canFilterGroups = user && ['technician', 'admin'].includes(user.role);
+  const canBulkEdit = canFilterGroups;
 
   // Get user's full name - FIXED VERSION
   const getUserName = () => {
@@ -26,6 +36,29 @@ const Tickets = () => {
     return 'User';
   };
 
+  // Load support groups for the group filter
+  useEffect(() => {
+    if (!canFilterGroups) return;
+
+    const fetchGroups = async () => {
+      try {
+        const response = await api.get('/api/support-groups', { params: { active: true } });
+        if (response.data.success) {
+          setSupportGroups(response.data.data?.groups || []);
+        }
+      } catch (err) {
+        console.error('❌ Error fetching support groups:', err);
+      }
+    };
+
+    fetchGroups();
+  }, [canFilterGroups]);
+
+  // Reload the list when one of the user's tickets changes
+  useTicketEvents(() => {
+    setReloadKey(key => key + 1);
+  }, { enabled: !!user });
+
   // Fetch tickets from API
   useEffect(() => {
     const fetchTickets = async () => {
@@ -53,6 +86,15 @@ const Tickets = () => {
           params.status = statusFilter;
         }
         
+        // Apply group queue filters
+        if (groupFilter !== 'all') {
+          params.assignedGroup = groupFilter;
+        }
+        
+        if (unassignedOnly) {
+          params.unassigned = true;
+        }
+        
         // Apply search term if exists
         if (searchTerm.trim()) {
           params.search = searchTerm.trim();
@@ -65,6 +107,10 @@ const Tickets = () => {
           // Handle different response formats
           const ticketsData = response.data.data?.tickets || response.data.tickets || response.data.data || [];
           setTickets(ticketsData);
+
+          // Keep only selections that are still in the list
+          const visibleIds = ticketsData.map(ticket => String(ticket.id || ticket._id));
+          setSelectedIds(ids => ids.filter(id => visibleIds.includes(id)));
         } else {
           setError(response.data.message || 'Failed to load tickets');
         }
@@ -85,7 +131,28 @@ const Tickets = () => {
     };
 
     fetchTickets();
-  }, [user, statusFilter, searchTerm, navigate, logout]);
+  }, [user, statusFilter, groupFilter, unassignedOnly, searchTerm, reloadKey, navigate, logout]);
+
+  const getTicketKey = (ticket) => String(ticket.id || ticket._id);
+
+  const toggleSelected = (ticketId) => {
+    setSelectedIds(ids => ids.includes(ticketId)
+      ? ids.filter(id => id !== ticketId)
+      : [...ids, ticketId]);
+  };
+
+  const allSelected = tickets.length > 0 && tickets.every(ticket => selectedIds.includes(getTicketKey(ticket)));
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? [] : tickets.map(getTicketKey));
+  };
+
+  // Refetch after a bulk action; tickets that failed stay selected for a retry
+  const handleBulkComplete = (result) => {
+    const failed = (result?.results || []).filter(item => !item.success).map(item => String(item.ticketId));
+    setSelectedIds(failed);
+    setReloadKey(key => key + 1);
+  };
 
   // Handle search with debounce
   const handleSearch = (e) => {
@@ -350,6 +417,39 @@ const Tickets = () => {
                 <option value="closed">Closed</option>
               </select>
             </div>
+            
+            {canFilterGroups && (
+              <div>
+                <label style={{ display: 'block', fontWeight: '600', color: '#495057', marginBottom: '0.5rem' }}>
+                  Support Group
+                </label>
+                <select 
+                  value={groupFilter}
+                  onChange={(e) => setGroupFilter(e.target.value)}
+                  style={{
+                    width: '100%',
+                    padding: '0.75rem',
+                    border: '2px solid #dee2e6',
+                    borderRadius: '8px',
+                    fontSize: '1rem',
+                    cursor: 'pointer'
+                  }}
+                >
+                  <option value="all">All Groups</option>
+                  {supportGroups.map(group => (
+                    <option key={group._id} value={group._id}>{group.name}</option>
+                  ))}
+                </select>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.5rem', color: '#495057', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={unassignedOnly}
+                    onChange={(e) => setUnassignedOnly(e.target.checked)}
+                  />
+                  Unassigned only (group queue)
+                </label>
+              </div>
+            )}
           </div>
           
           <div style={{ position: 'relative', maxWidth: '500px' }}>
@@ -418,6 +518,16 @@ const Tickets = () => {
           </div>
         )}
 
+        {/* Bulk actions for the selected tickets */}
+        {canBulkEdit && (
+          <BulkActionBar
+            selectedIds={selectedIds}
+            onComplete={handleBulkComplete}
+            onClear={() => setSelectedIds([])}
+            canDelete={user.role === 'admin'}
+          />
+        )}
+
         {/* Loading State */}
         {loading ? (
           <div style={{ 
@@ -454,16 +564,18 @@ const Tickets = () => {
                 <div style={{ fontSize: '4rem', marginBottom: '1.5rem', opacity: '0.5' }}>📋</div>
                 <h3 style={{ color: '#2c3e50', marginBottom: '0.5rem' }}>No tickets found</h3>
                 <p style={{ color: '#6c757d', marginBottom: '1.5rem' }}>
-                  {searchTerm || statusFilter !== 'all' 
+                  {searchTerm || statusFilter !== 'all' || groupFilter !== 'all' || unassignedOnly
                     ? 'No tickets match your current filters.' 
                     : 'You haven\'t created any tickets yet.'}
                 </p>
                 <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center' }}>
-                  {(searchTerm || statusFilter !== 'all') && (
+                  {(searchTerm || statusFilter !== 'all' || groupFilter !== 'all' || unassignedOnly) && (
                     <button 
                       onClick={() => {
                         setSearchTerm('');
                         setStatusFilter('all');
+                        setGroupFilter('all');
+                        setUnassignedOnly(false);
                       }}
                       style={{
                         padding: '0.75rem 1.5rem',
@@ -503,6 +615,16 @@ const Tickets = () => {
                 }}>
                   <thead style={{ background: '#f8f9fa' }}>
                     <tr>
+                      {canBulkEdit && (
+                        <th className="ticket-select-cell" style={{ padding: '1rem', borderBottom: '2px solid #dee2e6' }}>
+                          <input
+                            type="checkbox"
+                            checked={allSelected}
+                            onChange={toggleSelectAll}
+                            aria-label="Select all tickets"
+                          />
+                        </th>
+                      )}
                       <th style={{ 
                         padding: '1rem', 
                         textAlign: 'left', 
@@ -553,6 +675,16 @@ const Tickets = () => {
                           style={{ transition: 'background 0.2s ease' }}
                           onMouseOver={(e) => e.currentTarget.style.background = '#f8f9fa'}
                           onMouseOut={(e) => e.currentTarget.style.background = 'transparent'}>
+                        {canBulkEdit && (
+                          <td className="ticket-select-cell" style={{ padding: '1rem', borderBottom: '1px solid #dee2e6' }}>
+                            <input
+                              type="checkbox"
+                              checked={selectedIds.includes(getTicketKey(ticket))}
+                              onChange={() => toggleSelected(getTicketKey(ticket))}
+                              aria-label={`Select ticket ${ticket.ticketId || getTicketKey(ticket)}`}
+                            />
+                          </td>
+                        )}
                         <td style={{ padding: '1rem', borderBottom: '1px solid #dee2e6' }}>
                           <span style={{
                             background: '#e9ecef',
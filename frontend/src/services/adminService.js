@@ -15,7 +15,44 @@ const adminService = {
   getDepartmentStats: () => api.get('/users/dashboard/department/stats'),
   
   // Technicians
-  getTechnicians: () => api.get('/users/technicians')
+  getTechnicians: () => api.get('/users/technicians'),
+
+  // Audit Logs
+  getAuditLogs: async (filters = {}) => {
+    const response = await api.get('/api/admin/audit-logs', { params: filters });
+    return response.data;
+  },
+
+  getAuditLog: async (id) => {
+    const response = await api.get(`/api/admin/audit-logs/${id}`);
+    return response.data;
+  },
+
+  getAuditStats: async (days = 30) => {
+    const response = await api.get('/api/admin/audit-logs/stats', { params: { days } });
+    return response.data;
+  },
+
+  getAuditFilterOptions: async () => {
+    const response = await api.get('/api/admin/audit-logs/filters');
+    return response.data;
+  },
+
+  verifyAuditChain: async (archives = false) => {
+    const response = await api.get('/api/admin/audit-logs/verify', {
+      params: archives ? { archives: 'true' } : {}
+    });
+    return response.data;
+  },
+
+  // CSV of the logs matching the filters, as a Blob
+  exportAuditLogs: async (filters = {}) => {
+    const response = await api.get('/api/admin/audit-logs/export', {
+      params: filters,
+      responseType: 'blob'
+    });
+    return response.data;
+  }
 };
 
 export default adminService;
\ No newline at end of file
@@ -2,7 +2,8 @@
 // Production-ready authentication service - COMPLETE INTEGRATION
 
 import { apiService } from './api';
-import { APIError, AuthError, NetworkError } from './api';
+import { APIError, AuthError } from './api';
+import socketService from './socketService';
 
 class AuthService {
   constructor() {
@@ -294,6 +295,9 @@ class AuthService {
       // Update stored session
       this._storeAuthData(data);
       
+      // Real-time events authenticate with the access token too
+      socketService.reconnect();
+      
       // Schedule next refresh
       if (data.expiresAt) {
         this._scheduleTokenRefresh(data.expiresAt);
@@ -312,6 +316,48 @@ class AuthService {
     }
   }
 
+  /**
+   * List the active sessions (devices) of the current user
+   */
+  async getSessions() {
+    try {
+      const response = await apiService.get(`${this.baseUrl}/sessions`);
+      return response.data;
+      
+    } catch (error) {
+      console.error('❌ [AuthService] Get sessions error:', error);
+      throw new APIError(error.message || 'Failed to load sessions', error.status || 400);
+    }
+  }
+
+  /**
+   * Sign out one session of the current user
+   */
+  async revokeSession(sessionId) {
+    try {
+      const response = await apiService.delete(`${this.baseUrl}/sessions/${sessionId}`);
+      return response.data;
+      
+    } catch (error) {
+      console.error('❌ [AuthService] Revoke session error:', error);
+      throw new APIError(error.message || 'Failed to sign out session', error.status || 400);
+    }
+  }
+
+  /**
+   * Sign out every session except the current one
+   */
+  async revokeOtherSessions() {
+    try {
+      const response = await apiService.delete(`${this.baseUrl}/sessions`);
+      return response.data;
+      
+    } catch (error) {
+      console.error('❌ [AuthService] Revoke sessions error:', error);
+      throw new APIError(error.message || 'Failed to sign out sessions', error.status || 400);
+    }
+  }
+
   /**
    * Update user profile via API
    */
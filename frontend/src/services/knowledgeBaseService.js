@@ -0,0 +1,75 @@
+import api from './api';
+
+// Same categories as tickets on the server (stored value -> label)
+export const ARTICLE_CATEGORIES = {
+  network: 'Network',
+  software: 'Software',
+  hardware: 'Hardware',
+  account: 'Account',
+  email: 'Email',
+  website: 'Website',
+  other: 'Other'
+};
+
+const knowledgeBaseService = {
+  getArticles: async (filters = {}) => {
+    const params = new URLSearchParams();
+
+    Object.keys(filters).forEach(key => {
+      if (filters[key] !== '' && filters[key] !== null && filters[key] !== undefined) {
+        params.append(key, filters[key]);
+      }
+    });
+
+    const response = await api.get(`/api/articles?${params}`);
+    return response.data;
+  },
+
+  // Best matches for a phrase, e.g. while writing a ticket
+  searchArticles: async (q, { category, limit } = {}) => {
+    const params = new URLSearchParams({ q });
+    if (category) params.append('category', category);
+    if (limit) params.append('limit', limit);
+
+    const response = await api.get(`/api/articles/search?${params}`);
+    return response.data;
+  },
+
+  // Accepts the article id or its slug
+  getArticle: async (idOrSlug) => {
+    const response = await api.get(`/api/articles/${encodeURIComponent(idOrSlug)}`);
+    return response.data;
+  },
+
+  createArticle: async (articleData) => {
+    const response = await api.post('/api/articles', articleData);
+    return response.data;
+  },
+
+  updateArticle: async (id, updates) => {
+    const response = await api.put(`/api/articles/${id}`, updates);
+    return response.data;
+  },
+
+  deleteArticle: async (id) => {
+    const response = await api.delete(`/api/articles/${id}`);
+    return response.data;
+  },
+
+  getVersions: async (id) => {
+    const response = await api.get(`/api/articles/${id}/versions`);
+    return response.data;
+  },
+
+  restoreVersion: async (id, version) => {
+    const response = await api.post(`/api/articles/${id}/versions/${version}/restore`);
+    return response.data;
+  },
+
+  voteArticle: async (id, helpful) => {
+    const response = await api.post(`/api/articles/${id}/vote`, { helpful });
+    return response.data;
+  }
+};
+
+export default knowledgeBaseService;
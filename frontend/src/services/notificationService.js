@@ -0,0 +1,48 @@
+import api from './api';
+
+const notificationService = {
+  getNotifications: async (filters = {}) => {
+    const params = new URLSearchParams();
+
+    Object.keys(filters).forEach(key => {
+      if (filters[key] !== '' && filters[key] !== null && filters[key] !== undefined) {
+        params.append(key, filters[key]);
+      }
+    });
+
+    const response = await api.get(`/api/notifications?${params}`);
+    return response.data;
+  },
+
+  getUnreadCount: async () => {
+    const response = await api.get('/api/notifications/unread');
+    return response.data;
+  },
+
+  markAsRead: async (id) => {
+    const response = await api.put(`/api/notifications/${id}/read`);
+    return response.data;
+  },
+
+  markAllAsRead: async () => {
+    const response = await api.put('/api/notifications/read-all');
+    return response.data;
+  },
+
+  deleteNotification: async (id) => {
+    const response = await api.delete(`/api/notifications/${id}`);
+    return response.data;
+  },
+
+  dismissNotifications: async (ids) => {
+    const response = await api.post('/api/notifications/dismiss', { ids });
+    return response.data;
+  },
+
+  dismissRead: async () => {
+    const response = await api.post('/api/notifications/dismiss', { read: true });
+    return response.data;
+  }
+};
+
+export default notificationService;
@@ -0,0 +1,76 @@
+// frontend/src/services/socketService.js
+// Real-time ticket and notification events over Socket.IO
+
+import { io } from 'socket.io-client';
+import config from '../config';
+import { apiService } from './api';
+
+export const TICKET_EVENTS = ['ticket:status', 'ticket:assigned', 'ticket:comment'];
+
+// Handshake errors that retrying with the same token can't fix
+const AUTH_ERRORS = ['AUTH_REQUIRED', 'INVALID_TOKEN', 'TOKEN_EXPIRED', 'ACCOUNT_INACTIVE', 'SESSION_REVOKED'];
+
+let socket = null;
+
+const connect = () => {
+  if (socket || !config.features.enableWebSocket) return socket;
+  if (!apiService.getAuthToken()) return null;
+
+  socket = io(config.socketUrl, {
+    // Read on every (re)connect, so a refreshed token is picked up
+    auth: (callback) => callback({ token: apiService.getAuthToken() }),
+    withCredentials: true,
+    transports: ['websocket', 'polling']
+  });
+
+  socket.on('connect_error', (error) => {
+    console.error('Real-time connection error:', error.message);
+
+    // Bad or expired token - stop retrying until reconnect() after a refresh.
+    // The socket is kept so existing subscriptions survive.
+    if (AUTH_ERRORS.includes(error.message)) {
+      socket.disconnect();
+    }
+  });
+
+  return socket;
+};
+
+/**
+ * Reconnect with the current token (call after a token refresh)
+ */
+const reconnect = () => {
+  if (!socket) return connect();
+
+  socket.disconnect().connect();
+  return socket;
+};
+
+const disconnect = () => {
+  if (socket) {
+    socket.disconnect();
+    socket = null;
+  }
+};
+
+/**
+ * Subscribe to events; handler(payload, event). Returns an unsubscribe function
+ */
+const subscribe = (events, handler) => {
+  const current = connect();
+  if (!current) return () => {};
+
+  const listeners = events.map(event => [event, (payload) => handler(payload, event)]);
+  listeners.forEach(([event, listener]) => current.on(event, listener));
+  return () => listeners.forEach(([event, listener]) => current.off(event, listener));
+};
+
+const socketService = {
+  connect,
+  reconnect,
+  disconnect,
+  subscribe,
+  isConnected: () => !!socket?.connected
+};
+
+export default socketService;
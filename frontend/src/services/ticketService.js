@@ -58,8 +58,8 @@ const ticketService = {
   },
 
   // Bulk delete tickets (admin only)
-  bulkDeleteTickets: async (ticketIds) => {
-    const response = await api.post('/api/tickets/admin/bulk-delete', { ticketIds }); // Changed
+  bulkDeleteTickets: async (ticketIds, notes = '') => {
+    const response = await api.post('/api/tickets/admin/bulk-delete', { ticketIds, notes }); // Changed
     return response.data;
   },
 
@@ -111,6 +111,37 @@ const ticketService = {
     return response.data;
   },
 
+  bulkUpdateTags: async (ticketIds, { add = [], remove = [] }, notes = '') => {
+    const response = await api.patch('/api/tickets/bulk/tags', {
+      ticketIds,
+      add,
+      remove,
+      notes
+    });
+    return response.data;
+  },
+
+  bulkCloseTickets: async (ticketIds, notes = '') => {
+    const response = await api.patch('/api/tickets/bulk/close', {
+      ticketIds,
+      notes
+    });
+    return response.data;
+  },
+
+  // ==================== PUBLIC STATUS ====================
+
+  // No login needed: the requester's email or the token from the ticket email
+  // proves access. Served outside /api/ so it has its own rate limit.
+  getPublicStatus: async (ticketNumber, { email, token } = {}) => {
+    const origin = api.getBaseURL().replace(/\/api\/?$/, '');
+    const response = await api.post(`${origin}/public/tickets/${encodeURIComponent(ticketNumber)}/status`, {
+      email,
+      token
+    });
+    return response.data;
+  },
+
   // ==================== ANALYTICS & REPORTING ====================
 
   getTicketStats: async (timeRange = '30d') => {
@@ -194,6 +225,33 @@ const ticketService = {
     return response.data;
   },
 
+  // ==================== WATCHERS ====================
+
+  getWatchers: async (ticketId) => {
+    const response = await api.get(`/api/tickets/${ticketId}/watchers`);
+    return response.data;
+  },
+
+  watchTicket: async (ticketId) => {
+    const response = await api.post(`/api/tickets/${ticketId}/watch`);
+    return response.data;
+  },
+
+  unwatchTicket: async (ticketId) => {
+    const response = await api.delete(`/api/tickets/${ticketId}/watch`);
+    return response.data;
+  },
+
+  addWatchers: async (ticketId, userIds) => {
+    const response = await api.post(`/api/tickets/${ticketId}/watchers`, { userIds });
+    return response.data;
+  },
+
+  removeWatcher: async (ticketId, userId) => {
+    const response = await api.delete(`/api/tickets/${ticketId}/watchers/${userId}`);
+    return response.data;
+  },
+
   // ==================== ACTIVITY & AUDIT LOG ====================
 
   getActivities: async (ticketId) => {
@@ -248,6 +306,20 @@ const ticketService = {
     return response.data;
   },
 
+  getSLAMetrics: async (filters = {}) => {
+    const params = new URLSearchParams();
+    Object.keys(filters).forEach(key => {
+      if (filters[key]) params.append(key, filters[key]);
+    });
+    const response = await api.get(`/api/sla?${params}`);
+    return response.data;
+  },
+
+  getTicketSLA: async (ticketId) => {
+    const response = await api.get(`/api/sla/tickets/${ticketId}`);
+    return response.data;
+  },
+
   // ==================== TECHNICIAN MANAGEMENT ====================
 
   getAvailableTechnicians: async (department = '') => {
@@ -263,6 +335,11 @@ const ticketService = {
 
   // ==================== NOTIFICATION MANAGEMENT ====================
 
+  getNotificationPreferences: async () => {
+    const response = await api.get('/api/users/notifications/preferences');
+    return response.data;
+  },
+
   updateNotificationPreferences: async (preferences) => {
     const response = await api.put('/api/users/notifications/preferences', preferences); // Changed
     return response.data;
@@ -274,6 +351,28 @@ const ticketService = {
     return response.data;
   },
 
+  // ==================== SUPPORT GROUPS ====================
+
+  // Support groups (pass { mine: true } for the current user's groups)
+  getSupportGroups: async (filters = {}) => {
+    const params = new URLSearchParams(filters);
+    const response = await api.get(`/api/support-groups?${params}`);
+    return response.data;
+  },
+
+  // Unassigned tickets waiting in a group's queue
+  getGroupQueue: async (groupId, filters = {}) => {
+    const params = new URLSearchParams(filters);
+    const response = await api.get(`/api/support-groups/${groupId}/queue?${params}`);
+    return response.data;
+  },
+
+  // Take a ticket from a group's queue
+  claimGroupTicket: async (groupId, ticketId) => {
+    const response = await api.post(`/api/support-groups/${groupId}/queue/${ticketId}/claim`);
+    return response.data;
+  },
+
   // ==================== DEBUG & MAINTENANCE ====================
 
   // Debug endpoints for development